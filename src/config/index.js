@@ -50,6 +50,25 @@ class Config {
       temp: process.env.TEMP_DIR || './temp',
       data: process.env.DATA_DIR || './data'
     };
+    this.paths.runs = process.env.RUNS_DIR || path.join(this.paths.data, 'runs');
+    this.paths.drafts = process.env.DRAFTS_DIR || path.join(this.paths.data, 'drafts');
+    this.paths.schedules = process.env.SCHEDULES_DIR || path.join(this.paths.data, 'schedules');
+    this.paths.profiles = process.env.PROFILES_DIR || path.join(this.paths.data, 'profiles');
+    this.paths.plugins = process.env.PLUGINS_DIR || './plugins';
+    this.paths.history = process.env.HISTORY_DIR || path.join(this.paths.data, 'history');
+    this.paths.series = process.env.SERIES_DIR || path.join(this.paths.data, 'series');
+    this.paths.quota = process.env.QUOTA_DIR || path.join(this.paths.data, 'quota');
+    this.paths.budget = process.env.BUDGET_DIR || path.join(this.paths.data, 'budget');
+    this.paths.repurpose = process.env.REPURPOSE_DIR || path.join(this.paths.data, 'repurpose');
+    this.paths.experiments = process.env.EXPERIMENTS_DIR || path.join(this.paths.data, 'experiments');
+    this.paths.performance = process.env.PERFORMANCE_DIR || path.join(this.paths.data, 'performance');
+    this.paths.ideas = process.env.IDEAS_DIR || path.join(this.paths.data, 'ideas');
+    this.paths.topics = process.env.TOPICS_DIR || path.join(this.paths.data, 'topics');
+    this.paths.topicFiles = process.env.TOPIC_FILES_DIR || './topics';
+    this.paths.assets = process.env.ASSETS_DIR || path.join(this.paths.data, 'assets');
+    this.paths.assetFiles = process.env.ASSET_FILES_DIR || './assets';
+    this.paths.media = process.env.MEDIA_DIR || path.join(this.paths.data, 'media');
+    this.paths.mediaFiles = process.env.MEDIA_FILES_DIR || path.join(this.paths.assetFiles, 'media');
 
     // 日志配置
     this.logging = {
@@ -60,9 +79,160 @@ class Config {
     // 自动化配置
     this.automation = {
       autoPublish: process.env.AUTO_PUBLISH === 'true',
+      // direct: 渲染后直接上传；draft: 进入审核队列，人工批准后才上传
+      publishMode: process.env.PUBLISH_MODE === 'draft' ? 'draft' : 'direct',
       checkInterval: parseInt(process.env.CHECK_INTERVAL) || 7200000,
+      timezone: process.env.SCHEDULE_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone,
+      // 每个账户每天的生产和上传上限，日期边界按quotaTimezone计算
       maxVideosPerDay: parseInt(process.env.MAX_VIDEOS_PER_DAY) || 5
     };
+    this.automation.quotaTimezone = process.env.QUOTA_TIMEZONE || this.automation.timezone;
+
+    // AI花费预算（美元），0表示不限制；频道按YouTube账户区分，AI_CHANNEL_BUDGETS可按账户单独覆盖
+    this.budget = {
+      dailyLimit: parseFloat(process.env.AI_DAILY_BUDGET) || 0,
+      monthlyLimit: parseFloat(process.env.AI_MONTHLY_BUDGET) || 0,
+      channelDailyLimit: parseFloat(process.env.AI_CHANNEL_DAILY_BUDGET) || 0,
+      channelMonthlyLimit: parseFloat(process.env.AI_CHANNEL_MONTHLY_BUDGET) || 0,
+      channelOverrides: this.parseJson(process.env.AI_CHANNEL_BUDGETS, {}),
+      timezone: this.automation.quotaTimezone
+    };
+
+    // 重复内容检查：与历史视频的任一项相似度达到阈值即视为重复
+    this.duplicateGuard = {
+      enabled: process.env.DUPLICATE_GUARD_ENABLED !== 'false',
+      titleThreshold: parseFloat(process.env.DUPLICATE_TITLE_THRESHOLD) || 0.6,
+      scriptThreshold: parseFloat(process.env.DUPLICATE_SCRIPT_THRESHOLD) || 0.5,
+      tagThreshold: parseFloat(process.env.DUPLICATE_TAG_THRESHOLD) || 0.8,
+      lookbackDays: parseInt(process.env.DUPLICATE_LOOKBACK_DAYS) || 90,
+      maxAttempts: parseInt(process.env.DUPLICATE_MAX_ATTEMPTS) || 3,
+      // account: 只与同一账户的历史比较；global: 与所有账户比较
+      scope: process.env.DUPLICATE_SCOPE === 'global' ? 'global' : 'account'
+    };
+
+    // 长视频切片：优先使用源视频旁的同名.srt/.vtt字幕，没有时用Whisper转写音轨
+    this.repurpose = {
+      clipsPerSource: parseInt(process.env.REPURPOSE_CLIPS_PER_SOURCE) || 3,
+      minClipDuration: parseInt(process.env.REPURPOSE_MIN_CLIP_DURATION) || 15,
+      maxClipDuration: parseInt(process.env.REPURPOSE_MAX_CLIP_DURATION) || 60,
+      transcriptionModel: process.env.REPURPOSE_TRANSCRIPTION_MODEL || 'whisper-1',
+      burnCaptions: process.env.REPURPOSE_BURN_CAPTIONS !== 'false'
+    };
+
+    // 发布后的标题/缩略图实验：各变体轮流上线windowHours小时，重复rounds轮后按metric选出胜者
+    this.experiments = {
+      variantCount: parseInt(process.env.EXPERIMENT_VARIANTS) || 3,
+      windowHours: parseFloat(process.env.EXPERIMENT_WINDOW_HOURS) || 24,
+      rounds: parseInt(process.env.EXPERIMENT_ROUNDS) || 1,
+      metric: ['views', 'likes', 'engagement'].includes(process.env.EXPERIMENT_METRIC) ? process.env.EXPERIMENT_METRIC : 'views',
+      checkInterval: parseInt(process.env.EXPERIMENT_CHECK_INTERVAL) || 600000,
+      // 上传成功后自动为新视频创建实验
+      autoStart: process.env.EXPERIMENT_AUTO_START === 'true'
+    };
+
+    // 发布后表现追踪：定期拉取发布历史中视频的统计数据，超过trackDays的视频不再追踪
+    this.performanceTracking = {
+      enabled: process.env.PERFORMANCE_TRACKING !== 'false',
+      pollInterval: parseInt(process.env.PERFORMANCE_POLL_INTERVAL) || 21600000,
+      trackDays: parseInt(process.env.PERFORMANCE_TRACK_DAYS) || 30,
+      // 生成创意和分析趋势时参考的表现最好视频数量，0表示不参考
+      ideaHints: process.env.PERFORMANCE_IDEA_HINTS !== undefined ? parseInt(process.env.PERFORMANCE_IDEA_HINTS) || 0 : 5
+    };
+
+    // 创意库：自动运行优先使用评分最高的已批准创意，没有可用创意时按fallbackToGenerate决定是否现场生成
+    this.ideaBacklog = {
+      enabled: process.env.IDEA_BACKLOG_ENABLED !== 'false',
+      fallbackToGenerate: process.env.IDEA_BACKLOG_FALLBACK !== 'false'
+    };
+
+    // 选题来源：频道配置可以用手动列表、RSS/Atom订阅和CSV文件代替或补充热门趋势
+    this.topicSources = {
+      feedTimeout: parseInt(process.env.TOPIC_FEED_TIMEOUT) || 10000,
+      maxItems: parseInt(process.env.TOPIC_MAX_ITEMS) || 30
+    };
+
+    // 多语言本地化：翻译标题、描述和字幕；频道配置的targetLanguages优先于这里的默认目标语言
+    this.localization = {
+      sourceLanguage: process.env.DEFAULT_LANGUAGE || 'zh-CN',
+      targetLanguages: (process.env.LOCALIZATION_LANGUAGES || '').split(',').map((language) => language.trim()).filter(Boolean),
+      uploadCaptions: process.env.LOCALIZATION_CAPTIONS !== 'false'
+    };
+
+    // 内容安全审查：渲染前检查脚本，上传前检查最终元数据；命中禁用词直接阻止，
+    // 其余问题由AI审查结果决定阻止还是转人工审核
+    this.moderation = {
+      enabled: process.env.MODERATION_ENABLED !== 'false',
+      // AI政策审查需要显式开启；默认只检查禁用词，直接发布的部署不会因审查转入草稿
+      llmReview: process.env.MODERATION_LLM_REVIEW === 'true',
+      bannedWords: (process.env.MODERATION_BANNED_WORDS || '').split(',').map((word) => word.trim()).filter(Boolean),
+      bannedTopics: (process.env.MODERATION_BANNED_TOPICS || '').split(',').map((topic) => topic.trim()).filter(Boolean),
+      // 需要核实的事实性说法：review、block 或 ignore
+      claimsAction: process.env.MODERATION_CLAIMS_ACTION || 'ignore',
+      // AI审查失败或结果无法解析时：review、block 或 pass
+      unavailableAction: process.env.MODERATION_UNAVAILABLE_ACTION || 'review'
+    };
+
+    // 素材授权登记：渲染使用的素材都从登记表中选取，需要署名的素材自动追加到视频描述末尾
+    this.assets = {
+      backgroundMusic: process.env.BACKGROUND_MUSIC === 'true',
+      musicVolume: parseFloat(process.env.BACKGROUND_MUSIC_VOLUME) || 0.3,
+      attributionHeader: process.env.ATTRIBUTION_HEADER || '素材来源:',
+      expiryWarningDays: parseInt(process.env.ASSET_EXPIRY_WARNING_DAYS) || 14
+    };
+
+    // 场景背景素材库：开启后按脚本给出的画面关键词为每个场景选取本地图片或视频，没有匹配素材的场景使用黑色背景
+    this.media = {
+      sceneBackgrounds: process.env.SCENE_BACKGROUNDS === 'true',
+      // 只使用在素材授权登记表中登记过的素材
+      requireLicense: process.env.MEDIA_REQUIRE_LICENSE === 'true'
+    };
+
+    // 配音：为每个场景生成旁白，场景时长取旁白音频长度；provider为none时渲染无旁白的视频
+    this.tts = {
+      provider: process.env.TTS_PROVIDER || 'none',
+      voice: process.env.TTS_VOICE || '',
+      // 每段旁白后留出的停顿（秒）
+      padding: parseFloat(process.env.TTS_PADDING) || 0.4,
+      timeout: parseInt(process.env.TTS_TIMEOUT) || 60000,
+      espeak: {
+        binary: process.env.ESPEAK_PATH || 'espeak-ng',
+        speed: parseInt(process.env.ESPEAK_SPEED) || 160
+      },
+      piper: {
+        binary: process.env.PIPER_PATH || 'piper',
+        model: process.env.PIPER_MODEL
+      },
+      openai: {
+        model: process.env.OPENAI_TTS_MODEL || 'tts-1',
+        voice: process.env.OPENAI_TTS_VOICE || 'alloy'
+      },
+      http: {
+        url: process.env.TTS_HTTP_URL,
+        apiKey: process.env.TTS_HTTP_API_KEY,
+        format: process.env.TTS_HTTP_FORMAT || 'mp3'
+      }
+    };
+
+    // 字幕：渲染后按场景时间轴生成SRT、WebVTT和ASS文件，burnIn为true时把ASS字幕烧录进画面
+    this.subtitles = {
+      style: process.env.SUBTITLE_STYLE || 'classic',
+      font: process.env.SUBTITLE_FONT || 'Noto Sans CJK SC',
+      // 指定字体文件时场景文字使用该文件，否则按字体名通过fontconfig查找
+      fontFile: process.env.SUBTITLE_FONT_FILE,
+      fontsDir: process.env.SUBTITLE_FONTS_DIR,
+      burnIn: process.env.SUBTITLE_BURN_IN === 'true'
+    };
+
+    // 场景转场：none为硬切（各场景分别渲染后直接拼接，拼接不重新编码），其他类型整条时间线一次渲染
+    this.transitions = {
+      type: process.env.SCENE_TRANSITION || 'none',
+      duration: parseFloat(process.env.SCENE_TRANSITION_DURATION) || 0.5
+    };
+
+    // 图片场景和图片背景的推拉摇移效果，场景没有单独指定motion时使用；none为静止画面
+    this.kenBurns = {
+      motion: process.env.KEN_BURNS_MOTION || 'zoomIn'
+    };
 
     // 缓存配置
     this.cache = {
@@ -108,12 +278,24 @@ class Config {
       enableTrendAnalysis: process.env.ENABLE_TREND_ANALYSIS !== 'false',
       enableVideoGeneration: process.env.ENABLE_VIDEO_GENERATION !== 'false',
       enableAutoUpload: process.env.ENABLE_AUTO_UPLOAD !== 'false',
-      enableScheduler: process.env.ENABLE_SCHEDULER !== 'false'
+      enableScheduler: process.env.ENABLE_SCHEDULER !== 'false',
+      enablePlugins: process.env.ENABLE_PLUGINS !== 'false'
     };
 
     this.validate();
   }
 
+  parseJson(value, fallback) {
+    if (!value) return fallback;
+
+    try {
+      return JSON.parse(value);
+    } catch {
+      console.warn(`WARNING: 无法解析JSON配置: ${value}`);
+      return fallback;
+    }
+  }
+
   parseRedisUrl(url) {
     if (!url) return { host: 'localhost', port: 6379 };
     
@@ -170,6 +352,25 @@ class Config {
       },
       paths: this.paths,
       automation: this.automation,
+      duplicateGuard: this.duplicateGuard,
+      budget: this.budget,
+      repurpose: this.repurpose,
+      experiments: this.experiments,
+      performanceTracking: this.performanceTracking,
+      ideaBacklog: this.ideaBacklog,
+      topicSources: this.topicSources,
+      localization: this.localization,
+      moderation: this.moderation,
+      assets: this.assets,
+      media: this.media,
+      tts: {
+        provider: this.tts.provider,
+        voice: this.tts.voice,
+        padding: this.tts.padding
+      },
+      subtitles: this.subtitles,
+      transitions: this.transitions,
+      kenBurns: this.kenBurns,
       cache: this.cache,
       performance: this.performance,
       features: this.features,
@@ -1,7 +1,9 @@
 #!/usr/bin/env node
 
 require('dotenv').config();
+const fs = require('fs').promises;
 const YouTubeAutomation = require('./modules/automation');
+const VideoEditor = require('./services/videoEditor');
 const WebApplication = require('./web/app');
 const { logger } = require('./utils/logger');
 
@@ -17,6 +19,17 @@ async function main() {
 
   // 原有的CLI模式
   const automation = new YouTubeAutomation();
+  const getArg = (name) => (args.includes(name) ? args[args.indexOf(name) + 1] : undefined);
+  const getRunArgs = () => ({
+    profileId: getArg('--profile'),
+    seriesId: getArg('--series'),
+    languages: getArg('--languages')?.split(',').map((language) => language.trim()).filter(Boolean)
+  });
+  const getRepurposeArgs = () => ({
+    profileId: getArg('--profile'),
+    clips: parseInt(getArg('--clips')) || undefined,
+    clipIndex: getArg('--clip') !== undefined ? parseInt(getArg('--clip')) : undefined
+  });
   
   process.on('SIGINT', async () => {
     logger.info('接收到退出信号，正在清理...');
@@ -36,8 +49,44 @@ async function main() {
 
   try {
     logger.info('启动YouTube全自动化系统...');
+
+    // 演练模式只使用本地替身，不需要YouTube认证和浏览器
+    if (args.includes('--dry-run')) {
+      logger.info('运行演练模式（不调用OpenAI，不上传YouTube）...');
+      if (args.includes('--repurpose')) {
+        const results = await automation.repurposeVideo(getArg('--repurpose'), { ...getRepurposeArgs(), dryRun: true });
+        for (const result of results.filter((item) => item.dryRunReportPath)) {
+          logger.info('演练完成，报告:', result.dryRunReportPath);
+        }
+        return;
+      }
+      const result = await automation.runDryRun(getRunArgs());
+      if (result?.aborted) {
+        logger.info('演练被插件中止:', result.reason);
+      } else if (result?.blocked) {
+        logger.info('演练被内容安全审查阻止:', result.reason);
+      } else if (result) {
+        logger.info('演练完成，报告:', result.dryRunReportPath);
+        console.log(await fs.readFile(result.dryRunReportPath, 'utf8'));
+      }
+      return;
+    }
     
-    const initialized = await automation.initialize();
+    // 时间线渲染只在本地合成视频，不需要YouTube认证
+    if (args.includes('--timeline')) {
+      const file = getArg('--timeline');
+      logger.info('开始渲染时间线:', file);
+      const timeline = JSON.parse(await fs.readFile(file, 'utf8'));
+      const outputPath = await new VideoEditor().renderTimeline(timeline, { outputPath: getArg('--output') });
+      if (outputPath) {
+        logger.info('时间线渲染完成:', outputPath);
+      } else {
+        logger.error('时间线渲染失败，请查看日志中的错误信息');
+      }
+      return;
+    }
+
+    const initialized = await automation.initialize({ backgroundJobs: false });
     
     if (!initialized) {
       logger.error('系统初始化失败，请检查配置');
@@ -64,13 +113,70 @@ async function main() {
 
     if (args.includes('--single')) {
       logger.info('运行单次视频创建...');
-      const result = await automation.runSingleCycle();
-      if (result) {
+      const result = await automation.runSingleCycle(getRunArgs());
+      if (result?.awaitingReview) {
+        logger.info('视频已进入审核队列:', result.draftId);
+      } else if (result?.aborted) {
+        logger.info('运行被插件中止:', result.reason);
+      } else if (result?.blocked) {
+        logger.info('运行被内容安全审查阻止:', result.reason);
+      } else if (result) {
         logger.info('视频创建完成:', result.url);
       }
       return;
     }
 
+    if (args.includes('--repurpose')) {
+      const file = getArg('--repurpose');
+      logger.info('开始长视频切片:', file);
+      const results = await automation.repurposeVideo(file, getRepurposeArgs());
+      for (const result of results) {
+        if (result.awaitingReview) {
+          logger.info('切片已进入审核队列:', result.draftId);
+        } else if (result.aborted) {
+          logger.info('切片运行被插件中止:', result.reason);
+        } else if (result.blocked) {
+          logger.info('切片运行被内容安全审查阻止:', result.reason);
+        } else {
+          logger.info('切片发布完成:', result.url);
+        }
+      }
+      return;
+    }
+
+    if (args.includes('--resume')) {
+      const runId = args[args.indexOf('--resume') + 1];
+      const result = runId && !runId.startsWith('--')
+        ? await automation.resumeRun(runId)
+        : await automation.resumeLatestRun();
+      if (result?.conflict) {
+        logger.info('运行无法恢复，当前状态:', result.status);
+      } else if (result?.awaitingReview) {
+        logger.info('视频已进入审核队列:', result.draftId);
+      } else if (result?.aborted) {
+        logger.info('运行被插件中止:', result.reason);
+      } else if (result?.blocked) {
+        logger.info('运行被内容安全审查阻止:', result.reason);
+      } else if (result) {
+        logger.info('恢复运行完成:', result.url);
+      }
+      return;
+    }
+
+    if (args.includes('--runs')) {
+      const runs = await automation.listRuns();
+      console.log(JSON.stringify(runs.map((run) => ({
+        id: run.id,
+        status: run.status,
+        resumable: run.resumable,
+        currentStage: run.currentStage,
+        error: run.error,
+        createdAt: run.createdAt,
+        updatedAt: run.updatedAt
+      })), null, 2));
+      return;
+    }
+
     if (args.includes('--trends')) {
       logger.info('分析当前趋势...');
       const trends = await automation.analyzeTrends();
@@ -103,8 +209,19 @@ YouTube全自动化视频制作系统
   --web              启动Web应用模式
   --auth CODE        使用授权码完成YouTube认证
   --single           运行单次视频创建和发布
+  --dry-run          演练模式：使用本地LLM和YouTube替身跑完整流水线并输出报告
+  --profile ID       与--single或--dry-run一起使用，按指定频道配置运行
+  --series ID        与--single或--dry-run一起使用，制作指定系列的下一集
+  --languages LIST   与--single或--dry-run一起使用，逗号分隔的目标语言（如 en,ja），覆盖频道配置
+  --repurpose FILE   将输入目录中的长视频切成竖屏短视频（可与--dry-run、--profile一起使用）
+  --clips N          与--repurpose一起使用，本次切片的数量
+  --clip INDEX       与--repurpose一起使用，只制作指定序号的高光片段
+  --timeline FILE    按时间线JSON文件渲染视频（不需要YouTube认证）
+  --output PATH      与--timeline一起使用，指定输出文件
+  --resume [RUN_ID]  从检查点恢复中断的运行（默认最近一次）
+  --runs             列出流水线运行记录
   --trends           分析当前YouTube趋势
-  --ideas [数量]      生成内容创意（默认5个）
+  --ideas [数量]      生成内容创意并存入创意库（默认5个）
   --status           显示系统状态
   --help            显示此帮助信息
 
@@ -126,7 +243,11 @@ Docker部署:
     }
 
     logger.info('启动自动化模式...');
-    automation.startAutomation();
+    const { started } = await automation.startAutomation();
+    if (!started) {
+      return;
+    }
+    automation.startBackgroundJobs();
     
     logger.info('系统正在运行，按 Ctrl+C 退出');
     logger.info('提示：建议使用 --web 参数启动Web界面获得更好的体验');
@@ -1,10 +1,65 @@
-const cron = require('node-cron');
-const TrendAnalyzer = require('./services/trendAnalyzer');
-const OpenAIService = require('./services/openai');
-const VideoEditor = require('./services/videoEditor');
-const YouTubeService = require('./services/youtube');
-const { logger, ErrorHandler } = require('./utils/logger');
-const config = require('./config');
+const fs = require('fs').promises;
+const path = require('path');
+const TrendAnalyzer = require('../services/trendAnalyzer');
+const OpenAIService = require('../services/openai');
+const VideoEditor = require('../services/videoEditor');
+const YouTubeService = require('../services/youtube');
+const FakeOpenAIService = require('../services/fakeOpenAI');
+const FakeYouTubeService = require('../services/fakeYouTube');
+const runStore = require('../services/runStore');
+const draftStore = require('../services/draftStore');
+const Scheduler = require('../services/scheduler');
+const PluginManager = require('../services/pluginManager');
+const Repurposer = require('../services/repurposer');
+const ExperimentManager = require('../services/experimentManager');
+const Localizer = require('../services/localizer');
+const Moderator = require('../services/moderator');
+const PerformanceTracker = require('../services/performanceTracker');
+const experimentStore = require('../services/experimentStore');
+const profileStore = require('../services/profileStore');
+const publishHistory = require('../services/publishHistory');
+const ideaStore = require('../services/ideaStore');
+const assetRegistry = require('../services/assetRegistry');
+const mediaLibrary = require('../services/mediaLibrary');
+const tts = require('../services/tts');
+const topicSources = require('../services/topicSources');
+const seriesStore = require('../services/seriesStore');
+const quotaLedger = require('../services/quotaLedger');
+const budgetGuard = require('../services/budgetGuard');
+const { FORMAT_PRESETS } = require('../services/profileStore');
+const { isValidLanguageCode } = require('../services/localizer');
+const { logger, ErrorHandler } = require('../utils/logger');
+const { runWithContext, enterStage } = require('../utils/runContext');
+const config = require('../config');
+
+// 流水线阶段按顺序执行，每个阶段完成后写入检查点
+const PIPELINE_STAGES = [
+  'idea', 'script', 'scriptModeration', 'render', 'optimize', 'thumbnail', 'metadata', 'localize',
+  'uploadModeration', 'review', 'upload', 'captions', 'playlist', 'experiment'
+];
+
+// 产生文件的阶段，恢复时需要确认文件仍然存在
+const STAGE_ARTIFACTS = {
+  render: 'videoPath',
+  optimize: 'optimizedVideoPath',
+  thumbnail: 'thumbnailPath'
+};
+
+// LLM返回的脚本无法解析时使用的占位标题和简介
+const FALLBACK_SCRIPT = {
+  title: '热门话题视频',
+  description: '基于当前热门趋势的视频内容'
+};
+
+// 因全局预算暂停后，定期检查预算周期是否已重置
+const BUDGET_RECHECK_INTERVAL = 15 * 60 * 1000;
+
+// 阶段前后触发的插件钩子，钩子的修改随阶段检查点一起保存
+const STAGE_HOOKS = {
+  script: { before: 'beforeScript', after: 'afterScript' },
+  render: { after: 'afterRender' },
+  upload: { before: 'beforeUpload', after: 'afterUpload' }
+};
 
 class YouTubeAutomation {
   constructor() {
@@ -12,18 +67,63 @@ class YouTubeAutomation {
     this.openaiService = new OpenAIService();
     this.videoEditor = new VideoEditor();
     this.youtubeService = new YouTubeService();
+    this.repurposer = new Repurposer({ openaiService: this.openaiService, videoEditor: this.videoEditor });
+    this.localizer = new Localizer({ openaiService: this.openaiService });
+    this.moderator = new Moderator({ openaiService: this.openaiService });
+    this.accountServices = new Map();
+    this.dryRunYouTube = new Map();
+    this.plugins = new PluginManager(config.paths.plugins);
+    this.experiments = new ExperimentManager({
+      getYouTubeService: (account) => this.getYouTubeService(account),
+      openaiService: this.openaiService,
+      videoEditor: this.videoEditor
+    });
+    this.performance = new PerformanceTracker({
+      getYouTubeService: (account) => this.getYouTubeService(account)
+    });
+    this.scheduler = new Scheduler((schedule) => this.createAndPublishVideo(schedule ? {
+      scheduleId: schedule.id,
+      profileId: schedule.profileId || undefined,
+      seriesId: schedule.seriesId || undefined,
+      account: schedule.account || undefined
+    } : {}));
     
     this.isRunning = false;
-    this.videoCount = 0;
+    this.budgetPause = null;
+    this.budgetResumeTimer = null;
     this.maxVideosPerDay = config.automation.maxVideosPerDay;
+
+    this.stageHandlers = {
+      idea: (context, run) => this.stageIdea(context, run),
+      script: (context, run) => this.stageScript(context, run),
+      scriptModeration: (context, run) => this.stageScriptModeration(context, run),
+      render: (context, run) => this.stageRender(context, run),
+      optimize: (context, run) => this.stageOptimize(context, run),
+      thumbnail: (context, run) => this.stageThumbnail(context, run),
+      metadata: (context, run) => this.stageMetadata(context, run),
+      localize: (context, run) => this.stageLocalize(context, run),
+      uploadModeration: (context, run) => this.stageUploadModeration(context, run),
+      review: (context, run) => this.stageReview(context, run),
+      upload: (context, run) => this.stageUpload(context, run),
+      captions: (context, run) => this.stageCaptions(context, run),
+      playlist: (context, run) => this.stagePlaylist(context, run),
+      experiment: (context, run) => this.stageExperiment(context, run)
+    };
+
+    budgetGuard.on('exceeded', (exceeded) => this.handleBudgetExceeded(exceeded));
   }
 
-  async initialize() {
+  // CLI单次命令不启动实验轮换和表现追踪，避免每次执行都请求YouTube API
+  async initialize({ backgroundJobs = true } = {}) {
     try {
       logger.info('初始化YouTube自动化系统...');
       
       await this.trendAnalyzer.init();
+      await this.loadPlugins();
       await this.youtubeService.initialize();
+      if (backgroundJobs) {
+        this.startBackgroundJobs();
+      }
       
       if (!this.youtubeService.isAuthenticated) {
         logger.warn('YouTube未认证，请先完成认证流程');
@@ -39,6 +139,11 @@ class YouTubeAutomation {
     }
   }
 
+  startBackgroundJobs() {
+    this.experiments.start();
+    this.performance.start();
+  }
+
   async authenticateYouTube(authCode, account = 'default') {
     try {
       await this.youtubeService.authenticate(authCode, account);
@@ -50,102 +155,1243 @@ class YouTubeAutomation {
     }
   }
 
-  async createAndPublishVideo() {
-    if (this.videoCount >= this.maxVideosPerDay) {
-      logger.info('今日视频发布数量已达上限');
-      return null;
+  async createAndPublishVideo(options = {}) {
+    return ErrorHandler.safeExecute(async () => {
+      const runOptions = await this.resolveRunOptions(options);
+
+      if (!runOptions.dryRun) {
+        const [exceeded] = await budgetGuard.check(this.getRunAccount(runOptions));
+        if (exceeded) {
+          logger.warn('AI预算已用完，跳过本次运行', exceeded);
+          return null;
+        }
+      }
+
+      if (!runOptions.dryRun && await this.isDailyLimitReached(runOptions)) {
+        logger.info('今日视频发布数量已达上限', {
+          account: this.getRunAccount(runOptions),
+          profileId: runOptions.profileId
+        });
+        return null;
+      }
+
+      logger.info('开始创建新视频...', {
+        profileId: runOptions.profileId,
+        account: runOptions.account,
+        dryRun: !!runOptions.dryRun
+      });
+      const run = await runStore.createRun(runOptions, { account: this.getRunAccount(runOptions) });
+      return this.executeRun(run);
+    }, 'createAndPublishVideo');
+  }
+
+  // 频道配置和系列进度在创建运行时固化到运行记录中，恢复时使用同一份配置
+  async resolveRunOptions(options) {
+    if (options.languages !== undefined
+      && (!Array.isArray(options.languages) || !options.languages.every(isValidLanguageCode))) {
+      throw new Error(`无效的目标语言: ${options.languages}`);
     }
+    if (options.repurpose) {
+      if (options.seriesId) {
+        throw new Error('系列剧集不能使用长视频切片模式');
+      }
+      if (options.dryRun) {
+        await this.repurposer.getSourceStat(options.repurpose.file);
+      } else {
+        await this.repurposer.assertClipAvailable(options.repurpose.file, options.repurpose.clipIndex);
+      }
+    }
+    if (options.seriesId) {
+      options = await this.resolveSeriesOptions(options);
+    }
+    if (!options.profileId) {
+      return options;
+    }
+
+    const profile = await profileStore.getProfile(options.profileId);
+    if (!profile) {
+      throw new Error(`频道配置不存在: ${options.profileId}`);
+    }
+    if (!profile.enabled) {
+      throw new Error(`频道配置已停用: ${profile.name}`);
+    }
+
+    return {
+      ...options,
+      account: profile.account,
+      profile: {
+        id: profile.id,
+        name: profile.name,
+        niche: profile.niche,
+        language: profile.language,
+        privacyStatus: profile.privacyStatus,
+        categoryId: profile.categoryId,
+        dailyLimit: profile.dailyLimit,
+        format: profile.format,
+        topicSources: profile.topicSources || [],
+        topicMix: profile.topicMix,
+        targetLanguages: profile.targetLanguages || [],
+        bannedWords: profile.bannedWords || [],
+        bannedTopics: profile.bannedTopics || []
+      }
+    };
+  }
 
+  async resolveSeriesOptions(options) {
+    const series = await seriesStore.getSeries(options.seriesId);
+    if (!series) {
+      throw new Error(`系列不存在: ${options.seriesId}`);
+    }
+    if (!series.enabled) {
+      throw new Error(`系列已停用: ${series.name}`);
+    }
+    if (series.status === 'completed') {
+      throw new Error(`系列已完结: ${series.name}`);
+    }
+
+    // 集数按已发布剧集计算，同一系列同时只允许一集在制作中
+    if (!options.dryRun) {
+      const [active] = await runStore.findActiveRuns((run) =>
+        run.options?.seriesId === series.id && !run.options.dryRun);
+      if (active) {
+        throw new Error(`系列 ${series.name} 已有进行中的剧集: ${active.id}`);
+      }
+    }
+
+    return {
+      ...options,
+      profileId: options.profileId || series.profileId || undefined,
+      account: series.account || options.account,
+      series: {
+        id: series.id,
+        name: series.name,
+        arc: series.arc,
+        episodeCount: series.episodeCount,
+        episodeNumber: series.episodes.length + 1,
+        previousEpisodes: series.episodes.map(({ number, title, summary }) => ({ number, title, summary }))
+      }
+    };
+  }
+
+  getRunAccount(options) {
+    return options.account || this.youtubeService.getAccount();
+  }
+
+  // 账户上限来自持久化台账；频道配置的dailyLimit是额外的单频道上限
+  async isDailyLimitReached(runOptions) {
+    if (await quotaLedger.isLimitReached(this.getRunAccount(runOptions))) {
+      return true;
+    }
+    if (!runOptions.profile) {
+      return false;
+    }
+
+    const count = await runStore.countRunsForDay(
+      (run) => run.options?.profileId === runOptions.profileId,
+      config.automation.timezone
+    );
+    return count >= runOptions.profile.dailyLimit;
+  }
+
+  async loadPlugins() {
+    if (!config.isFeatureEnabled('enablePlugins')) {
+      return [];
+    }
+    return this.plugins.load();
+  }
+
+  async reloadPlugins() {
+    if (!config.isFeatureEnabled('enablePlugins')) {
+      return [];
+    }
+    return this.plugins.reload();
+  }
+
+  async runDryRun(options = {}) {
+    return this.createAndPublishVideo({ ...options, dryRun: true });
+  }
+
+  // 为源视频的高光片段依次创建运行，每次运行产出一个竖屏短视频
+  async repurposeVideo(file, options = {}) {
+    const { clips = config.repurpose.clipsPerSource, clipIndex, ...runOptions } = options;
+    const total = clipIndex !== undefined ? 1 : clips;
+    const results = [];
+
+    for (let i = 0; i < total; i++) {
+      // 演练不记录片段领取情况，按顺序指定片段
+      const index = clipIndex ?? (runOptions.dryRun ? i : undefined);
+      const result = await this.createAndPublishVideo({
+        ...runOptions,
+        repurpose: { file, clips, clipIndex: index }
+      });
+
+      if (!result) break;
+      results.push(result);
+    }
+
+    logger.info('长视频切片完成', { file, runs: results.length });
+    return results;
+  }
+
+  // 演练模式下用本地替身替换OpenAI和趋势抓取，渲染仍使用真实的FFmpeg
+  getServices(run) {
+    if (!run.options.dryRun) {
+      return {
+        trendAnalyzer: this.trendAnalyzer,
+        openaiService: this.openaiService,
+        repurposer: this.repurposer,
+        localizer: this.localizer,
+        moderator: this.moderator
+      };
+    }
+
+    if (!this.dryRunServices) {
+      const openaiService = new FakeOpenAIService();
+      this.dryRunServices = {
+        openaiService,
+        trendAnalyzer: new TrendAnalyzer({ openaiService, offline: true }),
+        repurposer: new Repurposer({ openaiService, videoEditor: this.videoEditor }),
+        localizer: new Localizer({ openaiService }),
+        moderator: new Moderator({ openaiService })
+      };
+    }
+    return this.dryRunServices;
+  }
+
+  // 长视频切片固定输出竖屏短视频
+  getRunFormat(run) {
+    if (run.options.repurpose) {
+      return FORMAT_PRESETS.shorts;
+    }
+    return FORMAT_PRESETS[run.options.profile?.format] || FORMAT_PRESETS.shorts;
+  }
+
+  async resumeRun(runId) {
     return ErrorHandler.safeExecute(async () => {
-      logger.info('开始创建新视频...');
+      const run = await runStore.getRun(runId);
+
+      if (!run) {
+        throw new Error(`运行记录不存在: ${runId}`);
+      }
+      if (!runStore.isResumable(run)) {
+        throw new Error(`运行 ${runId} 当前状态为 ${runStore.getEffectiveStatus(run)}，无法恢复`);
+      }
+
+      // 并发恢复同一运行时只有认领成功的一次继续执行
+      const claimed = await runStore.claimRun(runId);
+      if (!claimed) {
+        const current = await runStore.getRun(runId);
+        logger.warn('运行已被其他请求恢复，跳过', { runId, status: runStore.getEffectiveStatus(current) });
+        return { conflict: true, runId, status: runStore.getEffectiveStatus(current) };
+      }
+
+      logger.info('从检查点恢复运行', {
+        runId,
+        completedStages: PIPELINE_STAGES.filter((stage) => claimed.stages[stage]?.status === 'completed')
+      });
+      await this.reclaimBacklogIdea(claimed);
+      return this.executeRun(claimed);
+    }, 'resumeRun');
+  }
+
+  async resumeLatestRun() {
+    const [latest] = await this.listRuns({ resumableOnly: true, limit: 1 });
+
+    if (!latest) {
+      logger.info('没有可恢复的运行');
+      return null;
+    }
+
+    return this.resumeRun(latest.id);
+  }
+
+  async listRuns({ resumableOnly = false, status, limit = 50 } = {}) {
+    return runStore.listRuns({ status, resumableOnly, limit });
+  }
+
+  async executeRun(run) {
+    return runWithContext({ runId: run.id, account: run.account }, () => this.executePipeline(run));
+  }
+
+  async executePipeline(run) {
+    const context = { ...run.context };
+    let invalidated = false;
+
+    await this.loadPlugins();
+
+    for (const stage of PIPELINE_STAGES) {
+      if (!invalidated && await this.isStageReusable(run, stage, context)) {
+        continue;
+      }
+
+      // 一旦某个阶段需要重跑，其后的检查点都不再可信
+      invalidated = true;
+      await runStore.startStage(run, stage);
+      const usage = enterStage(stage);
+
+      let output;
+      try {
+        output = await this.runStage(stage, context, run);
+      } catch (error) {
+        runStore.addStageUsage(run, stage, usage);
+        return this.handleStageError(run, stage, context, error);
+      }
+      runStore.addStageUsage(run, stage, usage);
+
+      const { pause, block, ...stageOutput } = output;
+      Object.assign(context, stageOutput);
+
+      if (block) {
+        this.dryRunYouTube.delete(run.id);
+        await runStore.blockRun(run, stage, block.reason, context);
+        await this.releaseBacklogIdea(run, 'blocked');
+        logger.warn('内容安全审查未通过，运行已阻止', { runId: run.id, stage, reason: block.reason });
+        return { runId: run.id, blocked: true, stage, reason: block.reason, reasons: block.reasons };
+      }
+
+      if (pause) {
+        await runStore.pauseRun(run, stage, pause.status, context);
+        logger.info('流水线已暂停', { runId: run.id, stage, status: pause.status });
+        return { runId: run.id, ...pause };
+      }
+
+      await runStore.completeStage(run, stage, context);
+      logger.info('流水线阶段完成', { runId: run.id, stage });
+    }
+
+    if (run.options.dryRun) {
+      context.dryRunReportPath = await this.writeDryRunReport(run, context);
+    }
+
+    await runStore.completeRun(run);
+
+    logger.info('视频创建并上传成功', {
+      runId: run.id,
+      videoId: context.uploadResult.videoId,
+      url: context.uploadResult.url,
+      title: context.uploadResult.title
+    });
+
+    return { ...context.uploadResult, runId: run.id, dryRunReportPath: context.dryRunReportPath };
+  }
+
+  async runStage(stage, context, run) {
+    const hooks = STAGE_HOOKS[stage] || {};
+
+    if (hooks.before) {
+      Object.assign(context, await this.plugins.runHook(hooks.before, context, run, { stage }));
+    }
+
+    const output = await this.stageHandlers[stage](context, run) || {};
+
+    if (hooks.after && !output.pause && !output.block) {
+      Object.assign(output, await this.plugins.runHook(hooks.after, { ...context, ...output }, run, { stage }));
+    }
+
+    return output;
+  }
+
+  // 插件中止的运行直接关闭，不可恢复；其他错误标记为失败，可从检查点恢复
+  async handleStageError(run, stage, context, error) {
+    const aborted = error.code === 'PIPELINE_ABORTED';
+    this.dryRunYouTube.delete(run.id);
+
+    if (aborted) {
+      await runStore.abortRun(run, stage, error.message);
+      logger.warn('流水线被插件中止', { runId: run.id, stage, plugin: error.plugin, reason: error.message });
+    } else {
+      await runStore.failRun(run, stage, error);
+      logger.error('流水线阶段失败', { runId: run.id, stage, error: error.message });
+    }
+    await this.releaseBacklogIdea(run, aborted ? 'aborted' : 'failed');
+
+    await this.plugins.notifyError(context, run, { stage, error });
+
+    if (!aborted) {
+      throw error;
+    }
+    return { runId: run.id, aborted: true, stage, plugin: error.plugin, reason: error.message };
+  }
+
+  async isStageReusable(run, stage, context) {
+    if (run.stages[stage]?.status !== 'completed') {
+      return false;
+    }
+
+    const artifactKey = STAGE_ARTIFACTS[stage];
+    if (artifactKey && context[artifactKey]) {
+      try {
+        await fs.access(context[artifactKey]);
+      } catch {
+        logger.warn('检查点产物已丢失，重新执行该阶段', { runId: run.id, stage, file: context[artifactKey] });
+        await runStore.invalidateStage(run, stage);
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  // 与发布历史过于相似的创意会被拒绝并要求避开这些标题重新生成
+  async stageIdea(context, run) {
+    const { profile, series } = run.options;
+
+    // 创意生成会吞掉底层异常，先检查预算以便运行记录中留下明确的失败原因
+    if (!run.options.dryRun) {
+      await budgetGuard.assertWithinBudget(run.account);
+    }
+    if (series) {
+      return this.generateEpisodeIdea(run);
+    }
+    if (run.options.repurpose) {
+      return this.selectRepurposeClip(run);
+    }
+    if (config.ideaBacklog.enabled) {
+      const backlogIdea = await this.takeBacklogIdea(run);
+      if (backlogIdea) {
+        return backlogIdea;
+      }
+      if (!config.ideaBacklog.fallbackToGenerate) {
+        throw new Error('创意库中没有可用的已批准创意');
+      }
+      logger.info('创意库中没有可用的已批准创意，现场生成', { runId: run.id });
+    }
+
+    const guard = config.duplicateGuard;
+    const attempts = guard.enabled ? guard.maxAttempts : 1;
+    const rejections = [];
+    const performanceHints = await this.performance.getTopPerformers({ account: this.getRunAccount(run.options) });
+    // 重新生成时沿用同一个选题，只要求AI换个角度
+    const topic = await topicSources.pickTopic(profile, { dryRun: run.options.dryRun });
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      const avoidTitles = [...new Set(rejections.flatMap((rejection) =>
+        [rejection.title, ...rejection.matches.map((match) => match.title)]))];
+
+      const contentIdeas = topic
+        ? await this.generateTopicIdea(run, topic, { avoidTitles, performanceHints })
+        : await this.getServices(run).trendAnalyzer.generateContentIdeas(1, {
+          niche: profile?.niche,
+          language: profile?.language,
+          duration: this.getRunFormat(run).duration,
+          avoidTitles,
+          performanceHints
+        });
 
-      const contentIdeas = await this.trendAnalyzer.generateContentIdeas(1);
-      
       if (!contentIdeas.ideas || contentIdeas.ideas.length === 0) {
         throw new Error('无法生成内容创意');
       }
 
       const idea = contentIdeas.ideas[0];
-      logger.info('选择的内容创意:', { title: idea.title });
-
-      let scriptData;
-      if (idea.raw) {
-        try {
-          scriptData = JSON.parse(idea.script);
-        } catch {
-          scriptData = {
-            title: '热门话题视频',
-            script: idea.script,
-            description: '基于当前热门趋势的视频内容',
-            tags: ['热门', '趋势', '话题']
-          };
-        }
-      } else {
-        scriptData = idea;
+      if (!guard.enabled) {
+        logger.info('选择的内容创意:', { title: idea.title });
+        return this.acceptIdea(run, { idea }, topic);
       }
 
-      const videoPath = await this.videoEditor.createVideoFromScript(scriptData, {
-        duration: 60,
-        resolution: '1080x1920'
+      const candidate = this.parseScriptData(idea);
+      const check = await publishHistory.checkDuplicate(this.getDuplicateCandidate(idea, candidate), {
+        account: run.options.account || this.youtubeService.getAccount()
       });
 
-      if (!videoPath) {
-        throw new Error('视频创建失败');
+      if (!check.duplicate) {
+        logger.info('选择的内容创意:', { title: candidate.title, rejected: rejections.length });
+        return this.acceptIdea(run, { idea, ideaRejections: rejections }, topic);
       }
 
-      const optimizedVideoPath = await this.videoEditor.optimizeForPlatform(videoPath, 'shorts');
-      const thumbnailPath = await this.videoEditor.createThumbnail(optimizedVideoPath || videoPath);
+      rejections.push({ attempt, title: candidate.title, matches: check.matches });
+      logger.warn('内容创意与历史视频过于相似，已拒绝', {
+        runId: run.id,
+        attempt,
+        title: candidate.title,
+        reasons: check.matches[0].reasons
+      });
+    }
 
-      const optimizedMetadata = await this.openaiService.optimizeVideoMetadata(
-        scriptData.title,
-        scriptData.description,
-        scriptData.tags || []
-      );
+    const error = new Error(`连续${attempts}个内容创意都与历史视频过于相似`);
+    error.details = { ideaRejections: rejections };
+    throw error;
+  }
+
+  // 选题来源提供的选题由AI扩写成脚本，摘要作为背景资料
+  async generateTopicIdea(run, topic, { avoidTitles, performanceHints }) {
+    const subject = topic.summary ? `${topic.title}（背景：${topic.summary}）` : topic.title;
+    const script = await this.getServices(run).openaiService.generateVideoScript(subject, this.getRunFormat(run).duration, {
+      language: run.options.profile?.language,
+      avoidTitles,
+      performanceHints
+    });
+
+    if (!script) {
+      return { ideas: [] };
+    }
+    try {
+      return { ideas: [JSON.parse(script)] };
+    } catch {
+      return { ideas: [{ script, raw: true }] };
+    }
+  }
 
-      let metadata;
+  // 创意通过检查后才记录选题已使用，演练不记录
+  async acceptIdea(run, result, topic) {
+    if (!topic) {
+      return result;
+    }
+
+    if (!run.options.dryRun) {
+      await topicSources.markUsed(topic, run.id);
+    }
+    return { ...result, topic: { source: topic.sourceType, title: topic.title, link: topic.link || null } };
+  }
+
+  // 创意库中的创意已经人工审核，不再做重复检查；只有标题的创意先补写脚本
+  async takeBacklogIdea(run) {
+    const { profile, profileId, dryRun } = run.options;
+    const entry = await ideaStore.claimTopApproved(run.id, {
+      profileId,
+      account: this.getRunAccount(run.options)
+    }, { dryRun });
+    if (!entry) return null;
+
+    let idea = { title: entry.title, description: entry.description, script: entry.script, tags: entry.tags };
+    if (!entry.script) {
+      const script = await this.getServices(run).openaiService.generateVideoScript(entry.title, this.getRunFormat(run).duration, {
+        language: profile?.language
+      });
       try {
-        metadata = typeof optimizedMetadata === 'string' 
-          ? JSON.parse(optimizedMetadata) 
-          : optimizedMetadata;
+        idea = { ...JSON.parse(script), title: entry.title };
       } catch {
-        metadata = {
-          optimized_title: scriptData.title,
-          optimized_description: scriptData.description,
-          optimized_tags: scriptData.tags || []
-        };
-      }
-
-      const uploadResult = await this.youtubeService.uploadVideo(
-        optimizedVideoPath || videoPath,
-        {
-          title: metadata.optimized_title || scriptData.title,
-          description: metadata.optimized_description || scriptData.description,
-          tags: metadata.optimized_tags || scriptData.tags || [],
-          privacyStatus: config.automation.autoPublish ? 'public' : 'private',
-          thumbnailPath
-        }
+        idea.script = script;
+      }
+    }
+
+    logger.info('使用创意库中的创意', { runId: run.id, ideaId: entry.id, title: entry.title, score: entry.score });
+    return { idea, backlogIdeaId: entry.id };
+  }
+
+  // 结束而未发布的运行把领取的创意退回创意库；退回失败不影响运行本身的结果
+  async releaseBacklogIdea(run, reason) {
+    if (run.options.dryRun) return;
+
+    try {
+      await ideaStore.releaseForRun(run.id, reason);
+    } catch (error) {
+      logger.warn('退回创意库创意失败', { runId: run.id, error: error.message });
+    }
+  }
+
+  // 失败的运行已退回创意，恢复时若沿用已完成的创意阶段需要重新领取
+  async reclaimBacklogIdea(run) {
+    const ideaId = run.context?.backlogIdeaId;
+    if (!ideaId || run.options.dryRun || run.stages.idea?.status !== 'completed') return;
+
+    const idea = await ideaStore.reclaimForRun(ideaId, run.id);
+    if (!idea) {
+      logger.warn('创意已被其他运行领取或人工改动，恢复的运行仍沿用该创意', { runId: run.id, ideaId });
+    }
+  }
+
+  // 系列剧集按主线和前几集生成，本身就与历史剧集有意区分，不做重复检查
+  async generateEpisodeIdea(run) {
+    const { profile, series } = run.options;
+    const script = await this.getServices(run).openaiService.generateEpisodeScript(
+      series,
+      this.getRunFormat(run).duration,
+      { language: profile?.language }
+    );
+
+    if (!script) {
+      throw new Error(`无法生成系列剧集: ${series.name} 第${series.episodeNumber}集`);
+    }
+
+    let idea;
+    try {
+      idea = JSON.parse(script);
+    } catch {
+      idea = { script, raw: true };
+    }
+
+    logger.info('生成系列剧集创意', { series: series.name, episode: series.episodeNumber, title: idea.title });
+    return { idea };
+  }
+
+  // 切片内容来自自有视频，不做重复检查
+  async selectRepurposeClip(run) {
+    const { repurpose, profile, dryRun } = run.options;
+    const { repurposer } = this.getServices(run);
+
+    const record = await repurposer.prepareSource(repurpose.file, {
+      count: repurpose.clips,
+      language: profile?.language,
+      dryRun
+    });
+    const highlight = await repurposer.claimHighlight(record, run.id, repurpose.clipIndex, { dryRun });
+    const clip = repurposer.buildClip(record, highlight);
+
+    logger.info('选择的高光片段:', { file: clip.file, index: clip.index, start: clip.start, end: clip.end, title: highlight.title });
+    return { idea: repurposer.buildIdea(clip, highlight), clip };
+  }
+
+  parseScriptData(idea) {
+    if (!idea.raw) {
+      return idea;
+    }
+
+    try {
+      return JSON.parse(idea.script);
+    } catch {
+      // 不加占位标签，否则所有解析失败的创意都会因标签相同被判为重复
+      return { ...FALLBACK_SCRIPT, script: idea.script, tags: [] };
+    }
+  }
+
+  // 解析失败的创意标题是统一的占位标题，只用脚本正文做重复检查
+  getDuplicateCandidate(idea, scriptData) {
+    if (idea.raw && scriptData.title === FALLBACK_SCRIPT.title) {
+      return { script: scriptData.script };
+    }
+    return scriptData;
+  }
+
+  async stageScript({ idea }) {
+    return { scriptData: this.parseScriptData(idea) };
+  }
+
+  // 渲染前审查脚本，不能发布的内容不消耗渲染时间
+  async stageScriptModeration({ scriptData }, run) {
+    return this.moderateContent('scriptModeration', {
+      title: scriptData.title,
+      description: scriptData.description,
+      tags: scriptData.tags || [],
+      script: scriptData.script
+    }, run);
+  }
+
+  // 上传前审查优化后的最终元数据
+  async stageUploadModeration(context, run) {
+    const { title, description, tags } = this.buildUploadMetadata(context, run);
+    return this.moderateContent('uploadModeration', {
+      title,
+      description,
+      tags,
+      script: context.scriptData.script
+    }, run);
+  }
+
+  // 频道配置的禁用词和禁止主题与全局配置合并；block结论关闭运行，review结论在审核阶段转为草稿
+  async moderateContent(stage, content, run) {
+    if (!config.moderation.enabled) {
+      return { [stage]: { stage, decision: 'skipped', reasons: [] } };
+    }
+
+    const { profile } = run.options;
+    const moderation = await this.getServices(run).moderator.moderate(content, {
+      stage,
+      bannedWords: [...config.moderation.bannedWords, ...(profile?.bannedWords || [])],
+      bannedTopics: [...config.moderation.bannedTopics, ...(profile?.bannedTopics || [])],
+      language: profile?.language
+    });
+
+    if (moderation.decision !== 'block') {
+      return { [stage]: moderation };
+    }
+
+    const blocking = moderation.reasons.filter((reason) => reason.decision === 'block');
+    return {
+      [stage]: moderation,
+      block: { reason: `内容安全审查未通过: ${blocking.map((reason) => reason.message).join('; ')}`, reasons: blocking }
+    };
+  }
+
+  getModerationFlags(context) {
+    return [context.scriptModeration, context.uploadModeration]
+      .flatMap((moderation) => moderation?.reasons || [])
+      .filter((reason) => reason.decision === 'review');
+  }
+
+  // 开启配音时为每个场景生成旁白，场景时长由旁白长度决定；开启背景素材时按场景时长选取素材
+  async getRenderScenes(scriptData, run) {
+    let scenes = this.videoEditor.parseScript(scriptData.script);
+    const { duration } = this.getRunFormat(run);
+
+    if (tts.isEnabled()) {
+      scenes = await tts.narrateScenes(scenes, {
+        language: this.getSourceLanguage(run),
+        renderId: run.id,
+        openaiService: this.getServices(run).openaiService,
+        dryRun: run.options.dryRun
+      });
+
+      const total = scenes.reduce((sum, scene) => sum + scene.duration, 0);
+      if (total > duration) {
+        logger.warn('旁白总时长超过目标时长', { runId: run.id, duration, narrated: Number(total.toFixed(1)) });
+      }
+    }
+
+    if (config.media.sceneBackgrounds) {
+      scenes = await this.assignSceneBackgrounds(scenes, scriptData, run);
+    }
+    return scenes;
+  }
+
+  // 脚本中的visuals与句子一一对应，没有给出画面关键词的场景使用视频标签匹配
+  async assignSceneBackgrounds(scenes, scriptData, run) {
+    await mediaLibrary.scan();
+    const media = await mediaLibrary.getUsableMedia();
+    const { duration, resolution } = this.getRunFormat(run);
+    const [width, height] = resolution.split('x').map(Number);
+    const orientation = mediaLibrary.getOrientation(width, height);
+    const visuals = Array.isArray(scriptData.visuals) ? scriptData.visuals : [];
+    const used = new Set();
+
+    const assigned = scenes.map((scene, index) => {
+      const background = mediaLibrary.pickForScene(media, visuals[index] || scriptData.tags || [], {
+        orientation,
+        duration: this.videoEditor.getSceneDuration(scene, duration / scenes.length),
+        exclude: used
+      });
+      if (!background) {
+        return scene;
+      }
+      used.add(background.mediaId);
+      return { ...scene, background };
+    });
+
+    logger.info('场景背景素材已选取', {
+      runId: run.id,
+      matched: assigned.filter((scene) => scene.background).length,
+      scenes: scenes.length
+    });
+    return assigned;
+  }
+
+  async stageRender({ scriptData, clip }, run) {
+    const { duration, resolution, platform } = this.getRunFormat(run);
+    let scenes = null;
+    let videoPath;
+    try {
+      scenes = clip ? null : await this.getRenderScenes(scriptData, run);
+      videoPath = clip
+        ? await this.videoEditor.createVerticalClip(clip.sourcePath, { ...clip, title: scriptData.title }, {
+          resolution,
+          captions: clip.captions
+        })
+        : await this.videoEditor.createVideoFromScript(scriptData, {
+          duration,
+          resolution,
+          scenes,
+          showText: !config.subtitles.burnIn
+        });
+    } finally {
+      if (!clip && tts.isEnabled()) {
+        await tts.cleanup(run.id);
+      }
+    }
+
+    if (!videoPath) {
+      throw new Error('视频创建失败');
+    }
+
+    // 场景背景中在登记表里登记过的素材需要署名和到期检查
+    const assets = [...new Map((scenes || [])
+      .filter((scene) => scene.background?.asset)
+      .map((scene) => [scene.background.asset.id, assetRegistry.toUsage(scene.background.asset)])).values()];
+
+    // 背景音乐从素材登记表中选取，混音失败时保留没有音乐的视频
+    if (config.assets.backgroundMusic && !clip) {
+      const music = await assetRegistry.pickAsset('music');
+      const withMusic = music
+        && await this.videoEditor.addBackgroundMusic(videoPath, music.filePath, { volume: config.assets.musicVolume });
+      if (withMusic) {
+        videoPath = withMusic;
+        assets.push(assetRegistry.toUsage(music.asset));
+      }
+    }
+
+    if (!run.options.dryRun) {
+      await quotaLedger.recordProduced(this.getRunAccount(run.options), { runId: run.id });
+      await assetRegistry.recordUsage(assets, { runId: run.id, videoPath });
+    }
+
+    // 字幕时间轴供本地化阶段生成各语言字幕，字幕文件作为产物保留并上传为字幕轨道
+    const captionCues = clip ? clip.transcript : this.videoEditor.getSceneCues(scenes, duration);
+    let subtitles = null;
+    if (captionCues?.length > 0) {
+      subtitles = await this.videoEditor.writeSubtitleFiles(
+        captionCues,
+        path.basename(videoPath, path.extname(videoPath)),
+        { resolution, platform }
       );
+    }
 
-      this.videoCount++;
-      
-      logger.info('视频创建并上传成功', {
-        videoId: uploadResult.videoId,
-        url: uploadResult.url,
-        title: uploadResult.title,
-        count: this.videoCount
+    // 切片在截取时已经烧录了字幕
+    if (subtitles && config.subtitles.burnIn && !clip) {
+      const subtitledPath = await this.videoEditor.burnSubtitles(videoPath, subtitles.ass);
+      if (!subtitledPath) {
+        throw new Error('字幕烧录失败');
+      }
+      videoPath = subtitledPath;
+    }
+
+    return { videoPath, captionCues, assets, subtitles };
+  }
+
+  async stageOptimize({ videoPath }, run) {
+    const optimizedVideoPath = await this.videoEditor.optimizeForPlatform(videoPath, this.getRunFormat(run).platform);
+    return { optimizedVideoPath };
+  }
+
+  async stageThumbnail({ videoPath, optimizedVideoPath }) {
+    const thumbnailPath = await this.videoEditor.createThumbnail(optimizedVideoPath || videoPath);
+    return { thumbnailPath };
+  }
+
+  async stageMetadata({ scriptData }, run) {
+    const optimizedMetadata = await this.getServices(run).openaiService.optimizeVideoMetadata(
+      scriptData.title,
+      scriptData.description,
+      scriptData.tags || [],
+      { language: run.options.profile?.language }
+    );
+
+    let metadata;
+    try {
+      metadata = typeof optimizedMetadata === 'string' 
+        ? JSON.parse(optimizedMetadata) 
+        : optimizedMetadata;
+    } catch {
+      metadata = null;
+    }
+
+    if (!metadata) {
+      metadata = {
+        optimized_title: scriptData.title,
+        optimized_description: scriptData.description,
+        optimized_tags: scriptData.tags || []
+      };
+    }
+
+    return { metadata };
+  }
+
+  getSourceLanguage(run) {
+    return run.options.profile?.language || config.localization.sourceLanguage;
+  }
+
+  // 运行参数指定的语言优先，其次是频道配置，最后是全局默认目标语言
+  getTargetLanguages(run) {
+    const { languages, profile } = run.options;
+    if (languages) {
+      return languages;
+    }
+    return profile?.targetLanguages?.length > 0 ? profile.targetLanguages : config.localization.targetLanguages;
+  }
+
+  // 翻译元数据和字幕；单个语言失败只记录在结果中
+  async stageLocalize(context, run) {
+    const languages = this.getTargetLanguages(run);
+    if (languages.length === 0) {
+      return { localization: { status: 'skipped' } };
+    }
+
+    const { scriptData, metadata, videoPath, captionCues, subtitles } = context;
+    const localization = await this.getServices(run).localizer.localize({
+      title: metadata.optimized_title || scriptData.title,
+      description: metadata.optimized_description || scriptData.description,
+      tags: metadata.optimized_tags || scriptData.tags || [],
+      script: scriptData.script,
+      cues: captionCues || []
+    }, {
+      sourceLanguage: this.getSourceLanguage(run),
+      languages,
+      baseName: path.basename(videoPath, path.extname(videoPath)),
+      sourceCaptionsPath: subtitles?.srt
+    });
+
+    return { localization: { status: 'completed', ...localization } };
+  }
+
+  buildLocalizations(localization, assets) {
+    if (localization?.status !== 'completed') {
+      return undefined;
+    }
+    return Object.fromEntries(Object.entries(localization.languages).map(([language, item]) => [language, {
+      title: item.title,
+      description: assetRegistry.appendAttributions(item.description, assets)
+    }]));
+  }
+
+  // 需要署名的素材追加到描述末尾
+  buildUploadMetadata({ scriptData, metadata, thumbnailPath, localization, assets = [] }, run) {
+    const { profile } = run.options;
+
+    return {
+      title: metadata.optimized_title || scriptData.title,
+      description: assetRegistry.appendAttributions(metadata.optimized_description || scriptData.description, assets),
+      tags: metadata.optimized_tags || scriptData.tags || [],
+      privacyStatus: profile?.privacyStatus || (config.automation.autoPublish ? 'public' : 'private'),
+      categoryId: profile?.categoryId,
+      defaultLanguage: this.getSourceLanguage(run),
+      localizations: this.buildLocalizations(localization, assets),
+      thumbnailPath
+    };
+  }
+
+  async stageReview(context, run) {
+    if (run.options.dryRun) {
+      return { review: { status: 'skipped', reason: 'dryRun' } };
+    }
+
+    // 已进入审核队列的运行沿用原草稿及审核时修改的元数据，之后发布模式改变也不跳过审核
+    let draft = context.review?.draftId ? await draftStore.getDraft(context.review.draftId) : null;
+
+    if (!draft) {
+      // 内容安全审查要求人工确认时，即使未开启草稿模式也进入审核队列
+      const moderationFlags = this.getModerationFlags(context);
+      if (config.automation.publishMode !== 'draft' && moderationFlags.length === 0) {
+        return { review: { status: 'skipped' } };
+      }
+
+      draft = await draftStore.createDraft({
+        runId: run.id,
+        videoPath: context.optimizedVideoPath || context.videoPath,
+        thumbnailPath: context.thumbnailPath,
+        metadata: this.buildUploadMetadata(context, run),
+        moderation: moderationFlags
       });
+    }
 
-      return uploadResult;
-    }, 'createAndPublishVideo');
+    if (draft.status === 'approved') {
+      return {
+        review: {
+          status: 'approved',
+          draftId: draft.id,
+          reviewer: draft.review.reviewer,
+          metadata: draft.metadata
+        }
+      };
+    }
+
+    return {
+      review: { status: 'pending', draftId: draft.id },
+      pause: { status: 'awaiting_review', awaitingReview: true, draftId: draft.id }
+    };
+  }
+
+  // 为指定账户创建独立的YouTube客户端，不切换全局活跃账户
+  async getYouTubeService(account, run) {
+    // 同一次演练的各阶段共用一个替身，报告中才能列出全部被跳过的操作
+    if (run?.options.dryRun) {
+      if (!this.dryRunYouTube.has(run.id)) {
+        const service = new FakeYouTubeService({ account });
+        await service.initialize();
+        this.dryRunYouTube.set(run.id, service);
+      }
+      return this.dryRunYouTube.get(run.id);
+    }
+
+    if (!account) {
+      return this.youtubeService;
+    }
+
+    if (!this.accountServices.has(account)) {
+      const service = new YouTubeService({ account });
+      await service.initialize();
+      this.accountServices.set(account, service);
+    }
+
+    const service = this.accountServices.get(account);
+    if (!service.isAuthenticated) {
+      await service.initialize();
+    }
+    return service;
+  }
+
+  async stageUpload(context, run) {
+    const { videoPath, optimizedVideoPath, review } = context;
+    // beforeUpload钩子可以通过uploadMetadata覆盖部分上传字段
+    const uploadMetadata = {
+      ...(review?.metadata || this.buildUploadMetadata(context, run)),
+      ...context.uploadMetadata
+    };
+    const youtubeService = await this.getYouTubeService(run.options.account, run);
+
+    // 草稿等待审核期间素材授权可能过期
+    const expiredAssets = await assetRegistry.findExpired(context.assets);
+    if (expiredAssets.length > 0) {
+      throw new Error(`视频使用的素材授权已过期: ${expiredAssets.map((asset) => asset.name).join(', ')}，续期后可恢复该运行`);
+    }
+
+    // 审核通过的草稿可能在之后的某天才上传，上传前按当天配额再检查一次
+    if (!run.options.dryRun && await quotaLedger.isLimitReached(youtubeService.getAccount(), 'uploaded')) {
+      throw new Error(`账户 ${youtubeService.getAccount()} 今日上传配额已用完，可在次日恢复该运行`);
+    }
+
+    const uploadResult = await youtubeService.uploadVideo(
+      optimizedVideoPath || videoPath,
+      uploadMetadata
+    );
+
+    if (!uploadResult) {
+      throw new Error('视频上传失败');
+    }
+
+    if (review?.draftId) {
+      await draftStore.markPublished(review.draftId, uploadResult);
+    }
+
+    // 视频已上传，记录台账和历史失败不能让阶段失败，否则恢复时会重复上传
+    if (!run.options.dryRun) {
+      await ErrorHandler.safeExecute(() => quotaLedger.recordUploaded(youtubeService.getAccount(), {
+        runId: run.id,
+        videoId: uploadResult.videoId
+      }), '记录上传配额');
+      await ErrorHandler.safeExecute(() => publishHistory.record({
+        runId: run.id,
+        videoId: uploadResult.videoId,
+        account: youtubeService.getAccount(),
+        profileId: run.options.profileId,
+        title: uploadMetadata.title,
+        description: uploadMetadata.description,
+        script: context.scriptData?.script,
+        tags: uploadMetadata.tags
+      }), '记录发布历史');
+    }
+
+    if (run.options.series && !run.options.dryRun) {
+      await ErrorHandler.safeExecute(() => seriesStore.recordEpisode(run.options.series.id, {
+        number: run.options.series.episodeNumber,
+        runId: run.id,
+        videoId: uploadResult.videoId,
+        title: uploadMetadata.title,
+        summary: context.scriptData?.summary
+      }), '记录系列剧集');
+    }
+
+    return { uploadMetadata, uploadResult };
   }
 
-  async runSingleCycle() {
+  // 视频上传后逐个上传字幕轨道；单个轨道失败只记录，避免恢复运行时重复上传已成功的轨道
+  async stageCaptions(context, run) {
+    const { localization, subtitles, uploadResult } = context;
+    if (!config.localization.uploadCaptions) {
+      return { captions: { status: 'skipped' } };
+    }
+
+    // 没有本地化时也上传渲染阶段生成的原语言字幕
+    const localized = localization?.status === 'completed';
+    const tracks = [
+      {
+        language: localized ? localization.sourceLanguage : this.getSourceLanguage(run),
+        captionsPath: (localized && localization.sourceCaptionsPath) || subtitles?.srt
+      },
+      ...Object.entries(localized ? localization.languages : {})
+        .map(([language, item]) => ({ language, captionsPath: item.captionsPath }))
+    ].filter((track) => track.captionsPath);
+    if (tracks.length === 0) {
+      return { captions: { status: 'skipped' } };
+    }
+
+    const youtubeService = await this.getYouTubeService(run.options.account, run);
+    const uploaded = [];
+    const failed = [];
+    for (const track of tracks) {
+      const caption = await youtubeService.uploadCaption(uploadResult.videoId, track);
+      if (caption) {
+        uploaded.push({ language: track.language, captionId: caption.id });
+      } else {
+        failed.push(track.language);
+      }
+    }
+
+    if (failed.length > 0) {
+      logger.warn('部分字幕上传失败', { videoId: uploadResult.videoId, failed });
+    }
+    return { captions: { status: failed.length > 0 ? 'partial' : 'completed', uploaded, failed } };
+  }
+
+  // 作为独立阶段执行，播放列表操作失败时恢复运行不会重复上传视频
+  async stagePlaylist(context, run) {
+    const { series, dryRun } = run.options;
+    if (!series) {
+      return { playlist: { status: 'skipped' } };
+    }
+
+    const current = await seriesStore.getSeries(series.id);
+    if (!current) {
+      throw new Error(`系列不存在: ${series.id}`);
+    }
+
+    const youtubeService = await this.getYouTubeService(run.options.account, run);
+    let playlistId = current.playlistId;
+
+    if (playlistId && !await youtubeService.getPlaylist(playlistId)) {
+      logger.warn('系列播放列表已不存在，重新创建', { seriesId: series.id, playlistId });
+      playlistId = null;
+    }
+
+    if (!playlistId) {
+      const playlist = await youtubeService.createPlaylist(
+        current.playlistTitle || current.name,
+        current.arc,
+        current.playlistPrivacy
+      );
+      if (!playlist) {
+        throw new Error('创建播放列表失败');
+      }
+
+      playlistId = playlist.id;
+      if (!dryRun) {
+        await seriesStore.setPlaylist(series.id, playlistId);
+      }
+    }
+
+    const item = await youtubeService.addVideoToPlaylist(playlistId, context.uploadResult.videoId);
+    if (!item) {
+      throw new Error('添加视频到播放列表失败');
+    }
+
+    return { playlist: { status: 'added', playlistId, episodeNumber: series.episodeNumber } };
+  }
+
+  // 开启EXPERIMENT_AUTO_START时为新视频创建标题实验
+  async stageExperiment(context, run) {
+    if (!config.experiments.autoStart) {
+      return { experiment: { status: 'skipped' } };
+    }
+
+    const { uploadResult, uploadMetadata } = context;
+    const source = {
+      videoId: uploadResult.videoId,
+      account: run.options.account,
+      runId: run.id,
+      videoPath: context.optimizedVideoPath || context.videoPath,
+      thumbnailPath: context.thumbnailPath,
+      language: run.options.profile?.language,
+      original: {
+        title: uploadMetadata.title,
+        description: uploadMetadata.description,
+        tags: uploadMetadata.tags,
+        categoryId: uploadMetadata.categoryId,
+        defaultLanguage: uploadMetadata.defaultLanguage
+      }
+    };
+
+    // 演练只生成标题变体写入报告，不截取缩略图也不创建实验
+    if (run.options.dryRun) {
+      const variants = await this.experiments.generateVariants(
+        { ...source, thumbnailPath: null, title: source.original.title, description: source.original.description },
+        { openaiService: this.getServices(run).openaiService }
+      );
+      return { experiment: { status: 'planned', variants } };
+    }
+
+    // 恢复运行时沿用已创建的实验
+    const experiment = await experimentStore.findRunning(uploadResult.videoId)
+      || await this.experiments.createExperiment(source);
+    return { experiment: { status: 'created', experimentId: experiment.id } };
+  }
+
+  async writeDryRunReport(run, context) {
+    const youtubeService = await this.getYouTubeService(run.options.account, run);
+    this.dryRunYouTube.delete(run.id);
+    const { thumbnailPath, ...metadata } = context.uploadMetadata;
+    const report = {
+      runId: run.id,
+      dryRun: true,
+      generatedAt: new Date().toISOString(),
+      profile: run.options.profile?.name || null,
+      series: run.options.series
+        ? { name: run.options.series.name, episodeNumber: run.options.series.episodeNumber, playlist: context.playlist || null }
+        : null,
+      account: youtubeService.getAccount(),
+      repurpose: context.clip
+        ? { file: context.clip.file, index: context.clip.index, start: context.clip.start, end: context.clip.end, captions: context.clip.captions.length }
+        : null,
+      idea: { title: context.idea?.title, backlogIdeaId: context.backlogIdeaId || null },
+      ideaRejections: context.ideaRejections || [],
+      topic: context.topic || null,
+      localization: context.localization || null,
+      assets: context.assets || [],
+      moderation: [context.scriptModeration, context.uploadModeration].filter(Boolean),
+      experiment: context.experiment || null,
+      script: context.scriptData,
+      artifacts: {
+        videoPath: context.videoPath,
+        optimizedVideoPath: context.optimizedVideoPath,
+        thumbnailPath: context.thumbnailPath,
+        subtitles: context.subtitles || null
+      },
+      wouldPublish: {
+        videoFile: context.optimizedVideoPath || context.videoPath,
+        thumbnailFile: thumbnailPath || null,
+        ...metadata
+      },
+      skippedActions: youtubeService.actions
+    };
+
+    await fs.mkdir(config.paths.videoOutput, { recursive: true });
+    const reportPath = path.join(config.paths.videoOutput, `dryrun_${run.id}.json`);
+    await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
+
+    logger.info('演练报告已生成', { runId: run.id, reportPath });
+    return reportPath;
+  }
+
+  async approveDraft(draftId, review = {}) {
+    return ErrorHandler.safeExecute(async () => {
+      const draft = await draftStore.approveDraft(draftId, review);
+      // 同一草稿被并发批准时只有完成状态变更的一次继续上传
+      if (!draft) {
+        logger.warn('草稿已不在待审核状态，不再上传', { draftId });
+        return { conflict: true, draftId };
+      }
+
+      const run = await runStore.getRun(draft.runId);
+
+      if (!run) {
+        throw new Error(`草稿对应的运行记录不存在: ${draft.runId}`);
+      }
+
+      const claimed = await runStore.claimRun(run.id, ['awaiting_review']);
+      if (!claimed) {
+        throw new Error(`运行 ${run.id} 当前状态为 ${runStore.getEffectiveStatus(run)}，无法继续上传`);
+      }
+      return this.executeRun(claimed);
+    }, 'approveDraft');
+  }
+
+  async rejectDraft(draftId, review = {}) {
+    return ErrorHandler.safeExecute(async () => {
+      const draft = await draftStore.rejectDraft(draftId, review);
+      if (!draft) {
+        logger.warn('草稿已不在待审核状态，无法拒绝', { draftId });
+        return { conflict: true, draftId };
+      }
+
+      const run = await runStore.getRun(draft.runId);
+
+      if (run) {
+        await runStore.closeRun(run, 'rejected', review.reason || '审核未通过');
+        await this.releaseBacklogIdea(run, 'rejected');
+      }
+
+      return draft;
+    }, 'rejectDraft');
+  }
+
+  async runSingleCycle(options = {}) {
     logger.info('执行单次自动化循环...');
     
     try {
-      const result = await this.createAndPublishVideo();
+      const result = await this.createAndPublishVideo(options);
       
-      if (result) {
+      if (result?.awaitingReview) {
+        logger.info('视频已生成，等待审核', { runId: result.runId, draftId: result.draftId });
+      } else if (result?.aborted) {
+        logger.info('单次循环被插件中止', { runId: result.runId, plugin: result.plugin, reason: result.reason });
+      } else if (result?.blocked) {
+        logger.info('单次循环被内容安全审查阻止', { runId: result.runId, stage: result.stage, reason: result.reason });
+      } else if (result) {
         logger.info('单次循环执行成功', { videoUrl: result.url });
       } else {
         logger.info('单次循环未创建新视频');
@@ -158,41 +1404,112 @@ class YouTubeAutomation {
     }
   }
 
-  startAutomation() {
+  // 未启动时reason说明原因：scheduler_disabled为调度功能已禁用，budget_exceeded为全局AI预算已用完
+  async startAutomation() {
     if (this.isRunning) {
       logger.warn('自动化已在运行中');
-      return;
+      return { started: true };
+    }
+
+    if (!config.isFeatureEnabled('enableScheduler')) {
+      logger.warn('调度功能已禁用（ENABLE_SCHEDULER=false），自动化未启动');
+      return { started: false, reason: 'scheduler_disabled' };
+    }
+
+    const [exceeded] = await budgetGuard.check();
+    if (exceeded) {
+      logger.warn('全局AI预算已用完，自动化未启动', exceeded);
+      return { started: false, reason: 'budget_exceeded', budget: exceeded };
     }
 
     this.isRunning = true;
     logger.info('启动自动化定时任务...');
 
-    cron.schedule('0 */2 * * *', async () => {
-      logger.info('定时任务触发');
-      await this.createAndPublishVideo();
-    });
+    await this.scheduler.start();
 
-    cron.schedule('0 0 * * *', () => {
-      this.videoCount = 0;
-      logger.info('每日视频计数器重置');
-    });
-
-    logger.info('自动化定时任务已启动（每2小时检查一次）');
+    logger.info('自动化定时任务已启动', { schedules: this.scheduler.tasks.size });
+    return { started: true };
   }
 
   stopAutomation() {
     this.isRunning = false;
+    this.scheduler.stop();
+    this.clearBudgetPause();
+
     logger.info('自动化任务已停止');
   }
 
+  // 全局预算用完时暂停自动化，预算周期重置后自动恢复；频道预算只跳过该频道的运行
+  handleBudgetExceeded(exceeded) {
+    if (exceeded.scope !== 'global' || !this.isRunning) {
+      return;
+    }
+
+    this.stopAutomation();
+    this.budgetPause = { ...exceeded, pausedAt: new Date().toISOString() };
+    this.budgetResumeTimer = setInterval(() => this.resumeAfterBudget(), BUDGET_RECHECK_INTERVAL);
+    logger.warn('全局AI预算已用完，自动化已暂停', exceeded);
+  }
+
+  async resumeAfterBudget() {
+    const exceeded = await ErrorHandler.safeExecute(() => budgetGuard.check(), '检查AI预算', []);
+    if (exceeded.length > 0) {
+      return false;
+    }
+
+    logger.info('AI预算已恢复，重新启动自动化');
+    this.clearBudgetPause();
+    return this.startAutomation();
+  }
+
+  clearBudgetPause() {
+    if (this.budgetResumeTimer) {
+      clearInterval(this.budgetResumeTimer);
+      this.budgetResumeTimer = null;
+    }
+    this.budgetPause = null;
+  }
+
+  async getProfileUsage() {
+    const profiles = await profileStore.listProfiles();
+
+    return Promise.all(profiles.map(async (profile) => ({
+      id: profile.id,
+      name: profile.name,
+      account: profile.account,
+      enabled: profile.enabled,
+      dailyLimit: profile.dailyLimit,
+      videosToday: await runStore.countRunsForDay(
+        (run) => run.options?.profileId === profile.id,
+        config.automation.timezone
+      )
+    })));
+  }
+
   async getSystemStatus() {
+    const [activeUsage, quota, budget] = await Promise.all([
+      quotaLedger.getUsage(this.youtubeService.getAccount()),
+      quotaLedger.listUsage(),
+      budgetGuard.getStatus()
+    ]);
+
     return {
       isRunning: this.isRunning,
-      videoCount: this.videoCount,
+      videoCount: activeUsage.produced,
       maxVideosPerDay: this.maxVideosPerDay,
+      quota: {
+        day: activeUsage.day,
+        timezone: activeUsage.timezone,
+        accounts: quota
+      },
       isYouTubeAuthenticated: this.youtubeService.isAuthenticated,
+      activeSchedules: this.scheduler.tasks.size,
+      plugins: this.plugins.plugins.map((plugin) => plugin.name),
+      budget: { ...budget, pausedBy: this.budgetPause },
+      profiles: await this.getProfileUsage(),
       config: {
         autoPublish: config.automation.autoPublish,
+        publishMode: config.automation.publishMode,
         checkInterval: config.automation.checkInterval
       }
     };
@@ -200,15 +1517,30 @@ class YouTubeAutomation {
 
   async analyzeTrends() {
     logger.info('分析当前趋势...');
-    return await this.trendAnalyzer.getTopicTrends();
+    const performanceHints = await this.performance.getTopPerformers({ account: this.youtubeService.getAccount() });
+    return await this.trendAnalyzer.getTopicTrends(performanceHints);
   }
 
   async generateContentIdeas(count = 5) {
     logger.info(`生成${count}个内容创意...`);
-    return await this.trendAnalyzer.generateContentIdeas(count);
+    const performanceHints = await this.performance.getTopPerformers({ account: this.youtubeService.getAccount() });
+    const result = await this.trendAnalyzer.generateContentIdeas(count, { performanceHints });
+
+    // 生成的创意存入创意库，审核通过后由自动运行使用
+    if (result.ideas?.length > 0) {
+      const saved = await ErrorHandler.safeExecute(
+        () => ideaStore.addGenerated(result.ideas, result.trends),
+        '保存创意到创意库',
+        []
+      );
+      result.backlogIds = saved.map((idea) => idea.id);
+    }
+    return result;
   }
 
   async cleanup() {
+    this.experiments.stop();
+    this.performance.stop();
     if (this.trendAnalyzer) {
       await this.trendAnalyzer.close();
     }
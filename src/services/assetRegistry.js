@@ -0,0 +1,196 @@
+const fs = require('fs').promises;
+const path = require('path');
+const RecordStore = require('../utils/recordStore');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+const ASSET_TYPES = ['music', 'image', 'video', 'font', 'sfx'];
+const LICENSE_TYPES = ['cc0', 'cc-by', 'cc-by-sa', 'royalty-free', 'licensed', 'custom'];
+
+// 这些许可证要求署名，登记时必须填写署名文本
+const ATTRIBUTION_LICENSES = ['cc-by', 'cc-by-sa'];
+
+const EDITABLE_FIELDS = ['name', 'type', 'file', 'source', 'license', 'attribution', 'requiresAttribution', 'expiresAt', 'notes'];
+
+// 素材来源和授权登记；素材文件只允许放在素材目录中，使用记录按运行追加
+class AssetRegistry {
+  constructor() {
+    this.store = new RecordStore(config.paths.assets);
+  }
+
+  resolveFile(file) {
+    const baseDir = path.resolve(config.paths.assetFiles);
+    const filePath = path.resolve(baseDir, String(file));
+
+    if (!filePath.startsWith(baseDir + path.sep)) {
+      throw new Error(`素材文件必须位于素材目录中: ${file}`);
+    }
+    return filePath;
+  }
+
+  async validate(asset) {
+    const errors = [];
+
+    if (!asset.name) {
+      errors.push('name不能为空');
+    }
+    if (!ASSET_TYPES.includes(asset.type)) {
+      errors.push(`不支持的素材类型: ${asset.type}`);
+    }
+    if (!LICENSE_TYPES.includes(asset.license)) {
+      errors.push(`不支持的许可证类型: ${asset.license}`);
+    }
+    if (!asset.source) {
+      errors.push('source不能为空');
+    }
+    if (asset.requiresAttribution && !asset.attribution) {
+      errors.push('该素材需要署名，attribution不能为空');
+    }
+    if (asset.expiresAt && Number.isNaN(Date.parse(asset.expiresAt))) {
+      errors.push(`无效的过期时间: ${asset.expiresAt}`);
+    }
+
+    if (!asset.file) {
+      errors.push('file不能为空');
+    } else {
+      try {
+        await fs.access(this.resolveFile(asset.file));
+      } catch (error) {
+        errors.push(error.code === 'ENOENT' ? `素材文件不存在: ${asset.file}` : error.message);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+  }
+
+  isExpired(asset, now = new Date()) {
+    return !!asset.expiresAt && new Date(asset.expiresAt) <= now;
+  }
+
+  getStatus(asset, now = new Date()) {
+    if (this.isExpired(asset, now)) {
+      return 'expired';
+    }
+    const warningTime = now.getTime() + config.assets.expiryWarningDays * 86400000;
+    return asset.expiresAt && new Date(asset.expiresAt).getTime() <= warningTime ? 'expiring' : 'active';
+  }
+
+  async listAssets({ type, status } = {}) {
+    const assets = await this.store.list((asset) =>
+      (!type || asset.type === type) &&
+      (!status || this.getStatus(asset) === status));
+    return assets.map((asset) => ({ ...asset, status: this.getStatus(asset) }));
+  }
+
+  async getAsset(id) {
+    const asset = await this.store.get(id);
+    return asset ? { ...asset, status: this.getStatus(asset) } : null;
+  }
+
+  async createAsset(data) {
+    const asset = {
+      name: data.name,
+      type: data.type,
+      file: data.file,
+      source: data.source,
+      license: data.license,
+      attribution: data.attribution || '',
+      requiresAttribution: data.requiresAttribution ?? ATTRIBUTION_LICENSES.includes(data.license),
+      expiresAt: data.expiresAt || null,
+      notes: data.notes || '',
+      usage: []
+    };
+
+    await this.validate(asset);
+    const saved = await this.store.save(asset);
+    logger.info('素材已登记', { assetId: saved.id, name: saved.name, license: saved.license });
+    return saved;
+  }
+
+  async updateAsset(id, changes) {
+    const asset = await this.store.get(id);
+    if (!asset) return null;
+
+    for (const field of EDITABLE_FIELDS.filter((key) => changes[key] !== undefined)) {
+      asset[field] = changes[field];
+    }
+
+    await this.validate(asset);
+    return this.store.save(asset);
+  }
+
+  async removeAsset(id) {
+    return this.store.remove(id);
+  }
+
+  // 随机选择一个未过期且文件存在的素材，没有可用素材时返回null
+  async pickAsset(type) {
+    const candidates = (await this.store.list((asset) => asset.type === type && !this.isExpired(asset)))
+      .sort(() => Math.random() - 0.5);
+
+    for (const asset of candidates) {
+      try {
+        const filePath = this.resolveFile(asset.file);
+        await fs.access(filePath);
+        return { asset, filePath };
+      } catch {
+        logger.warn('素材文件不可用，跳过', { assetId: asset.id, file: asset.file });
+      }
+    }
+    return null;
+  }
+
+  // 写入运行上下文的素材快照，之后修改登记信息不影响已渲染视频的署名
+  toUsage(asset) {
+    return {
+      id: asset.id,
+      name: asset.name,
+      type: asset.type,
+      source: asset.source,
+      license: asset.license,
+      attribution: asset.requiresAttribution ? asset.attribution : '',
+      expiresAt: asset.expiresAt
+    };
+  }
+
+  async recordUsage(assets, { runId, videoPath }) {
+    for (const item of assets) {
+      await this.store.update(item.id, (asset) => {
+        if (!asset || asset.usage.some((entry) => entry.runId === runId)) {
+          return null;
+        }
+        asset.usage.push({ runId, videoPath, at: new Date().toISOString() });
+        return asset;
+      });
+    }
+  }
+
+  // 按当前登记信息检查，续期后恢复运行即可继续上传
+  async findExpired(assets = []) {
+    const expired = [];
+    for (const item of assets) {
+      const asset = await this.store.get(item.id);
+      if (!asset || this.isExpired(asset)) {
+        expired.push({ id: item.id, name: item.name, expiresAt: asset?.expiresAt || null });
+      }
+    }
+    return expired;
+  }
+
+  // 署名放在描述末尾，描述过长时截断正文而不是署名
+  appendAttributions(description = '', assets = [], maxLength = 5000) {
+    const lines = [...new Set(assets.map((asset) => asset.attribution).filter(Boolean))];
+    if (lines.length === 0) {
+      return description;
+    }
+
+    const credits = [config.assets.attributionHeader, ...lines].join('\n');
+    return `${description.substring(0, Math.max(0, maxLength - credits.length - 2))}\n\n${credits}`;
+  }
+}
+
+module.exports = new AssetRegistry();
+module.exports.ASSET_TYPES = ASSET_TYPES;
+module.exports.LICENSE_TYPES = LICENSE_TYPES;
@@ -0,0 +1,140 @@
+const EventEmitter = require('events');
+const RecordStore = require('../utils/recordStore');
+const { formatDateKey } = require('../utils/time');
+const { logger } = require('../utils/logger');
+const notifier = require('./notifier');
+const config = require('../config');
+
+class BudgetExceededError extends Error {
+  constructor(exceeded) {
+    const scope = exceeded.scope === 'channel' ? `频道 ${exceeded.account} 的` : '全局';
+    const period = exceeded.period === 'daily' ? '每日' : '每月';
+    super(`AI预算已用完: ${scope}${period}预算 $${exceeded.limit}，已花费 $${exceeded.spent.toFixed(4)}`);
+    this.name = 'BudgetExceededError';
+    this.code = 'BUDGET_EXCEEDED';
+    this.details = exceeded;
+  }
+}
+
+// AI花费按天持久化，所有OpenAIService实例（包括队列处理器中的）共用同一份账本
+class BudgetGuard extends EventEmitter {
+  constructor() {
+    super();
+    this.store = new RecordStore(config.paths.budget);
+    this.notified = new Set();
+  }
+
+  getDay(date = new Date()) {
+    return formatDateKey(date, config.budget.timezone);
+  }
+
+  emptyRecord(day) {
+    return { id: `spend_${day}`, day, total: 0, requests: 0, byChannel: {} };
+  }
+
+  async getDayRecord(day) {
+    return (await this.store.get(`spend_${day}`)) || this.emptyRecord(day);
+  }
+
+  async getSpend(account) {
+    const day = this.getDay();
+    const month = day.slice(0, 7);
+    const records = await this.store.list((record) => record.day?.startsWith(month));
+    const today = records.find((record) => record.day === day) || this.emptyRecord(day);
+    const sum = (getValue) => records.reduce((total, record) => total + (getValue(record) || 0), 0);
+
+    return {
+      day,
+      month,
+      daily: today.total,
+      monthly: sum((record) => record.total),
+      channelDaily: account ? today.byChannel[account] || 0 : 0,
+      channelMonthly: account ? sum((record) => record.byChannel[account]) : 0
+    };
+  }
+
+  getLimits(account) {
+    const { dailyLimit, monthlyLimit, channelDailyLimit, channelMonthlyLimit, channelOverrides } = config.budget;
+    const override = (account && channelOverrides[account]) || {};
+
+    return [
+      { scope: 'global', period: 'daily', limit: dailyLimit, spentKey: 'daily' },
+      { scope: 'global', period: 'monthly', limit: monthlyLimit, spentKey: 'monthly' },
+      ...(account ? [
+        { scope: 'channel', account, period: 'daily', limit: override.daily ?? channelDailyLimit, spentKey: 'channelDaily' },
+        { scope: 'channel', account, period: 'monthly', limit: override.monthly ?? channelMonthlyLimit, spentKey: 'channelMonthly' }
+      ] : [])
+    ].filter((item) => item.limit > 0);
+  }
+
+  // 返回已超出的预算；不传account时只检查全局预算
+  async check(account = null) {
+    const limits = this.getLimits(account);
+    if (limits.length === 0) return [];
+
+    const spend = await this.getSpend(account);
+    return limits
+      .filter((item) => spend[item.spentKey] >= item.limit)
+      .map(({ spentKey, ...item }) => ({
+        ...item,
+        spent: spend[spentKey],
+        periodKey: item.period === 'daily' ? spend.day : spend.month
+      }));
+  }
+
+  async assertWithinBudget(account = null) {
+    const [exceeded] = await this.check(account);
+    if (exceeded) {
+      throw new BudgetExceededError(exceeded);
+    }
+  }
+
+  async recordSpend(cost, account = null) {
+    const day = this.getDay();
+
+    await this.store.update(`spend_${day}`, (current) => {
+      const record = current || this.emptyRecord(day);
+      record.total = Number((record.total + cost).toFixed(6));
+      record.requests += 1;
+      if (account) {
+        record.byChannel[account] = Number(((record.byChannel[account] || 0) + cost).toFixed(6));
+      }
+      return record;
+    });
+
+    for (const exceeded of await this.check(account)) {
+      const key = `${exceeded.scope}:${exceeded.account || ''}:${exceeded.period}:${exceeded.periodKey}`;
+      if (this.notified.has(key)) continue;
+
+      this.notified.add(key);
+      const error = new BudgetExceededError(exceeded);
+      logger.warn('AI预算已用完', exceeded);
+      this.emit('exceeded', exceeded);
+      await notifier.notify('budget.exceeded', error.message, exceeded);
+    }
+  }
+
+  async getStatus(account = null) {
+    const spend = await this.getSpend(account);
+    return {
+      timezone: config.budget.timezone,
+      spend,
+      limits: this.getLimits(account).map(({ spentKey, ...item }) => item),
+      exceeded: await this.check(account)
+    };
+  }
+
+  async getChannelStatus() {
+    const day = this.getDay();
+    const today = await this.getDayRecord(day);
+    const accounts = new Set([...Object.keys(today.byChannel), ...Object.keys(config.budget.channelOverrides)]);
+
+    return Promise.all([...accounts].map(async (account) => ({
+      account,
+      ...(await this.getStatus(account))
+    })));
+  }
+}
+
+module.exports = new BudgetGuard();
+module.exports.BudgetExceededError = BudgetExceededError;
@@ -0,0 +1,104 @@
+const RecordStore = require('../utils/recordStore');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+const EDITABLE_FIELDS = ['title', 'description', 'tags', 'privacyStatus'];
+
+class DraftStore {
+  constructor() {
+    this.store = new RecordStore(config.paths.drafts);
+  }
+
+  async createDraft({ runId, videoPath, thumbnailPath, metadata, moderation = [] }) {
+    const draft = await this.store.save({
+      status: 'pending',
+      runId,
+      videoPath,
+      thumbnailPath,
+      metadata,
+      moderation,
+      history: []
+    });
+
+    logger.info('视频草稿已进入审核队列', { draftId: draft.id, runId, title: metadata.title });
+    return draft;
+  }
+
+  async getDraft(id) {
+    return this.store.get(id);
+  }
+
+  async listDrafts({ status } = {}) {
+    return this.store.list((draft) => !status || draft.status === status);
+  }
+
+  async updateDraft(id, changes, editor = 'unknown') {
+    return this.updatePending(id, (draft) => {
+      const updates = {};
+      for (const field of EDITABLE_FIELDS) {
+        if (changes[field] !== undefined) {
+          updates[field] = changes[field];
+        }
+      }
+
+      draft.metadata = { ...draft.metadata, ...updates };
+      draft.history.push({ action: 'edit', by: editor, fields: Object.keys(updates), at: new Date().toISOString() });
+      return draft;
+    });
+  }
+
+  async approveDraft(id, { reviewer = 'unknown', note } = {}) {
+    const draft = await this.updatePending(id, (pending) => {
+      pending.status = 'approved';
+      pending.review = { reviewer, note, reviewedAt: new Date().toISOString() };
+      pending.history.push({ action: 'approve', by: reviewer, note, at: pending.review.reviewedAt });
+      return pending;
+    });
+
+    if (draft) {
+      logger.info('视频草稿已批准', { draftId: id, reviewer });
+    }
+    return draft;
+  }
+
+  async rejectDraft(id, { reviewer = 'unknown', reason } = {}) {
+    const draft = await this.updatePending(id, (pending) => {
+      pending.status = 'rejected';
+      pending.review = { reviewer, reason, reviewedAt: new Date().toISOString() };
+      pending.history.push({ action: 'reject', by: reviewer, reason, at: pending.review.reviewedAt });
+      return pending;
+    });
+
+    if (draft) {
+      logger.info('视频草稿已拒绝', { draftId: id, reviewer, reason });
+    }
+    return draft;
+  }
+
+  async markPublished(id, uploadResult) {
+    return this.store.update(id, (draft) => {
+      if (!draft) return null;
+
+      draft.status = 'published';
+      draft.uploadResult = uploadResult;
+      draft.history.push({ action: 'publish', videoId: uploadResult.videoId, at: new Date().toISOString() });
+      return draft;
+    });
+  }
+
+  // 状态检查和修改在同一次加锁的读-改-写中完成，并发审核同一草稿时只有一次生效；
+  // 草稿不存在或已不是待审核状态时返回null
+  async updatePending(id, mutator) {
+    let applied = false;
+    const draft = await this.store.update(id, (current) => {
+      if (current?.status !== 'pending') {
+        return null;
+      }
+      applied = true;
+      return mutator(current);
+    });
+    return applied ? draft : null;
+  }
+}
+
+module.exports = new DraftStore();
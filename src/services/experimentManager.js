@@ -0,0 +1,342 @@
+const fs = require('fs').promises;
+const path = require('path');
+const experimentStore = require('./experimentStore');
+const notifier = require('./notifier');
+const { logger, ErrorHandler } = require('../utils/logger');
+const config = require('../config');
+
+const VARIANT_IDS = 'ABCDEFGHIJ'.split('');
+
+function parseStatistics(statistics) {
+  return {
+    views: parseInt(statistics.viewCount) || 0,
+    likes: parseInt(statistics.likeCount) || 0,
+    comments: parseInt(statistics.commentCount) || 0
+  };
+}
+
+// 发布后的标题/缩略图实验：按窗口轮换变体，窗口结束时记录统计快照，全部窗口结束后锁定胜出变体
+class ExperimentManager {
+  constructor({ getYouTubeService, openaiService, videoEditor }) {
+    this.getYouTubeService = getYouTubeService;
+    this.openaiService = openaiService;
+    this.videoEditor = videoEditor;
+    this.timer = null;
+    this.inFlight = new Set();
+  }
+
+  start() {
+    if (this.timer) return;
+
+    // 不阻止CLI进程退出
+    this.timer = setInterval(() => this.tick(), config.experiments.checkInterval);
+    this.timer.unref();
+    this.tick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async tick() {
+    const experiments = await ErrorHandler.safeExecute(
+      () => experimentStore.listExperiments({ status: 'running' }),
+      '加载标题实验',
+      []
+    );
+
+    for (const experiment of experiments) {
+      await this.advance(experiment.id);
+    }
+  }
+
+  // 原始标题作为变体A；标题变体不足时由AI补齐，缩略图变体从视频不同位置截帧
+  async generateVariants(source, { openaiService = this.openaiService } = {}) {
+    const count = Math.min(Math.max(source.variantCount || config.experiments.variantCount, 2), VARIANT_IDS.length);
+    let titles = (source.titles || []).map((title) => String(title).trim()).filter(Boolean);
+
+    if (titles.length < count - 1) {
+      const response = await openaiService.generateTitleVariants(source.title, source.description || '', count - 1 - titles.length, {
+        language: source.language,
+        avoidTitles: [source.title, ...titles]
+      });
+
+      try {
+        const parsed = JSON.parse(response);
+        titles.push(...(Array.isArray(parsed.titles) ? parsed.titles : []));
+      } catch {
+        logger.warn('无法解析AI生成的标题变体');
+      }
+    }
+
+    titles = [...new Set(titles.map((title) => String(title).trim().substring(0, 100)))]
+      .filter((title) => title && title !== source.title)
+      .slice(0, count - 1);
+    if (titles.length === 0) {
+      throw new Error('没有可用的标题变体');
+    }
+
+    const thumbnails = await this.generateThumbnails(source, titles.length);
+    return [
+      { id: VARIANT_IDS[0], title: source.title, thumbnailPath: thumbnails.original, original: true },
+      ...titles.map((title, index) => ({
+        id: VARIANT_IDS[index + 1],
+        title,
+        thumbnailPath: thumbnails.variants[index] || thumbnails.original
+      }))
+    ];
+  }
+
+  // 缩略图复制到实验目录，实验期间不受视频输出目录清理的影响；没有原始缩略图时只测试标题
+  async generateThumbnails(source, count) {
+    const result = { original: null, variants: [] };
+    if (!source.thumbnailPath || !await this.fileExists(source.thumbnailPath)) {
+      return result;
+    }
+
+    const assetDir = path.join(config.paths.experiments, 'assets');
+    await fs.mkdir(assetDir, { recursive: true });
+    const prefix = `${source.videoId}_${Date.now()}`;
+
+    result.original = path.join(assetDir, `${prefix}_A.jpg`);
+    await fs.copyFile(source.thumbnailPath, result.original);
+
+    for (const provided of (source.thumbnails || []).slice(0, count)) {
+      if (await this.fileExists(provided)) {
+        const target = path.join(assetDir, `${prefix}_${VARIANT_IDS[result.variants.length + 1]}.jpg`);
+        await fs.copyFile(provided, target);
+        result.variants.push(target);
+      }
+    }
+
+    if (result.variants.length < count && source.videoPath && await this.fileExists(source.videoPath)) {
+      const info = await this.videoEditor.getVideoInfo(source.videoPath);
+      const duration = Number(info?.format?.duration) || 0;
+
+      while (duration > 0 && result.variants.length < count) {
+        const index = result.variants.length + 1;
+        const timestamp = Number(((duration * index) / (count + 1)).toFixed(2));
+        const frame = await this.videoEditor.createThumbnail(
+          source.videoPath,
+          timestamp,
+          path.join(assetDir, `${prefix}_${VARIANT_IDS[index]}.jpg`)
+        );
+        if (!frame) break;
+        result.variants.push(frame);
+      }
+    }
+
+    return result;
+  }
+
+  async fileExists(filePath) {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // 实验期间会整体覆盖snippet，原始描述、标签和分类需要一并保存
+  async createExperiment(data) {
+    if (await experimentStore.findRunning(data.videoId)) {
+      throw new Error(`视频 ${data.videoId} 已有进行中的实验`);
+    }
+
+    let original = data.original;
+    if (!original) {
+      const youtubeService = await this.getYouTubeService(data.account);
+      const video = await youtubeService.getVideoInfo(data.videoId);
+      if (!video) {
+        throw new Error(`无法获取视频信息: ${data.videoId}`);
+      }
+      original = {
+        title: video.snippet.title,
+        description: video.snippet.description || '',
+        tags: video.snippet.tags || [],
+        categoryId: video.snippet.categoryId,
+        defaultLanguage: video.snippet.defaultLanguage
+      };
+    }
+
+    const variants = await this.generateVariants({ ...data, title: original.title, description: original.description });
+    const experiment = await experimentStore.createExperiment({ ...data, original, variants });
+    // 首个变体上线失败时实验仍然保留，由定时检查重试
+    return (await this.advance(experiment.id)) || experiment;
+  }
+
+  async applyVariant(youtubeService, experiment, variantId) {
+    const variant = experiment.variants.find((item) => item.id === variantId);
+    const updated = await youtubeService.updateVideoMetadata(experiment.videoId, {
+      ...experiment.original,
+      title: variant.title
+    });
+    if (!updated) {
+      return false;
+    }
+
+    if (variant.thumbnailPath && !await youtubeService.uploadThumbnail(experiment.videoId, variant.thumbnailPath)) {
+      return false;
+    }
+
+    logger.info('实验变体已上线', { experimentId: experiment.id, videoId: experiment.videoId, variant: variantId });
+    return true;
+  }
+
+  // 关闭到期窗口并上线下一个变体；YouTube请求失败时保留进度，下次检查时重试
+  async advance(id) {
+    if (this.inFlight.has(id)) {
+      return experimentStore.getExperiment(id);
+    }
+
+    this.inFlight.add(id);
+    try {
+      const experiment = await experimentStore.getExperiment(id);
+      if (!experiment || experiment.status !== 'running') {
+        return experiment;
+      }
+
+      const current = experiment.windows[experiment.windows.length - 1];
+      if (current && !current.endedAt && Date.now() < Date.parse(current.endsAt)) {
+        return experiment;
+      }
+
+      const youtubeService = await this.getYouTubeService(experiment.account);
+      const statistics = await youtubeService.getVideoStatistics(experiment.videoId);
+      if (!statistics) {
+        return this.recordError(experiment, '获取视频统计数据失败');
+      }
+
+      const snapshot = parseStatistics(statistics);
+      const now = new Date();
+
+      if (current && !current.endedAt) {
+        current.endedAt = now.toISOString();
+        current.endStats = snapshot;
+        current.delta = {
+          views: Math.max(0, snapshot.views - current.startStats.views),
+          likes: Math.max(0, snapshot.likes - current.startStats.likes),
+          comments: Math.max(0, snapshot.comments - current.startStats.comments)
+        };
+        logger.info('实验窗口已结束', { experimentId: id, variant: current.variantId, delta: current.delta });
+      }
+
+      if (experiment.windows.length >= experiment.plan.length) {
+        return this.finalize(youtubeService, experiment);
+      }
+
+      const variantId = experiment.plan[experiment.windows.length];
+      if (!await this.applyVariant(youtubeService, experiment, variantId)) {
+        // 已结束的窗口先保存，重试上线时不会重复计算
+        return this.recordError(experiment, `上线变体${variantId}失败`);
+      }
+
+      experiment.windows.push({
+        index: experiment.windows.length,
+        variantId,
+        startedAt: now.toISOString(),
+        endsAt: new Date(now.getTime() + experiment.windowHours * 3600000).toISOString(),
+        endedAt: null,
+        startStats: snapshot,
+        endStats: null,
+        delta: null
+      });
+      experiment.lastError = null;
+      return experimentStore.saveProgress(experiment);
+    } catch (error) {
+      ErrorHandler.handle(error, `标题实验推进失败: ${id}`);
+      return null;
+    } finally {
+      this.inFlight.delete(id);
+    }
+  }
+
+  async recordError(experiment, message) {
+    logger.warn('标题实验未能推进，稍后重试', { experimentId: experiment.id, error: message });
+    experiment.lastError = { message, at: new Date().toISOString() };
+    return experimentStore.saveProgress(experiment);
+  }
+
+  // 没有任何数据时保留原始标题；得分相同时优先原始变体
+  async finalize(youtubeService, experiment) {
+    const results = experimentStore.summarize(experiment);
+    const hasData = results.some((result) => result.views > 0 || result.likes > 0);
+    const original = results.find((result) => result.original);
+    const winner = hasData
+      ? results.reduce((best, result) => (result.score > best.score ? result : best), original)
+      : original;
+
+    if (!await this.applyVariant(youtubeService, experiment, winner.id)) {
+      return this.recordError(experiment, `锁定胜出变体${winner.id}失败`);
+    }
+
+    experiment.status = 'completed';
+    experiment.completedAt = new Date().toISOString();
+    experiment.winner = winner.id;
+    experiment.lastError = null;
+    experiment.report = {
+      generatedAt: experiment.completedAt,
+      videoId: experiment.videoId,
+      metric: experiment.metric,
+      windowHours: experiment.windowHours,
+      rounds: experiment.rounds,
+      decidedBy: hasData ? experiment.metric : 'noData',
+      winner: { id: winner.id, title: winner.title, score: winner.score },
+      liftOverOriginal: original.score > 0
+        ? Number((((winner.score - original.score) / original.score) * 100).toFixed(1))
+        : null,
+      variants: results
+    };
+
+    const saved = await experimentStore.saveProgress(experiment);
+    logger.info('标题实验已完成', { experimentId: experiment.id, winner: winner.id, decidedBy: experiment.report.decidedBy });
+    await notifier.notify(
+      'experiment.completed',
+      `标题实验完成: 视频 ${experiment.videoId} 胜出变体${winner.id}「${winner.title}」`,
+      { experimentId: experiment.id, videoId: experiment.videoId, winner: experiment.report.winner }
+    );
+    return saved;
+  }
+
+  // 取消时默认恢复原始标题和缩略图
+  async cancelExperiment(id, { restore = true, reason } = {}) {
+    const experiment = await experimentStore.getExperiment(id);
+    if (!experiment || experiment.status !== 'running') {
+      return experiment;
+    }
+
+    if (restore) {
+      const youtubeService = await this.getYouTubeService(experiment.account);
+      if (!await this.applyVariant(youtubeService, experiment, experiment.variants.find((variant) => variant.original).id)) {
+        throw new Error('恢复原始标题失败，实验未取消');
+      }
+    }
+
+    const cancelled = await experimentStore.cancelExperiment(id, reason);
+    logger.info('标题实验已取消', { experimentId: id, restored: restore });
+    return cancelled;
+  }
+
+  // 进行中的实验返回截至目前的结果
+  async getReport(id) {
+    const experiment = await experimentStore.getExperiment(id);
+    if (!experiment) return null;
+    if (experiment.report) return experiment.report;
+
+    return {
+      partial: true,
+      videoId: experiment.videoId,
+      metric: experiment.metric,
+      status: experiment.status,
+      windowsCompleted: experiment.windows.filter((window) => window.endedAt).length,
+      windowsPlanned: experiment.plan.length,
+      variants: experimentStore.summarize(experiment)
+    };
+  }
+}
+
+module.exports = ExperimentManager;
@@ -0,0 +1,136 @@
+const RecordStore = require('../utils/recordStore');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+const EXPERIMENT_METRICS = ['views', 'likes', 'engagement'];
+const EXPERIMENT_STATUSES = ['running', 'completed', 'cancelled'];
+
+class ExperimentStore {
+  constructor() {
+    this.store = new RecordStore(config.paths.experiments);
+  }
+
+  validate(experiment) {
+    const errors = [];
+
+    if (!experiment.videoId) {
+      errors.push('videoId不能为空');
+    }
+    if (experiment.variants.length < 2) {
+      errors.push('至少需要两个变体');
+    }
+    if (!EXPERIMENT_METRICS.includes(experiment.metric)) {
+      errors.push(`不支持的实验指标: ${experiment.metric}`);
+    }
+    if (!(experiment.windowHours > 0)) {
+      errors.push('windowHours必须大于0');
+    }
+    if (!Number.isInteger(experiment.rounds) || experiment.rounds < 1) {
+      errors.push('rounds必须是正整数');
+    }
+
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+  }
+
+  async listExperiments({ status, videoId } = {}) {
+    return this.store.list((experiment) =>
+      (!status || experiment.status === status) && (!videoId || experiment.videoId === videoId));
+  }
+
+  async getExperiment(id) {
+    return this.store.get(id);
+  }
+
+  async findRunning(videoId) {
+    const [running] = await this.listExperiments({ status: 'running', videoId });
+    return running || null;
+  }
+
+  // 变体按轮次交替上线（A B C A B C...），减少发布时间带来的偏差
+  async createExperiment(data) {
+    const experiment = {
+      videoId: data.videoId,
+      account: data.account || null,
+      runId: data.runId || null,
+      metric: data.metric || config.experiments.metric,
+      windowHours: data.windowHours || config.experiments.windowHours,
+      rounds: data.rounds || config.experiments.rounds,
+      original: data.original,
+      variants: data.variants,
+      status: 'running',
+      windows: [],
+      winner: null,
+      report: null,
+      lastError: null
+    };
+
+    this.validate(experiment);
+    experiment.plan = Array.from({ length: experiment.rounds })
+      .flatMap(() => experiment.variants.map((variant) => variant.id));
+
+    const saved = await this.store.save(experiment);
+    logger.info('标题实验已创建', { experimentId: saved.id, videoId: saved.videoId, variants: saved.variants.length });
+    return saved;
+  }
+
+  // 只在实验仍处于运行状态时写入，避免覆盖期间被取消的实验
+  async saveProgress(experiment) {
+    return this.store.update(experiment.id, (current) => {
+      if (!current || current.status !== 'running') {
+        return null;
+      }
+      return experiment;
+    });
+  }
+
+  async cancelExperiment(id, reason) {
+    return this.store.update(id, (current) => {
+      if (!current || current.status !== 'running') {
+        return null;
+      }
+
+      current.status = 'cancelled';
+      current.cancelledAt = new Date().toISOString();
+      current.cancelReason = reason || null;
+      return current;
+    });
+  }
+
+  // 统计数据是累计值，每个窗口取开始和结束快照的差值，同一变体的多个窗口合并计算
+  summarize(experiment) {
+    return experiment.variants.map((variant) => {
+      const windows = experiment.windows.filter((window) => window.variantId === variant.id && window.endedAt);
+      const total = (key) => windows.reduce((sum, window) => sum + window.delta[key], 0);
+      const hours = windows.reduce((sum, window) =>
+        sum + (Date.parse(window.endedAt) - Date.parse(window.startedAt)) / 3600000, 0);
+      const views = total('views');
+      const likes = total('likes');
+      const comments = total('comments');
+
+      const scores = {
+        views: hours > 0 ? views / hours : 0,
+        likes: hours > 0 ? likes / hours : 0,
+        engagement: views > 0 ? (likes + comments) / views : 0
+      };
+
+      return {
+        id: variant.id,
+        title: variant.title,
+        thumbnailPath: variant.thumbnailPath,
+        original: !!variant.original,
+        windows: windows.length,
+        hours: Number(hours.toFixed(2)),
+        views,
+        likes,
+        comments,
+        score: Number(scores[experiment.metric].toFixed(4))
+      };
+    });
+  }
+}
+
+module.exports = new ExperimentStore();
+module.exports.EXPERIMENT_METRICS = EXPERIMENT_METRICS;
+module.exports.EXPERIMENT_STATUSES = EXPERIMENT_STATUSES;
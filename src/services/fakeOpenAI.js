@@ -0,0 +1,221 @@
+const OpenAIService = require('./openai');
+const { logger } = require('../utils/logger');
+const { trackAiUsage } = require('../utils/runContext');
+
+// 进程内缓存，演练模式不依赖Redis
+class MemoryCache {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  getCacheKey(prefix, ...parts) {
+    return `${prefix}:${parts.join(':')}`;
+  }
+
+  async get(key) {
+    return this.entries.has(key) ? this.entries.get(key) : null;
+  }
+
+  async set(key, value) {
+    this.entries.set(key, value);
+    return true;
+  }
+}
+
+// 本地LLM替身：不发起网络请求，按任务类型返回与提示词JSON格式一致的结果
+class FakeOpenAIService extends OpenAIService {
+  constructor() {
+    super();
+    this.cache = new MemoryCache();
+    this.responders = {
+      videoScript: (input) => this.fakeVideoScript(input),
+      episodeScript: (input) => this.fakeEpisodeScript(input),
+      metadata: (input) => this.fakeMetadata(input),
+      trendAnalysis: () => this.fakeTrendAnalysis(),
+      highlights: (input) => this.fakeHighlights(input),
+      titleVariants: (input) => this.fakeTitleVariants(input),
+      translation: (input) => this.fakeTranslation(input),
+      moderation: (input) => this.fakeModeration(input),
+      thumbnailPrompt: (input) => `Bold eye-catching thumbnail for "${input.title}", vibrant colors, large readable text`
+    };
+  }
+
+  async generateText(prompt, options = {}) {
+    const responder = this.responders[options.task];
+    this.costTracker.requests += 1;
+    trackAiUsage({ requests: 1 });
+
+    logger.info('演练模式: 使用本地LLM替身', { task: options.task || 'generic' });
+
+    if (!responder) {
+      return `[dry-run] ${prompt.replace(/\s+/g, ' ').trim().substring(0, 200)}`;
+    }
+    return responder(options.taskInput || {});
+  }
+
+  // 没有字幕文件的源视频在演练时使用按时长生成的占位转写
+  async transcribeAudio(audioPath, { duration = 60 } = {}) {
+    this.costTracker.requests += 1;
+    trackAiUsage({ requests: 1 });
+    logger.info('演练模式: 使用本地转写替身', { audioPath, duration });
+
+    const cues = [];
+    for (let start = 0; start < duration; start += 5) {
+      cues.push({
+        start,
+        end: Math.min(start + 5, duration),
+        text: `演练字幕第${cues.length + 1}句`
+      });
+    }
+    return cues;
+  }
+
+  fakeVideoScript({ topic = '演练主题', duration = 60, language, avoidTitles = [] }) {
+    const english = language && language.startsWith('en');
+    // 要求避开已有标题时换一个选题，模拟重新生成
+    const take = avoidTitles.length + 1;
+    if (avoidTitles.length > 0) {
+      topic = english ? `a fresh angle, take ${take}` : `换个角度的第${take}种思路`;
+    }
+    const sentences = english
+      ? [
+        `Here is what you need to know about ${topic}`,
+        'First, the background that most people miss',
+        'Second, the one practical tip you can use today',
+        'Third, a common mistake and how to avoid it',
+        'Follow for more videos like this'
+      ]
+      : [
+        `关于${topic}你需要知道的三件事`,
+        '第一，大多数人忽略的背景',
+        '第二，今天就能用上的实用技巧',
+        '第三，一个常见误区以及如何避免',
+        '关注我获取更多类似内容'
+      ];
+
+    return JSON.stringify({
+      title: `[DRY RUN] ${topic}`.substring(0, 60),
+      description: english
+        ? `A ${duration}-second dry-run video about ${topic}.`
+        : `关于${topic}的${duration}秒演练视频。`,
+      script: sentences.join('. '),
+      tags: english ? ['dry run', 'test', 'automation'] : ['演练', '测试', '自动化'],
+      visuals: ['city, skyline', 'people, street', 'desk, laptop, work', 'warning, mistake', 'phone, social'],
+      thumbnail_suggestions: english ? 'Large title text on a bold background' : '醒目的大标题配纯色背景'
+    });
+  }
+
+  fakeEpisodeScript({ series, duration = 60, language }) {
+    const english = language && language.startsWith('en');
+    const { name, episodeNumber, previousEpisodes = [] } = series;
+    const previous = previousEpisodes[previousEpisodes.length - 1];
+    const recap = previous
+      ? (english ? `Last time: ${previous.title}` : `上一集我们讲了${previous.title}`)
+      : (english ? `Welcome to ${name}` : `欢迎来到${name}`);
+
+    return JSON.stringify({
+      title: english
+        ? `[DRY RUN] ${name} Episode ${episodeNumber}`.substring(0, 60)
+        : `[DRY RUN] ${name} 第${episodeNumber}集`.substring(0, 60),
+      description: english
+        ? `Episode ${episodeNumber} of ${name}, a ${duration}-second dry-run video.`
+        : `${name}第${episodeNumber}集，${duration}秒演练视频。`,
+      script: [
+        recap,
+        english ? `Today, episode ${episodeNumber} moves the story forward` : `今天第${episodeNumber}集继续推进主线`,
+        english ? 'See you in the next episode' : '下一集再见'
+      ].join('. '),
+      tags: english ? ['dry run', 'series'] : ['演练', '系列'],
+      visuals: ['book, pages', 'road, journey', 'sunset, horizon'],
+      summary: english ? `Episode ${episodeNumber} of ${name}` : `${name}第${episodeNumber}集要点`,
+      thumbnail_suggestions: english ? 'Episode number in large text' : '醒目的集数大字'
+    });
+  }
+
+  // 把字幕时间轴均分成count段，每段从开头截取不超过maxDuration的片段
+  fakeHighlights({ cues = [], count = 3, minDuration = 15, maxDuration = 60, language }) {
+    const english = language && language.startsWith('en');
+    if (cues.length === 0) {
+      return JSON.stringify({ highlights: [] });
+    }
+
+    const total = cues[cues.length - 1].end;
+    const span = total / count;
+    const highlights = [];
+
+    for (let i = 0; i < count && span >= minDuration; i++) {
+      const start = cues.find((cue) => cue.start >= i * span)?.start ?? i * span;
+      const end = Math.min(start + maxDuration, (i + 1) * span);
+      const first = cues.find((cue) => cue.start >= start);
+
+      highlights.push({
+        start,
+        end,
+        title: english ? `[DRY RUN] Highlight ${i + 1}` : `[DRY RUN] 高光片段${i + 1}`,
+        description: first ? first.text : '',
+        tags: english ? ['dry run', 'shorts'] : ['演练', '短视频'],
+        reason: english ? 'evenly spaced dry-run highlight' : '演练模式均匀选取'
+      });
+    }
+
+    return JSON.stringify({ highlights });
+  }
+
+  fakeTitleVariants({ title = '', count = 2, language }) {
+    const english = language && language.startsWith('en');
+    const patterns = english
+      ? [(t) => `Why ${t}?`, (t) => `3 things about ${t}`, (t) => `${t} (you will not expect this)`, (t) => `The truth about ${t}`]
+      : [(t) => `为什么${t}？`, (t) => `关于${t}的3件事`, (t) => `${t}，结果出乎意料`, (t) => `${t}的真相`];
+
+    return JSON.stringify({
+      titles: Array.from({ length: count }, (_, index) => patterns[index % patterns.length](title).substring(0, 60))
+    });
+  }
+
+  // 在原文前加上语言代码，便于在演练报告中区分各语言版本
+  fakeTranslation({ title = '', description = '', tags = [], script = '', captions = [], targetLanguage }) {
+    const mark = (text) => `[${targetLanguage}] ${text}`;
+    return JSON.stringify({
+      title: mark(title).substring(0, 100),
+      description: mark(description),
+      tags: tags.map(mark),
+      script: mark(script),
+      captions: captions.map(mark)
+    });
+  }
+
+  // 只按字面匹配禁止主题，含数字的句子视为需要核实的说法
+  fakeModeration({ title = '', description = '', script = '', bannedTopics = [] }) {
+    const text = [title, description, script].join('\n');
+    const issues = bannedTopics
+      .filter((topic) => text.includes(topic))
+      .map((topic) => ({ category: 'banned_topic', severity: 'high', excerpt: topic, reason: `涉及频道禁止的主题: ${topic}` }));
+    const claims = script
+      .split(/[。.!！?？\n]/)
+      .map((sentence) => sentence.trim())
+      .filter((sentence) => /\d/.test(sentence))
+      .map((sentence) => ({ text: sentence, reason: '包含需要核实的数据' }));
+
+    return JSON.stringify({ verdict: issues.length > 0 ? 'block' : 'pass', issues, claims });
+  }
+
+  fakeMetadata({ title = '', description = '', tags = [] }) {
+    return JSON.stringify({
+      optimized_title: title.substring(0, 100),
+      optimized_description: `${description}\n\n#dryrun`.substring(0, 1000),
+      optimized_tags: [...new Set([...tags, 'dryrun'])],
+      seo_score: 80
+    });
+  }
+
+  fakeTrendAnalysis() {
+    return JSON.stringify({
+      hotTopics: ['效率工具', '科技新闻'],
+      contentTypes: ['短视频', '教程'],
+      recommendations: ['开头三秒抛出问题', '结尾引导关注'],
+      bestTimes: ['12:00-14:00', '19:00-22:00']
+    });
+  }
+}
+
+module.exports = FakeOpenAIService;
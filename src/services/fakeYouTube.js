@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const YouTubeService = require('./youtube');
+const { logger } = require('../utils/logger');
+
+// 本地YouTube替身：记录将要执行的操作，不访问YouTube API
+class FakeYouTubeService extends YouTubeService {
+  constructor(options = {}) {
+    super(options);
+    this.actions = [];
+  }
+
+  async initialize() {
+    this.isAuthenticated = true;
+    logger.info('演练模式: 使用本地YouTube替身', { account: this.getAccount() });
+    return true;
+  }
+
+  getAuthUrl() {
+    return null;
+  }
+
+  record(action, details) {
+    this.actions.push({ action, ...details, at: new Date().toISOString() });
+    logger.info(`演练模式: 跳过YouTube操作 ${action}`, details);
+  }
+
+  async uploadVideo(videoPath, metadata) {
+    const videoId = `dryrun-${crypto.randomBytes(5).toString('hex')}`;
+    this.record('uploadVideo', {
+      videoId,
+      videoPath,
+      title: metadata.title,
+      localizations: Object.keys(metadata.localizations || {})
+    });
+
+    return {
+      videoId,
+      url: `https://www.youtube.com/watch?v=${videoId}`,
+      title: metadata.title,
+      status: metadata.privacyStatus || 'private',
+      dryRun: true
+    };
+  }
+
+  async uploadThumbnail(videoId, thumbnailPath) {
+    this.record('uploadThumbnail', { videoId, thumbnailPath });
+    return true;
+  }
+
+  async uploadCaption(videoId, { language, captionsPath }) {
+    this.record('uploadCaption', { videoId, language, captionsPath });
+    return { id: `dryrun-caption-${language}`, language };
+  }
+
+  async updateVideoMetadata(videoId, metadata) {
+    this.record('updateVideoMetadata', { videoId, title: metadata.title });
+    return { id: videoId, snippet: metadata };
+  }
+
+  async getVideoStatistics() {
+    return { viewCount: '0', likeCount: '0', commentCount: '0' };
+  }
+
+  async getVideosStatistics(videoIds) {
+    return Object.fromEntries(videoIds.map((videoId) => [videoId, { viewCount: '0', likeCount: '0', commentCount: '0' }]));
+  }
+
+  async createPlaylist(title, description, privacyStatus = 'private') {
+    const id = `dryrun-playlist-${crypto.randomBytes(4).toString('hex')}`;
+    this.record('createPlaylist', { playlistId: id, title, privacyStatus });
+    return { id, snippet: { title, description }, status: { privacyStatus } };
+  }
+
+  // 演练时无法确认真实播放列表是否存在，视为存在
+  async getPlaylist(playlistId) {
+    return { id: playlistId };
+  }
+
+  async addVideoToPlaylist(playlistId, videoId) {
+    this.record('addVideoToPlaylist', { playlistId, videoId });
+    return { snippet: { playlistId, resourceId: { kind: 'youtube#video', videoId } } };
+  }
+}
+
+module.exports = FakeYouTubeService;
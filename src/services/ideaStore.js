@@ -0,0 +1,266 @@
+const RecordStore = require('../utils/recordStore');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+const IDEA_STATUSES = ['new', 'approved', 'used', 'rejected'];
+const EDITABLE_FIELDS = ['title', 'description', 'script', 'tags', 'score', 'notes', 'profileId', 'account'];
+
+// used只能由自动运行领取时设置
+const REVIEW_STATUSES = ['new', 'approved', 'rejected'];
+
+const DEFAULT_SCORE = 50;
+
+class IdeaStore {
+  constructor() {
+    this.store = new RecordStore(config.paths.ideas);
+  }
+
+  validate(idea) {
+    const errors = [];
+
+    if (!idea.title) {
+      errors.push('title不能为空');
+    }
+    if (typeof idea.score !== 'number' || idea.score < 0 || idea.score > 100) {
+      errors.push('score必须是0到100之间的数字');
+    }
+    if (!Array.isArray(idea.tags)) {
+      errors.push('tags必须是数组');
+    }
+    if (!IDEA_STATUSES.includes(idea.status)) {
+      errors.push(`无效的创意状态: ${idea.status}`);
+    }
+
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+  }
+
+  // 评分高的在前，同分时先入库的在前
+  sortIdeas(ideas) {
+    return ideas.sort((a, b) =>
+      b.score - a.score || String(a.createdAt).localeCompare(String(b.createdAt)));
+  }
+
+  async listIdeas({ status, profileId, account } = {}) {
+    const ideas = await this.store.list((idea) =>
+      (!status || idea.status === status) &&
+      (!profileId || idea.profileId === profileId) &&
+      (!account || idea.account === account));
+    return this.sortIdeas(ideas);
+  }
+
+  async getIdea(id) {
+    return this.store.get(id);
+  }
+
+  async createIdea(data) {
+    const idea = {
+      title: data.title,
+      description: data.description || '',
+      script: data.script || '',
+      tags: data.tags || [],
+      score: data.score ?? DEFAULT_SCORE,
+      source: {
+        type: data.source?.type || 'manual',
+        trends: data.source?.trends || []
+      },
+      status: data.status || 'new',
+      notes: data.notes || '',
+      profileId: data.profileId || null,
+      account: data.account || null,
+      runId: null,
+      usedAt: null,
+      history: []
+    };
+
+    this.validate(idea);
+    const saved = await this.store.save(idea);
+    logger.info('创意已加入创意库', { ideaId: saved.id, title: saved.title, score: saved.score, source: saved.source.type });
+    return saved;
+  }
+
+  // 把趋势分析生成的创意存入创意库；无法解析出标题的原始文本直接丢弃
+  async addGenerated(ideas, trends = {}) {
+    const hotTopics = Array.isArray(trends.hotTopics) ? trends.hotTopics : [];
+    const saved = [];
+
+    for (const idea of ideas) {
+      const parsed = this.parseGenerated(idea);
+      if (!parsed) continue;
+
+      const matched = this.matchTrends(parsed, hotTopics);
+      saved.push(await this.createIdea({
+        ...parsed,
+        score: this.scoreIdea(matched),
+        source: { type: 'trend', trends: matched.length > 0 ? matched : hotTopics }
+      }));
+    }
+
+    return saved;
+  }
+
+  parseGenerated(idea) {
+    let parsed = idea;
+    if (idea?.raw) {
+      try {
+        parsed = JSON.parse(idea.script);
+      } catch {
+        return null;
+      }
+    }
+    if (!parsed?.title) return null;
+
+    return {
+      title: String(parsed.title).substring(0, 100),
+      description: parsed.description || '',
+      script: parsed.script || '',
+      tags: Array.isArray(parsed.tags) ? parsed.tags : []
+    };
+  }
+
+  matchTrends(idea, hotTopics) {
+    const text = `${idea.title} ${idea.tags.join(' ')} ${idea.script}`.toLowerCase();
+    return hotTopics.filter((topic) => topic && text.includes(String(topic).toLowerCase()));
+  }
+
+  // 初始评分只是粗略估计：命中的热门主题越多分越高，入库后可以手动调整
+  scoreIdea(matchedTrends) {
+    return Math.min(100, DEFAULT_SCORE + matchedTrends.length * 15);
+  }
+
+  async updateIdea(id, changes, editor = 'unknown') {
+    const fields = EDITABLE_FIELDS.filter((field) => changes[field] !== undefined);
+
+    return this.store.update(id, (idea) => {
+      if (!idea) return null;
+
+      for (const field of fields) {
+        idea[field] = changes[field];
+      }
+
+      this.validate(idea);
+      idea.history.push({ action: 'edit', by: editor, fields, at: new Date().toISOString() });
+      return idea;
+    });
+  }
+
+  // 已使用的创意改回其他状态时解除与运行的关联，便于重新排入
+  async setStatus(id, status, { reviewer = 'unknown', notes } = {}) {
+    if (!REVIEW_STATUSES.includes(status)) {
+      throw new Error(`不能手动设置为该状态: ${status}`);
+    }
+
+    const updated = await this.store.update(id, (idea) => {
+      if (!idea) return null;
+
+      idea.history.push({ action: 'status', from: idea.status, to: status, by: reviewer, notes, at: new Date().toISOString() });
+      idea.status = status;
+      if (notes !== undefined) {
+        idea.notes = notes;
+      }
+      idea.runId = null;
+      idea.usedAt = null;
+      return idea;
+    });
+
+    if (updated) {
+      logger.info('创意状态已更新', { ideaId: id, status, reviewer });
+    }
+    return updated;
+  }
+
+  async removeIdea(id) {
+    return this.store.remove(id);
+  }
+
+  // 创意未限定频道配置或账户时可用于任意运行
+  matchesScope(idea, { profileId, account }) {
+    return (!idea.profileId || idea.profileId === profileId) &&
+      (!idea.account || idea.account === account);
+  }
+
+  // 领取评分最高的已批准创意并标记为已使用；同一运行重复领取时返回原创意
+  async claimTopApproved(runId, scope = {}, { dryRun = false } = {}) {
+    const [own] = await this.store.list((idea) => idea.runId === runId);
+    if (own) return own;
+
+    const candidates = await this.listIdeas({ status: 'approved' });
+    for (const candidate of candidates.filter((idea) => this.matchesScope(idea, scope))) {
+      if (dryRun) return candidate;
+
+      let claimed = null;
+      await this.store.update(candidate.id, (idea) => {
+        // 列表读取之后可能已被其他运行领取或被人工改动
+        if (!idea || idea.status !== 'approved') return null;
+
+        idea.status = 'used';
+        idea.runId = runId;
+        idea.usedAt = new Date().toISOString();
+        idea.history.push({ action: 'use', runId, at: idea.usedAt });
+        claimed = idea;
+        return idea;
+      });
+
+      if (claimed) {
+        logger.info('已从创意库领取创意', { ideaId: claimed.id, title: claimed.title, score: claimed.score, runId });
+        return claimed;
+      }
+    }
+
+    return null;
+  }
+
+  // 运行失败、被阻止或被拒绝时把它领取的创意退回已批准状态，可以再次排入
+  async releaseForRun(runId, reason) {
+    const ideas = await this.store.list((idea) => idea.runId === runId && idea.status === 'used');
+    const released = [];
+
+    for (const { id } of ideas) {
+      let applied = false;
+      const idea = await this.store.update(id, (current) => {
+        if (!current || current.runId !== runId || current.status !== 'used') return null;
+
+        current.history.push({ action: 'release', runId, reason, at: new Date().toISOString() });
+        current.status = 'approved';
+        current.runId = null;
+        current.usedAt = null;
+        applied = true;
+        return current;
+      });
+
+      if (applied) {
+        logger.info('创意已退回创意库', { ideaId: id, runId, reason });
+        released.push(idea);
+      }
+    }
+
+    return released;
+  }
+
+  // 恢复的运行沿用已完成创意阶段的创意时重新领取；创意已被其他运行领取或人工改动时返回null
+  async reclaimForRun(id, runId) {
+    let claimed = false;
+    const idea = await this.store.update(id, (current) => {
+      if (!current) return null;
+      if (current.runId === runId) {
+        claimed = true;
+        return null;
+      }
+      if (current.status !== 'approved') return null;
+
+      current.status = 'used';
+      current.runId = runId;
+      current.usedAt = new Date().toISOString();
+      current.history.push({ action: 'use', runId, at: current.usedAt });
+      claimed = true;
+      return current;
+    });
+
+    return claimed ? idea : null;
+  }
+}
+
+module.exports = new IdeaStore();
+module.exports.IDEA_STATUSES = IDEA_STATUSES;
+module.exports.REVIEW_STATUSES = REVIEW_STATUSES;
@@ -0,0 +1,99 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { toSrt } = require('../utils/subtitles');
+const { logger, ErrorHandler } = require('../utils/logger');
+const config = require('../config');
+
+const LANGUAGE_CODE = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+function isValidLanguageCode(code) {
+  return typeof code === 'string' && LANGUAGE_CODE.test(code);
+}
+
+// 多语言本地化：按目标语言翻译标题、描述、标签、脚本和字幕，字幕沿用原语言的时间轴
+class Localizer {
+  constructor(options = {}) {
+    this.openaiService = options.openaiService;
+  }
+
+  // 去重并去掉与原语言相同的目标语言
+  resolveLanguages(sourceLanguage, languages = []) {
+    return [...new Set(languages)].filter((language) => language !== sourceLanguage);
+  }
+
+  // 渲染阶段已生成原语言字幕文件时直接使用
+  async localize(content, { sourceLanguage, languages, baseName, sourceCaptionsPath = null }) {
+    const cues = content.cues || [];
+    const result = {
+      sourceLanguage,
+      sourceCaptionsPath: sourceCaptionsPath || (cues.length > 0 ? await this.writeCaptions(baseName, sourceLanguage, cues) : null),
+      languages: {},
+      failed: []
+    };
+
+    // 单个语言翻译失败不影响其他语言，也不让运行失败
+    for (const language of this.resolveLanguages(sourceLanguage, languages)) {
+      try {
+        result.languages[language] = await this.translate(content, language, { sourceLanguage, baseName });
+        logger.info('本地化完成', { language, title: result.languages[language].title });
+      } catch (error) {
+        ErrorHandler.handle(error, `本地化失败: ${language}`);
+        result.failed.push({ language, error: error.message });
+      }
+    }
+
+    return result;
+  }
+
+  async translate(content, language, { sourceLanguage, baseName }) {
+    const cues = content.cues || [];
+    const response = await this.openaiService.translateContent({
+      title: content.title,
+      description: content.description,
+      tags: content.tags,
+      script: content.script,
+      captions: cues.map((cue) => cue.text)
+    }, language, { sourceLanguage });
+
+    let translated;
+    try {
+      translated = JSON.parse(response);
+    } catch {
+      throw new Error('无法解析翻译结果');
+    }
+    if (!translated?.title) {
+      throw new Error('翻译结果缺少标题');
+    }
+
+    const localized = {
+      title: String(translated.title).substring(0, 100),
+      description: String(translated.description || ''),
+      tags: Array.isArray(translated.tags) ? translated.tags : [],
+      script: translated.script || '',
+      captionsPath: null
+    };
+
+    const lines = Array.isArray(translated.captions) ? translated.captions : [];
+    if (cues.length > 0 && lines.length === cues.length) {
+      localized.captionsPath = await this.writeCaptions(
+        baseName,
+        language,
+        cues.map((cue, index) => ({ ...cue, text: String(lines[index]) }))
+      );
+    } else if (cues.length > 0) {
+      logger.warn('翻译后的字幕行数与原字幕不一致，跳过该语言字幕', { language, expected: cues.length, actual: lines.length });
+    }
+
+    return localized;
+  }
+
+  async writeCaptions(baseName, language, cues) {
+    const captionsPath = path.join(config.paths.videoOutput, `${baseName}.${language}.srt`);
+    await fs.mkdir(path.dirname(captionsPath), { recursive: true });
+    await fs.writeFile(captionsPath, toSrt(cues));
+    return captionsPath;
+  }
+}
+
+module.exports = Localizer;
+module.exports.isValidLanguageCode = isValidLanguageCode;
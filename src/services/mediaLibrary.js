@@ -0,0 +1,262 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const ffmpeg = require('fluent-ffmpeg');
+const RecordStore = require('../utils/recordStore');
+const assetRegistry = require('./assetRegistry');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+const MEDIA_EXTENSIONS = {
+  image: ['.png', '.jpg', '.jpeg', '.webp'],
+  video: ['.mp4', '.mov', '.webm', '.mkv', '.m4v']
+};
+const MEDIA_TYPES = Object.keys(MEDIA_EXTENSIONS);
+const ORIENTATIONS = ['portrait', 'landscape', 'square'];
+
+const KEYWORD_SEPARATOR = /[\s,，、;；|/\\_.-]+/;
+
+function getMediaType(file) {
+  const extension = path.extname(file).toLowerCase();
+  return MEDIA_TYPES.find((type) => MEDIA_EXTENSIONS[type].includes(extension)) || null;
+}
+
+function getOrientation(width, height) {
+  const ratio = width / height;
+  if (ratio > 1.1) return 'landscape';
+  if (ratio < 0.9) return 'portrait';
+  return 'square';
+}
+
+function normalizeKeywords(keywords) {
+  const list = Array.isArray(keywords) ? keywords : [keywords];
+  return [...new Set(list
+    .flatMap((keyword) => String(keyword || '').toLowerCase().split(KEYWORD_SEPARATOR))
+    .filter((keyword) => keyword.length > 1 && !/^\d+$/.test(keyword)))];
+}
+
+// 本地图片和视频素材库：扫描素材目录建立索引，标签取自目录名和文件名，也可以手动补充；
+// 场景按画面关键词选取素材，文件同时在素材授权登记表中登记时沿用其授权信息
+class MediaLibrary {
+  constructor() {
+    this.store = new RecordStore(config.paths.media);
+    this.scanning = null;
+  }
+
+  getBaseDir() {
+    return path.resolve(config.paths.mediaFiles);
+  }
+
+  getId(file) {
+    return `media_${crypto.createHash('sha1').update(file).digest('hex').slice(0, 16)}`;
+  }
+
+  resolveFile(file) {
+    return path.join(this.getBaseDir(), file);
+  }
+
+  async walk(dir) {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const files = [];
+    for (const entry of entries.filter((item) => !item.name.startsWith('.'))) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...await this.walk(fullPath));
+      } else if (entry.isFile() && getMediaType(entry.name)) {
+        files.push(fullPath);
+      }
+    }
+    return files;
+  }
+
+  async probe(filePath) {
+    const metadata = await new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(filePath, (error, data) => (error ? reject(error) : resolve(data)));
+    });
+    const stream = metadata.streams.find((item) => item.codec_type === 'video');
+    if (!stream?.width || !stream?.height) {
+      throw new Error('没有画面');
+    }
+    return { width: stream.width, height: stream.height, duration: Number(metadata.format.duration) || 0 };
+  }
+
+  getPathTags(file) {
+    const withoutExtension = file.slice(0, file.length - path.extname(file).length);
+    return normalizeKeywords(withoutExtension.split(path.sep));
+  }
+
+  // 只重新读取新增或有变化的文件；同时只进行一次扫描
+  async scan() {
+    if (!this.scanning) {
+      this.scanning = this.runScan().finally(() => {
+        this.scanning = null;
+      });
+    }
+    return this.scanning;
+  }
+
+  async runScan() {
+    const baseDir = this.getBaseDir();
+    const existing = new Map((await this.store.list()).map((entry) => [entry.id, entry]));
+    const summary = { added: 0, updated: 0, removed: 0, failed: [] };
+    const seen = new Set();
+
+    for (const fullPath of await this.walk(baseDir)) {
+      const file = path.relative(baseDir, fullPath);
+      const id = this.getId(file);
+      const stat = await fs.stat(fullPath);
+      const current = existing.get(id);
+      seen.add(id);
+
+      if (current && current.size === stat.size && current.mtime === stat.mtime.toISOString()) {
+        continue;
+      }
+
+      try {
+        const type = getMediaType(file);
+        const { width, height, duration } = await this.probe(fullPath);
+        await this.store.save({
+          ...current,
+          id,
+          file,
+          type,
+          width,
+          height,
+          orientation: getOrientation(width, height),
+          duration: type === 'video' ? Number(duration.toFixed(3)) : null,
+          autoTags: this.getPathTags(file),
+          tags: current?.tags || [],
+          loop: current?.loop ?? this.getPathTags(file).includes('loop'),
+          size: stat.size,
+          mtime: stat.mtime.toISOString()
+        });
+        summary[current ? 'updated' : 'added'] += 1;
+      } catch (error) {
+        logger.warn('素材文件无法读取，跳过', { file, error: error.message.trim().split('\n').pop() });
+        summary.failed.push(file);
+      }
+    }
+
+    for (const id of existing.keys()) {
+      if (!seen.has(id)) {
+        await this.store.remove(id);
+        summary.removed += 1;
+      }
+    }
+
+    logger.info('素材库索引完成', { ...summary, failed: summary.failed.length, total: seen.size - summary.failed.length });
+    return { ...summary, total: seen.size - summary.failed.length };
+  }
+
+  async listMedia({ type, orientation, tag } = {}) {
+    const keyword = tag ? normalizeKeywords(tag)[0] : null;
+    return this.store.list((entry) =>
+      (!type || entry.type === type) &&
+      (!orientation || entry.orientation === orientation) &&
+      (!keyword || this.getTags(entry).includes(keyword)));
+  }
+
+  async getMedia(id) {
+    return this.store.get(id);
+  }
+
+  async updateMedia(id, { tags, loop }) {
+    return this.store.update(id, (entry) => {
+      if (!entry) return null;
+      if (tags !== undefined) entry.tags = normalizeKeywords(tags);
+      if (loop !== undefined) entry.loop = !!loop;
+      return entry;
+    });
+  }
+
+  getTags(entry) {
+    return [...new Set([...entry.autoTags, ...entry.tags])];
+  }
+
+  // 完全匹配的标签计2分，部分匹配计1分，每个关键词取最高分累加；英文部分匹配至少3个字母，避免 an 匹配 landscape
+  score(entry, keywords) {
+    const tags = this.getTags(entry);
+    const isPartial = (tag, keyword) => {
+      const [shorter, longer] = tag.length < keyword.length ? [tag, keyword] : [keyword, tag];
+      return (/^[\x00-\x7f]+$/.test(shorter) ? shorter.length >= 3 : shorter.length >= 2) && longer.includes(shorter);
+    };
+    return keywords.reduce((total, keyword) => total + Math.max(0, ...tags.map((tag) => {
+      if (tag === keyword) return 2;
+      return isPartial(tag, keyword) ? 1 : 0;
+    })), 0);
+  }
+
+  // 在登记表中过期的素材不可用；开启requireLicense时未登记的素材也不可用
+  async getUsableMedia() {
+    const registered = new Map();
+    for (const asset of await assetRegistry.listAssets()) {
+      try {
+        registered.set(assetRegistry.resolveFile(asset.file), asset);
+      } catch {
+        // 登记的文件不在素材目录中，不可能与素材库文件对应
+      }
+    }
+
+    return (await this.store.list()).flatMap((entry) => {
+      const asset = registered.get(this.resolveFile(entry.file)) || null;
+      if (asset ? assetRegistry.isExpired(asset) : config.media.requireLicense) {
+        return [];
+      }
+      return [{ ...entry, asset }];
+    });
+  }
+
+  async search(keywords, { type, orientation } = {}) {
+    const words = normalizeKeywords(keywords);
+    return (await this.getUsableMedia())
+      .filter((entry) => (!type || entry.type === type) && (!orientation || entry.orientation === orientation))
+      .map((entry) => ({ ...entry, score: this.score(entry, words) }))
+      .filter((entry) => entry.score > 0)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // 为一个场景选取素材：方向一致、视频足够长的优先，同一视频中已经用过的素材降低优先级；
+  // 视频比场景长时随机选取起点，比场景短时循环播放
+  pickForScene(media, keywords, { orientation, duration, exclude = new Set() }) {
+    const words = normalizeKeywords(keywords);
+    const scored = media
+      .map((entry) => {
+        let score = this.score(entry, words);
+        if (score === 0) return null;
+        if (entry.orientation === orientation) score += 1;
+        if (entry.type === 'video' && (entry.duration >= duration || entry.loop)) score += 0.5;
+        if (exclude.has(entry.id)) score -= 2;
+        return { entry, score };
+      })
+      .filter(Boolean);
+    if (scored.length === 0) {
+      return null;
+    }
+
+    const best = Math.max(...scored.map((item) => item.score));
+    const candidates = scored.filter((item) => item.score === best);
+    const { entry } = candidates[Math.floor(Math.random() * candidates.length)];
+    const spare = entry.type === 'video' ? entry.duration - duration : 0;
+
+    return {
+      mediaId: entry.id,
+      type: entry.type,
+      filePath: this.resolveFile(entry.file),
+      start: spare > 0 ? Number((Math.random() * spare).toFixed(2)) : 0,
+      loop: entry.type === 'video' && spare < 0,
+      asset: entry.asset
+    };
+  }
+}
+
+module.exports = new MediaLibrary();
+module.exports.MEDIA_TYPES = MEDIA_TYPES;
+module.exports.ORIENTATIONS = ORIENTATIONS;
+module.exports.getOrientation = getOrientation;
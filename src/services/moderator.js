@@ -0,0 +1,87 @@
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+// 按严重程度排列，整体结论取所有原因中最严重的一个
+const DECISIONS = ['pass', 'review', 'block'];
+
+function strongestDecision(reasons) {
+  return reasons.reduce(
+    (current, reason) => (DECISIONS.indexOf(reason.decision) > DECISIONS.indexOf(current) ? reason.decision : current),
+    'pass'
+  );
+}
+
+// 内容安全审查：频道禁用词（字面匹配）、AI政策审查（含禁止主题）和需要核实的说法
+class Moderator {
+  constructor(options = {}) {
+    this.openaiService = options.openaiService;
+  }
+
+  getText({ title = '', description = '', tags = [], script = '' }) {
+    return [title, description, tags.join(' '), script].join('\n').toLowerCase();
+  }
+
+  findBannedWords(content, bannedWords = []) {
+    const text = this.getText(content);
+    return [...new Set(bannedWords)].filter((word) => word && text.includes(word.toLowerCase()));
+  }
+
+  async moderate(content, { stage, bannedWords = [], bannedTopics = [], language } = {}) {
+    const reasons = this.findBannedWords(content, bannedWords).map((word) => ({
+      type: 'bannedWord',
+      decision: 'block',
+      message: `包含禁用词: ${word}`,
+      excerpt: word
+    }));
+
+    if (config.moderation.llmReview) {
+      reasons.push(...await this.reviewPolicy(content, { bannedTopics, language }));
+    }
+
+    const decision = strongestDecision(reasons);
+    logger[decision === 'pass' ? 'info' : 'warn']('内容安全审查完成', { stage, decision, reasons: reasons.length });
+
+    return { stage, decision, reasons, checkedAt: new Date().toISOString() };
+  }
+
+  async reviewPolicy(content, { bannedTopics, language }) {
+    const { claimsAction, unavailableAction } = config.moderation;
+    const response = await this.openaiService.reviewContentPolicy(content, { bannedTopics, language });
+
+    let result;
+    try {
+      result = JSON.parse(response);
+    } catch {
+      result = null;
+    }
+    if (!DECISIONS.includes(result?.verdict)) {
+      return [{ type: 'unavailable', decision: unavailableAction, message: 'AI政策审查失败或结果无法解析' }];
+    }
+
+    const issues = Array.isArray(result.issues) ? result.issues : [];
+    const reasons = issues.map((issue) => ({
+      type: 'policy',
+      decision: result.verdict,
+      category: issue.category || null,
+      message: issue.reason || '可能违反内容政策',
+      excerpt: issue.excerpt || null
+    }));
+    if (result.verdict !== 'pass' && reasons.length === 0) {
+      reasons.push({ type: 'policy', decision: result.verdict, category: null, message: 'AI政策审查未通过', excerpt: null });
+    }
+
+    if (claimsAction !== 'ignore' && Array.isArray(result.claims)) {
+      reasons.push(...result.claims.map((claim) => ({
+        type: 'claim',
+        decision: claimsAction,
+        message: claim.reason || '需要核实的说法',
+        excerpt: claim.text || null
+      })));
+    }
+
+    return reasons;
+  }
+}
+
+module.exports = Moderator;
+module.exports.MODERATION_DECISIONS = DECISIONS;
@@ -0,0 +1,32 @@
+const axios = require('axios');
+const { logger, ErrorHandler } = require('../utils/logger');
+const config = require('../config');
+
+// 将系统事件推送到配置的Webhook和Slack，未配置时只写日志
+class Notifier {
+  async notify(event, message, payload = {}) {
+    logger.warn(`通知: ${message}`, { event, ...payload });
+
+    const { webhookUrl, slackWebhookUrl } = config.monitoring;
+    const requests = [];
+
+    if (webhookUrl) {
+      requests.push(ErrorHandler.safeExecute(() => axios.post(webhookUrl, {
+        event,
+        message,
+        payload,
+        timestamp: new Date().toISOString()
+      }, { timeout: 10000 }), `Webhook通知失败: ${event}`));
+    }
+
+    if (slackWebhookUrl) {
+      requests.push(ErrorHandler.safeExecute(() => axios.post(slackWebhookUrl, {
+        text: `[${event}] ${message}`
+      }, { timeout: 10000 }), `Slack通知失败: ${event}`));
+    }
+
+    await Promise.all(requests);
+  }
+}
+
+module.exports = new Notifier();
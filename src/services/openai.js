@@ -1,13 +1,18 @@
 const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
 const config = require('../config');
 const cacheService = require('./cache');
 const { logger, ErrorHandler } = require('../utils/logger');
+const { trackAiUsage, getRunContext } = require('../utils/runContext');
+const budgetGuard = require('./budgetGuard');
 
 class OpenAIService {
   constructor() {
     this.apiKey = config.openai.apiKey;
     this.endpoint = config.openai.endpoint;
     this.model = config.openai.model;
+    this.cache = cacheService;
     this.costTracker = {
       totalTokens: 0,
       totalCost: 0,
@@ -28,18 +33,27 @@ class OpenAIService {
       'gpt-3.5-turbo': { input: 0.0015, output: 0.002 },
       'default': { input: 0.01, output: 0.02 }
     };
+    // 语音转写按音频分钟计费（美元）
+    this.transcriptionPricePerMinute = 0.006;
+    // 语音合成按字符计费（美元）
+    this.speechPricePerCharacter = 0.000015;
   }
 
   async generateText(prompt, options = {}) {
+    // 预算检查在safeExecute之外，超出预算时调用方收到明确的BudgetExceededError
+    const account = getRunContext()?.account || null;
+    await budgetGuard.assertWithinBudget(account);
+
     return ErrorHandler.safeExecute(async () => {
       // 检查缓存
-      const cacheKey = cacheService.getCacheKey('ai_response', 
+      const cacheKey = this.cache.getCacheKey('ai_response', 
         this.hashString(prompt + JSON.stringify(options)));
       
       if (options.useCache !== false) {
-        const cached = await cacheService.get(cacheKey);
+        const cached = await this.cache.get(cacheKey);
         if (cached) {
           logger.info('使用缓存的AI响应', { cacheKey });
+          trackAiUsage({ requests: 1, cachedRequests: 1 });
           return cached;
         }
       }
@@ -63,7 +77,16 @@ class OpenAIService {
       const usage = response.data.usage;
 
       // 更新成本跟踪
+      const cost = this.calculateCost(usage, optimizedOptions.model || this.model);
       this.updateCostTracking(usage, optimizedOptions.model || this.model);
+      trackAiUsage({
+        requests: 1,
+        promptTokens: usage.prompt_tokens,
+        completionTokens: usage.completion_tokens,
+        totalTokens: usage.total_tokens,
+        cost
+      });
+      await ErrorHandler.safeExecute(() => budgetGuard.recordSpend(cost, account), '记录AI花费');
 
       logger.info('OpenAI API调用成功', { 
         model: optimizedOptions.model || this.model,
@@ -75,7 +98,7 @@ class OpenAIService {
 
       // 缓存结果
       if (options.useCache !== false) {
-        await cacheService.set(cacheKey, result, config.cache.aiCacheTtl);
+        await this.cache.set(cacheKey, result, config.cache.aiCacheTtl);
       }
 
       return result;
@@ -119,12 +142,12 @@ class OpenAIService {
     return optimized;
   }
 
-  async analyzeVideoTrends(trendingData, useCache = true) {
-    const cacheKey = cacheService.getCacheKey('trend_analysis', 
-      this.hashString(JSON.stringify(trendingData)));
+  async analyzeVideoTrends(trendingData, useCache = true, ownPerformance = []) {
+    const cacheKey = this.cache.getCacheKey('trend_analysis', 
+      this.hashString(JSON.stringify(trendingData) + JSON.stringify(ownPerformance)));
     
     if (useCache) {
-      const cached = await cacheService.get(cacheKey);
+      const cached = await this.cache.get(cacheKey);
       if (cached) {
         logger.info('使用缓存的趋势分析');
         return cached;
@@ -138,7 +161,7 @@ class OpenAIService {
     分析以下YouTube热门视频数据（已预处理），识别关键趋势：
 
     ${JSON.stringify(processedData, null, 2)}
-
+    ${ownPerformance.length > 0 ? `\n    本频道近期视频的实际表现（日均播放），结合这些结果判断哪些方向适合本频道：\n    ${this.formatPerformanceHints(ownPerformance)}\n` : ''}
     返回JSON格式：
     {
       "hotTopics": ["主题1", "主题2"],
@@ -151,16 +174,24 @@ class OpenAIService {
     const result = await this.generateText(prompt, { 
       contentType: 'analysis',
       complexity: 'medium',
-      useCache: false
+      useCache: false,
+      task: 'trendAnalysis',
+      taskInput: { items: processedData.length || 0 }
     });
 
     if (useCache) {
-      await cacheService.set(cacheKey, result, config.cache.trendCacheTtl);
+      await this.cache.set(cacheKey, result, config.cache.trendCacheTtl);
     }
 
     return result;
   }
 
+  formatPerformanceHints(hints) {
+    return hints
+      .map((hint) => `「${hint.title}」日均播放${Math.round(hint.viewsPerDay)}`)
+      .join('\n    ');
+  }
+
   preprocessTrendData(data) {
     if (!Array.isArray(data)) return data;
     
@@ -173,21 +204,30 @@ class OpenAIService {
   }
 
   async generateVideoScript(topic, duration = 60, options = {}) {
-    const cacheKey = cacheService.getCacheKey('video_script', 
-      this.hashString(`${topic}_${duration}`));
+    const { language, avoidTitles = [], performanceHints = [] } = options;
+    const cacheKey = this.cache.getCacheKey('video_script', 
+      this.hashString(`${topic}_${duration}_${language || ''}_${performanceHints.map((hint) => hint.title).join('|')}`));
     
-    if (options.useCache !== false) {
-      const cached = await cacheService.get(cacheKey);
+    // 需要避开已发布标题时跳过缓存读取，新结果会覆盖缓存中重复的脚本
+    if (options.useCache !== false && avoidTitles.length === 0) {
+      const cached = await this.cache.get(cacheKey);
       if (cached) {
         logger.info('使用缓存的视频脚本');
         return cached;
       }
     }
 
+    const performanceLine = performanceHints.length > 0
+      ? `\n    本频道表现最好的近期视频（日均播放），可参考其选题方向和标题风格，但不要重复：\n    ${this.formatPerformanceHints(performanceHints)}`
+      : '';
+    const avoidLine = avoidTitles.length > 0
+      ? `\n    选题和标题必须与以下已发布视频明显不同：${avoidTitles.map((title) => `「${title}」`).join('、')}`
+      : '';
+
     const prompt = `
     为"${topic}"创建${duration}秒视频脚本。
 
-    要求：开头吸引人，有价值内容，结尾行动号召。
+    要求：开头吸引人，有价值内容，结尾行动号召。${language ? `\n    所有文字内容使用${language}语言撰写。` : ''}${performanceLine}${avoidLine}
 
     JSON格式：
     {
@@ -195,24 +235,259 @@ class OpenAIService {
       "description": "描述(不超过200字)",
       "script": "脚本内容",
       "tags": ["标签1", "标签2", "标签3"],
+      "visuals": ["第一句的画面关键词", "第二句的画面关键词"],
       "thumbnail_suggestions": "缩略图建议"
     }
+    脚本的句子之间用". "分隔；visuals与脚本句子一一对应，每项是2-3个英文画面关键词，用逗号分隔。
     `;
 
     const result = await this.generateText(prompt, {
       contentType: 'script',
       complexity: 'medium',
       useCache: false,
-      maxTokens: 1200
+      maxTokens: 1200,
+      task: 'videoScript',
+      taskInput: { topic, duration, language, avoidTitles }
     });
 
     if (options.useCache !== false) {
-      await cacheService.set(cacheKey, result, config.cache.aiCacheTtl);
+      await this.cache.set(cacheKey, result, config.cache.aiCacheTtl);
     }
 
     return result;
   }
 
+  // 系列剧集依赖前几集内容，不使用缓存
+  async generateEpisodeScript(series, duration = 60, options = {}) {
+    const { language } = options;
+    const { name, arc, episodeNumber, episodeCount, previousEpisodes = [] } = series;
+    const previous = previousEpisodes.length > 0
+      ? previousEpisodes.slice(-5).map((episode) => `第${episode.number}集「${episode.title}」：${episode.summary || ''}`).join('\n    ')
+      : '无（这是第一集）';
+
+    const prompt = `
+    为系列"${name}"创建第${episodeNumber}集（共${episodeCount}集）的${duration}秒视频脚本。
+
+    系列主线：${arc}
+    已发布剧集：
+    ${previous}
+
+    要求：延续主线推进到本集内容，开头简要回顾上一集，结尾预告下一集；标题包含"第${episodeNumber}集"。${language ? `\n    所有文字内容使用${language}语言撰写。` : ''}
+
+    JSON格式：
+    {
+      "title": "标题(不超过60字)",
+      "description": "描述(不超过200字)",
+      "script": "脚本内容",
+      "tags": ["标签1", "标签2", "标签3"],
+      "visuals": ["第一句的画面关键词", "第二句的画面关键词"],
+      "summary": "本集要点(不超过80字，供后续剧集引用)",
+      "thumbnail_suggestions": "缩略图建议"
+    }
+    脚本的句子之间用". "分隔；visuals与脚本句子一一对应，每项是2-3个英文画面关键词，用逗号分隔。
+    `;
+
+    return this.generateText(prompt, {
+      contentType: 'script',
+      complexity: 'medium',
+      useCache: false,
+      maxTokens: 1200,
+      task: 'episodeScript',
+      taskInput: { series, duration, language }
+    });
+  }
+
+  // 返回带时间戳的转写片段，音轨由调用方预先提取并压缩
+  async transcribeAudio(audioPath, options = {}) {
+    const { language, duration = 0 } = options;
+    const account = getRunContext()?.account || null;
+    await budgetGuard.assertWithinBudget(account);
+
+    return ErrorHandler.safeExecute(async () => {
+      const form = new FormData();
+      form.append('file', new Blob([await fs.readFile(audioPath)]), path.basename(audioPath));
+      form.append('model', config.repurpose.transcriptionModel);
+      form.append('response_format', 'verbose_json');
+      if (language) {
+        form.append('language', language.slice(0, 2).toLowerCase());
+      }
+
+      const response = await this.client.post('/audio/transcriptions', form, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+        maxBodyLength: Infinity,
+        timeout: 600000
+      });
+
+      const seconds = response.data.duration || duration;
+      const cost = Number(((seconds / 60) * this.transcriptionPricePerMinute).toFixed(6));
+      this.costTracker.totalCost += cost;
+      this.costTracker.requests += 1;
+      trackAiUsage({ requests: 1, cost });
+      await ErrorHandler.safeExecute(() => budgetGuard.recordSpend(cost, account), '记录AI花费');
+
+      const segments = (response.data.segments || [])
+        .map(({ start, end, text }) => ({ start, end, text: String(text).trim() }))
+        .filter((segment) => segment.text);
+
+      logger.info('OpenAI语音转写成功', { seconds, segments: segments.length, estimatedCost: cost });
+      return segments;
+    }, 'OpenAI transcribeAudio');
+  }
+
+  async synthesizeSpeech(text, outputPath, options = {}) {
+    const { voice = config.tts.openai.voice, model = config.tts.openai.model } = options;
+    const account = getRunContext()?.account || null;
+    await budgetGuard.assertWithinBudget(account);
+
+    return ErrorHandler.safeExecute(async () => {
+      const response = await this.client.post('/audio/speech', {
+        model,
+        voice,
+        input: text,
+        response_format: path.extname(outputPath).slice(1) || 'mp3'
+      }, {
+        responseType: 'arraybuffer',
+        timeout: config.tts.timeout
+      });
+      await fs.writeFile(outputPath, Buffer.from(response.data));
+
+      const cost = Number((text.length * this.speechPricePerCharacter).toFixed(6));
+      this.costTracker.totalCost += cost;
+      this.costTracker.requests += 1;
+      trackAiUsage({ requests: 1, cost });
+      await ErrorHandler.safeExecute(() => budgetGuard.recordSpend(cost, account), '记录AI花费');
+
+      logger.info('OpenAI语音合成成功', { characters: text.length, estimatedCost: cost });
+      return outputPath;
+    }, 'OpenAI synthesizeSpeech');
+  }
+
+  async selectHighlights(cues, options = {}) {
+    const { count = 3, minDuration = 15, maxDuration = 60, language } = options;
+    const transcript = cues
+      .map((cue) => `[${cue.start.toFixed(1)}-${cue.end.toFixed(1)}] ${cue.text}`)
+      .join('\n    ');
+
+    const prompt = `
+    从以下长视频字幕中挑选${count}个最适合剪成竖屏短视频的高光片段。
+
+    字幕（[开始秒-结束秒] 文本）：
+    ${transcript}
+
+    要求：每个片段${minDuration}-${maxDuration}秒，内容完整、脱离上下文也能看懂，开头几秒就有吸引力；片段之间不重叠；start和end取字幕中的时间。${language ? `\n    标题、描述和标签使用${language}语言撰写。` : ''}
+
+    JSON格式：
+    {
+      "highlights": [
+        {
+          "start": 12.5,
+          "end": 48.0,
+          "title": "短视频标题(不超过60字)",
+          "description": "描述(不超过200字)",
+          "tags": ["标签1", "标签2", "标签3"],
+          "reason": "入选理由"
+        }
+      ]
+    }
+    `;
+
+    return this.generateText(prompt, {
+      contentType: 'analysis',
+      complexity: 'medium',
+      maxTokens: 1500,
+      task: 'highlights',
+      taskInput: { cues, count, minDuration, maxDuration, language }
+    });
+  }
+
+  async generateTitleVariants(title, description, count = 2, options = {}) {
+    const { language, avoidTitles = [] } = options;
+    const prompt = `
+    为已发布的YouTube视频生成${count}个用于A/B测试的备选标题。
+
+    当前标题：${title}
+    描述：${description.substring(0, 300)}
+
+    要求：与当前标题切入角度明显不同（如提问、数字、悬念、利益点），准确反映视频内容，不做标题党；不要与以下标题重复：${avoidTitles.map((item) => `「${item}」`).join('、')}。${language ? `\n    使用${language}语言撰写。` : ''}
+
+    JSON格式：
+    {
+      "titles": ["标题1(不超过60字)", "标题2"]
+    }
+    `;
+
+    // 不使用title类型：title请求限制在100个token以内，多个标题的JSON会被截断
+    return this.generateText(prompt, {
+      contentType: 'titleVariants',
+      complexity: 'simple',
+      maxTokens: 100 * count + 50,
+      useCache: false,
+      task: 'titleVariants',
+      taskInput: { title, count, language }
+    });
+  }
+
+  // 字幕逐行翻译，行数不变才能沿用原字幕的时间轴
+  async translateContent(content, targetLanguage, options = {}) {
+    const { sourceLanguage } = options;
+    const { title, description = '', tags = [], script = '', captions = [] } = content;
+    const prompt = `
+    把以下YouTube视频内容从${sourceLanguage || '原语言'}翻译成${targetLanguage}。标题和标签要符合该语言观众的搜索习惯，不要逐字直译；captions数组逐行翻译，保持行数和顺序不变。
+
+    ${JSON.stringify({ title, description: description.substring(0, 1000), tags, script, captions })}
+
+    JSON格式：
+    {
+      "title": "翻译后的标题(不超过100字)",
+      "description": "翻译后的描述",
+      "tags": ["标签1", "标签2"],
+      "script": "翻译后的脚本",
+      "captions": ["第1行", "第2行"]
+    }
+    `;
+
+    return this.generateText(prompt, {
+      contentType: 'translation',
+      complexity: 'medium',
+      maxTokens: 3000,
+      useCache: false,
+      task: 'translation',
+      taskInput: { title, description, tags, script, captions, targetLanguage }
+    });
+  }
+
+  // 内容安全审查：平台政策风险、频道禁止的主题，以及需要核实的事实性说法
+  async reviewContentPolicy(content, options = {}) {
+    const { bannedTopics = [], language } = options;
+    const { title, description = '', tags = [], script = '' } = content;
+    const prompt = `
+    作为YouTube内容审核员，检查以下${language ? `${language}` : ''}视频内容：
+    1. 是否违反YouTube社区准则或广告友好准则（仇恨、暴力、成人、危险行为、误导性医疗/金融信息等）
+    2. 是否涉及频道禁止的主题：${bannedTopics.length > 0 ? bannedTopics.join('、') : '无'}
+    3. 列出需要人工核实的事实性说法（统计数据、健康功效、收益承诺、对具体人物或机构的断言）
+
+    ${JSON.stringify({ title, description: description.substring(0, 1000), tags, script })}
+
+    verdict取值：pass（无问题）、review（需要人工确认）、block（明显违规，不能发布）
+    JSON格式：
+    {
+      "verdict": "pass",
+      "issues": [{"category": "类别", "severity": "low|medium|high", "excerpt": "相关原文", "reason": "原因"}],
+      "claims": [{"text": "说法原文", "reason": "需要核实的原因"}]
+    }
+    `;
+
+    return this.generateText(prompt, {
+      contentType: 'moderation',
+      complexity: 'medium',
+      maxTokens: 1500,
+      temperature: 0.2,
+      useCache: false,
+      task: 'moderation',
+      taskInput: { title, description, tags, script, bannedTopics }
+    });
+  }
+
   async generateThumbnailPrompt(videoTitle, videoContent) {
     const prompt = `
     为"${videoTitle}"生成AI绘图提示词。
@@ -228,15 +503,18 @@ class OpenAIService {
       contentType: 'description',
       complexity: 'simple',
       model: 'gpt-3.5-turbo',
-      maxTokens: 200
+      maxTokens: 200,
+      task: 'thumbnailPrompt',
+      taskInput: { title: videoTitle }
     });
   }
 
-  async optimizeVideoMetadata(title, description, tags) {
-    const cacheKey = cacheService.getCacheKey('metadata_optimization', 
-      this.hashString(`${title}_${description}`));
+  async optimizeVideoMetadata(title, description, tags, options = {}) {
+    const { language } = options;
+    const cacheKey = this.cache.getCacheKey('metadata_optimization', 
+      this.hashString(`${title}_${description}_${language || ''}`));
     
-    const cached = await cacheService.get(cacheKey);
+    const cached = await this.cache.get(cacheKey);
     if (cached) {
       logger.info('使用缓存的元数据优化');
       return cached;
@@ -248,6 +526,7 @@ class OpenAIService {
     标题：${title}
     描述：${description.substring(0, 300)}
     标签：${tags.join(', ')}
+    ${language ? `输出语言：${language}` : ''}
 
     JSON格式：
     {
@@ -261,10 +540,12 @@ class OpenAIService {
     const result = await this.generateText(prompt, {
       contentType: 'description',
       complexity: 'medium',
-      maxTokens: 800
+      maxTokens: 800,
+      task: 'metadata',
+      taskInput: { title, description, tags, language }
     });
 
-    await cacheService.set(cacheKey, result, config.cache.aiCacheTtl);
+    await this.cache.set(cacheKey, result, config.cache.aiCacheTtl);
     return result;
   }
 
@@ -0,0 +1,235 @@
+const RecordStore = require('../utils/recordStore');
+const publishHistory = require('./publishHistory');
+const { formatDateKey } = require('../utils/time');
+const { logger, ErrorHandler } = require('../utils/logger');
+const config = require('../config');
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+
+// 发布后表现追踪：定期拉取已发布视频的统计数据，按视频保存时间序列
+class PerformanceTracker {
+  constructor({ getYouTubeService }) {
+    this.getYouTubeService = getYouTubeService;
+    this.store = new RecordStore(config.paths.performance);
+    this.timer = null;
+    this.polling = null;
+  }
+
+  start() {
+    if (this.timer || !config.performanceTracking.enabled) return;
+
+    // 不阻止CLI进程退出
+    this.timer = setInterval(() => this.poll(), config.performanceTracking.pollInterval);
+    this.timer.unref();
+    this.poll();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  getRecordId(videoId) {
+    return `video_${videoId}`;
+  }
+
+  // 同一时间只执行一次拉取，手动触发时复用正在进行的拉取
+  async poll() {
+    if (!this.polling) {
+      this.polling = this.pollAll().finally(() => {
+        this.polling = null;
+      });
+    }
+    return this.polling;
+  }
+
+  async pollAll() {
+    const since = new Date(Date.now() - config.performanceTracking.trackDays * DAY);
+    const entries = await ErrorHandler.safeExecute(() => publishHistory.listHistory({ since }), '加载发布历史', []);
+    const videos = entries.filter((entry) => entry.videoId);
+    const summary = { polled: 0, failed: 0, at: new Date().toISOString() };
+
+    const byAccount = new Map();
+    for (const entry of videos) {
+      const account = entry.account || null;
+      byAccount.set(account, [...(byAccount.get(account) || []), entry]);
+    }
+
+    for (const [account, accountEntries] of byAccount) {
+      const youtubeService = await ErrorHandler.safeExecute(
+        () => this.getYouTubeService(account),
+        `获取YouTube客户端: ${account}`
+      );
+
+      // 同一账户的视频批量查询，每50个视频只请求一次
+      const videoIds = [...new Set(accountEntries.map((entry) => entry.videoId))];
+      const statistics = youtubeService ? await youtubeService.getVideosStatistics(videoIds) : {};
+
+      for (const entry of accountEntries) {
+        if (!statistics[entry.videoId]) {
+          summary.failed += 1;
+          continue;
+        }
+
+        await this.appendSnapshot(entry, statistics[entry.videoId]);
+        summary.polled += 1;
+      }
+    }
+
+    logger.info('视频表现数据已更新', summary);
+    return summary;
+  }
+
+  async appendSnapshot(entry, statistics) {
+    const snapshot = {
+      at: new Date().toISOString(),
+      views: parseInt(statistics.viewCount) || 0,
+      likes: parseInt(statistics.likeCount) || 0,
+      comments: parseInt(statistics.commentCount) || 0
+    };
+
+    return this.store.update(this.getRecordId(entry.videoId), (current) => {
+      const record = current || {
+        id: this.getRecordId(entry.videoId),
+        videoId: entry.videoId,
+        snapshots: []
+      };
+
+      // 元数据以发布历史为准，历史记录修改后随下一次拉取同步
+      Object.assign(record, {
+        account: entry.account || null,
+        profileId: entry.profileId || null,
+        runId: entry.runId || null,
+        title: entry.title,
+        tags: entry.tags || [],
+        publishedAt: entry.publishedAt,
+        latest: snapshot,
+        lastPolledAt: snapshot.at
+      });
+      record.snapshots.push(snapshot);
+      return record;
+    });
+  }
+
+  // 返回指定时间点之前的最后一个快照，没有时返回第一个快照
+  snapshotAt(record, time) {
+    let found = record.snapshots[0];
+    for (const snapshot of record.snapshots) {
+      if (Date.parse(snapshot.at) > time) break;
+      found = snapshot;
+    }
+    return found;
+  }
+
+  summarize(record) {
+    const now = Date.now();
+    const latest = record.latest;
+    const daysSincePublish = Math.max((now - Date.parse(record.publishedAt)) / DAY, 1 / 24);
+    const growth = (hours) => latest.views - this.snapshotAt(record, now - hours * HOUR).views;
+
+    return {
+      videoId: record.videoId,
+      account: record.account,
+      profileId: record.profileId,
+      title: record.title,
+      publishedAt: record.publishedAt,
+      lastPolledAt: record.lastPolledAt,
+      snapshots: record.snapshots.length,
+      latest,
+      growth: {
+        views24h: growth(24),
+        views7d: growth(24 * 7),
+        viewsPerDay: Number((latest.views / daysSincePublish).toFixed(2))
+      }
+    };
+  }
+
+  async listVideos({ account, limit } = {}) {
+    const records = await this.store.list((record) => !account || record.account === account);
+    const videos = records
+      .map((record) => this.summarize(record))
+      .sort((a, b) => String(b.publishedAt).localeCompare(String(a.publishedAt)));
+    return limit ? videos.slice(0, limit) : videos;
+  }
+
+  async getVideoCurve(videoId) {
+    const record = await this.store.get(this.getRecordId(videoId));
+    if (!record) return null;
+
+    const published = Date.parse(record.publishedAt);
+    return {
+      ...this.summarize(record),
+      points: record.snapshots.map((snapshot, index) => ({
+        ...snapshot,
+        hoursSincePublish: Number(((Date.parse(snapshot.at) - published) / HOUR).toFixed(2)),
+        viewsDelta: index > 0 ? snapshot.views - record.snapshots[index - 1].views : 0
+      }))
+    };
+  }
+
+  // 频道曲线按天汇总：每个视频取当天最后一个快照，当天没有快照的沿用之前的数值
+  async getChannelCurve(account, { days = config.performanceTracking.trackDays } = {}) {
+    const records = await this.store.list((record) => record.account === account);
+    const timezone = config.automation.timezone;
+    const now = Date.now();
+
+    const dayKeys = [];
+    for (let time = now - (days - 1) * DAY; time <= now; time += DAY) {
+      const key = formatDateKey(new Date(time), timezone);
+      if (!dayKeys.includes(key)) dayKeys.push(key);
+    }
+
+    const daily = records.map((record) => {
+      const byDay = new Map();
+      for (const snapshot of record.snapshots) {
+        byDay.set(formatDateKey(snapshot.at, timezone), snapshot);
+      }
+      // 早于统计区间的快照作为起点
+      const before = record.snapshots.filter((snapshot) => formatDateKey(snapshot.at, timezone) < dayKeys[0]);
+      return { byDay, carry: before[before.length - 1] || null };
+    });
+
+    let previous = null;
+    const points = dayKeys.map((day) => {
+      const total = { views: 0, likes: 0, comments: 0 };
+      let videos = 0;
+
+      for (const video of daily) {
+        video.carry = video.byDay.get(day) || video.carry;
+        if (!video.carry) continue;
+
+        videos += 1;
+        total.views += video.carry.views;
+        total.likes += video.carry.likes;
+        total.comments += video.carry.comments;
+      }
+
+      const point = { day, videos, ...total, viewsDelta: previous ? total.views - previous.views : 0 };
+      previous = total;
+      return point;
+    });
+
+    return { account, timezone, days, videos: records.length, points };
+  }
+
+  // 供创意生成和趋势分析参考：按日均播放排序的近期视频
+  async getTopPerformers({ account, limit = config.performanceTracking.ideaHints } = {}) {
+    if (!limit) return [];
+
+    const videos = await ErrorHandler.safeExecute(() => this.listVideos({ account }), '加载视频表现数据', []);
+    return videos
+      .sort((a, b) => b.growth.viewsPerDay - a.growth.viewsPerDay)
+      .slice(0, limit)
+      .map((video) => ({
+        title: video.title,
+        views: video.latest.views,
+        likes: video.latest.likes,
+        viewsPerDay: video.growth.viewsPerDay
+      }));
+  }
+}
+
+module.exports = PerformanceTracker;
@@ -0,0 +1,163 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { logger, ErrorHandler } = require('../utils/logger');
+
+const HOOKS = ['beforeScript', 'afterScript', 'afterRender', 'beforeUpload', 'afterUpload', 'onError'];
+
+class PipelineAbortedError extends Error {
+  constructor(reason, plugin) {
+    super(reason || '运行被插件中止');
+    this.name = 'PipelineAbortedError';
+    this.code = 'PIPELINE_ABORTED';
+    this.plugin = plugin;
+  }
+}
+
+// 插件是插件目录下导出 { name, hooks: { afterRender() {...} } } 的模块，按文件名顺序执行
+class PluginManager {
+  constructor(dir) {
+    this.dir = dir;
+    this.plugins = [];
+    this.failed = [];
+    this.loading = null;
+  }
+
+  async load() {
+    if (!this.loading) {
+      this.loading = this.loadAll();
+    }
+    return this.loading;
+  }
+
+  async reload() {
+    for (const plugin of [...this.plugins, ...this.failed]) {
+      delete require.cache[plugin.file];
+    }
+    this.loading = null;
+    return this.load();
+  }
+
+  async loadAll() {
+    this.plugins = [];
+    this.failed = [];
+
+    let files;
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return this.plugins;
+      throw error;
+    }
+
+    for (const file of files.filter((name) => name.endsWith('.js')).sort()) {
+      const filePath = path.resolve(this.dir, file);
+
+      try {
+        const plugin = this.validate(require(filePath), file);
+        if (plugin.enabled === false) {
+          logger.info('插件已停用，跳过加载', { plugin: plugin.name });
+          continue;
+        }
+
+        this.plugins.push({ ...plugin, file: filePath });
+      } catch (error) {
+        ErrorHandler.handle(error, `插件加载失败: ${file}`);
+        this.failed.push({ name: file, file: filePath, error: error.message });
+      }
+    }
+
+    logger.info('插件加载完成', { dir: this.dir, plugins: this.plugins.map((plugin) => plugin.name) });
+    return this.plugins;
+  }
+
+  validate(plugin, file) {
+    if (!plugin || typeof plugin.hooks !== 'object') {
+      throw new Error('插件必须导出hooks对象');
+    }
+
+    const unknown = Object.keys(plugin.hooks).filter((hook) => !HOOKS.includes(hook));
+    if (unknown.length > 0) {
+      throw new Error(`未知的插件钩子: ${unknown.join(', ')}`);
+    }
+
+    return { ...plugin, name: plugin.name || path.basename(file, '.js') };
+  }
+
+  // 依次执行各插件的钩子，返回合并后的上下文修改；钩子可通过abort()中止运行
+  async runHook(hook, context, run, extra = {}) {
+    const patch = {};
+
+    for (const plugin of this.plugins) {
+      const handler = plugin.hooks[hook];
+      if (typeof handler !== 'function') continue;
+
+      const api = {
+        ...extra,
+        hook,
+        run: { id: run.id, options: run.options },
+        dryRun: !!run.options.dryRun,
+        logger: logger.child({ plugin: plugin.name }),
+        abort: (reason) => {
+          throw new PipelineAbortedError(reason, plugin.name);
+        }
+      };
+
+      let result;
+      try {
+        result = await handler({ ...context, ...patch }, api);
+      } catch (error) {
+        if (error.code === 'PIPELINE_ABORTED' && !error.plugin) {
+          error.plugin = plugin.name;
+        }
+        if (error.code !== 'PIPELINE_ABORTED') {
+          error.message = `插件 ${plugin.name} 的 ${hook} 钩子执行失败: ${error.message}`;
+        }
+        throw error;
+      }
+
+      if (result && typeof result === 'object') {
+        Object.assign(patch, result);
+      }
+    }
+
+    return patch;
+  }
+
+  // onError钩子只用于通知，自身的异常不影响运行状态
+  async notifyError(context, run, { stage, error }) {
+    for (const plugin of this.plugins) {
+      const handler = plugin.hooks.onError;
+      if (typeof handler !== 'function') continue;
+
+      try {
+        await handler(context, {
+          hook: 'onError',
+          stage,
+          error: { message: error.message, code: error.code || null },
+          aborted: error.code === 'PIPELINE_ABORTED',
+          run: { id: run.id, options: run.options },
+          dryRun: !!run.options.dryRun,
+          logger: logger.child({ plugin: plugin.name })
+        });
+      } catch (hookError) {
+        ErrorHandler.handle(hookError, `插件 ${plugin.name} 的 onError 钩子执行失败`);
+      }
+    }
+  }
+
+  listPlugins() {
+    return [
+      ...this.plugins.map((plugin) => ({
+        name: plugin.name,
+        file: plugin.file,
+        hooks: Object.keys(plugin.hooks).filter((hook) => typeof plugin.hooks[hook] === 'function'),
+        loaded: true
+      })),
+      ...this.failed.map((plugin) => ({ ...plugin, loaded: false }))
+    ];
+  }
+}
+
+module.exports = PluginManager;
+module.exports.HOOKS = HOOKS;
+module.exports.PipelineAbortedError = PipelineAbortedError;
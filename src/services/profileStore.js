@@ -0,0 +1,129 @@
+const RecordStore = require('../utils/recordStore');
+const topicSources = require('./topicSources');
+const { TOPIC_MIX_MODES } = require('./topicSources');
+const { isValidLanguageCode } = require('./localizer');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+// 目标格式决定渲染分辨率、时长和平台优化参数
+const FORMAT_PRESETS = {
+  shorts: { resolution: '1080x1920', platform: 'shorts', duration: 60 },
+  youtube: { resolution: '1920x1080', platform: 'youtube', duration: 180 }
+};
+
+const PRIVACY_STATUSES = ['public', 'private', 'unlisted'];
+
+const EDITABLE_FIELDS = [
+  'name', 'account', 'niche', 'language', 'privacyStatus',
+  'categoryId', 'dailyLimit', 'format', 'enabled', 'topicSources', 'topicMix',
+  'targetLanguages', 'bannedWords', 'bannedTopics'
+];
+
+class ProfileStore {
+  constructor() {
+    this.store = new RecordStore(config.paths.profiles);
+  }
+
+  validate(profile) {
+    const errors = [];
+
+    if (!profile.name) {
+      errors.push('name不能为空');
+    }
+    if (!profile.account) {
+      errors.push('account不能为空');
+    }
+    if (!FORMAT_PRESETS[profile.format]) {
+      errors.push(`不支持的目标格式: ${profile.format}`);
+    }
+    if (!PRIVACY_STATUSES.includes(profile.privacyStatus)) {
+      errors.push(`无效的隐私状态: ${profile.privacyStatus}`);
+    }
+    if (!Number.isInteger(profile.dailyLimit) || profile.dailyLimit < 0) {
+      errors.push('dailyLimit必须是非负整数');
+    }
+    // 早期创建的频道配置没有选题来源字段
+    if (profile.topicMix !== undefined && !TOPIC_MIX_MODES.includes(profile.topicMix)) {
+      errors.push(`不支持的选题混合方式: ${profile.topicMix}`);
+    }
+    errors.push(...topicSources.validateSources(profile.topicSources || []));
+    if (profile.targetLanguages !== undefined
+      && (!Array.isArray(profile.targetLanguages) || !profile.targetLanguages.every(isValidLanguageCode))) {
+      errors.push(`无效的目标语言: ${profile.targetLanguages}`);
+    }
+    for (const field of ['bannedWords', 'bannedTopics']) {
+      if (profile[field] !== undefined
+        && (!Array.isArray(profile[field]) || profile[field].some((item) => typeof item !== 'string' || !item.trim()))) {
+        errors.push(`${field}必须是非空字符串数组`);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+  }
+
+  async listProfiles() {
+    return this.store.list();
+  }
+
+  async getProfile(id) {
+    return this.store.get(id);
+  }
+
+  async createProfile(data) {
+    const profile = {
+      name: data.name,
+      account: data.account,
+      niche: data.niche || '',
+      language: data.language || 'zh-CN',
+      privacyStatus: data.privacyStatus || 'private',
+      categoryId: data.categoryId || '22',
+      dailyLimit: data.dailyLimit ?? config.automation.maxVideosPerDay,
+      format: data.format || 'shorts',
+      enabled: data.enabled !== false,
+      topicSources: data.topicSources || [],
+      topicMix: data.topicMix || 'weighted',
+      targetLanguages: data.targetLanguages || [],
+      bannedWords: data.bannedWords || [],
+      bannedTopics: data.bannedTopics || []
+    };
+
+    this.validate(profile);
+    const saved = await this.store.save(profile);
+    logger.info('频道配置已创建', { profileId: saved.id, account: saved.account });
+    return saved;
+  }
+
+  async updateProfile(id, changes) {
+    const saved = await this.store.update(id, (profile) => {
+      if (!profile) return null;
+
+      for (const field of EDITABLE_FIELDS) {
+        if (changes[field] !== undefined) {
+          profile[field] = changes[field];
+        }
+      }
+
+      this.validate(profile);
+      return profile;
+    });
+
+    if (saved) {
+      logger.info('频道配置已更新', { profileId: id });
+    }
+    return saved;
+  }
+
+  async deleteProfile(id) {
+    const removed = await this.store.remove(id);
+    if (removed) {
+      logger.info('频道配置已删除', { profileId: id });
+    }
+    return removed;
+  }
+}
+
+module.exports = new ProfileStore();
+module.exports.FORMAT_PRESETS = FORMAT_PRESETS;
+module.exports.PRIVACY_STATUSES = PRIVACY_STATUSES;
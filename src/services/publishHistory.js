@@ -0,0 +1,99 @@
+const RecordStore = require('../utils/recordStore');
+const { textSimilarity, tagSimilarity } = require('../utils/similarity');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+const DIMENSIONS = [
+  { key: 'title', label: '标题', threshold: 'titleThreshold' },
+  { key: 'script', label: '脚本', threshold: 'scriptThreshold' },
+  { key: 'tags', label: '标签', threshold: 'tagThreshold' }
+];
+
+class PublishHistory {
+  constructor() {
+    this.store = new RecordStore(config.paths.history);
+  }
+
+  async record(entry) {
+    const saved = await this.store.save({
+      runId: entry.runId || null,
+      videoId: entry.videoId || null,
+      account: entry.account || null,
+      profileId: entry.profileId || null,
+      title: entry.title || '',
+      description: entry.description || '',
+      script: entry.script || '',
+      tags: entry.tags || [],
+      publishedAt: entry.publishedAt || new Date().toISOString(),
+      source: entry.source || 'pipeline'
+    });
+
+    logger.info('发布历史已记录', { historyId: saved.id, videoId: saved.videoId, account: saved.account });
+    return saved;
+  }
+
+  async listHistory({ account, since, limit } = {}) {
+    const entries = await this.store.list((entry) =>
+      (!account || entry.account === account) &&
+      (!since || new Date(entry.publishedAt) >= since)
+    );
+    return limit ? entries.slice(0, limit) : entries;
+  }
+
+  async getEntry(id) {
+    return this.store.get(id);
+  }
+
+  async removeEntry(id) {
+    return this.store.remove(id);
+  }
+
+  compare(candidate, entry, thresholds) {
+    const scores = {
+      title: textSimilarity(candidate.title, entry.title),
+      script: textSimilarity(candidate.script, entry.script),
+      tags: tagSimilarity(candidate.tags, entry.tags)
+    };
+
+    const reasons = DIMENSIONS
+      .filter(({ key, threshold }) => scores[key] >= thresholds[threshold])
+      .map(({ key, label, threshold }) =>
+        `${label}相似度 ${scores[key].toFixed(2)} ≥ 阈值 ${thresholds[threshold]}`);
+
+    return {
+      historyId: entry.id,
+      videoId: entry.videoId,
+      title: entry.title,
+      publishedAt: entry.publishedAt,
+      scores: {
+        title: Number(scores.title.toFixed(3)),
+        script: Number(scores.script.toFixed(3)),
+        tags: Number(scores.tags.toFixed(3))
+      },
+      reasons
+    };
+  }
+
+  // 将候选内容与回溯期内的历史视频比较，返回是否重复及每条命中的原因
+  async checkDuplicate(candidate, options = {}) {
+    const guard = { ...config.duplicateGuard, ...options };
+    const since = new Date(Date.now() - guard.lookbackDays * 24 * 60 * 60 * 1000);
+    const history = await this.listHistory({
+      account: guard.scope === 'account' ? options.account : undefined,
+      since
+    });
+
+    const matches = history
+      .map((entry) => this.compare(candidate, entry, guard))
+      .filter((match) => match.reasons.length > 0)
+      .sort((a, b) => Math.max(...Object.values(b.scores)) - Math.max(...Object.values(a.scores)));
+
+    return {
+      duplicate: matches.length > 0,
+      checked: history.length,
+      matches: matches.slice(0, 5)
+    };
+  }
+}
+
+module.exports = new PublishHistory();
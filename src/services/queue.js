@@ -1,6 +1,7 @@
 const Bull = require('bull');
 const config = require('../config');
-const { logger } = require('../utils/logger');
+const { logger, ErrorHandler } = require('../utils/logger');
+const budgetGuard = require('./budgetGuard');
 
 class QueueService {
   constructor() {
@@ -34,7 +35,10 @@ class QueueService {
       logger.info('开始处理视频生成任务', { jobId: job.id });
       job.progress(10);
 
-      const result = await videoEditor.createVideoFromScript(job.data.scriptData, job.data.options);
+      // 时间线渲染任务与脚本视频共用视频生成队列
+      const result = job.data.timeline
+        ? await videoEditor.renderTimeline(job.data.timeline, job.data.options)
+        : await videoEditor.createVideoFromScript(job.data.scriptData, job.data.options);
       job.progress(100);
 
       return result;
@@ -57,14 +61,30 @@ class QueueService {
 
     this.queues.videoUpload.process(2, async (job) => {
       const YouTubeService = require('./youtube');
-      const youtubeService = new YouTubeService();
+      const quotaLedger = require('./quotaLedger');
+      const youtubeService = new YouTubeService({ account: job.data.account });
+      const account = youtubeService.getAccount();
       
-      logger.info('开始处理视频上传任务', { jobId: job.id });
+      logger.info('开始处理视频上传任务', { jobId: job.id, account });
+
+      // 配额用完时重试没有意义，直接放弃该任务
+      if (await quotaLedger.isLimitReached(account, 'uploaded')) {
+        job.discard();
+        throw new Error(`账户 ${account} 今日上传配额已用完`);
+      }
       job.progress(10);
 
       await youtubeService.initialize();
       const result = await youtubeService.uploadVideo(job.data.videoPath, job.data.metadata);
-      
+      if (!result) {
+        throw new Error('视频上传失败');
+      }
+
+      // 视频已上传，台账写入失败也不能让任务重试，否则会重复上传
+      await ErrorHandler.safeExecute(
+        () => quotaLedger.recordUploaded(account, { videoId: result.videoId, source: 'queue' }),
+        '记录上传配额'
+      );
       job.progress(100);
       return result;
     });
@@ -74,6 +94,13 @@ class QueueService {
       const openaiService = new OpenAIService();
       
       logger.info('开始处理AI任务', { jobId: job.id, type: job.data.type });
+
+      try {
+        await budgetGuard.assertWithinBudget();
+      } catch (error) {
+        job.discard();
+        throw error;
+      }
       job.progress(10);
 
       let result;
@@ -143,6 +170,22 @@ class QueueService {
     return job;
   }
 
+  async addTimelineRenderJob(timeline, priority = 0) {
+    const job = await this.queues.videoGeneration.add(
+      'renderTimeline',
+      { timeline },
+      {
+        priority,
+        attempts: 1,
+        removeOnComplete: 10,
+        removeOnFail: 5
+      }
+    );
+
+    logger.info('时间线渲染任务已添加到队列', { jobId: job.id, name: timeline.name });
+    return job;
+  }
+
   async addTrendAnalysisJob(priority = 0) {
     const job = await this.queues.trendAnalysis.add(
       'analyzeTrends',
@@ -163,10 +206,10 @@ class QueueService {
     return job;
   }
 
-  async addVideoUploadJob(videoPath, metadata, priority = 0) {
+  async addVideoUploadJob(videoPath, metadata, priority = 0, account = null) {
     const job = await this.queues.videoUpload.add(
       'uploadVideo',
-      { videoPath, metadata },
+      { videoPath, metadata, account },
       {
         priority,
         attempts: 3,
@@ -184,6 +227,8 @@ class QueueService {
   }
 
   async addAIProcessingJob(type, data, priority = 0) {
+    await budgetGuard.assertWithinBudget();
+
     const job = await this.queues.aiProcessing.add(
       type,
       { type, ...data },
@@ -0,0 +1,104 @@
+const RecordStore = require('../utils/recordStore');
+const { formatDateKey } = require('../utils/time');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+const QUOTA_TYPES = ['produced', 'uploaded'];
+
+// 按账户和日期持久化的产量台账，进程重启后计数不会归零
+class QuotaLedger {
+  constructor() {
+    this.store = new RecordStore(config.paths.quota);
+  }
+
+  getDay(date = new Date()) {
+    return formatDateKey(date, config.automation.quotaTimezone);
+  }
+
+  getLedgerId(account, day) {
+    return `${account}_${day}`;
+  }
+
+  emptyLedger(account, day) {
+    return {
+      id: this.getLedgerId(account, day),
+      account,
+      day,
+      timezone: config.automation.quotaTimezone,
+      produced: 0,
+      uploaded: 0,
+      entries: []
+    };
+  }
+
+  async getLedger(account, date = new Date()) {
+    const day = this.getDay(date);
+    return (await this.store.get(this.getLedgerId(account, day))) || this.emptyLedger(account, day);
+  }
+
+  // 同一运行的同类记录只计一次，恢复运行时不会重复计数
+  async record(type, account, { runId, videoId, source = 'pipeline' } = {}) {
+    if (!QUOTA_TYPES.includes(type)) {
+      throw new Error(`未知的配额类型: ${type}`);
+    }
+
+    const day = this.getDay();
+    const ledger = await this.store.update(this.getLedgerId(account, day), (current) => {
+      const ledger = current || this.emptyLedger(account, day);
+      if (runId && ledger.entries.some((entry) => entry.type === type && entry.runId === runId)) {
+        return null;
+      }
+
+      ledger.entries.push({
+        type,
+        runId: runId || null,
+        videoId: videoId || null,
+        source,
+        at: new Date().toISOString()
+      });
+      ledger[type] += 1;
+      return ledger;
+    });
+
+    logger.info('配额台账已更新', { account, day, type, count: ledger?.[type] });
+    return ledger;
+  }
+
+  async recordProduced(account, details) {
+    return this.record('produced', account, details);
+  }
+
+  async recordUploaded(account, details) {
+    return this.record('uploaded', account, details);
+  }
+
+  summarize(ledger) {
+    const limit = config.automation.maxVideosPerDay;
+    return {
+      account: ledger.account,
+      day: ledger.day,
+      timezone: ledger.timezone,
+      produced: ledger.produced,
+      uploaded: ledger.uploaded,
+      limit,
+      remaining: Math.max(0, limit - Math.max(ledger.produced, ledger.uploaded))
+    };
+  }
+
+  async getUsage(account, date = new Date()) {
+    return this.summarize(await this.getLedger(account, date));
+  }
+
+  async isLimitReached(account, type = 'produced') {
+    const ledger = await this.getLedger(account);
+    return ledger[type] >= config.automation.maxVideosPerDay;
+  }
+
+  async listUsage(date = new Date()) {
+    const day = this.getDay(date);
+    const ledgers = await this.store.list((ledger) => ledger.day === day);
+    return ledgers.map((ledger) => this.summarize(ledger));
+  }
+}
+
+module.exports = new QuotaLedger();
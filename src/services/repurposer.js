@@ -0,0 +1,312 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const RecordStore = require('../utils/recordStore');
+const { parseSubtitles, sliceCues } = require('../utils/subtitles');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.mkv', '.webm', '.m4v'];
+const SUBTITLE_EXTENSIONS = ['.srt', '.vtt'];
+
+// 提示词中的字幕行数上限，超出时合并相邻字幕
+const MAX_TRANSCRIPT_LINES = 300;
+
+// 长视频切片：转写源视频并挑选高光片段，转写和选段结果按源文件缓存，
+// 同一源视频的多次运行依次领取不同的片段
+class Repurposer {
+  constructor(options = {}) {
+    this.openaiService = options.openaiService;
+    this.videoEditor = options.videoEditor;
+    this.store = new RecordStore(config.paths.repurpose);
+  }
+
+  // 只允许处理输入目录中的文件
+  resolveSource(file) {
+    const inputDir = path.resolve(config.paths.videoInput);
+    const sourcePath = path.resolve(inputDir, file);
+
+    if (!sourcePath.startsWith(inputDir + path.sep)) {
+      throw new Error(`源视频必须位于输入目录中: ${file}`);
+    }
+    if (!VIDEO_EXTENSIONS.includes(path.extname(sourcePath).toLowerCase())) {
+      throw new Error(`不支持的视频格式: ${file}`);
+    }
+    return sourcePath;
+  }
+
+  async getSourceStat(file) {
+    try {
+      return await fs.stat(this.resolveSource(file));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`源视频不存在: ${file}`);
+      }
+      throw error;
+    }
+  }
+
+  // 源文件被替换后大小或修改时间会变化，生成新的记录
+  getSourceId(file, stat) {
+    const hash = crypto.createHash('sha1')
+      .update(`${path.normalize(file)}:${stat.size}:${stat.mtimeMs}`)
+      .digest('hex');
+    return `src_${hash.slice(0, 16)}`;
+  }
+
+  async listSources() {
+    const inputDir = path.resolve(config.paths.videoInput);
+    let files;
+    try {
+      files = await fs.readdir(inputDir);
+    } catch {
+      return [];
+    }
+
+    const videos = files.filter((file) => VIDEO_EXTENSIONS.includes(path.extname(file).toLowerCase()));
+    return Promise.all(videos.map(async (file) => {
+      const stat = await fs.stat(path.join(inputDir, file));
+      const record = await this.store.get(this.getSourceId(file, stat));
+      return {
+        file,
+        size: stat.size,
+        prepared: !!record?.highlights?.length,
+        duration: record?.duration || null,
+        transcript: record?.transcript.origin || null,
+        highlights: (record?.highlights || []).map(({ index, start, end, title, runId }) => ({ index, start, end, title, runId }))
+      };
+    }));
+  }
+
+  async prepareSource(file, { count = config.repurpose.clipsPerSource, language, dryRun = false } = {}) {
+    const sourcePath = this.resolveSource(file);
+    const stat = await this.getSourceStat(file);
+    const id = this.getSourceId(file, stat);
+    const existing = dryRun ? null : await this.store.get(id);
+
+    if (existing?.highlights.length > 0) {
+      return existing;
+    }
+
+    const info = await this.videoEditor.getVideoInfo(sourcePath);
+    const duration = Number(info?.format?.duration);
+    if (!duration) {
+      throw new Error(`无法读取源视频信息: ${file}`);
+    }
+
+    let record = existing || {
+      id,
+      file,
+      size: stat.size,
+      duration,
+      transcript: await this.loadTranscript(sourcePath, { duration, language }),
+      highlights: []
+    };
+    // 先保存转写结果，选段失败时重试不用再次付费转写
+    if (!dryRun && !existing) {
+      record = await this.store.save(record);
+    }
+
+    record.highlights = await this.selectHighlights(record.transcript.cues, duration, { count, language });
+    if (record.highlights.length === 0) {
+      throw new Error(`没有从源视频中选出可用的高光片段: ${file}`);
+    }
+
+    logger.info('源视频高光片段已选出', { file, transcript: record.transcript.origin, highlights: record.highlights.length });
+    return dryRun ? record : this.store.save(record);
+  }
+
+  // 优先使用源视频旁的同名字幕文件，没有时提取音轨进行语音转写
+  async loadTranscript(sourcePath, { duration, language }) {
+    const base = sourcePath.slice(0, -path.extname(sourcePath).length);
+
+    for (const extension of SUBTITLE_EXTENSIONS) {
+      let content;
+      try {
+        content = await fs.readFile(`${base}${extension}`, 'utf8');
+      } catch {
+        continue;
+      }
+
+      const cues = parseSubtitles(content);
+      if (cues.length > 0) {
+        logger.info('使用源视频字幕文件', { file: path.basename(`${base}${extension}`), cues: cues.length });
+        return { origin: path.basename(`${base}${extension}`), cues };
+      }
+    }
+
+    const audioPath = await this.videoEditor.extractAudio(sourcePath);
+    if (!audioPath) {
+      throw new Error(`提取音轨失败: ${path.basename(sourcePath)}`);
+    }
+
+    let cues;
+    try {
+      cues = await this.openaiService.transcribeAudio(audioPath, { duration, language });
+    } finally {
+      await this.videoEditor.cleanup([audioPath]);
+    }
+
+    if (!cues || cues.length === 0) {
+      throw new Error(`语音转写失败或没有识别到语音: ${path.basename(sourcePath)}`);
+    }
+    return { origin: 'transcription', cues };
+  }
+
+  async selectHighlights(cues, duration, { count, language }) {
+    const { minClipDuration, maxClipDuration } = config.repurpose;
+    const response = await this.openaiService.selectHighlights(this.condenseCues(cues), {
+      count,
+      minDuration: minClipDuration,
+      maxDuration: maxClipDuration,
+      language
+    });
+
+    let parsed;
+    try {
+      parsed = JSON.parse(response);
+    } catch {
+      parsed = null;
+    }
+
+    const candidates = Array.isArray(parsed?.highlights) ? parsed.highlights : [];
+    return this.normalizeHighlights(candidates, duration)
+      .slice(0, count)
+      .map((highlight, index) => ({ index, ...highlight, runId: null }));
+  }
+
+  condenseCues(cues) {
+    if (cues.length <= MAX_TRANSCRIPT_LINES) {
+      return cues;
+    }
+
+    const size = Math.ceil(cues.length / MAX_TRANSCRIPT_LINES);
+    const condensed = [];
+    for (let i = 0; i < cues.length; i += size) {
+      const group = cues.slice(i, i + size);
+      condensed.push({
+        start: group[0].start,
+        end: group[group.length - 1].end,
+        text: group.map((cue) => cue.text).join(' ')
+      });
+    }
+    return condensed;
+  }
+
+  // AI给出的时间可能越界、过长或互相重叠，按配置的时长范围修正并丢弃重叠片段
+  normalizeHighlights(candidates, duration) {
+    const { minClipDuration, maxClipDuration } = config.repurpose;
+    const accepted = [];
+
+    for (const candidate of candidates) {
+      const start = Math.max(0, Number(candidate.start));
+      let end = Math.min(duration, Number(candidate.end));
+      if (!Number.isFinite(start) || !Number.isFinite(end)) continue;
+
+      end = Math.min(end, start + maxClipDuration);
+      if (end - start < minClipDuration) {
+        end = Math.min(duration, start + minClipDuration);
+      }
+      if (end - start < minClipDuration) continue;
+      if (accepted.some((other) => start < other.end && end > other.start)) continue;
+
+      accepted.push({
+        start: Number(start.toFixed(3)),
+        end: Number(end.toFixed(3)),
+        title: String(candidate.title || `精彩片段${accepted.length + 1}`).substring(0, 100),
+        description: candidate.description || '',
+        tags: Array.isArray(candidate.tags) ? candidate.tags : [],
+        reason: candidate.reason || ''
+      });
+    }
+
+    return accepted;
+  }
+
+  // 已选段的源视频在创建运行前检查是否还有可用片段，避免留下注定失败的运行
+  async assertClipAvailable(file, clipIndex) {
+    const stat = await this.getSourceStat(file);
+    const record = await this.store.get(this.getSourceId(file, stat));
+    if (!record?.highlights.length) return;
+
+    if (clipIndex !== undefined && clipIndex !== null) {
+      if (!record.highlights[clipIndex]) {
+        throw new Error(`高光片段不存在: ${clipIndex}`);
+      }
+      return;
+    }
+    if (record.highlights.every((highlight) => highlight.runId)) {
+      throw new Error(`源视频的高光片段已全部使用: ${file}`);
+    }
+  }
+
+  // 同一运行重复领取时返回原片段；未指定clipIndex时领取第一个未使用的片段
+  async claimHighlight(record, runId, clipIndex, { dryRun = false } = {}) {
+    const pick = (highlights) => {
+      const own = highlights.find((highlight) => highlight.runId === runId);
+      if (own) return own;
+
+      if (clipIndex !== undefined && clipIndex !== null) {
+        const highlight = highlights[clipIndex];
+        if (!highlight) {
+          throw new Error(`高光片段不存在: ${clipIndex}`);
+        }
+        return highlight;
+      }
+
+      const unused = highlights.find((highlight) => !highlight.runId);
+      if (!unused) {
+        throw new Error(`源视频的高光片段已全部使用: ${record.file}`);
+      }
+      return unused;
+    };
+
+    if (dryRun) {
+      return pick(record.highlights);
+    }
+
+    let claimed;
+    await this.store.update(record.id, (current) => {
+      if (!current) {
+        throw new Error(`切片记录不存在: ${record.id}`);
+      }
+
+      claimed = pick(current.highlights);
+      if (claimed.runId === runId) {
+        return null;
+      }
+      claimed.runId = runId;
+      return current;
+    });
+
+    logger.info('已领取高光片段', { file: record.file, index: claimed.index, runId });
+    return claimed;
+  }
+
+  buildClip(record, highlight) {
+    const cues = sliceCues(record.transcript.cues, highlight.start, highlight.end);
+    return {
+      sourceId: record.id,
+      file: record.file,
+      sourcePath: this.resolveSource(record.file),
+      index: highlight.index,
+      start: highlight.start,
+      end: highlight.end,
+      transcript: cues,
+      captions: config.repurpose.burnCaptions ? cues : []
+    };
+  }
+
+  // 构造与AI脚本相同结构的创意，后续的元数据和上传阶段无需区分来源
+  buildIdea(clip, highlight) {
+    return {
+      title: highlight.title,
+      description: highlight.description,
+      script: clip.transcript.map((cue) => cue.text).join('. '),
+      tags: highlight.tags,
+      reason: highlight.reason
+    };
+  }
+}
+
+module.exports = Repurposer;
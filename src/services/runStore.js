@@ -0,0 +1,270 @@
+const os = require('os');
+const RecordStore = require('../utils/recordStore');
+const { formatDateKey } = require('../utils/time');
+const { createUsage, addUsage } = require('../utils/runContext');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+const RESUMABLE_STATUSES = ['failed', 'interrupted'];
+
+// 仍在执行或等待外部输入的运行状态
+const ACTIVE_STATUSES = ['running', 'awaiting_review'];
+
+// 不计入每日产量的运行状态
+const UNCOUNTED_STATUSES = ['failed', 'rejected', 'aborted', 'blocked'];
+
+class RunStore {
+  constructor() {
+    this.store = new RecordStore(config.paths.runs);
+  }
+
+  async createRun(options = {}, { account } = {}) {
+    const run = await this.store.save({
+      status: 'running',
+      account: account || options.account || null,
+      options,
+      currentStage: null,
+      stages: {},
+      context: {},
+      usage: createUsage(),
+      error: null,
+      owner: { pid: process.pid, host: os.hostname() }
+    });
+
+    logger.info('创建流水线运行记录', { runId: run.id });
+    return run;
+  }
+
+  async getRun(id) {
+    return this.store.get(id);
+  }
+
+  // 先按状态和是否可恢复筛选再截取，未设置limit时返回全部
+  async listRuns({ status, resumableOnly = false, limit } = {}) {
+    const runs = await this.store.list((run) =>
+      (!status || this.getEffectiveStatus(run) === status) &&
+      (!resumableOnly || this.isResumable(run))
+    );
+    return (limit === undefined ? runs : runs.slice(0, limit)).map((run) => ({
+      ...run,
+      status: this.getEffectiveStatus(run),
+      resumable: this.isResumable(run)
+    }));
+  }
+
+  // 审计查询：按账户、状态和日期筛选，date按调度时区的自然日匹配
+  async queryRuns({ account, status, date, from, to, dryRun, limit = 50, offset = 0 } = {}) {
+    const timezone = config.automation.timezone;
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+
+    const runs = await this.store.list((run) => {
+      const createdAt = new Date(run.createdAt).getTime();
+      return (!account || this.getRunAccount(run) === account) &&
+        (!status || this.getEffectiveStatus(run) === status) &&
+        (dryRun === undefined || !!run.options?.dryRun === dryRun) &&
+        (!date || formatDateKey(run.createdAt, timezone) === date) &&
+        (fromTime === null || createdAt >= fromTime) &&
+        (toTime === null || createdAt <= toTime);
+    });
+
+    return {
+      total: runs.length,
+      runs: runs.slice(offset, offset + limit).map((run) => this.toAudit(run))
+    };
+  }
+
+  getRunAccount(run) {
+    return run.account || run.options?.account || null;
+  }
+
+  toAudit(run) {
+    const context = run.context || {};
+    const endedAt = run.completedAt || run.closedAt || null;
+
+    return {
+      id: run.id,
+      status: this.getEffectiveStatus(run),
+      resumable: this.isResumable(run),
+      account: this.getRunAccount(run),
+      profileId: run.options?.profileId || null,
+      seriesId: run.options?.seriesId || null,
+      scheduleId: run.options?.scheduleId || null,
+      dryRun: !!run.options?.dryRun,
+      createdAt: run.createdAt,
+      updatedAt: run.updatedAt,
+      endedAt,
+      durationMs: endedAt ? new Date(endedAt) - new Date(run.createdAt) : null,
+      currentStage: run.currentStage,
+      error: run.error,
+      idea: context.scriptData?.title || context.idea?.title || null,
+      artifacts: {
+        videoPath: context.videoPath || null,
+        optimizedVideoPath: context.optimizedVideoPath || null,
+        thumbnailPath: context.thumbnailPath || null,
+        subtitles: context.subtitles || null
+      },
+      moderation: [context.scriptModeration, context.uploadModeration].filter(Boolean),
+      assets: context.assets || [],
+      videoId: context.uploadResult?.videoId || null,
+      url: context.uploadResult?.url || null,
+      usage: run.usage || createUsage(),
+      stages: Object.entries(run.stages)
+        .map(([name, stage]) => ({ name, ...stage }))
+        .sort((a, b) => String(a.startedAt).localeCompare(String(b.startedAt)))
+    };
+  }
+
+  async countRunsForDay(predicate, timezone, date = new Date()) {
+    const day = formatDateKey(date, timezone);
+    const runs = await this.store.list((run) =>
+      predicate(run) &&
+      !run.options?.dryRun &&
+      !UNCOUNTED_STATUSES.includes(run.status) &&
+      formatDateKey(run.createdAt, timezone) === day
+    );
+    return runs.length;
+  }
+
+  async findActiveRuns(predicate) {
+    return this.store.list((run) => predicate(run) && ACTIVE_STATUSES.includes(this.getEffectiveStatus(run)));
+  }
+
+  // 记录为running但所属进程已不存在的运行，视为被中断
+  getEffectiveStatus(run) {
+    if (run.status === 'running' && !this.isOwnerAlive(run.owner)) {
+      return 'interrupted';
+    }
+    return run.status;
+  }
+
+  isOwnerAlive(owner) {
+    if (!owner || owner.host !== os.hostname()) {
+      return false;
+    }
+    if (owner.pid === process.pid) {
+      return true;
+    }
+
+    try {
+      process.kill(owner.pid, 0);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  isResumable(run) {
+    return RESUMABLE_STATUSES.includes(this.getEffectiveStatus(run));
+  }
+
+  // 状态检查和认领在同一次加锁的读-改-写中完成，并发恢复同一运行时只有一次认领成功；
+  // 仍在执行的运行（所属进程存活）不会被认领。运行不存在或状态不在statuses中时返回null
+  async claimRun(id, statuses = RESUMABLE_STATUSES) {
+    let claimed = false;
+    const run = await this.store.update(id, (current) => {
+      if (!current || !statuses.includes(this.getEffectiveStatus(current))) {
+        return null;
+      }
+      claimed = true;
+      current.status = 'running';
+      current.error = null;
+      current.owner = { pid: process.pid, host: os.hostname() };
+      return current;
+    });
+    return claimed ? run : null;
+  }
+
+  async startStage(run, stage) {
+    run.currentStage = stage;
+    run.stages[stage] = {
+      status: 'running',
+      startedAt: new Date().toISOString()
+    };
+    return this.persist(run);
+  }
+
+  endStage(run, stage, status, timestampKey) {
+    const endedAt = new Date();
+    const current = run.stages[stage] || {};
+    run.stages[stage] = {
+      ...current,
+      status,
+      [timestampKey]: endedAt.toISOString(),
+      durationMs: current.startedAt ? endedAt - new Date(current.startedAt) : null
+    };
+  }
+
+  // 阶段用量只保留最近一次执行，运行总用量累计所有尝试
+  addStageUsage(run, stage, usage) {
+    if (run.stages[stage]) {
+      run.stages[stage].usage = { ...usage };
+    }
+    run.usage = addUsage(run.usage || createUsage(), usage);
+  }
+
+  async completeStage(run, stage, context) {
+    this.endStage(run, stage, 'completed', 'completedAt');
+    run.context = context;
+    return this.persist(run);
+  }
+
+  async invalidateStage(run, stage) {
+    delete run.stages[stage];
+    return this.persist(run);
+  }
+
+  async failRun(run, stage, error) {
+    run.status = 'failed';
+    this.endStage(run, stage, 'failed', 'failedAt');
+    run.error = { stage, message: error.message };
+    if (error.details) {
+      run.error.details = error.details;
+    }
+    return this.persist(run);
+  }
+
+  // 阶段需要外部输入（如人工审核）时暂停运行，阶段本身不算完成
+  async pauseRun(run, stage, status, context) {
+    run.status = status;
+    run.currentStage = stage;
+    this.endStage(run, stage, 'paused', 'pausedAt');
+    run.context = context;
+    return this.persist(run);
+  }
+
+  async abortRun(run, stage, reason) {
+    this.endStage(run, stage, 'aborted', 'abortedAt');
+    return this.closeRun(run, 'aborted', reason);
+  }
+
+  // 内容安全审查阻止的运行不可恢复，审查结果保留在context中
+  async blockRun(run, stage, reason, context) {
+    this.endStage(run, stage, 'blocked', 'blockedAt');
+    run.context = context;
+    return this.closeRun(run, 'blocked', reason);
+  }
+
+  async closeRun(run, status, reason) {
+    run.status = status;
+    run.error = reason ? { stage: run.currentStage, message: reason } : null;
+    run.currentStage = null;
+    run.closedAt = new Date().toISOString();
+    return this.persist(run);
+  }
+
+  async completeRun(run) {
+    run.status = 'completed';
+    run.currentStage = null;
+    run.completedAt = new Date().toISOString();
+    return this.persist(run);
+  }
+
+  async persist(run) {
+    const saved = await this.store.save(run);
+    run.updatedAt = saved.updatedAt;
+    return run;
+  }
+}
+
+module.exports = new RunStore();
@@ -0,0 +1,100 @@
+const cron = require('node-cron');
+const RecordStore = require('../utils/recordStore');
+const { isValidTimezone } = require('../utils/time');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+const EDITABLE_FIELDS = ['name', 'cron', 'timezone', 'account', 'profileId', 'seriesId', 'dailyCap', 'enabled'];
+
+class ScheduleStore {
+  constructor() {
+    this.store = new RecordStore(config.paths.schedules);
+  }
+
+  validate(schedule) {
+    const errors = [];
+
+    if (!schedule.cron || !cron.validate(schedule.cron)) {
+      errors.push(`无效的cron表达式: ${schedule.cron}`);
+    }
+    if (!isValidTimezone(schedule.timezone)) {
+      errors.push(`无效的时区: ${schedule.timezone}`);
+    }
+    if (schedule.dailyCap !== null && (!Number.isInteger(schedule.dailyCap) || schedule.dailyCap < 0)) {
+      errors.push('dailyCap必须是非负整数');
+    }
+
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+  }
+
+  async listSchedules() {
+    return this.store.list();
+  }
+
+  async getSchedule(id) {
+    return this.store.get(id);
+  }
+
+  async createSchedule(data) {
+    const schedule = {
+      name: data.name || data.cron,
+      cron: data.cron,
+      timezone: data.timezone || config.automation.timezone,
+      account: data.account || null,
+      profileId: data.profileId || null,
+      seriesId: data.seriesId || null,
+      dailyCap: data.dailyCap ?? null,
+      enabled: data.enabled !== false,
+      lastRunAt: null,
+      lastResult: null
+    };
+
+    this.validate(schedule);
+    const saved = await this.store.save(schedule);
+    logger.info('发布计划已创建', { scheduleId: saved.id, cron: saved.cron, timezone: saved.timezone });
+    return saved;
+  }
+
+  async updateSchedule(id, changes) {
+    const saved = await this.store.update(id, (schedule) => {
+      if (!schedule) return null;
+
+      for (const field of EDITABLE_FIELDS) {
+        if (changes[field] !== undefined) {
+          schedule[field] = changes[field];
+        }
+      }
+
+      this.validate(schedule);
+      return schedule;
+    });
+
+    if (saved) {
+      logger.info('发布计划已更新', { scheduleId: id });
+    }
+    return saved;
+  }
+
+  // 与编辑在同一把锁内读-改-写，执行结果不会覆盖并发的修改
+  async recordRun(id, result) {
+    return this.store.update(id, (schedule) => {
+      if (!schedule) return null;
+
+      schedule.lastRunAt = new Date().toISOString();
+      schedule.lastResult = result;
+      return schedule;
+    });
+  }
+
+  async deleteSchedule(id) {
+    const removed = await this.store.remove(id);
+    if (removed) {
+      logger.info('发布计划已删除', { scheduleId: id });
+    }
+    return removed;
+  }
+}
+
+module.exports = new ScheduleStore();
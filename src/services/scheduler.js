@@ -0,0 +1,159 @@
+const cron = require('node-cron');
+const scheduleStore = require('./scheduleStore');
+const runStore = require('./runStore');
+const { logger, ErrorHandler } = require('../utils/logger');
+const config = require('../config');
+
+class Scheduler {
+  constructor(onTrigger) {
+    this.onTrigger = onTrigger;
+    this.tasks = new Map();
+    this.inFlight = new Set();
+    this.fallbackTimer = null;
+    this.started = false;
+  }
+
+  async start() {
+    this.started = true;
+    const schedules = await scheduleStore.listSchedules();
+
+    for (const schedule of schedules) {
+      this.register(schedule);
+    }
+
+    this.syncFallback();
+    logger.info('发布计划已加载', { total: schedules.length, active: this.tasks.size });
+  }
+
+  stop() {
+    for (const task of this.tasks.values()) {
+      task.stop();
+    }
+    this.tasks.clear();
+
+    if (this.fallbackTimer) {
+      clearInterval(this.fallbackTimer);
+      this.fallbackTimer = null;
+    }
+
+    this.started = false;
+  }
+
+  register(schedule) {
+    this.unregister(schedule.id);
+    if (!this.started || !schedule.enabled) return;
+
+    const task = cron.schedule(schedule.cron, () => this.trigger(schedule.id), {
+      timezone: schedule.timezone
+    });
+    this.tasks.set(schedule.id, task);
+  }
+
+  unregister(id) {
+    const task = this.tasks.get(id);
+    if (task) {
+      task.stop();
+      this.tasks.delete(id);
+    }
+  }
+
+  // 没有任何启用的计划时，按CHECK_INTERVAL定期运行
+  syncFallback() {
+    const needsFallback = this.started && this.tasks.size === 0;
+
+    if (needsFallback && !this.fallbackTimer) {
+      this.fallbackTimer = setInterval(() => this.trigger(null), config.automation.checkInterval);
+      logger.info('未配置发布计划，使用默认检查间隔', { checkInterval: config.automation.checkInterval });
+    } else if (!needsFallback && this.fallbackTimer) {
+      clearInterval(this.fallbackTimer);
+      this.fallbackTimer = null;
+    }
+  }
+
+  async trigger(id) {
+    const key = id || 'default';
+    if (this.inFlight.has(key)) {
+      logger.warn('上一次计划任务仍在执行，跳过本次触发', { scheduleId: key });
+      return null;
+    }
+
+    this.inFlight.add(key);
+    try {
+      const schedule = id ? await scheduleStore.getSchedule(id) : null;
+      if (id && !schedule) {
+        this.unregister(id);
+        return null;
+      }
+
+      logger.info('定时任务触发', { scheduleId: key });
+
+      if (schedule && await this.isCapReached(schedule)) {
+        logger.info('发布计划今日已达上限', { scheduleId: id, dailyCap: schedule.dailyCap });
+        await scheduleStore.recordRun(id, { skipped: 'dailyCap' });
+        return null;
+      }
+
+      const result = await this.onTrigger(schedule);
+      if (schedule) {
+        await scheduleStore.recordRun(id, result
+          ? {
+            runId: result.runId,
+            videoId: result.videoId || null,
+            awaitingReview: !!result.awaitingReview,
+            aborted: !!result.aborted,
+            blocked: !!result.blocked
+          }
+          : { failed: true });
+      }
+      return result;
+    } catch (error) {
+      ErrorHandler.handle(error, `发布计划执行失败: ${key}`);
+      return null;
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+
+  async isCapReached(schedule) {
+    if (schedule.dailyCap === null || schedule.dailyCap === undefined) {
+      return false;
+    }
+
+    const count = await runStore.countRunsForDay(
+      (run) => run.options?.scheduleId === schedule.id,
+      schedule.timezone
+    );
+
+    return count >= schedule.dailyCap;
+  }
+
+  async listSchedules() {
+    const schedules = await scheduleStore.listSchedules();
+    return schedules.map((schedule) => ({ ...schedule, active: this.tasks.has(schedule.id) }));
+  }
+
+  async createSchedule(data) {
+    const schedule = await scheduleStore.createSchedule(data);
+    this.register(schedule);
+    this.syncFallback();
+    return schedule;
+  }
+
+  async updateSchedule(id, changes) {
+    const schedule = await scheduleStore.updateSchedule(id, changes);
+    if (schedule) {
+      this.register(schedule);
+      this.syncFallback();
+    }
+    return schedule;
+  }
+
+  async deleteSchedule(id) {
+    this.unregister(id);
+    const removed = await scheduleStore.deleteSchedule(id);
+    this.syncFallback();
+    return removed;
+  }
+}
+
+module.exports = Scheduler;
@@ -0,0 +1,140 @@
+const RecordStore = require('../utils/recordStore');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+const { PRIVACY_STATUSES } = require('./profileStore');
+
+const EDITABLE_FIELDS = [
+  'name', 'arc', 'episodeCount', 'account', 'profileId',
+  'playlistId', 'playlistTitle', 'playlistPrivacy', 'enabled'
+];
+
+class SeriesStore {
+  constructor() {
+    this.store = new RecordStore(config.paths.series);
+  }
+
+  validate(series) {
+    const errors = [];
+
+    if (!series.name) {
+      errors.push('name不能为空');
+    }
+    if (!series.arc) {
+      errors.push('arc不能为空');
+    }
+    if (!Number.isInteger(series.episodeCount) || series.episodeCount < 1) {
+      errors.push('episodeCount必须是正整数');
+    }
+    if (series.episodeCount < series.episodes.length) {
+      errors.push(`episodeCount不能小于已发布的集数(${series.episodes.length})`);
+    }
+    if (!PRIVACY_STATUSES.includes(series.playlistPrivacy)) {
+      errors.push(`无效的播放列表隐私状态: ${series.playlistPrivacy}`);
+    }
+
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+  }
+
+  getStatus(series) {
+    return series.episodes.length >= series.episodeCount ? 'completed' : 'active';
+  }
+
+  async listSeries() {
+    return this.store.list();
+  }
+
+  async getSeries(id) {
+    return this.store.get(id);
+  }
+
+  async createSeries(data) {
+    const series = {
+      name: data.name,
+      arc: data.arc,
+      episodeCount: data.episodeCount,
+      account: data.account || null,
+      profileId: data.profileId || null,
+      playlistId: data.playlistId || null,
+      playlistTitle: data.playlistTitle || data.name,
+      playlistPrivacy: data.playlistPrivacy || 'private',
+      enabled: data.enabled !== false,
+      episodes: []
+    };
+
+    this.validate(series);
+    series.status = this.getStatus(series);
+    const saved = await this.store.save(series);
+    logger.info('系列已创建', { seriesId: saved.id, name: saved.name, episodeCount: saved.episodeCount });
+    return saved;
+  }
+
+  async updateSeries(id, changes) {
+    const saved = await this.store.update(id, (series) => {
+      if (!series) return null;
+
+      for (const field of EDITABLE_FIELDS) {
+        if (changes[field] !== undefined) {
+          series[field] = changes[field];
+        }
+      }
+
+      this.validate(series);
+      series.status = this.getStatus(series);
+      return series;
+    });
+
+    if (saved) {
+      logger.info('系列已更新', { seriesId: id });
+    }
+    return saved;
+  }
+
+  async setPlaylist(id, playlistId) {
+    return this.store.update(id, (series) => {
+      if (!series) return null;
+
+      series.playlistId = playlistId;
+      return series;
+    });
+  }
+
+  // 与编辑在同一把锁内读-改-写，并发完成的剧集不会互相覆盖；同一运行重复记录时保持幂等
+  async recordEpisode(id, episode) {
+    let recorded = false;
+    const saved = await this.store.update(id, (series) => {
+      if (!series || series.episodes.some((existing) => existing.runId === episode.runId)) {
+        return null;
+      }
+
+      series.episodes.push({
+        number: episode.number,
+        runId: episode.runId,
+        videoId: episode.videoId,
+        title: episode.title,
+        summary: episode.summary || '',
+        publishedAt: new Date().toISOString()
+      });
+      series.episodes.sort((a, b) => a.number - b.number);
+      series.status = this.getStatus(series);
+      recorded = true;
+      return series;
+    });
+
+    if (recorded) {
+      logger.info('系列剧集已记录', { seriesId: id, episode: episode.number, status: saved.status });
+    }
+    return saved;
+  }
+
+  async deleteSeries(id) {
+    const removed = await this.store.remove(id);
+    if (removed) {
+      logger.info('系列已删除', { seriesId: id });
+    }
+    return removed;
+  }
+}
+
+module.exports = new SeriesStore();
@@ -0,0 +1,248 @@
+const { toExpression } = require('./keyframes');
+const { kenBurnsFilters } = require('./kenBurns');
+const { wrapText } = require('../../utils/subtitles');
+
+const SAMPLE_RATE = 44100;
+
+const round = (value) => Number(value.toFixed(3));
+const toFfmpegColor = (color) => color.replace('#', '0x');
+
+// 未设置关键帧时使用静态值
+function property(clip, name, fallback, options) {
+  const frames = clip.keyframes?.[name];
+  return frames ? toExpression(frames, options) : `${fallback}`;
+}
+
+function position(clip, name, centered, options, defaultValue = 0) {
+  if (clip.keyframes?.[name]) {
+    return toExpression(clip.keyframes[name], options);
+  }
+  const value = clip[name] ?? defaultValue;
+  return value === 'center' ? centered : `${value}`;
+}
+
+// 画面片段缩放到目标框，时间戳从0开始；带motion的图片片段由zoompan直接生成整段画面
+function videoClipFilters(clip, timeline, { width, height }) {
+  const filters = ['setpts=PTS-STARTPTS'];
+
+  const fit = clip.fit || 'cover';
+  if (clip.motion) {
+    filters.push(...kenBurnsFilters({
+      width,
+      height,
+      fps: timeline.fps,
+      frames: Math.max(1, Math.round(clip.length * timeline.fps)),
+      motion: clip.motion
+    }));
+  } else if (fit === 'cover') {
+    filters.push(`fps=${timeline.fps}`, `scale=${width}:${height}:force_original_aspect_ratio=increase`, `crop=${width}:${height}`);
+  } else if (fit === 'contain') {
+    filters.push(`fps=${timeline.fps}`, `scale=${width}:${height}:force_original_aspect_ratio=decrease`);
+  } else {
+    filters.push(`fps=${timeline.fps}`, `scale=${width}:${height}`);
+  }
+
+  filters.push('setsar=1', 'format=yuva420p');
+  if (clip.fadeIn > 0) {
+    filters.push(`fade=t=in:st=0:d=${clip.fadeIn}:alpha=1`);
+  }
+  if (clip.fadeOut > 0) {
+    filters.push(`fade=t=out:st=${round(Math.max(0, clip.length - clip.fadeOut))}:d=${clip.fadeOut}:alpha=1`);
+  }
+  if (clip.opacity !== undefined && clip.opacity < 1) {
+    filters.push(`colorchannelmixer=aa=${clip.opacity}`);
+  }
+  return filters;
+}
+
+// 同轨道上用xfade转场衔接的片段组成一组，组内片段使用第一个片段的尺寸和位置
+function groupClips(clips) {
+  const groups = [];
+  for (const clip of clips) {
+    if (clip.xfade && groups.length > 0) {
+      groups[groups.length - 1].push(clip);
+    } else {
+      groups.push([clip]);
+    }
+  }
+  return groups;
+}
+
+function inputOptions(clip) {
+  if (clip.image) {
+    return clip.motion ? [] : ['-loop 1', `-t ${round(clip.length)}`];
+  }
+  return [...(clip.loop ? ['-stream_loop -1'] : []), `-ss ${clip.in}`, `-t ${round(clip.length)}`];
+}
+
+function overlayFilter(clip, timeline) {
+  const width = clip.width || timeline.width;
+  const height = clip.height || timeline.height;
+  const options = { offset: clip.start };
+  let x = position(clip, 'x', `(W-${width})/2`, options);
+  let y = position(clip, 'y', `(H-${height})/2`, options);
+
+  // contain模式下画面在目标框内居中
+  if ((clip.fit || 'cover') === 'contain') {
+    x = `(${x})+(${width}-w)/2`;
+    y = `(${y})+(${height}-h)/2`;
+  }
+  return `overlay=x='${x}':y='${y}':eof_action=pass`;
+}
+
+function textFilter(clip, timeline, { fontOption, escapePath, textPath }) {
+  const options = { offset: clip.start };
+  // 文字默认在画面正中
+  const x = position(clip, 'x', '(w-text_w)/2', options, 'center');
+  const y = position(clip, 'y', '(h-text_h)/2', options, 'center');
+
+  const alpha = [property(clip, 'opacity', clip.opacity ?? 1, options)];
+  if (clip.fadeIn > 0) {
+    alpha.push(`min(1,max(0,(t-${clip.start})/${clip.fadeIn}))`);
+  }
+  if (clip.fadeOut > 0) {
+    alpha.push(`min(1,max(0,(${round(clip.end)}-t)/${clip.fadeOut}))`);
+  }
+
+  const parts = [
+    'drawtext=' + fontOption,
+    `textfile=${escapePath(textPath)}`,
+    'expansion=none',
+    `fontsize=${clip.fontSize || 64}`,
+    `fontcolor=${toFfmpegColor(clip.color || '#FFFFFF')}`,
+    'line_spacing=12',
+    `x='${x}'`,
+    `y='${y}'`,
+    `alpha='${alpha.join('*')}'`,
+    `enable='between(t,${clip.start},${round(clip.end)})'`
+  ];
+  if (clip.outline > 0) {
+    parts.push(`borderw=${clip.outline}`, 'bordercolor=black');
+  }
+  if (clip.box) {
+    parts.push('box=1', 'boxcolor=black@0.5', `boxborderw=${Math.round((clip.fontSize || 64) / 3)}`);
+  }
+  return parts.join(':');
+}
+
+// 音频统一为立体声后按起点延迟并补齐到时间线时长，混音时各路等长，音量不会随片段结束而跳变；
+// xfade转场期间前后两个片段的声音重叠，后一个淡入、前一个按crossfadeOut淡出，形成交叉淡化
+function audioClipFilters(clip, timeline, crossfadeOut = 0) {
+  const filters = [
+    'asetpts=PTS-STARTPTS',
+    `aformat=sample_rates=${SAMPLE_RATE}:channel_layouts=stereo`
+  ];
+
+  const volume = property(clip, 'volume', clip.volume ?? 1);
+  const fadeIn = Math.max(clip.fadeIn, clip.xfade?.duration || 0);
+  const fadeOut = Math.max(clip.fadeOut, crossfadeOut);
+  if (clip.keyframes?.volume) {
+    filters.push(`volume='${volume}':eval=frame`);
+  } else if (volume !== '1') {
+    filters.push(`volume=${volume}`);
+  }
+  if (fadeIn > 0) {
+    filters.push(`afade=t=in:st=0:d=${fadeIn}`);
+  }
+  if (fadeOut > 0) {
+    filters.push(`afade=t=out:st=${round(Math.max(0, clip.length - fadeOut))}:d=${fadeOut}`);
+  }
+
+  const delay = Math.round(clip.start * 1000);
+  if (delay > 0) {
+    filters.push(`adelay=${delay}|${delay}`);
+  }
+  filters.push('apad', `atrim=0:${timeline.duration}`);
+  return filters;
+}
+
+// 把规范化后的时间线编译为FFmpeg输入列表和filter_complex；后面的轨道叠加在前面的轨道之上，
+// 文字内容通过textfile传入，避免转义问题，texts由调用方写入临时文件
+function compileTimeline(timeline, { fontOption, escapePath, textPath }) {
+  const inputs = [];
+  const texts = [];
+  const filters = [
+    `color=c=${toFfmpegColor(timeline.background)}:s=${timeline.width}x${timeline.height}:r=${timeline.fps}:d=${timeline.duration}[base]`,
+    `anullsrc=r=${SAMPLE_RATE}:cl=stereo,atrim=0:${timeline.duration}[silence]`
+  ];
+  const audioLabels = ['[silence]'];
+  let videoLabel = '[base]';
+  let count = 0;
+  const next = (prefix) => `[${prefix}${count++}]`;
+
+  // 素材片段加入输入列表，视频片段自带的音轨同时加入混音
+  const clipStream = (clip, track, crossfadeOut = 0) => {
+    if (clip.color !== undefined) {
+      return `color=c=${toFfmpegColor(clip.color)}:s=${clip.width || timeline.width}x${clip.height || timeline.height}:r=${timeline.fps}:d=${round(clip.length)},`;
+    }
+
+    const index = inputs.length;
+    inputs.push({ source: clip.source, options: inputOptions(clip) });
+    if (track.type === 'video' && clip.hasAudio) {
+      const label = next('a');
+      filters.push(`[${index}:a]${audioClipFilters(clip, timeline, crossfadeOut).join(',')}${label}`);
+      audioLabels.push(label);
+    }
+    return `[${index}:${track.type === 'audio' ? 'a' : 'v'}]`;
+  };
+
+  for (const track of timeline.tracks) {
+    if (track.type === 'text') {
+      for (const clip of track.clips) {
+        const filePath = textPath(texts.length);
+        const maxWidth = clip.maxWidth || timeline.width * 0.9;
+        texts.push({ path: filePath, content: wrapText(clip.text, maxWidth, clip.fontSize || 64).join('\n') });
+
+        const label = next('v');
+        filters.push(`${videoLabel}${textFilter(clip, timeline, { fontOption, escapePath, textPath: filePath })}${label}`);
+        videoLabel = label;
+      }
+      continue;
+    }
+
+    if (track.type === 'audio') {
+      for (const clip of track.clips) {
+        const label = next('a');
+        filters.push(`${clipStream(clip, track)}${audioClipFilters(clip, timeline).join(',')}${label}`);
+        audioLabels.push(label);
+      }
+      continue;
+    }
+
+    // xfade的offset是组内已衔接部分的时长减去转场时长，即片段相对组起点的开始时间
+    for (const group of groupClips(track.clips)) {
+      const [first] = group;
+      const size = { width: first.width || timeline.width, height: first.height || timeline.height };
+      let groupLabel = null;
+
+      for (const [index, clip] of group.entries()) {
+        const clipLabel = next('c');
+        filters.push(`${clipStream(clip, track, group[index + 1]?.xfade.duration)}${videoClipFilters(clip, timeline, size).join(',')}${clipLabel}`);
+        if (!groupLabel) {
+          groupLabel = clipLabel;
+          continue;
+        }
+
+        const label = next('c');
+        filters.push(`${groupLabel}${clipLabel}xfade=transition=${clip.xfade.transition}:duration=${clip.xfade.duration}:offset=${round(clip.start - first.start)}${label}`);
+        groupLabel = label;
+      }
+
+      const shifted = next('c');
+      filters.push(`${groupLabel}setpts=PTS+${first.start}/TB${shifted}`);
+      const label = next('v');
+      filters.push(`${videoLabel}${shifted}${overlayFilter(first, timeline)}${label}`);
+      videoLabel = label;
+    }
+  }
+
+  filters.push(`${videoLabel}format=yuv420p[vout]`);
+  // amix会把每路音量除以输入数，各路等长时乘回输入数保持原音量
+  filters.push(audioLabels.length > 1
+    ? `${audioLabels.join('')}amix=inputs=${audioLabels.length}:duration=first:dropout_transition=0,volume=${audioLabels.length}[aout]`
+    : '[silence]anull[aout]');
+
+  return { inputs, filters, texts, duration: timeline.duration };
+}
+
+module.exports = { compileTimeline };
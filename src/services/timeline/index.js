@@ -0,0 +1,101 @@
+const fs = require('fs').promises;
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const { compileTimeline } = require('./compiler');
+const {
+  TRACK_TYPES, FIT_MODES, TRANSITIONS, TRANSITION_TYPES, KEYFRAME_PROPERTIES, isImage, validateTimeline, normalizeTimeline
+} = require('./schema');
+const { EASINGS } = require('./keyframes');
+const { MOTION_PRESETS } = require('./kenBurns');
+const config = require('../../config');
+
+// 时间线（编辑决策表）：JSON描述多条画面、音频和文字轨道，编译为一条FFmpeg命令渲染；
+// 素材文件只能来自输入目录、输出目录、素材目录和素材库目录；
+// 脚本渲染等内部调用可以通过roots额外允许临时目录（如配音文件）
+class TimelineManager {
+  getMediaRoots() {
+    return [config.paths.videoInput, config.paths.videoOutput, config.paths.assetFiles, config.paths.mediaFiles]
+      .map((dir) => path.resolve(dir));
+  }
+
+  resolveSource(source, roots = this.getMediaRoots()) {
+    const filePath = path.resolve(String(source));
+    if (!roots.some((root) => filePath.startsWith(root + path.sep))) {
+      throw new Error(`素材文件必须位于输入、输出、素材或素材库目录中: ${source}`);
+    }
+    return filePath;
+  }
+
+  getSources(timeline) {
+    return [...new Set((timeline.tracks || []).flatMap((track) =>
+      (Array.isArray(track?.clips) ? track.clips : []).map((clip) => clip?.source).filter(Boolean)))];
+  }
+
+  validate(timeline, { roots } = {}) {
+    const errors = validateTimeline(timeline);
+    if (errors.length > 0) {
+      return errors;
+    }
+
+    for (const source of this.getSources(timeline)) {
+      try {
+        this.resolveSource(source, roots);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+    return errors;
+  }
+
+  async probe(filePath) {
+    const metadata = await new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(filePath, (error, data) => (error ? reject(error) : resolve(data)));
+    });
+    return {
+      duration: Number(metadata.format.duration) || 0,
+      hasAudio: metadata.streams.some((stream) => stream.codec_type === 'audio')
+    };
+  }
+
+  // 校验时间线并读取素材时长和音轨信息，返回规范化后的时间线，素材路径替换为绝对路径
+  async load(timeline, { roots } = {}) {
+    const errors = this.validate(timeline, { roots });
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    const media = new Map();
+    for (const source of this.getSources(timeline)) {
+      const filePath = this.resolveSource(source, roots);
+      try {
+        await fs.access(filePath);
+      } catch {
+        throw new Error(`素材文件不存在: ${source}`);
+      }
+      media.set(source, isImage(source)
+        ? { image: true, hasAudio: false }
+        : { ...(await this.probe(filePath)), image: false });
+    }
+
+    const normalized = normalizeTimeline(timeline, media);
+    for (const track of normalized.tracks) {
+      for (const clip of track.clips.filter((item) => item.source)) {
+        clip.source = this.resolveSource(clip.source, roots);
+      }
+    }
+    return normalized;
+  }
+
+  compile(timeline, options) {
+    return compileTimeline(timeline, options);
+  }
+}
+
+module.exports = new TimelineManager();
+module.exports.TRACK_TYPES = TRACK_TYPES;
+module.exports.FIT_MODES = FIT_MODES;
+module.exports.TRANSITIONS = TRANSITIONS;
+module.exports.TRANSITION_TYPES = TRANSITION_TYPES;
+module.exports.KEYFRAME_PROPERTIES = KEYFRAME_PROPERTIES;
+module.exports.EASINGS = Object.keys(EASINGS);
+module.exports.MOTION_PRESETS = Object.keys(MOTION_PRESETS);
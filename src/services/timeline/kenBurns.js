@@ -0,0 +1,98 @@
+const { EASINGS } = require('./keyframes');
+
+// 推拉摇移（Ken Burns）：画面从from过渡到to，zoom为放大倍数，x、y为画面中心（焦点）在图片上的相对位置
+const MOTION_PRESETS = {
+  none: { from: {}, to: {} },
+  zoomIn: { from: { zoom: 1 }, to: { zoom: 1.25 } },
+  zoomOut: { from: { zoom: 1.25 }, to: { zoom: 1 } },
+  panLeft: { from: { zoom: 1.2, x: 0.58 }, to: { zoom: 1.2, x: 0.42 } },
+  panRight: { from: { zoom: 1.2, x: 0.42 }, to: { zoom: 1.2, x: 0.58 } },
+  panUp: { from: { zoom: 1.2, y: 0.58 }, to: { zoom: 1.2, y: 0.42 } },
+  panDown: { from: { zoom: 1.2, y: 0.42 }, to: { zoom: 1.2, y: 0.58 } }
+};
+
+const DEFAULT_EASING = 'easeInOut';
+const MAX_ZOOM = 5;
+// 先把图片放大到输出尺寸的两倍再取景，减轻zoompan按整数像素取景造成的抖动
+const SUPERSAMPLE = 2;
+
+const round = (value) => Number(value.toFixed(4));
+
+function validatePoint(point, label) {
+  if (!point || typeof point !== 'object' || Array.isArray(point)) {
+    return [`${label}必须是对象`];
+  }
+
+  const errors = [];
+  if (point.zoom !== undefined && !(Number.isFinite(point.zoom) && point.zoom >= 1 && point.zoom <= MAX_ZOOM)) {
+    errors.push(`${label}.zoom必须在1到${MAX_ZOOM}之间`);
+  }
+  for (const field of ['x', 'y']) {
+    if (point[field] !== undefined && !(Number.isFinite(point[field]) && point[field] >= 0 && point[field] <= 1)) {
+      errors.push(`${label}.${field}必须在0到1之间`);
+    }
+  }
+  return errors;
+}
+
+// motion可以是预设名，也可以是 { preset, focus, from, to, easing }；返回错误信息数组
+function validateMotion(motion) {
+  if (typeof motion === 'string') {
+    return MOTION_PRESETS[motion] ? [] : [`不支持的运动预设: ${motion}`];
+  }
+  if (!motion || typeof motion !== 'object' || Array.isArray(motion)) {
+    return ['motion必须是预设名或对象'];
+  }
+
+  const errors = [];
+  if (motion.preset !== undefined && !MOTION_PRESETS[motion.preset]) {
+    errors.push(`不支持的运动预设: ${motion.preset}`);
+  }
+  if (motion.easing !== undefined && !EASINGS[motion.easing]) {
+    errors.push(`不支持的easing: ${motion.easing}`);
+  }
+  for (const field of ['focus', 'from', 'to']) {
+    if (motion[field] !== undefined) {
+      errors.push(...validatePoint(motion[field], `motion.${field}`));
+    }
+  }
+  return errors;
+}
+
+// 起止画面依次取默认值（不放大、居中）、预设、focus和from/to；focus同时设置起止焦点
+function resolveMotion(motion) {
+  const spec = typeof motion === 'string' ? { preset: motion } : { ...motion };
+  const preset = MOTION_PRESETS[spec.preset || 'none'];
+  const point = (name) => ({ zoom: 1, x: 0.5, y: 0.5, ...preset[name], ...spec.focus, ...spec[name] });
+  return { from: point('from'), to: point('to'), easing: spec.easing || DEFAULT_EASING };
+}
+
+// 单张图片输入生成frames帧画面：先按输出比例裁切铺满，再用zoompan逐帧取景；
+// 取景框不超出图片边缘，焦点靠近边缘时画面停在边缘
+function kenBurnsFilters({ width, height, fps, frames, motion }) {
+  const { from, to, easing } = motion;
+  const progress = frames > 1 ? `(on/${frames - 1})` : '0';
+  const eased = EASINGS[easing](progress);
+  const value = (name) => (from[name] === to[name]
+    ? `${from[name]}`
+    : `(${from[name]}+(${round(to[name] - from[name])})*${eased})`);
+
+  const scaledWidth = width * SUPERSAMPLE;
+  const scaledHeight = height * SUPERSAMPLE;
+  return [
+    `scale=${scaledWidth}:${scaledHeight}:force_original_aspect_ratio=increase`,
+    `crop=${scaledWidth}:${scaledHeight}`,
+    `zoompan=z='${value('zoom')}'` +
+      `:x='max(0,min(iw-iw/zoom,${value('x')}*iw-iw/zoom/2))'` +
+      `:y='max(0,min(ih-ih/zoom,${value('y')}*ih-ih/zoom/2))'` +
+      `:d=${frames}:s=${width}x${height}:fps=${fps}`,
+    'setsar=1'
+  ];
+}
+
+module.exports = {
+  MOTION_PRESETS,
+  validateMotion,
+  resolveMotion,
+  kenBurnsFilters
+};
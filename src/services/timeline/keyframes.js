@@ -0,0 +1,58 @@
+// 关键帧编译为FFmpeg表达式，相邻关键帧之间按目标关键帧的easing插值，首尾之外保持端点值
+const EASINGS = {
+  linear: (p) => p,
+  easeIn: (p) => `${p}*${p}`,
+  easeOut: (p) => `${p}*(2-${p})`,
+  easeInOut: (p) => `${p}*${p}*(3-2*${p})`
+};
+
+function validateKeyframes(keyframes, properties) {
+  if (!keyframes || typeof keyframes !== 'object' || Array.isArray(keyframes)) {
+    return ['keyframes必须是对象'];
+  }
+
+  return Object.entries(keyframes).flatMap(([property, frames]) => {
+    if (!properties.includes(property)) {
+      return [`不支持关键帧的属性: ${property}`];
+    }
+    if (!Array.isArray(frames) || frames.length === 0) {
+      return [`keyframes.${property}必须是非空数组`];
+    }
+
+    return frames.flatMap((frame, index) => {
+      const errors = [];
+      if (!(Number.isFinite(frame?.time) && frame.time >= 0)) {
+        errors.push('time必须是不小于0的数字');
+      }
+      if (!Number.isFinite(frame?.value)) {
+        errors.push('value必须是数字');
+      }
+      if (frame?.easing !== undefined && !EASINGS[frame.easing]) {
+        errors.push(`不支持的easing: ${frame.easing}`);
+      }
+      return errors.map((error) => `keyframes.${property}[${index}]: ${error}`);
+    });
+  });
+}
+
+// timeVar为表达式中的时间变量，offset为片段在该时间轴上的起点
+function toExpression(frames, { offset = 0, timeVar = 't' } = {}) {
+  const sorted = [...frames].sort((a, b) => a.time - b.time);
+  const time = offset ? `(${timeVar}-${offset})` : timeVar;
+  const last = sorted[sorted.length - 1];
+
+  let expression = `${last.value}`;
+  for (let i = sorted.length - 2; i >= 0; i--) {
+    const from = sorted[i];
+    const to = sorted[i + 1];
+    const span = to.time - from.time;
+    if (span <= 0) continue;
+
+    const progress = `((${time}-${from.time})/${span})`;
+    const eased = EASINGS[to.easing || 'linear'](progress);
+    expression = `if(lt(${time},${to.time}),${from.value}+(${to.value - from.value})*${eased},${expression})`;
+  }
+  return `if(lt(${time},${sorted[0].time}),${sorted[0].value},${expression})`;
+}
+
+module.exports = { EASINGS, validateKeyframes, toExpression };
@@ -0,0 +1,283 @@
+const path = require('path');
+const { validateKeyframes } = require('./keyframes');
+const { validateMotion, resolveMotion } = require('./kenBurns');
+
+const TRACK_TYPES = ['video', 'audio', 'text'];
+const FIT_MODES = ['cover', 'contain', 'stretch'];
+// 转场类型对应的xfade效果；fade为片段淡入叠加在上一个片段之上，其余类型用xfade与同轨道上一个片段衔接
+const TRANSITIONS = {
+  fade: null,
+  crossfade: 'fade',
+  slide: 'slideleft',
+  wipe: 'wipeleft',
+  zoom: 'zoomin',
+  fadeblack: 'fadeblack'
+};
+const TRANSITION_TYPES = Object.keys(TRANSITIONS);
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp', '.bmp'];
+
+// 各类片段可以设置关键帧的属性
+const KEYFRAME_PROPERTIES = {
+  video: ['x', 'y', 'volume'],
+  audio: ['volume'],
+  text: ['x', 'y', 'opacity']
+};
+
+const COLOR = /^#[0-9a-fA-F]{6}$/;
+const MAX_SIZE = 4096;
+
+const isPositive = (value) => Number.isFinite(value) && value > 0;
+const isNonNegative = (value) => Number.isFinite(value) && value >= 0;
+const isPosition = (value) => value === undefined || value === 'center' || Number.isFinite(value);
+
+function isImage(source) {
+  return IMAGE_EXTENSIONS.includes(path.extname(String(source)).toLowerCase());
+}
+
+function validateClip(type, clip, index) {
+  const errors = [];
+  if (!clip || typeof clip !== 'object') {
+    return ['片段必须是对象'];
+  }
+
+  if (clip.start !== undefined && !isNonNegative(clip.start)) {
+    errors.push('start必须是不小于0的数字');
+  }
+  if (clip.duration !== undefined && !isPositive(clip.duration)) {
+    errors.push('duration必须大于0');
+  }
+  for (const field of ['fadeIn', 'fadeOut']) {
+    if (clip[field] !== undefined && !isNonNegative(clip[field])) {
+      errors.push(`${field}必须是不小于0的数字`);
+    }
+  }
+
+  if (type === 'text') {
+    if (typeof clip.text !== 'string' || !clip.text.trim()) {
+      errors.push('text不能为空');
+    }
+    if (clip.duration === undefined) {
+      errors.push('文字片段必须设置duration');
+    }
+    if (clip.fontSize !== undefined && !isPositive(clip.fontSize)) {
+      errors.push('fontSize必须大于0');
+    }
+    if (clip.outline !== undefined && !isNonNegative(clip.outline)) {
+      errors.push('outline必须是不小于0的数字');
+    }
+    if (clip.color !== undefined && !COLOR.test(clip.color)) {
+      errors.push(`无效的颜色: ${clip.color}`);
+    }
+  } else {
+    if (type === 'video' && clip.color !== undefined) {
+      if (!COLOR.test(clip.color)) {
+        errors.push(`无效的颜色: ${clip.color}`);
+      }
+      if (clip.source !== undefined) {
+        errors.push('source和color不能同时设置');
+      }
+    } else if (typeof clip.source !== 'string' || !clip.source) {
+      errors.push('source不能为空');
+    }
+
+    // 图片和纯色片段没有自身时长，必须设置duration
+    if (type === 'video' && (clip.color !== undefined || isImage(clip.source)) && clip.duration === undefined) {
+      errors.push('图片和纯色片段必须设置duration');
+    }
+    if (clip.in !== undefined && !isNonNegative(clip.in)) {
+      errors.push('in必须是不小于0的数字');
+    }
+    if (clip.out !== undefined && !(Number.isFinite(clip.out) && clip.out > (clip.in || 0))) {
+      errors.push('out必须大于in');
+    }
+    if (clip.volume !== undefined && !isNonNegative(clip.volume)) {
+      errors.push('volume必须是不小于0的数字');
+    }
+    // 循环播放的素材没有自身终点，必须设置duration
+    if (clip.loop !== undefined) {
+      if (typeof clip.loop !== 'boolean') {
+        errors.push('loop必须是布尔值');
+      } else if (clip.loop && (clip.color !== undefined || isImage(clip.source))) {
+        errors.push('只有视频和音频片段可以设置loop');
+      } else if (clip.loop && clip.duration === undefined) {
+        errors.push('循环片段必须设置duration');
+      }
+    }
+  }
+
+  if (type === 'video') {
+    if (clip.fit !== undefined && !FIT_MODES.includes(clip.fit)) {
+      errors.push(`不支持的fit: ${clip.fit}`);
+    }
+    if (clip.opacity !== undefined && !(isNonNegative(clip.opacity) && clip.opacity <= 1)) {
+      errors.push('opacity必须在0到1之间');
+    }
+    for (const field of ['width', 'height']) {
+      if (clip[field] !== undefined && !(Number.isInteger(clip[field]) && clip[field] > 0)) {
+        errors.push(`${field}必须是正整数`);
+      }
+    }
+    // 推拉摇移效果只用于图片片段，画面始终铺满目标框
+    if (clip.motion !== undefined) {
+      if (!isImage(clip.source)) {
+        errors.push('只有图片片段可以设置motion');
+      }
+      errors.push(...validateMotion(clip.motion));
+    }
+    if (clip.transition !== undefined) {
+      if (!TRANSITION_TYPES.includes(clip.transition?.type)) {
+        errors.push(`不支持的转场: ${clip.transition?.type}`);
+      }
+      if (!isPositive(clip.transition?.duration)) {
+        errors.push('transition.duration必须大于0');
+      }
+      if (TRANSITIONS[clip.transition?.type] && (index === 0 || clip.start !== undefined)) {
+        errors.push(`${clip.transition.type}转场的片段必须紧接在同轨道上一个片段之后，不能设置start`);
+      }
+    }
+  }
+
+  if (type !== 'audio') {
+    for (const field of ['x', 'y']) {
+      if (!isPosition(clip[field])) {
+        errors.push(`${field}必须是数字或center`);
+      }
+    }
+  }
+
+  if (clip.keyframes !== undefined) {
+    errors.push(...validateKeyframes(clip.keyframes, KEYFRAME_PROPERTIES[type]));
+  }
+  return errors;
+}
+
+// 只检查结构，不访问素材文件；返回错误信息数组
+function validateTimeline(timeline) {
+  if (!timeline || typeof timeline !== 'object' || Array.isArray(timeline)) {
+    return ['时间线必须是对象'];
+  }
+
+  const errors = [];
+  for (const field of ['width', 'height']) {
+    const value = timeline[field];
+    if (value !== undefined && !(Number.isInteger(value) && value > 0 && value <= MAX_SIZE && value % 2 === 0)) {
+      errors.push(`${field}必须是不大于${MAX_SIZE}的正偶数`);
+    }
+  }
+  if (timeline.fps !== undefined && !(Number.isInteger(timeline.fps) && timeline.fps > 0 && timeline.fps <= 120)) {
+    errors.push('fps必须是1到120之间的整数');
+  }
+  if (timeline.background !== undefined && !COLOR.test(timeline.background)) {
+    errors.push(`无效的背景颜色: ${timeline.background}`);
+  }
+  if (timeline.duration !== undefined && !isPositive(timeline.duration)) {
+    errors.push('duration必须大于0');
+  }
+  if (!Array.isArray(timeline.tracks) || timeline.tracks.length === 0) {
+    errors.push('tracks必须是非空数组');
+    return errors;
+  }
+
+  timeline.tracks.forEach((track, trackIndex) => {
+    const label = `tracks[${trackIndex}]`;
+    if (!TRACK_TYPES.includes(track?.type)) {
+      errors.push(`${label}: 不支持的轨道类型: ${track?.type}`);
+      return;
+    }
+    if (!Array.isArray(track.clips)) {
+      errors.push(`${label}: clips必须是数组`);
+      return;
+    }
+    track.clips.forEach((clip, clipIndex) => {
+      errors.push(...validateClip(track.type, clip, clipIndex).map((error) => `${label}.clips[${clipIndex}]: ${error}`));
+    });
+  });
+
+  return errors;
+}
+
+// 补全默认值并计算每个片段在时间线上的起止时间；没有设置start的片段接在同轨道上一个片段之后，
+// 带转场的片段与上一个片段重叠转场时长。media为素材路径到 { duration, hasAudio } 的映射
+function normalizeTimeline(timeline, media = new Map()) {
+  const errors = [];
+  const tracks = timeline.tracks.map((track, trackIndex) => {
+    let cursor = 0;
+    let previousLength = 0;
+    const clips = track.clips.map((clip, clipIndex) => {
+      const label = `tracks[${trackIndex}].clips[${clipIndex}]`;
+      const info = clip.source ? media.get(clip.source) : null;
+      const transition = clip.transition || null;
+
+      let length = clip.duration;
+      if (track.type !== 'text' && clip.color === undefined && !info?.image) {
+        const sourceEnd = clip.out ?? info?.duration;
+        if (info && clip.out !== undefined && clip.out > info.duration + 0.01) {
+          errors.push(`${label}: out超出素材时长 ${info.duration}`);
+        }
+        length = clip.duration ?? (sourceEnd - (clip.in || 0));
+      }
+      if (!(length > 0)) {
+        errors.push(`${label}: 无法确定片段时长`);
+        length = 0;
+      }
+
+      // xfade在两个片段重叠的时间内完成，转场时长不能超过任一片段
+      const xfade = transition && TRANSITIONS[transition.type]
+        ? { transition: TRANSITIONS[transition.type], duration: transition.duration }
+        : null;
+      if (xfade && !(transition.duration < Math.min(length, previousLength))) {
+        errors.push(`${label}: 转场时长必须小于前后两个片段的时长`);
+      }
+
+      const start = clip.start ?? Math.max(0, cursor - (transition?.duration || 0));
+      cursor = start + length;
+      previousLength = length;
+
+      return {
+        ...clip,
+        in: clip.in || 0,
+        start,
+        length,
+        end: start + length,
+        fadeIn: Math.max(clip.fadeIn || 0, transition && !xfade ? transition.duration : 0),
+        xfade,
+        fadeOut: clip.fadeOut || 0,
+        image: !!info?.image,
+        motion: clip.motion !== undefined ? resolveMotion(clip.motion) : null,
+        hasAudio: track.type === 'audio' || (!!info?.hasAudio && !clip.mute)
+      };
+    });
+    return { type: track.type, clips };
+  });
+
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+
+  const end = Math.max(0, ...tracks.flatMap((track) => track.clips.map((clip) => clip.end)));
+  const duration = timeline.duration || end;
+  if (!(duration > 0)) {
+    throw new Error('时间线没有任何片段');
+  }
+
+  return {
+    name: timeline.name || 'timeline',
+    width: timeline.width || 1080,
+    height: timeline.height || 1920,
+    fps: timeline.fps || 30,
+    background: timeline.background || '#000000',
+    duration: Number(duration.toFixed(3)),
+    tracks
+  };
+}
+
+module.exports = {
+  TRACK_TYPES,
+  FIT_MODES,
+  TRANSITIONS,
+  TRANSITION_TYPES,
+  KEYFRAME_PROPERTIES,
+  isImage,
+  validateTimeline,
+  normalizeTimeline
+};
@@ -0,0 +1,89 @@
+const { readTopicFile } = require('./localFile');
+
+const TITLE_COLUMNS = ['topic', 'title', '选题', '标题'];
+const SUMMARY_COLUMNS = ['summary', 'description', 'notes', '摘要', '描述', '备注'];
+
+// 支持引号包裹的字段、字段内的逗号、换行和转义引号（""）
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const text = String(content).replace(/^﻿/, '');
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+}
+
+// 第一行是表头；标题列可以用column指定，默认依次查找topic/title，都没有时使用第一列
+class CsvTopicSource {
+  constructor(options) {
+    this.options = options;
+  }
+
+  static validate(options) {
+    return options.path ? [] : ['csv来源的path不能为空'];
+  }
+
+  findColumn(header, names) {
+    const normalized = header.map((name) => name.trim().toLowerCase());
+    return names.map((name) => normalized.indexOf(name.toLowerCase())).find((index) => index !== -1) ?? -1;
+  }
+
+  async fetchTopics() {
+    const [header, ...rows] = parseCsv(await readTopicFile(this.options.path));
+    if (!header) return [];
+
+    let titleIndex = this.options.column
+      ? this.findColumn(header, [this.options.column])
+      : this.findColumn(header, TITLE_COLUMNS);
+    if (titleIndex === -1) {
+      if (this.options.column) {
+        throw new Error(`CSV文件中没有列: ${this.options.column}`);
+      }
+      titleIndex = 0;
+    }
+    const summaryIndex = this.findColumn(header, SUMMARY_COLUMNS);
+
+    return rows
+      .map((cells) => ({
+        title: (cells[titleIndex] || '').trim(),
+        summary: summaryIndex === -1 ? '' : (cells[summaryIndex] || '').trim()
+      }))
+      .filter((topic) => topic.title);
+  }
+}
+
+module.exports = CsvTopicSource;
+module.exports.parseCsv = parseCsv;
@@ -0,0 +1,72 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { readTopicFile } = require('./localFile');
+const config = require('../../config');
+
+// 摘要只作为写脚本时的背景，去掉HTML标签并截断
+function cleanText(value) {
+  return cheerio.load(`<div>${value || ''}</div>`)('div').text().replace(/\s+/g, ' ').trim().substring(0, 500);
+}
+
+// RSS 2.0 和 Atom订阅；url可以是http(s)地址，也可以是选题文件目录中的本地文件
+class FeedTopicSource {
+  constructor(options) {
+    this.options = options;
+  }
+
+  static validate(options) {
+    return options.url ? [] : ['rss来源的url不能为空'];
+  }
+
+  async load() {
+    const { url } = this.options;
+    if (!/^https?:\/\//i.test(url)) {
+      return readTopicFile(url);
+    }
+
+    const response = await axios.get(url, {
+      responseType: 'text',
+      timeout: config.topicSources.feedTimeout,
+      headers: { Accept: 'application/rss+xml, application/atom+xml, application/xml, text/xml' }
+    });
+    return response.data;
+  }
+
+  async fetchTopics() {
+    const $ = cheerio.load(await this.load(), { xml: true });
+    const topics = [];
+
+    $('item').each((index, element) => {
+      const item = $(element);
+      topics.push({
+        title: item.children('title').text().trim(),
+        summary: cleanText(item.children('description').text()),
+        link: item.children('link').text().trim() || null,
+        publishedAt: item.children('pubDate').text().trim() || null
+      });
+    });
+
+    $('entry').each((index, element) => {
+      const entry = $(element);
+      const link = entry.children('link[rel="alternate"]').attr('href') || entry.children('link').attr('href');
+      topics.push({
+        title: entry.children('title').text().trim(),
+        summary: cleanText(entry.children('summary').text() || entry.children('content').text()),
+        link: link || null,
+        publishedAt: entry.children('published').text().trim() || entry.children('updated').text().trim() || null
+      });
+    });
+
+    if (topics.length === 0 && $('rss, feed').length === 0) {
+      throw new Error(`无法识别的订阅格式: ${this.options.url}`);
+    }
+
+    // 新内容优先，只保留最近的若干条
+    return topics
+      .filter((topic) => topic.title)
+      .sort((a, b) => (Date.parse(b.publishedAt) || 0) - (Date.parse(a.publishedAt) || 0))
+      .slice(0, this.options.maxItems || config.topicSources.maxItems);
+  }
+}
+
+module.exports = FeedTopicSource;
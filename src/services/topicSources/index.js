@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const RecordStore = require('../../utils/recordStore');
+const ManualTopicSource = require('./manual');
+const FeedTopicSource = require('./feed');
+const CsvTopicSource = require('./csv');
+const { logger } = require('../../utils/logger');
+const config = require('../../config');
+
+// trends表示由TrendAnalyzer根据热门趋势生成创意，不需要实现类
+const TREND_SOURCE = 'trends';
+const TOPIC_MIX_MODES = ['weighted', 'priority', 'roundRobin'];
+
+// 选题来源是实现了 static validate(options) 和 fetchTopics() 的类，可以通过register扩展；
+// 已使用的选题按频道配置和来源记录，不会重复使用
+class TopicSourceManager {
+  constructor() {
+    this.types = new Map([
+      ['manual', ManualTopicSource],
+      ['rss', FeedTopicSource],
+      ['csv', CsvTopicSource]
+    ]);
+    this.store = new RecordStore(config.paths.topics);
+  }
+
+  register(type, SourceClass) {
+    this.types.set(type, SourceClass);
+  }
+
+  getTypes() {
+    return [TREND_SOURCE, ...this.types.keys()];
+  }
+
+  validateSources(sources) {
+    if (!Array.isArray(sources)) {
+      return ['topicSources必须是数组'];
+    }
+
+    return sources.flatMap((source, index) => {
+      const label = `topicSources[${index}]`;
+      const errors = [];
+
+      if (source?.type !== TREND_SOURCE) {
+        const SourceClass = this.types.get(source?.type);
+        if (!SourceClass) {
+          errors.push(`不支持的选题来源类型: ${source?.type}`);
+        } else {
+          errors.push(...SourceClass.validate(source));
+        }
+      }
+      if (source?.weight !== undefined && !(source.weight > 0)) {
+        errors.push('weight必须大于0');
+      }
+
+      return errors.map((error) => `${label}: ${error}`);
+    });
+  }
+
+  // 没有配置选题来源的频道只使用热门趋势
+  getProfileSources(profile) {
+    return profile?.topicSources?.length > 0 ? profile.topicSources : [{ type: TREND_SOURCE }];
+  }
+
+  // 来源没有指定id时按类型和地址区分，修改手动列表不会清空使用记录
+  getSourceKey(profileId, source) {
+    const identity = source.id || `${source.type}:${source.url || source.path || ''}`;
+    const hash = crypto.createHash('sha1').update(`${profileId || 'default'}:${identity}`).digest('hex');
+    return `src_${hash.slice(0, 16)}`;
+  }
+
+  getTopicKey(topic) {
+    return (topic.link || topic.title).trim().toLowerCase();
+  }
+
+  async fetchTopics(source) {
+    const SourceClass = this.types.get(source.type);
+    return new SourceClass(source).fetchTopics();
+  }
+
+  async getUsedKeys(profileId, source) {
+    const record = await this.store.get(this.getSourceKey(profileId, source));
+    return new Set((record?.used || []).map((entry) => entry.key));
+  }
+
+  // weighted: 按权重随机排序；priority: 按配置顺序；roundRobin: 每次运行从下一个来源开始
+  async orderSources(profile, sources, { dryRun = false } = {}) {
+    const mix = profile?.topicMix || 'weighted';
+
+    if (mix === 'priority') {
+      return sources;
+    }
+
+    if (mix === 'roundRobin') {
+      const id = `mix_${profile.id}`;
+      let start = 0;
+      if (dryRun) {
+        start = ((await this.store.get(id))?.next || 0) % sources.length;
+      } else {
+        await this.store.update(id, (current) => {
+          start = (current?.next || 0) % sources.length;
+          return { ...current, id, next: start + 1 };
+        });
+      }
+      return [...sources.slice(start), ...sources.slice(0, start)];
+    }
+
+    const remaining = [...sources];
+    const ordered = [];
+    while (remaining.length > 0) {
+      const total = remaining.reduce((sum, source) => sum + (source.weight || 1), 0);
+      let pick = Math.random() * total;
+      const index = remaining.findIndex((source) => (pick -= source.weight || 1) < 0);
+      ordered.push(...remaining.splice(index === -1 ? remaining.length - 1 : index, 1));
+    }
+    return ordered;
+  }
+
+  // 排在前面的来源没有可用选题时依次尝试后面的来源；返回null表示使用热门趋势
+  async pickTopic(profile, { dryRun = false } = {}) {
+    const sources = this.getProfileSources(profile);
+
+    for (const source of await this.orderSources(profile, sources, { dryRun })) {
+      if (source.type === TREND_SOURCE) {
+        return null;
+      }
+
+      let topics;
+      try {
+        topics = await this.fetchTopics(source);
+      } catch (error) {
+        logger.warn('选题来源读取失败，尝试下一个来源', { source: source.type, error: error.message });
+        continue;
+      }
+
+      const used = await this.getUsedKeys(profile?.id, source);
+      const topic = topics.find((candidate) => !used.has(this.getTopicKey(candidate)));
+      if (topic) {
+        logger.info('已选择选题', { source: source.type, title: topic.title });
+        return {
+          ...topic,
+          sourceType: source.type,
+          sourceKey: this.getSourceKey(profile?.id, source),
+          key: this.getTopicKey(topic)
+        };
+      }
+
+      logger.info('选题来源没有未使用的选题', { source: source.type });
+    }
+
+    throw new Error('所有选题来源都没有可用的选题');
+  }
+
+  async markUsed(topic, runId) {
+    return this.store.update(topic.sourceKey, (current) => {
+      const record = current || { id: topic.sourceKey, used: [] };
+      if (record.used.some((entry) => entry.key === topic.key)) {
+        return null;
+      }
+
+      record.used.push({ key: topic.key, title: topic.title, runId, at: new Date().toISOString() });
+      return record;
+    });
+  }
+
+  // 列出频道配置各来源当前的选题和使用情况，读取失败的来源返回错误信息
+  async previewTopics(profile) {
+    return Promise.all(this.getProfileSources(profile).map(async (source) => {
+      const summary = { type: source.type, id: source.id || null, weight: source.weight || 1 };
+      if (source.type === TREND_SOURCE) {
+        return { ...summary, topics: [] };
+      }
+
+      try {
+        const [topics, used] = await Promise.all([this.fetchTopics(source), this.getUsedKeys(profile.id, source)]);
+        return {
+          ...summary,
+          topics: topics.map((topic) => ({ ...topic, used: used.has(this.getTopicKey(topic)) }))
+        };
+      } catch (error) {
+        return { ...summary, error: error.message, topics: [] };
+      }
+    }));
+  }
+
+  async resetUsage(profile) {
+    let removed = 0;
+    for (const source of this.getProfileSources(profile)) {
+      if (await this.store.remove(this.getSourceKey(profile.id, source))) {
+        removed += 1;
+      }
+    }
+    logger.info('选题使用记录已重置', { profileId: profile.id, sources: removed });
+    return removed;
+  }
+}
+
+module.exports = new TopicSourceManager();
+module.exports.TOPIC_MIX_MODES = TOPIC_MIX_MODES;
+module.exports.TREND_SOURCE = TREND_SOURCE;
@@ -0,0 +1,27 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../../config');
+
+// 本地选题文件只允许放在选题文件目录中，频道配置可以通过API修改，不能借此读取任意文件
+function resolveTopicFile(file) {
+  const baseDir = path.resolve(config.paths.topicFiles);
+  const filePath = path.resolve(baseDir, String(file).replace(/^file:\/\//, ''));
+
+  if (!filePath.startsWith(baseDir + path.sep)) {
+    throw new Error(`选题文件必须位于选题文件目录中: ${file}`);
+  }
+  return filePath;
+}
+
+async function readTopicFile(file) {
+  try {
+    return await fs.readFile(resolveTopicFile(file), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`选题文件不存在: ${file}`);
+    }
+    throw error;
+  }
+}
+
+module.exports = { resolveTopicFile, readTopicFile };
@@ -0,0 +1,24 @@
+// 手动选题列表：字符串或 { title, summary }，按列表顺序使用
+class ManualTopicSource {
+  constructor(options) {
+    this.options = options;
+  }
+
+  static validate(options) {
+    if (!Array.isArray(options.topics) || options.topics.length === 0) {
+      return ['manual来源的topics必须是非空数组'];
+    }
+    if (options.topics.some((topic) => !(typeof topic === 'string' ? topic.trim() : topic?.title))) {
+      return ['manual来源的每个选题都需要标题'];
+    }
+    return [];
+  }
+
+  async fetchTopics() {
+    return this.options.topics.map((topic) => (typeof topic === 'string'
+      ? { title: topic.trim(), summary: '' }
+      : { title: topic.title, summary: topic.summary || '' }));
+  }
+}
+
+module.exports = ManualTopicSource;
@@ -4,12 +4,16 @@ const { logger, ErrorHandler } = require('../utils/logger');
 const OpenAIService = require('./openai');
 
 class TrendAnalyzer {
-  constructor() {
-    this.openaiService = new OpenAIService();
+  // offline模式不抓取YouTube页面，仅基于AI生成趋势（用于演练）
+  constructor(options = {}) {
+    this.openaiService = options.openaiService || new OpenAIService();
+    this.offline = !!options.offline;
     this.browser = null;
   }
 
   async init() {
+    if (this.offline) return;
+
     this.browser = await puppeteer.launch({
       headless: true,
       args: ['--no-sandbox', '--disable-setuid-sandbox']
@@ -110,14 +114,15 @@ class TrendAnalyzer {
     }, 'analyzeShorts', []);
   }
 
-  async getTopicTrends() {
+  // ownPerformance: 本频道已发布视频的表现数据，作为趋势分析的参考
+  async getTopicTrends(ownPerformance = []) {
     return ErrorHandler.safeExecute(async () => {
-      const trendingVideos = await this.getTrendingVideos();
-      const shorts = await this.analyzeShorts();
+      const trendingVideos = this.offline ? [] : await this.getTrendingVideos();
+      const shorts = this.offline ? [] : await this.analyzeShorts();
       
       const allContent = [...trendingVideos, ...shorts];
       
-      const analysis = await this.openaiService.analyzeVideoTrends(allContent);
+      const analysis = await this.openaiService.analyzeVideoTrends(allContent, true, ownPerformance);
       
       try {
         const parsedAnalysis = JSON.parse(analysis);
@@ -166,16 +171,18 @@ class TrendAnalyzer {
     }, 'searchKeywordTrends', {});
   }
 
-  async generateContentIdeas(count = 5) {
+  async generateContentIdeas(count = 5, options = {}) {
+    const { niche, language, duration = 60, avoidTitles, performanceHints = [] } = options;
+
     return ErrorHandler.safeExecute(async () => {
-      const trends = await this.getTopicTrends();
+      const trends = await this.getTopicTrends(performanceHints);
       
       const ideas = [];
       for (let i = 0; i < count; i++) {
-        const script = await this.openaiService.generateVideoScript(
-          `基于当前热门趋势的创意视频 #${i + 1}`,
-          60
-        );
+        const topic = niche
+          ? `${niche}领域基于当前热门趋势的创意视频 #${i + 1}`
+          : `基于当前热门趋势的创意视频 #${i + 1}`;
+        const script = await this.openaiService.generateVideoScript(topic, duration, { language, avoidTitles, performanceHints });
         
         try {
           const parsedScript = JSON.parse(script);
@@ -0,0 +1,33 @@
+const { execFile } = require('child_process');
+const config = require('../../config');
+
+// eSpeak NG本地合成，不需要网络；voice默认取语言代码的主标签（如 zh、en）
+class EspeakProvider {
+  constructor(options = {}) {
+    this.offline = true;
+    this.extension = 'wav';
+    this.options = { ...config.tts.espeak, ...options };
+  }
+
+  async synthesize(text, outputPath, { voice, language } = {}) {
+    const args = [
+      '-v', voice || (language || 'en').split('-')[0].toLowerCase(),
+      '-s', String(this.options.speed),
+      '-w', outputPath,
+      '--', text
+    ];
+
+    await new Promise((resolve, reject) => {
+      execFile(this.options.binary, args, { timeout: config.tts.timeout }, (error, stdout, stderr) => {
+        if (error) {
+          reject(new Error(`espeak执行失败: ${stderr || error.message}`));
+        } else {
+          resolve();
+        }
+      });
+    });
+    return outputPath;
+  }
+}
+
+module.exports = EspeakProvider;
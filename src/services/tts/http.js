@@ -0,0 +1,28 @@
+const axios = require('axios');
+const fs = require('fs').promises;
+const config = require('../../config');
+
+// 通用HTTP配音服务：POST { text, voice, language }，响应体为音频文件
+class HttpSpeechProvider {
+  constructor(options = {}) {
+    this.options = { ...config.tts.http, ...options };
+    this.offline = false;
+    this.extension = this.options.format;
+  }
+
+  async synthesize(text, outputPath, { voice, language } = {}) {
+    if (!this.options.url) {
+      throw new Error('使用http配音服务需要配置TTS_HTTP_URL');
+    }
+
+    const response = await axios.post(this.options.url, { text, voice, language }, {
+      responseType: 'arraybuffer',
+      timeout: config.tts.timeout,
+      headers: this.options.apiKey ? { Authorization: `Bearer ${this.options.apiKey}` } : {}
+    });
+    await fs.writeFile(outputPath, Buffer.from(response.data));
+    return outputPath;
+  }
+}
+
+module.exports = HttpSpeechProvider;
@@ -0,0 +1,86 @@
+const fs = require('fs').promises;
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const EspeakProvider = require('./espeak');
+const PiperProvider = require('./piper');
+const OpenAISpeechProvider = require('./openai');
+const HttpSpeechProvider = require('./http');
+const SilentProvider = require('./silent');
+const { logger } = require('../../utils/logger');
+const config = require('../../config');
+
+// 配音服务是实现了 synthesize(text, outputPath, { voice, language }) 的类，可以通过register扩展；
+// offline为false的服务在演练时用静音替身代替
+class TtsManager {
+  constructor() {
+    this.providers = new Map([
+      ['espeak', EspeakProvider],
+      ['piper', PiperProvider],
+      ['openai', OpenAISpeechProvider],
+      ['http', HttpSpeechProvider],
+      ['silent', SilentProvider]
+    ]);
+  }
+
+  register(name, ProviderClass) {
+    this.providers.set(name, ProviderClass);
+  }
+
+  getProviders() {
+    return ['none', ...this.providers.keys()];
+  }
+
+  isEnabled(name = config.tts.provider) {
+    return !!name && name !== 'none';
+  }
+
+  createProvider(name, { openaiService, dryRun = false } = {}) {
+    const ProviderClass = this.providers.get(name);
+    if (!ProviderClass) {
+      throw new Error(`不支持的配音服务: ${name}`);
+    }
+
+    const provider = new ProviderClass({ openaiService });
+    if (dryRun && !provider.offline) {
+      logger.info('演练模式: 使用静音配音替身', { provider: name });
+      return new SilentProvider();
+    }
+    return provider;
+  }
+
+  async getAudioDuration(audioPath) {
+    const metadata = await new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(audioPath, (error, data) => (error ? reject(error) : resolve(data)));
+    });
+    return Number(metadata.format.duration) || 0;
+  }
+
+  // 为每个场景生成旁白，场景时长改为旁白长度加停顿；任一场景失败时整体失败，避免渲染出部分无声的视频
+  async narrateScenes(scenes, { provider = config.tts.provider, voice = config.tts.voice, language, renderId, openaiService, dryRun } = {}) {
+    const engine = this.createProvider(provider, { openaiService, dryRun });
+    const dir = path.join(config.paths.temp, 'tts', renderId);
+    await fs.mkdir(dir, { recursive: true });
+
+    const narrated = [];
+    for (const [index, scene] of scenes.entries()) {
+      const audioPath = path.join(dir, `scene_${index}.${engine.extension}`);
+      try {
+        await engine.synthesize(scene.text, audioPath, { voice: voice || undefined, language });
+        const audioDuration = await this.getAudioDuration(audioPath);
+        narrated.push({ ...scene, audioPath, duration: Number((audioDuration + config.tts.padding).toFixed(3)) });
+      } catch (error) {
+        throw new Error(`场景 ${index} 配音失败: ${error.message}`);
+      }
+    }
+
+    const total = narrated.reduce((sum, scene) => sum + scene.duration, 0);
+    logger.info('场景配音完成', { provider, scenes: narrated.length, duration: Number(total.toFixed(1)) });
+    return narrated;
+  }
+
+  async cleanup(renderId) {
+    await fs.rm(path.join(config.paths.temp, 'tts', renderId), { recursive: true, force: true });
+  }
+}
+
+module.exports = new TtsManager();
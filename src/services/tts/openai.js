@@ -0,0 +1,18 @@
+// OpenAI语音合成接口，费用计入AI预算
+class OpenAISpeechProvider {
+  constructor(options = {}) {
+    this.openaiService = options.openaiService;
+    this.offline = false;
+    this.extension = 'mp3';
+  }
+
+  async synthesize(text, outputPath, { voice } = {}) {
+    const result = await this.openaiService.synthesizeSpeech(text, outputPath, voice ? { voice } : {});
+    if (!result) {
+      throw new Error('OpenAI语音合成失败');
+    }
+    return result;
+  }
+}
+
+module.exports = OpenAISpeechProvider;
@@ -0,0 +1,43 @@
+const { spawn } = require('child_process');
+const config = require('../../config');
+
+// Piper本地神经网络合成，音色由模型文件决定，文本从标准输入传入
+class PiperProvider {
+  constructor(options = {}) {
+    this.offline = true;
+    this.extension = 'wav';
+    this.options = { ...config.tts.piper, ...options };
+  }
+
+  async synthesize(text, outputPath, { voice } = {}) {
+    const model = voice || this.options.model;
+    if (!model) {
+      throw new Error('使用piper需要配置PIPER_MODEL');
+    }
+
+    await new Promise((resolve, reject) => {
+      const child = spawn(this.options.binary, ['--model', model, '--output_file', outputPath]);
+      let stderr = '';
+      const timer = setTimeout(() => child.kill(), config.tts.timeout);
+
+      child.stderr.on('data', (chunk) => { stderr += chunk; });
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(new Error(`piper执行失败: ${error.message}`));
+      });
+      child.on('close', (code) => {
+        clearTimeout(timer);
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(`piper执行失败: ${stderr.trim() || `退出码 ${code}`}`));
+        }
+      });
+
+      child.stdin.end(text);
+    });
+    return outputPath;
+  }
+}
+
+module.exports = PiperProvider;
@@ -0,0 +1,33 @@
+const ffmpeg = require('fluent-ffmpeg');
+
+// 按文字长度估算朗读时长生成静音音轨；演练时代替需要联网或付费的配音服务
+class SilentProvider {
+  constructor() {
+    this.offline = true;
+    this.extension = 'wav';
+  }
+
+  estimateDuration(text) {
+    const cjk = (text.match(/[㐀-鿿]/g) || []).length;
+    const words = text.replace(/[㐀-鿿]/g, ' ').split(/\s+/).filter(Boolean).length;
+    return Math.max(1, cjk / 4 + words / 2.5);
+  }
+
+  async synthesize(text, outputPath) {
+    const duration = this.estimateDuration(text).toFixed(2);
+
+    await new Promise((resolve, reject) => {
+      ffmpeg()
+        .input('anullsrc=r=44100:cl=stereo')
+        .inputFormat('lavfi')
+        .outputOptions([`-t ${duration}`])
+        .output(outputPath)
+        .on('end', resolve)
+        .on('error', reject)
+        .run();
+    });
+    return outputPath;
+  }
+}
+
+module.exports = SilentProvider;
@@ -3,10 +3,18 @@ const ffmpegStatic = require('ffmpeg-static');
 const path = require('path');
 const fs = require('fs').promises;
 const { logger, ErrorHandler } = require('../utils/logger');
+const { toSrt, toVtt, toAss } = require('../utils/subtitles');
+const { resolveSubtitleStyle } = require('../utils/subtitleStyles');
+const timelineManager = require('./timeline');
+const { isImage, TRANSITION_TYPES } = require('./timeline/schema');
+const { validateMotion, resolveMotion } = require('./timeline/kenBurns');
 const config = require('../config');
 
 ffmpeg.setFfmpegPath(ffmpegStatic);
 
+// 图片幻灯片场景中没有指定时长的图片默认展示的秒数
+const SLIDE_DURATION = 3;
+
 class VideoEditor {
   constructor() {
     this.tempDir = config.paths.temp;
@@ -33,77 +41,63 @@ class VideoEditor {
         script,
         duration = 60,
         resolution = '1080x1920',
-        fps = 30
+        fps = 30,
+        showText = true
       } = { ...scriptData, ...options };
 
       logger.info('开始创建视频', { title, duration });
 
       const outputPath = path.join(this.outputDir, `${this.sanitizeFilename(title)}.mp4`);
-      
-      const scenes = this.parseScript(script);
-      const videoSegments = [];
 
-      for (let i = 0; i < scenes.length; i++) {
-        const scene = scenes[i];
-        const segmentPath = await this.createSceneVideo(scene, i, duration / scenes.length);
-        videoSegments.push(segmentPath);
-      }
+      // 调用方可以传入预先拆分的场景，以便按相同的时间轴生成字幕；场景可以是带images的图片幻灯片
+      const scenes = (options.scenes || this.parseScript(script)).map((scene) => this.prepareScene(scene));
+      const maxDuration = duration / scenes.length;
+      const transitions = this.resolveTransitions(scenes, maxDuration, options.transition);
+      const timelineOptions = { title, resolution, fps, maxDuration, showText };
+
+      // 全部硬切时场景之间没有重叠，各场景分别渲染后直接拼接，拼接不重新编码；有转场时整条时间线一次渲染
+      const finalVideo = scenes.length > 1 && transitions.every((transition) => !transition)
+        ? await this.renderSceneSegments(scenes, outputPath, timelineOptions)
+        : await this.renderSceneTimeline(
+          this.buildSceneTimeline(scenes, { ...timelineOptions, transitions }),
+          outputPath
+        );
 
-      const finalVideo = await this.concatenateVideos(videoSegments, outputPath);
-      
-      await this.cleanup(videoSegments);
-      
       logger.info('视频创建完成', { output: finalVideo });
       return finalVideo;
     }, 'createVideoFromScript');
   }
 
-  parseScript(script) {
-    const sentences = script.split('. ').filter(s => s.trim().length > 0);
-    return sentences.map((sentence, index) => ({
-      id: index,
-      text: sentence.trim(),
-      duration: 3 + Math.random() * 2
-    }));
+  // 配音文件在临时目录中，只有脚本渲染允许使用
+  async renderSceneTimeline(timeline, outputPath) {
+    const normalized = await timelineManager.load(timeline, {
+      roots: [...timelineManager.getMediaRoots(), path.resolve(this.tempDir, 'tts')]
+    });
+    return this.renderNormalizedTimeline(normalized, outputPath);
   }
 
-  async createSceneVideo(scene, index, maxDuration) {
-    return ErrorHandler.safeExecute(async () => {
-      const scenePath = path.join(this.tempDir, 'video', `scene_${index}.mp4`);
-      
-      return new Promise((resolve, reject) => {
-        ffmpeg()
-          .input('color=c=black:s=1080x1920:d=' + Math.min(scene.duration, maxDuration))
-          .inputFormat('lavfi')
-          .videoFilter([
-            `drawtext=fontfile=/System/Library/Fonts/Arial.ttf:text='${scene.text.replace(/'/g, "\\'")}':fontcolor=white:fontsize=60:x=(w-text_w)/2:y=(h-text_h)/2:enable='between(t,0,${Math.min(scene.duration, maxDuration)})'`
-          ])
-          .outputOptions([
-            '-pix_fmt yuv420p',
-            '-r 30'
-          ])
-          .output(scenePath)
-          .on('end', () => {
-            logger.debug(`场景 ${index} 创建完成`);
-            resolve(scenePath);
-          })
-          .on('error', reject)
-          .run();
-      });
-    }, `createSceneVideo-${index}`, null);
+  // 每个场景按单场景时间线渲染为一段，编码参数相同，可以用concat分离器直接拼接
+  async renderSceneSegments(scenes, outputPath, options) {
+    const prefix = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    const segments = [];
+    try {
+      for (const [index, scene] of scenes.entries()) {
+        const segmentPath = path.join(this.tempDir, 'video', `scene_${prefix}_${index}.mp4`);
+        segments.push(segmentPath);
+        await this.renderSceneTimeline(this.buildSceneTimeline([scene], { ...options, transitions: [] }), segmentPath);
+      }
+      return await this.concatenateVideos(segments, outputPath);
+    } finally {
+      await this.cleanup(segments);
+    }
   }
 
   async concatenateVideos(videoPaths, outputPath) {
-    return ErrorHandler.safeExecute(async () => {
-      const listFile = path.join(this.tempDir, 'concat_list.txt');
-      const listContent = videoPaths
-        .filter(p => p) 
-        .map(p => `file '${p}'`)
-        .join('\n');
-      
-      await fs.writeFile(listFile, listContent);
+    const listFile = path.join(this.tempDir, `concat_${path.basename(outputPath, '.mp4')}.txt`);
+    await fs.writeFile(listFile, videoPaths.map((videoPath) => `file '${path.resolve(videoPath)}'`).join('\n'));
 
-      return new Promise((resolve, reject) => {
+    try {
+      return await new Promise((resolve, reject) => {
         ffmpeg()
           .input(listFile)
           .inputOptions(['-f concat', '-safe 0'])
@@ -119,7 +113,191 @@ class VideoEditor {
           .on('error', reject)
           .run();
       });
-    }, 'concatenateVideos');
+    } finally {
+      await this.cleanup([listFile]);
+    }
+  }
+
+  parseScript(script) {
+    const sentences = script.split('. ').filter(s => s.trim().length > 0);
+    return sentences.map((sentence, index) => ({
+      id: index,
+      text: sentence.trim(),
+      duration: 3 + Math.random() * 2
+    }));
+  }
+
+  // 有旁白的场景使用旁白时长，不按视频总时长截断
+  getSceneDuration(scene, maxDuration) {
+    return scene.audioPath ? scene.duration : Math.min(scene.duration, maxDuration);
+  }
+
+  // 与createVideoFromScript相同的场景时长计算，返回每个场景文字的时间段
+  getSceneCues(scenes, duration = 60) {
+    const maxDuration = duration / scenes.length;
+    let start = 0;
+
+    return scenes.map((scene) => {
+      const end = start + this.getSceneDuration(scene, maxDuration);
+      const cue = { start: Number(start.toFixed(3)), end: Number(end.toFixed(3)), text: scene.text };
+      start = end;
+      return cue;
+    });
+  }
+
+  // 第i项为场景i到场景i+1的转场，null表示硬切；场景可以用transition单独指定进入该场景的转场，
+  // 转场时长不超过相邻场景时长的一半
+  resolveTransitions(scenes, maxDuration, defaults = config.transitions) {
+    return scenes.slice(1).map((scene, index) => {
+      const { type, duration } = { ...defaults, ...scene.transition };
+      if (!type || type === 'none') {
+        return null;
+      }
+      if (!TRANSITION_TYPES.includes(type)) {
+        throw new Error(`不支持的转场类型: ${type}`);
+      }
+
+      const limit = Math.min(
+        this.getSceneDuration(scenes[index], maxDuration),
+        this.getSceneDuration(scene, maxDuration)
+      ) / 2;
+      return { type, duration: Number(Math.min(duration, limit).toFixed(3)) };
+    });
+  }
+
+  // 图片幻灯片场景：images中的图片依次以推拉摇移效果展示，图片路径的限制与时间线素材相同；
+  // 素材库选取的图片背景同样按一张图片的幻灯片渲染
+  prepareScene(scene) {
+    if (scene.images === undefined) {
+      return scene.background?.type === 'image'
+        ? { ...scene, images: [{ filePath: scene.background.filePath, motion: this.getSceneMotion(config.kenBurns.motion) }] }
+        : scene;
+    }
+    if (!Array.isArray(scene.images) || scene.images.length === 0) {
+      throw new Error('场景images必须是非空数组');
+    }
+
+    const images = scene.images.map((image) => {
+      const item = typeof image === 'string' ? { source: image } : (image || {});
+      if (!isImage(item.source)) {
+        throw new Error(`场景图片必须是图片文件: ${item.source}`);
+      }
+      if (item.duration !== undefined && !(Number.isFinite(item.duration) && item.duration > 0)) {
+        throw new Error('场景图片的duration必须大于0');
+      }
+      return {
+        filePath: timelineManager.resolveSource(item.source),
+        duration: item.duration,
+        motion: this.getSceneMotion(item.motion ?? scene.motion ?? config.kenBurns.motion)
+      };
+    });
+
+    const duration = scene.duration ?? images.reduce((sum, image) => sum + (image.duration || SLIDE_DURATION), 0);
+    return { ...scene, images, duration };
+  }
+
+  getSceneMotion(motion) {
+    const errors = validateMotion(motion);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+    return resolveMotion(motion);
+  }
+
+  // 指定了时长的图片按指定时长，其余图片平分剩余时长，再按比例缩放到场景时长；最后一张图片补齐舍入误差
+  getSlideDurations(images, sceneDuration) {
+    const fixed = images.reduce((sum, image) => sum + (image.duration || 0), 0);
+    const free = images.filter((image) => !image.duration).length;
+    const share = sceneDuration > fixed ? (sceneDuration - fixed) / free : fixed / images.length;
+    const lengths = images.map((image) => image.duration || share);
+    const scale = sceneDuration / lengths.reduce((sum, length) => sum + length, 0);
+
+    let used = 0;
+    return lengths.map((length, index) => {
+      const value = index === lengths.length - 1
+        ? sceneDuration - used
+        : Number((length * scale).toFixed(3));
+      used += value;
+      return Number(value.toFixed(3));
+    });
+  }
+
+  // 场景画面：图片逐张推拉摇移；背景视频从选定的起点截取，比场景短时循环，自带的声音不使用；没有背景时为黑色画面
+  getSceneClips(scene, length) {
+    if (scene.images) {
+      return this.getSlideDurations(scene.images, length).map((duration, i) => ({
+        source: scene.images[i].filePath,
+        duration,
+        motion: scene.images[i].motion
+      }));
+    }
+    if (scene.background) {
+      return [{
+        source: scene.background.filePath,
+        in: scene.background.start || 0,
+        duration: length,
+        loop: !!scene.background.loop,
+        mute: true
+      }];
+    }
+    return [{ color: '#000000', duration: length }];
+  }
+
+  // 脚本场景转换为时间线：画面轨道依次放置各场景画面，文字轨道为场景文字，音频轨道为旁白。
+  // 进入场景的转场让该场景的画面提前开始、与上一个场景重叠，旁白和文字的起点与没有转场时一致，总时长不变；
+  // 上一个场景的旁白在转场期间淡出
+  buildSceneTimeline(scenes, { title, resolution, fps, maxDuration, transitions, showText }) {
+    const [width, height] = resolution.split('x').map(Number);
+    const video = [];
+    const text = [];
+    const audio = [];
+    let start = 0;
+    let narration = null;
+
+    scenes.forEach((scene, index) => {
+      const sceneDuration = Number(this.getSceneDuration(scene, maxDuration).toFixed(3));
+      // 上一个场景是多张图片时，转场时长还不能超过最后一张图片的一半
+      const previous = transitions[index - 1];
+      const transition = previous
+        ? { ...previous, duration: Number(Math.min(previous.duration, video[video.length - 1].duration / 2).toFixed(3)) }
+        : null;
+      const clips = this.getSceneClips(scene, Number((sceneDuration + (transition?.duration || 0)).toFixed(3)));
+      if (transition) {
+        clips[0].transition = transition;
+        if (narration) {
+          narration.fadeOut = transition.duration;
+        }
+      }
+      video.push(...clips);
+
+      // 有背景画面时文字加描边，保证在明亮画面上也能看清
+      if (showText && scene.text) {
+        text.push({
+          text: scene.text,
+          start,
+          duration: sceneDuration,
+          fontSize: 60,
+          ...(scene.images || scene.background ? { outline: 3 } : {})
+        });
+      }
+      narration = scene.audioPath ? { source: scene.audioPath, start, duration: sceneDuration } : null;
+      if (narration) {
+        audio.push(narration);
+      }
+      start = Number((start + sceneDuration).toFixed(3));
+    });
+
+    return {
+      name: title,
+      width,
+      height,
+      fps,
+      tracks: [
+        { type: 'video', clips: video },
+        ...(text.length > 0 ? [{ type: 'text', clips: text }] : []),
+        ...(audio.length > 0 ? [{ type: 'audio', clips: audio }] : [])
+      ]
+    };
   }
 
   async addBackgroundMusic(videoPath, musicPath, options = {}) {
@@ -127,19 +305,26 @@ class VideoEditor {
       const outputPath = videoPath.replace('.mp4', '_with_music.mp4');
       const { volume = 0.3, fadeIn = 2, fadeOut = 2 } = options;
 
+      // 音乐循环到视频结束；脚本渲染的视频没有音轨，直接使用音乐作为音轨
+      const info = await this.getVideoInfo(videoPath);
+      const duration = Number(info?.format?.duration) || 0;
+      const hasAudio = !!info?.streams?.some((stream) => stream.codec_type === 'audio');
+      const music = `[1:a]volume=${volume},afade=t=in:st=0:d=${fadeIn},afade=t=out:st=${Math.max(0, duration - fadeOut)}:d=${fadeOut}`;
+
       return new Promise((resolve, reject) => {
         ffmpeg()
           .input(videoPath)
           .input(musicPath)
-          .complexFilter([
-            `[1:a]volume=${volume},afade=t=in:st=0:d=${fadeIn},afade=t=out:st=-${fadeOut}:d=${fadeOut}[music]`,
-            `[0:a][music]amix=inputs=2:duration=first:dropout_transition=2[audio]`
-          ])
+          .inputOptions(['-stream_loop -1'])
+          .complexFilter(hasAudio
+            ? [`${music}[music]`, '[0:a][music]amix=inputs=2:duration=first:dropout_transition=2[audio]']
+            : [`${music},atrim=0:${duration}[audio]`])
           .outputOptions([
             '-map 0:v',
             '-map [audio]',
             '-c:v copy',
-            '-c:a aac'
+            '-c:a aac',
+            '-shortest'
           ])
           .output(outputPath)
           .on('end', () => {
@@ -152,32 +337,89 @@ class VideoEditor {
     }, 'addBackgroundMusic');
   }
 
+  // 按样式预设生成ASS字幕并烧录，字幕分辨率与视频一致，长文本自动换行
   async addSubtitles(videoPath, subtitles, options = {}) {
     return ErrorHandler.safeExecute(async () => {
+      await this.ensureDirectories();
       const outputPath = videoPath.replace('.mp4', '_with_subs.mp4');
-      const { fontSize = 40, fontColor = 'white' } = options;
+      const { style = config.subtitles.style, platform = 'youtube' } = options;
 
-      const subtitleFilter = subtitles.map((sub, index) => {
-        return `drawtext=fontfile=/System/Library/Fonts/Arial.ttf:text='${sub.text.replace(/'/g, "\\'")}':fontcolor=${fontColor}:fontsize=${fontSize}:x=(w-text_w)/2:y=h-text_h-50:enable='between(t,${sub.start},${sub.end})'`;
-      }).join(',');
+      const info = await this.getVideoInfo(videoPath);
+      const stream = info?.streams?.find((item) => item.codec_type === 'video');
+      if (!stream) {
+        throw new Error(`无法读取视频尺寸: ${videoPath}`);
+      }
+
+      const assPath = path.join(this.tempDir, `subs_${Date.now()}_${Math.random().toString(36).slice(2, 8)}.ass`);
+      await fs.writeFile(assPath, toAss(subtitles, this.getSubtitleStyle(style, `${stream.width}x${stream.height}`, platform)));
 
+      try {
+        return await this.burnSubtitles(videoPath, assPath, outputPath);
+      } finally {
+        await this.cleanup([assPath]);
+      }
+    }, 'addSubtitles');
+  }
+
+  getSubtitleStyle(style, resolution, platform) {
+    const [width, height] = resolution.split('x').map(Number);
+    return resolveSubtitleStyle(style, { width, height, platform, fontName: config.subtitles.font });
+  }
+
+  // 同一时间轴写出SRT、WebVTT和ASS三种字幕文件，保存在视频输出目录中作为运行产物
+  async writeSubtitleFiles(cues, baseName, options = {}) {
+    const { resolution = '1080x1920', platform = 'youtube', style = config.subtitles.style } = options;
+    await this.ensureDirectories();
+
+    const basePath = path.join(this.outputDir, baseName);
+    const files = { srt: `${basePath}.srt`, vtt: `${basePath}.vtt`, ass: `${basePath}.ass` };
+    await fs.writeFile(files.srt, toSrt(cues));
+    await fs.writeFile(files.vtt, toVtt(cues));
+    await fs.writeFile(files.ass, toAss(cues, this.getSubtitleStyle(style, resolution, platform)));
+
+    logger.info('字幕文件已生成', { cues: cues.length, style });
+    return files;
+  }
+
+  async burnSubtitles(videoPath, assPath, outputPath = videoPath.replace('.mp4', '_subtitled.mp4')) {
+    return ErrorHandler.safeExecute(async () => {
       return new Promise((resolve, reject) => {
         ffmpeg(videoPath)
-          .videoFilter(subtitleFilter)
+          .videoFilters([this.getSubtitlesFilter(assPath)])
+          .outputOptions([
+            '-c:v libx264',
+            '-preset medium',
+            '-crf 23',
+            '-pix_fmt yuv420p',
+            '-c:a copy',
+            '-movflags faststart'
+          ])
           .output(outputPath)
           .on('end', () => {
-            logger.info('字幕添加完成', { output: outputPath });
+            logger.info('字幕烧录完成', { output: outputPath });
             resolve(outputPath);
           })
           .on('error', reject)
           .run();
       });
-    }, 'addSubtitles');
+    }, 'burnSubtitles');
   }
 
-  async createThumbnail(videoPath, timestamp = '00:00:01') {
+  getSubtitlesFilter(subtitlesPath) {
+    const fontsDir = config.subtitles.fontsDir ? `:fontsdir=${this.escapeFilterPath(config.subtitles.fontsDir)}` : '';
+    return `subtitles=${this.escapeFilterPath(subtitlesPath)}${fontsDir}`;
+  }
+
+  // 指定了字体文件时直接使用，否则按字体名通过fontconfig查找，不依赖某个系统的字体路径
+  getFontOption() {
+    return config.subtitles.fontFile
+      ? `fontfile=${this.escapeFilterPath(config.subtitles.fontFile)}`
+      : `font='${config.subtitles.font}'`;
+  }
+
+  async createThumbnail(videoPath, timestamp = '00:00:01', outputPath = null) {
     return ErrorHandler.safeExecute(async () => {
-      const thumbnailPath = videoPath.replace('.mp4', '_thumbnail.jpg');
+      const thumbnailPath = outputPath || videoPath.replace('.mp4', '_thumbnail.jpg');
 
       return new Promise((resolve, reject) => {
         ffmpeg(videoPath)
@@ -241,6 +483,165 @@ class VideoEditor {
     }, `optimizeForPlatform-${platform}`);
   }
 
+  // 按时间线JSON渲染视频，所有轨道在一条FFmpeg命令中合成
+  async renderTimeline(timeline, options = {}) {
+    return ErrorHandler.safeExecute(async () => {
+      await this.ensureDirectories();
+
+      const normalized = await timelineManager.load(timeline);
+      const renderId = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+      const outputPath = options.outputPath
+        || path.join(this.outputDir, `${this.sanitizeFilename(normalized.name)}_${renderId}.mp4`);
+      return this.renderNormalizedTimeline(normalized, outputPath);
+    }, 'renderTimeline');
+  }
+
+  // 渲染已校验并规范化的时间线，所有轨道在一条FFmpeg命令中合成
+  async renderNormalizedTimeline(normalized, outputPath) {
+    const renderId = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    const compiled = timelineManager.compile(normalized, {
+      fontOption: this.getFontOption(),
+      escapePath: (filePath) => this.escapeFilterPath(filePath),
+      textPath: (index) => path.join(this.tempDir, `timeline_${renderId}_text_${index}.txt`)
+    });
+
+    for (const text of compiled.texts) {
+      await fs.writeFile(text.path, text.content);
+    }
+
+    logger.info('开始渲染时间线', {
+      name: normalized.name,
+      duration: compiled.duration,
+      tracks: normalized.tracks.length,
+      inputs: compiled.inputs.length
+    });
+
+    try {
+      return await new Promise((resolve, reject) => {
+        const command = ffmpeg();
+        for (const input of compiled.inputs) {
+          command.input(input.source).inputOptions(input.options);
+        }
+        command
+          .complexFilter(compiled.filters)
+          .outputOptions([
+            '-map [vout]',
+            '-map [aout]',
+            '-c:v libx264',
+            '-preset medium',
+            '-crf 23',
+            '-pix_fmt yuv420p',
+            `-r ${normalized.fps}`,
+            '-c:a aac',
+            '-ar 44100',
+            '-ac 2',
+            `-t ${compiled.duration}`,
+            '-movflags faststart'
+          ])
+          .output(outputPath)
+          .on('end', () => {
+            logger.info('时间线渲染完成', { output: outputPath });
+            resolve(outputPath);
+          })
+          .on('error', reject)
+          .run();
+      });
+    } finally {
+      await this.cleanup(compiled.texts.map((text) => text.path));
+    }
+  }
+
+  // 从源视频截取片段，居中裁切为竖屏并烧录字幕；captions的时间以片段起点为0
+  async createVerticalClip(sourcePath, clip, options = {}) {
+    return ErrorHandler.safeExecute(async () => {
+      await this.ensureDirectories();
+
+      const { resolution = '1080x1920', fps = 30, captions = [], style = config.subtitles.style } = options;
+      const [width, height] = resolution.split('x');
+      const clipId = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+      const outputPath = path.join(this.outputDir, `${this.sanitizeFilename(clip.title || 'clip')}_${clipId}.mp4`);
+
+      const filters = [
+        `scale=${width}:${height}:force_original_aspect_ratio=increase`,
+        `crop=${width}:${height}`,
+        'setsar=1'
+      ];
+
+      let captionsPath = null;
+      if (captions.length > 0) {
+        captionsPath = path.join(this.tempDir, `clip_${clipId}.ass`);
+        await fs.writeFile(captionsPath, toAss(captions, this.getSubtitleStyle(style, resolution, 'shorts')));
+        filters.push(this.getSubtitlesFilter(captionsPath));
+      }
+
+      logger.info('开始截取竖屏片段', { source: sourcePath, start: clip.start, end: clip.end });
+
+      const result = await new Promise((resolve, reject) => {
+        ffmpeg(sourcePath)
+          .seekInput(clip.start)
+          .duration(clip.end - clip.start)
+          .videoFilters(filters)
+          .outputOptions([
+            '-c:v libx264',
+            '-preset medium',
+            '-crf 23',
+            '-c:a aac',
+            '-pix_fmt yuv420p',
+            `-r ${fps}`,
+            '-movflags faststart'
+          ])
+          .output(outputPath)
+          .on('end', () => {
+            logger.info('竖屏片段截取完成', { output: outputPath });
+            resolve(outputPath);
+          })
+          .on('error', reject)
+          .run();
+      });
+
+      if (captionsPath) {
+        await this.cleanup([captionsPath]);
+      }
+      return result;
+    }, 'createVerticalClip');
+  }
+
+  // 提取单声道低码率音轨，供语音转写使用
+  async extractAudio(videoPath) {
+    return ErrorHandler.safeExecute(async () => {
+      await this.ensureDirectories();
+      const audioPath = path.join(
+        this.tempDir,
+        'audio',
+        `${this.sanitizeFilename(path.basename(videoPath, path.extname(videoPath)))}_${Date.now()}.mp3`
+      );
+
+      return new Promise((resolve, reject) => {
+        ffmpeg(videoPath)
+          .noVideo()
+          .audioChannels(1)
+          .audioFrequency(16000)
+          .audioCodec('libmp3lame')
+          .audioBitrate('32k')
+          .output(audioPath)
+          .on('end', () => {
+            logger.info('音轨提取完成', { output: audioPath });
+            resolve(audioPath);
+          })
+          .on('error', reject)
+          .run();
+      });
+    }, 'extractAudio');
+  }
+
+  // FFmpeg滤镜参数中的路径需要转义冒号、引号和反斜杠
+  escapeFilterPath(filePath) {
+    return path.resolve(filePath)
+      .replace(/\\/g, '/')
+      .replace(/:/g, '\\:')
+      .replace(/'/g, "\\'");
+  }
+
   sanitizeFilename(filename) {
     return filename.replace(/[^a-z0-9\u4e00-\u9fff]/gi, '_').substring(0, 100);
   }
@@ -270,4 +671,5 @@ class VideoEditor {
   }
 }
 
-module.exports = VideoEditor;
\ No newline at end of file
+module.exports = VideoEditor;
+module.exports.SCENE_TRANSITIONS = TRANSITION_TYPES;
\ No newline at end of file
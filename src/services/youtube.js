@@ -3,8 +3,13 @@ const accountManager = require('./youtubeAccountManager');
 const { logger, ErrorHandler } = require('../utils/logger');
 const config = require('../config');
 
+// videos.list每次请求最多接受的视频ID数量
+const VIDEOS_LIST_MAX_IDS = 50;
+
 class YouTubeService {
-  constructor() {
+  // 指定account时固定使用该账户的令牌，否则跟随当前活跃账户
+  constructor(options = {}) {
+    this.account = options.account || null;
     this.oauth2Client = null;
     this.youtube = null;
     this.isAuthenticated = false;
@@ -19,16 +24,16 @@ class YouTubeService {
         this.credentials.redirectUri
       );
 
-      const tokens = await accountManager.loadTokens();
+      const account = this.getAccount();
+      const tokens = await accountManager.loadTokens(account);
 
       if (tokens) {
         this.oauth2Client.setCredentials(tokens);
         this.isAuthenticated = true;
-        logger.info('YouTube认证信息已加载', {
-          account: accountManager.getActiveAccount()
-        });
+        logger.info('YouTube认证信息已加载', { account });
       } else {
-        logger.warn('未找到已保存的认证信息，需要重新授权');
+        this.isAuthenticated = false;
+        logger.warn('未找到已保存的认证信息，需要重新授权', { account });
       }
 
       this.youtube = google.youtube({
@@ -40,10 +45,16 @@ class YouTubeService {
     }, 'YouTubeService initialize');
   }
 
+  getAccount() {
+    return this.account || accountManager.getActiveAccount();
+  }
+
   getAuthUrl() {
     const scopes = [
       'https://www.googleapis.com/auth/youtube.upload',
-      'https://www.googleapis.com/auth/youtube.readonly'
+      'https://www.googleapis.com/auth/youtube.readonly',
+      // 创建播放列表和添加播放列表项需要完整的youtube权限
+      'https://www.googleapis.com/auth/youtube'
     ];
 
     return this.oauth2Client.generateAuthUrl({
@@ -78,6 +89,8 @@ class YouTubeService {
         tags = [],
         categoryId = '22',
         privacyStatus = 'private',
+        defaultLanguage = config.localization.sourceLanguage,
+        localizations,
         thumbnailPath
       } = metadata;
 
@@ -89,8 +102,8 @@ class YouTubeService {
           description: description.substring(0, 5000),
           tags: tags.slice(0, 500),
           categoryId,
-          defaultLanguage: 'zh-CN',
-          defaultAudioLanguage: 'zh-CN'
+          defaultLanguage,
+          defaultAudioLanguage: defaultLanguage
         },
         status: {
           privacyStatus,
@@ -100,12 +113,18 @@ class YouTubeService {
         }
       };
 
+      // 翻译后的标题和描述，需要同时设置snippet.defaultLanguage
+      const hasLocalizations = localizations && Object.keys(localizations).length > 0;
+      if (hasLocalizations) {
+        videoResource.localizations = localizations;
+      }
+
       const media = {
         body: require('fs').createReadStream(videoPath)
       };
 
       const response = await this.youtube.videos.insert({
-        part: 'snippet,status',
+        part: hasLocalizations ? 'snippet,status,localizations' : 'snippet,status',
         resource: videoResource,
         media: media
       });
@@ -138,9 +157,28 @@ class YouTubeService {
       });
 
       logger.info('缩略图上传成功', { videoId });
+      return true;
     }, 'uploadThumbnail');
   }
 
+  // 每个字幕轨道调用一次captions.insert，会消耗较多API配额
+  async uploadCaption(videoId, { language, name = '', captionsPath }) {
+    return ErrorHandler.safeExecute(async () => {
+      const response = await this.youtube.captions.insert({
+        part: 'snippet',
+        resource: {
+          snippet: { videoId, language, name, isDraft: false }
+        },
+        media: {
+          body: require('fs').createReadStream(captionsPath)
+        }
+      });
+
+      logger.info('字幕上传成功', { videoId, language });
+      return { id: response.data.id, language };
+    }, 'uploadCaption');
+  }
+
   async updateVideoMetadata(videoId, metadata) {
     return ErrorHandler.safeExecute(async () => {
       const resource = {
@@ -153,14 +191,19 @@ class YouTubeService {
         }
       };
 
+      if (metadata.defaultLanguage) {
+        resource.snippet.defaultLanguage = metadata.defaultLanguage;
+      }
+
       if (metadata.privacyStatus) {
         resource.status = {
           privacyStatus: metadata.privacyStatus
         };
       }
 
+      // 未传入隐私状态时只更新snippet，避免重置视频的status
       const response = await this.youtube.videos.update({
-        part: 'snippet,status',
+        part: resource.status ? 'snippet,status' : 'snippet',
         resource
       });
 
@@ -257,6 +300,29 @@ class YouTubeService {
     }, 'getVideoStatistics');
   }
 
+  // 批量获取统计数据，每批最多50个ID只消耗一次配额；返回 { videoId: statistics }，请求失败的批次不在结果中
+  async getVideosStatistics(videoIds) {
+    const statistics = {};
+
+    for (let i = 0; i < videoIds.length; i += VIDEOS_LIST_MAX_IDS) {
+      const batch = videoIds.slice(i, i + VIDEOS_LIST_MAX_IDS);
+      const items = await ErrorHandler.safeExecute(async () => {
+        const response = await this.youtube.videos.list({
+          part: 'statistics',
+          id: batch.join(','),
+          maxResults: batch.length
+        });
+        return response.data.items;
+      }, 'getVideosStatistics', []);
+
+      for (const item of items) {
+        statistics[item.id] = item.statistics;
+      }
+    }
+
+    return statistics;
+  }
+
   async deleteVideo(videoId) {
     return ErrorHandler.safeExecute(async () => {
       await this.youtube.videos.delete({
@@ -294,6 +360,16 @@ class YouTubeService {
     }, 'createPlaylist');
   }
 
+  // 不吞掉异常：调用方需要区分"播放列表不存在"和"请求失败"，以免重复创建播放列表
+  async getPlaylist(playlistId) {
+    const response = await this.youtube.playlists.list({
+      part: 'snippet,status',
+      id: playlistId
+    });
+
+    return response.data.items?.[0] || null;
+  }
+
   async addVideoToPlaylist(playlistId, videoId) {
     return ErrorHandler.safeExecute(async () => {
       const resource = {
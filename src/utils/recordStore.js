@@ -0,0 +1,101 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// 基于JSON文件的简单持久化存储，每条记录一个文件
+class RecordStore {
+  constructor(dir) {
+    this.dir = dir;
+    this.locks = new Map();
+  }
+
+  async ensureDir() {
+    await fs.mkdir(this.dir, { recursive: true });
+  }
+
+  generateId() {
+    return `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  getPath(id) {
+    const safeId = String(id).replace(/[^a-zA-Z0-9_-]/g, '_');
+    return path.join(this.dir, `${safeId}.json`);
+  }
+
+  async get(id) {
+    try {
+      const data = await fs.readFile(this.getPath(id), 'utf8');
+      return JSON.parse(data);
+    } catch {
+      return null;
+    }
+  }
+
+  async list(filter = null) {
+    await this.ensureDir();
+    const files = await fs.readdir(this.dir);
+    const records = [];
+
+    for (const file of files.filter((f) => f.endsWith('.json'))) {
+      try {
+        const data = await fs.readFile(path.join(this.dir, file), 'utf8');
+        const record = JSON.parse(data);
+        if (!filter || filter(record)) {
+          records.push(record);
+        }
+      } catch {
+        // 忽略损坏或正在写入的文件
+      }
+    }
+
+    return records.sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')));
+  }
+
+  async save(record) {
+    await this.ensureDir();
+    const now = new Date().toISOString();
+    const saved = {
+      ...record,
+      id: record.id || this.generateId(),
+      createdAt: record.createdAt || now,
+      updatedAt: now
+    };
+
+    // 先写临时文件再重命名，避免进程崩溃时留下半个文件
+    const file = this.getPath(saved.id);
+    const tempFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(saved, null, 2));
+    await fs.rename(tempFile, file);
+    return saved;
+  }
+
+  // 读-改-写在进程内按记录串行执行，避免并发更新互相覆盖
+  async update(id, mutator) {
+    const previous = this.locks.get(id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const record = await this.get(id);
+      const changed = await mutator(record);
+      return changed ? this.save(changed) : record;
+    });
+
+    this.locks.set(id, next);
+    try {
+      return await next;
+    } finally {
+      if (this.locks.get(id) === next) {
+        this.locks.delete(id);
+      }
+    }
+  }
+
+  async remove(id) {
+    try {
+      await fs.unlink(this.getPath(id));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+module.exports = RecordStore;
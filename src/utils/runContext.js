@@ -0,0 +1,50 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// 在异步调用链中传递当前流水线运行，底层服务无需显式传参即可把用量记到对应运行和阶段
+const storage = new AsyncLocalStorage();
+
+function createUsage() {
+  return {
+    requests: 0,
+    cachedRequests: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    cost: 0
+  };
+}
+
+function addUsage(target, usage) {
+  for (const key of Object.keys(target)) {
+    target[key] += usage[key] || 0;
+  }
+  target.cost = Number(target.cost.toFixed(6));
+  return target;
+}
+
+function runWithContext(context, fn) {
+  return storage.run({ ...context, stage: null, usage: createUsage() }, fn);
+}
+
+function getRunContext() {
+  return storage.getStore() || null;
+}
+
+// 开始新阶段时重置阶段用量，返回的对象会随后续AI调用累加
+function enterStage(stage) {
+  const context = storage.getStore();
+  if (!context) return createUsage();
+
+  context.stage = stage;
+  context.usage = createUsage();
+  return context.usage;
+}
+
+function trackAiUsage(usage) {
+  const context = storage.getStore();
+  if (context) {
+    addUsage(context.usage, usage);
+  }
+}
+
+module.exports = { createUsage, addUsage, runWithContext, getRunContext, enterStage, trackAiUsage };
@@ -0,0 +1,41 @@
+// 去掉空白和标点并转为小写，使相似度不受格式差异影响
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[\s\p{P}\p{S}]+/gu, '');
+}
+
+// 字符二元组对中英文都适用，不需要分词
+function bigrams(text) {
+  const chars = Array.from(normalizeText(text));
+  const grams = new Set();
+
+  if (chars.length === 1) {
+    grams.add(chars[0]);
+  }
+  for (let i = 0; i < chars.length - 1; i++) {
+    grams.add(chars[i] + chars[i + 1]);
+  }
+  return grams;
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+
+  let intersection = 0;
+  for (const item of a) {
+    if (b.has(item)) intersection++;
+  }
+  return intersection / (a.size + b.size - intersection);
+}
+
+function textSimilarity(a, b) {
+  return jaccard(bigrams(a), bigrams(b));
+}
+
+function tagSimilarity(a = [], b = []) {
+  const normalize = (tags) => new Set(tags.map(normalizeText).filter(Boolean));
+  return jaccard(normalize(a), normalize(b));
+}
+
+module.exports = { normalizeText, textSimilarity, tagSimilarity };
@@ -0,0 +1,62 @@
+// 字幕样式预设，字号、描边和阴影以1080像素短边为基准，按视频分辨率等比缩放
+const SUBTITLE_STYLES = {
+  classic: { fontSize: 64, bold: false, color: '#FFFFFF', outlineColor: '#000000', outline: 4, shadow: 0, position: 'bottom' },
+  bold: { fontSize: 80, bold: true, color: '#FFE600', outlineColor: '#000000', outline: 6, shadow: 2, position: 'bottom' },
+  boxed: { fontSize: 60, bold: false, color: '#FFFFFF', boxColor: '#000000', boxOpacity: 0.6, outline: 14, shadow: 0, position: 'bottom' },
+  top: { fontSize: 64, bold: true, color: '#FFFFFF', outlineColor: '#000000', outline: 4, shadow: 0, position: 'top' },
+  center: { fontSize: 84, bold: true, color: '#FFFFFF', outlineColor: '#000000', outline: 6, shadow: 3, position: 'middle' }
+};
+
+// 平台界面遮挡区域（占画面宽高的比例），字幕边距不小于安全区
+const SAFE_AREAS = {
+  shorts: { top: 0.12, bottom: 0.2, sides: 0.08 },
+  tiktok: { top: 0.12, bottom: 0.22, sides: 0.1 },
+  youtube: { top: 0.05, bottom: 0.08, sides: 0.05 }
+};
+
+// ASS对齐方式使用小键盘布局：2为底部居中，5为正中，8为顶部居中
+const ALIGNMENTS = { bottom: 2, middle: 5, top: 8 };
+
+// '#RRGGBB' 转为ASS的 &HAABBGGRR，alpha为0表示不透明
+function toAssColour(hex, opacity = 1) {
+  const value = hex.replace('#', '');
+  const alpha = Math.round((1 - opacity) * 255).toString(16).padStart(2, '0');
+  return `&H${alpha}${value.slice(4, 6)}${value.slice(2, 4)}${value.slice(0, 2)}`.toUpperCase();
+}
+
+function resolveSubtitleStyle(name, { width, height, platform = 'youtube', fontName }) {
+  const preset = SUBTITLE_STYLES[name];
+  if (!preset) {
+    throw new Error(`不支持的字幕样式: ${name}`);
+  }
+
+  const scale = Math.min(width, height) / 1080;
+  const safeArea = SAFE_AREAS[platform] || SAFE_AREAS.youtube;
+  const marginL = Math.round(width * safeArea.sides);
+  const marginV = preset.position === 'top'
+    ? Math.round(height * safeArea.top)
+    : Math.round(height * safeArea.bottom);
+  const fontSize = Math.round(preset.fontSize * scale);
+
+  return {
+    fontName,
+    fontSize,
+    bold: preset.bold,
+    primaryColour: toAssColour(preset.color),
+    // 带底框的样式用BorderStyle 3，描边颜色即底框颜色
+    outlineColour: preset.boxColor ? toAssColour(preset.boxColor, preset.boxOpacity) : toAssColour(preset.outlineColor),
+    backColour: toAssColour('#000000', 0.5),
+    borderStyle: preset.boxColor ? 3 : 1,
+    outline: Math.round(preset.outline * scale),
+    shadow: Math.round(preset.shadow * scale),
+    alignment: ALIGNMENTS[preset.position],
+    marginL,
+    marginR: marginL,
+    marginV: preset.position === 'middle' ? 0 : marginV,
+    playResX: width,
+    playResY: height,
+    lineWidth: width - marginL * 2
+  };
+}
+
+module.exports = { SUBTITLE_STYLES, SAFE_AREAS, resolveSubtitleStyle, toAssColour };
@@ -0,0 +1,144 @@
+// SRT/VTT字幕的解析，SRT/VTT/ASS字幕的生成，时间统一使用秒
+function parseTimestamp(value) {
+  const match = String(value).trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})[.,](\d{1,3})$/);
+  if (!match) {
+    return null;
+  }
+
+  const [, hours = '0', minutes, seconds, fraction] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(fraction.padEnd(3, '0')) / 1000;
+}
+
+function formatTimestamp(seconds, separator = ',') {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+}
+
+// SRT和VTT的字幕块结构相同：可选序号/标识行、时间行、文本行，块之间用空行分隔
+function parseSubtitles(content) {
+  const blocks = String(content)
+    .replace(/^﻿/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n{2,}/);
+  const cues = [];
+
+  for (const block of blocks) {
+    const lines = block.split('\n').filter((line) => line.trim().length > 0);
+    const timingIndex = lines.findIndex((line) => line.includes('-->'));
+    if (timingIndex === -1) continue;
+
+    const [startText, endText] = lines[timingIndex].split('-->');
+    const start = parseTimestamp(startText);
+    // VTT时间行后面可能带有位置等设置
+    const end = parseTimestamp(endText.trim().split(/\s+/)[0]);
+    const text = lines.slice(timingIndex + 1)
+      .join(' ')
+      .replace(/<[^>]+>/g, '')
+      .trim();
+
+    if (start === null || end === null || end <= start || !text) continue;
+    cues.push({ start, end, text });
+  }
+
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+function toSrt(cues) {
+  return cues
+    .map((cue, index) => `${index + 1}\n${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}\n${cue.text}\n`)
+    .join('\n');
+}
+
+function toVtt(cues) {
+  const body = cues
+    .map((cue) => `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${cue.text}\n`)
+    .join('\n');
+  return `WEBVTT\n\n${body}`;
+}
+
+// ASS时间精确到百分之一秒，格式为 H:MM:SS.cc
+function formatAssTimestamp(seconds) {
+  const totalCs = Math.max(0, Math.round(seconds * 100));
+  const pad = (value) => String(value).padStart(2, '0');
+  const hours = Math.floor(totalCs / 360000);
+  const minutes = Math.floor((totalCs % 360000) / 6000);
+  const secs = Math.floor((totalCs % 6000) / 100);
+
+  return `${hours}:${pad(minutes)}:${pad(secs)}.${pad(totalCs % 100)}`;
+}
+
+// 中日韩和全角字符，折行时按一个字宽计算，可以在任意字符间断开
+const WIDE_CHARS = '\\u2e80-\\u9fff\\uac00-\\ud7af\\uff00-\\uffef';
+const WIDE_CHAR = new RegExp(`[${WIDE_CHARS}]`);
+const WRAP_TOKEN = new RegExp(`[${WIDE_CHARS}]|[^\\s${WIDE_CHARS}]+\\s*|\\s+`, 'g');
+
+// 按估算的显示宽度折行：宽字符约为一个字号宽，其他字符约为半个字号；拉丁文字在空格处折行
+function wrapText(text, maxWidth, fontSize) {
+  const widthOf = (value) => [...value].reduce((sum, char) => sum + (WIDE_CHAR.test(char) ? 1 : 0.55), 0) * fontSize;
+  const lines = [];
+  let line = '';
+
+  for (const token of text.match(WRAP_TOKEN) || []) {
+    if (line && widthOf(line + token.trimEnd()) > maxWidth) {
+      lines.push(line.trim());
+      line = token.trimStart();
+    } else {
+      line += token;
+    }
+  }
+  if (line.trim()) {
+    lines.push(line.trim());
+  }
+  return lines;
+}
+
+// style由subtitleStyles.resolveSubtitleStyle生成，PlayRes与视频分辨率一致，字号和边距都是像素
+function toAss(cues, style) {
+  const styleLine = [
+    'Default', style.fontName, style.fontSize, style.primaryColour, '&H000000FF', style.outlineColour, style.backColour,
+    style.bold ? -1 : 0, 0, 0, 0, 100, 100, 0, 0, style.borderStyle, style.outline, style.shadow,
+    style.alignment, style.marginL, style.marginR, style.marginV, 1
+  ].join(',');
+
+  // 大括号在ASS中表示样式覆盖标签，原文中的大括号替换为圆括号
+  const events = cues.map((cue) => {
+    const text = wrapText(String(cue.text).replace(/{/g, '(').replace(/}/g, ')'), style.lineWidth, style.fontSize).join('\\N');
+    return `Dialogue: 0,${formatAssTimestamp(cue.start)},${formatAssTimestamp(cue.end)},Default,,0,0,0,,${text}`;
+  });
+
+  return [
+    '[Script Info]',
+    'ScriptType: v4.00+',
+    `PlayResX: ${style.playResX}`,
+    `PlayResY: ${style.playResY}`,
+    'WrapStyle: 2',
+    'ScaledBorderAndShadow: yes',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+    `Style: ${styleLine}`,
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+    ...events,
+    ''
+  ].join('\n');
+}
+
+// 截取时间段内的字幕并平移到以片段起点为0的时间轴
+function sliceCues(cues, start, end) {
+  return cues
+    .filter((cue) => cue.end > start && cue.start < end)
+    .map((cue) => ({
+      start: Number((Math.max(cue.start, start) - start).toFixed(3)),
+      end: Number((Math.min(cue.end, end) - start).toFixed(3)),
+      text: cue.text
+    }));
+}
+
+module.exports = { parseTimestamp, formatTimestamp, formatAssTimestamp, parseSubtitles, toSrt, toVtt, toAss, wrapText, sliceCues };
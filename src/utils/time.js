@@ -0,0 +1,22 @@
+function isValidTimezone(timeZone) {
+  if (!timeZone) return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// 返回指定时区下的日期键，格式为 YYYY-MM-DD
+function formatDateKey(date = new Date(), timeZone = 'UTC') {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(new Date(date));
+}
+
+module.exports = { isValidTimezone, formatDateKey };
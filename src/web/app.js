@@ -6,13 +6,33 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
+const cron = require('node-cron');
 
 const YouTubeAutomation = require('../modules/automation');
 const queueService = require('../services/queue');
 const cacheService = require('../services/cache');
 const metricsService = require('../services/metrics');
 const accountManager = require('../services/youtubeAccountManager');
+const runStore = require('../services/runStore');
+const draftStore = require('../services/draftStore');
+const profileStore = require('../services/profileStore');
+const publishHistory = require('../services/publishHistory');
+const seriesStore = require('../services/seriesStore');
+const budgetGuard = require('../services/budgetGuard');
+const experimentStore = require('../services/experimentStore');
+const ideaStore = require('../services/ideaStore');
+const topicSources = require('../services/topicSources');
+const assetRegistry = require('../services/assetRegistry');
+const timelineManager = require('../services/timeline');
+const mediaLibrary = require('../services/mediaLibrary');
+const { EXPERIMENT_METRICS, EXPERIMENT_STATUSES } = require('../services/experimentStore');
+const { IDEA_STATUSES, REVIEW_STATUSES } = require('../services/ideaStore');
+const { TOPIC_MIX_MODES } = require('../services/topicSources');
+const { ASSET_TYPES, LICENSE_TYPES } = require('../services/assetRegistry');
+const { MEDIA_TYPES, ORIENTATIONS } = require('../services/mediaLibrary');
+const { FORMAT_PRESETS, PRIVACY_STATUSES } = require('../services/profileStore');
+const { isValidTimezone } = require('../utils/time');
 const { logger, ErrorHandler } = require('../utils/logger');
 const config = require('../config');
 
@@ -112,6 +132,23 @@ class WebApplication {
   setupAPIRoutes() {
     const router = express.Router();
 
+    // 全局AI预算用完时拒绝会触发AI调用的请求
+    const rejectIfOverBudget = async (res) => {
+      const [exceeded] = await budgetGuard.check();
+      if (!exceeded) return false;
+
+      res.status(429).json({ error: new budgetGuard.BudgetExceededError(exceeded).message, budget: exceeded });
+      return true;
+    };
+
+    const requireAiBudget = async (req, res, next) => {
+      try {
+        if (!await rejectIfOverBudget(res)) next();
+      } catch (error) {
+        next(error);
+      }
+    };
+
     // 系统状态
     router.get('/status', async (req, res) => {
       try {
@@ -131,6 +168,20 @@ class WebApplication {
       }
     });
 
+    // AI花费预算
+    router.get('/budget', async (req, res) => {
+      try {
+        const [status, channels] = await Promise.all([
+          budgetGuard.getStatus(),
+          budgetGuard.getChannelStatus()
+        ]);
+        res.json({ ...status, channels, pausedBy: this.automation.budgetPause });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 获取AI预算');
+        res.status(500).json({ error: '获取AI预算失败' });
+      }
+    });
+
     // 系统指标
     router.get('/metrics', (req, res) => {
       try {
@@ -165,7 +216,7 @@ class WebApplication {
     });
 
     // 生成内容创意
-    router.post('/ideas', [
+    router.post('/ideas', requireAiBudget, [
       body('count').optional().isInt({ min: 1, max: 20 }).toInt()
     ], async (req, res) => {
       try {
@@ -184,6 +235,307 @@ class WebApplication {
       }
     });
 
+    // 创意库
+    const ideaValidators = (isCreate) => [
+      (isCreate ? body('title') : body('title').optional()).isString().trim().notEmpty(),
+      body('description').optional().isString(),
+      body('script').optional().isString(),
+      body('tags').optional().isArray(),
+      body('score').optional().isFloat({ min: 0, max: 100 }).toFloat(),
+      body('notes').optional().isString(),
+      body('profileId').optional({ nullable: true }).isString().trim(),
+      body('account').optional({ nullable: true }).isString().trim()
+    ];
+
+    router.get('/ideas/backlog', [
+      query('status').optional().isIn(IDEA_STATUSES),
+      query('profileId').optional().isString().trim(),
+      query('account').optional().isString().trim()
+    ], async (req, res) => {
+      try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({ errors: errors.array() });
+        }
+
+        const ideas = await ideaStore.listIdeas({
+          status: req.query.status,
+          profileId: req.query.profileId,
+          account: req.query.account
+        });
+        res.json({ ideas });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 获取创意库');
+        res.status(500).json({ error: '获取创意库失败' });
+      }
+    });
+
+    router.get('/ideas/backlog/:id', async (req, res) => {
+      try {
+        const idea = await ideaStore.getIdea(req.params.id);
+        if (!idea) {
+          return res.status(404).json({ error: '创意未找到' });
+        }
+        res.json(idea);
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 获取创意详情');
+        res.status(500).json({ error: '获取创意详情失败' });
+      }
+    });
+
+    router.post('/ideas/backlog', [
+      ...ideaValidators(true),
+      body('status').optional().isIn(REVIEW_STATUSES)
+    ], async (req, res) => {
+      try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({ errors: errors.array() });
+        }
+
+        const idea = await ideaStore.createIdea(req.body);
+        res.status(201).json({ success: true, idea });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 添加创意');
+        res.status(500).json({ error: '添加创意失败' });
+      }
+    });
+
+    router.put('/ideas/backlog/:id', [
+      ...ideaValidators(false),
+      body('editor').optional().trim()
+    ], async (req, res) => {
+      try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({ errors: errors.array() });
+        }
+
+        const idea = await ideaStore.updateIdea(req.params.id, req.body, req.body.editor);
+        if (!idea) {
+          return res.status(404).json({ error: '创意未找到' });
+        }
+        res.json({ success: true, idea });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 更新创意');
+        res.status(500).json({ error: '更新创意失败' });
+      }
+    });
+
+    router.post('/ideas/backlog/:id/status', [
+      body('status').isIn(REVIEW_STATUSES),
+      body('reviewer').optional().trim(),
+      body('notes').optional().isString()
+    ], async (req, res) => {
+      try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({ errors: errors.array() });
+        }
+
+        const idea = await ideaStore.setStatus(req.params.id, req.body.status, {
+          reviewer: req.body.reviewer,
+          notes: req.body.notes
+        });
+        if (!idea) {
+          return res.status(404).json({ error: '创意未找到' });
+        }
+        res.json({ success: true, idea });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 更新创意状态');
+        res.status(500).json({ error: '更新创意状态失败' });
+      }
+    });
+
+    router.delete('/ideas/backlog/:id', async (req, res) => {
+      try {
+        const removed = await ideaStore.removeIdea(req.params.id);
+        if (!removed) {
+          return res.status(404).json({ error: '创意未找到' });
+        }
+        res.json({ success: true, message: '创意已删除' });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 删除创意');
+        res.status(500).json({ error: '删除创意失败' });
+      }
+    });
+
+    // 素材登记
+    const assetValidators = (isCreate) => [
+      (isCreate ? body('name') : body('name').optional()).isString().trim().notEmpty(),
+      (isCreate ? body('type') : body('type').optional()).isIn(ASSET_TYPES),
+      (isCreate ? body('file') : body('file').optional()).isString().trim().notEmpty(),
+      (isCreate ? body('source') : body('source').optional()).isString().trim().notEmpty(),
+      (isCreate ? body('license') : body('license').optional()).isIn(LICENSE_TYPES),
+      body('attribution').optional().isString().trim(),
+      body('requiresAttribution').optional().isBoolean().toBoolean(),
+      body('expiresAt').optional({ nullable: true }).isISO8601(),
+      body('notes').optional().isString()
+    ];
+
+    router.get('/assets', [
+      query('type').optional().isIn(ASSET_TYPES),
+      query('status').optional().isIn(['active', 'expiring', 'expired'])
+    ], async (req, res) => {
+      try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({ errors: errors.array() });
+        }
+
+        const assets = await assetRegistry.listAssets({ type: req.query.type, status: req.query.status });
+        res.json({ assets });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 获取素材列表');
+        res.status(500).json({ error: '获取素材列表失败' });
+      }
+    });
+
+    router.get('/assets/:id', async (req, res) => {
+      try {
+        const asset = await assetRegistry.getAsset(req.params.id);
+        if (!asset) {
+          return res.status(404).json({ error: '素材未找到' });
+        }
+        res.json(asset);
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 获取素材详情');
+        res.status(500).json({ error: '获取素材详情失败' });
+      }
+    });
+
+    router.post('/assets', assetValidators(true), async (req, res) => {
+      try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({ errors: errors.array() });
+        }
+
+        const asset = await assetRegistry.createAsset(req.body);
+        res.status(201).json({ success: true, asset });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 登记素材');
+        res.status(500).json({ error: '登记素材失败' });
+      }
+    });
+
+    router.put('/assets/:id', assetValidators(false), async (req, res) => {
+      try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({ errors: errors.array() });
+        }
+
+        const asset = await assetRegistry.updateAsset(req.params.id, req.body);
+        if (!asset) {
+          return res.status(404).json({ error: '素材未找到' });
+        }
+        res.json({ success: true, asset });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 更新素材');
+        res.status(500).json({ error: '更新素材失败' });
+      }
+    });
+
+    router.delete('/assets/:id', async (req, res) => {
+      try {
+        const removed = await assetRegistry.removeAsset(req.params.id);
+        if (!removed) {
+          return res.status(404).json({ error: '素材未找到' });
+        }
+        res.json({ success: true, message: '素材已删除' });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 删除素材');
+        res.status(500).json({ error: '删除素材失败' });
+      }
+    });
+
+    // 场景背景素材库
+    router.get('/media', [
+      query('type').optional().isIn(MEDIA_TYPES),
+      query('orientation').optional().isIn(ORIENTATIONS),
+      query('tag').optional().isString()
+    ], async (req, res) => {
+      try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { type, orientation, tag } = req.query;
+        const media = await mediaLibrary.listMedia({ type, orientation, tag });
+        res.json({ media });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 获取媒体素材列表');
+        res.status(500).json({ error: '获取媒体素材列表失败' });
+      }
+    });
+
+    router.get('/media/search', [
+      query('q').isString().notEmpty(),
+      query('type').optional().isIn(MEDIA_TYPES),
+      query('orientation').optional().isIn(ORIENTATIONS)
+    ], async (req, res) => {
+      try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { q, type, orientation } = req.query;
+        const media = await mediaLibrary.search(q, { type, orientation });
+        res.json({ media });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 搜索媒体素材');
+        res.status(500).json({ error: '搜索媒体素材失败' });
+      }
+    });
+
+    router.post('/media/scan', async (req, res) => {
+      try {
+        const result = await mediaLibrary.scan();
+        res.json({ success: true, ...result });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 扫描媒体素材');
+        res.status(500).json({ error: '扫描媒体素材失败' });
+      }
+    });
+
+    router.get('/media/:id', async (req, res) => {
+      try {
+        const media = await mediaLibrary.getMedia(req.params.id);
+        if (!media) {
+          return res.status(404).json({ error: '媒体素材未找到' });
+        }
+        res.json(media);
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 获取媒体素材详情');
+        res.status(500).json({ error: '获取媒体素材详情失败' });
+      }
+    });
+
+    router.put('/media/:id', [
+      body('tags').optional().isArray(),
+      body('tags.*').optional().isString(),
+      body('loop').optional().isBoolean()
+    ], async (req, res) => {
+      try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({ errors: errors.array() });
+        }
+
+        const media = await mediaLibrary.updateMedia(req.params.id, { tags: req.body.tags, loop: req.body.loop });
+        if (!media) {
+          return res.status(404).json({ error: '媒体素材未找到' });
+        }
+        res.json({ success: true, media });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 更新媒体素材');
+        res.status(500).json({ error: '更新媒体素材失败' });
+      }
+    });
+
     // 创建视频任务
     router.post('/video/create', [
       body('scriptData').isObject(),
@@ -218,6 +570,53 @@ class WebApplication {
       }
     });
 
+    // 校验时间线JSON，不访问素材文件
+    router.post('/video/timeline/validate', [
+      body('timeline').isObject()
+    ], (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const timelineErrors = timelineManager.validate(req.body.timeline);
+      res.json({ valid: timelineErrors.length === 0, errors: timelineErrors });
+    });
+
+    // 提交时间线渲染任务
+    router.post('/video/timeline', [
+      body('timeline').isObject()
+    ], async (req, res) => {
+      try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { timeline } = req.body;
+        const timelineErrors = timelineManager.validate(timeline);
+        if (timelineErrors.length > 0) {
+          return res.status(400).json({ errors: timelineErrors });
+        }
+
+        const job = await queueService.addTimelineRenderJob(timeline);
+        res.json({
+          success: true,
+          jobId: job.id,
+          message: '时间线渲染任务已提交'
+        });
+
+        this.io.emit('jobCreated', {
+          type: 'videoGeneration',
+          jobId: job.id,
+          data: { title: timeline.name || 'timeline' }
+        });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 提交时间线渲染任务');
+        res.status(500).json({ error: '提交时间线渲染任务失败' });
+      }
+    });
+
     // 获取任务状态
     router.get('/job/:queue/:id', async (req, res) => {
       try {
@@ -269,7 +668,16 @@ class WebApplication {
     // 自动化控制
     router.post('/automation/start', async (req, res) => {
       try {
-        this.automation.startAutomation();
+        const { started, reason, budget } = await this.automation.startAutomation();
+        if (reason === 'budget_exceeded') {
+          return res.status(429).json({
+            error: `无法启动自动化，${new budgetGuard.BudgetExceededError(budget).message}`,
+            budget
+          });
+        }
+        if (!started) {
+          return res.status(400).json({ error: '调度功能已禁用，无法启动自动化' });
+        }
         res.json({ success: true, message: '自动化已启动' });
       } catch (error) {
         ErrorHandler.handle(error, 'API: 启动自动化');
@@ -288,13 +696,40 @@ class WebApplication {
     });
 
     // 手动执行单次循环
-    router.post('/automation/run-once', async (req, res) => {
+    router.post('/automation/run-once', [
+      body('dryRun').optional().isBoolean().toBoolean(),
+      body('profileId').optional().isString().trim(),
+      body('languages').optional().isArray(),
+      body('languages.*').optional().isString().trim().notEmpty()
+    ], async (req, res) => {
       try {
-        const result = await this.automation.runSingleCycle();
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { dryRun = false, profileId, languages } = req.body;
+        if (!dryRun && await rejectIfOverBudget(res)) {
+          return;
+        }
+
+        const result = await this.automation.runSingleCycle({ dryRun, profileId, languages });
+        let message = result ? '任务执行成功' : '没有创建新视频';
+        if (result?.blocked) {
+          message = result.reason;
+        } else if (result && dryRun) {
+          message = '演练完成，未调用OpenAI也未上传YouTube';
+        } else if (result?.awaitingReview) {
+          message = '视频已生成，等待审核';
+          this.io.emit('draftCreated', { draftId: result.draftId, runId: result.runId });
+        } else if (result?.aborted) {
+          message = `运行被插件中止: ${result.reason}`;
+        }
+
         res.json({ 
           success: true, 
           result,
-          message: result ? '任务执行成功' : '没有创建新视频'
+          message
         });
       } catch (error) {
         ErrorHandler.handle(error, 'API: 执行单次循环');
@@ -302,52 +737,101 @@ class WebApplication {
       }
     });
 
-    // YouTube认证
-    router.get('/youtube/auth-url', (req, res) => {
+    // 演练报告
+    router.get('/automation/runs/:id/dry-run-report', async (req, res) => {
       try {
-        const authUrl = this.automation.youtubeService.getAuthUrl();
-        res.json({ authUrl });
+        const run = await runStore.getRun(req.params.id);
+        if (!run?.context?.dryRunReportPath) {
+          return res.status(404).json({ error: '演练报告未找到' });
+        }
+        res.sendFile(path.resolve(run.context.dryRunReportPath));
       } catch (error) {
-        ErrorHandler.handle(error, 'API: 获取YouTube认证URL');
-        res.status(500).json({ error: '获取认证URL失败' });
+        ErrorHandler.handle(error, 'API: 获取演练报告');
+        res.status(500).json({ error: '获取演练报告失败' });
       }
     });
 
-    // 获取账户列表
-    router.get('/youtube/accounts', async (req, res) => {
+    // 流水线运行记录
+    router.get('/automation/runs', async (req, res) => {
       try {
-        const accounts = await accountManager.listAccounts();
+        const runs = await this.automation.listRuns({
+          status: req.query.status,
+          resumableOnly: req.query.resumable === 'true',
+          limit: Math.min(parseInt(req.query.limit) || 50, 200)
+        });
+        res.json({ runs });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 获取运行记录');
+        res.status(500).json({ error: '获取运行记录失败' });
+      }
+    });
+
+    router.get('/automation/runs/:id', async (req, res) => {
+      try {
+        const run = await runStore.getRun(req.params.id);
+        if (!run) {
+          return res.status(404).json({ error: '运行记录未找到' });
+        }
+
         res.json({
-          accounts,
-          active: accountManager.getActiveAccount()
+          ...run,
+          status: runStore.getEffectiveStatus(run),
+          resumable: runStore.isResumable(run)
         });
       } catch (error) {
-        ErrorHandler.handle(error, 'API: 获取账户列表');
-        res.status(500).json({ error: '获取账户列表失败' });
+        ErrorHandler.handle(error, 'API: 获取运行详情');
+        res.status(500).json({ error: '获取运行详情失败' });
       }
     });
 
-    // 切换活跃账户
-    router.post('/youtube/accounts/switch', [
-      body('name').notEmpty().trim()
-    ], async (req, res) => {
+    // 从检查点恢复运行
+    router.post('/automation/runs/:id/resume', async (req, res) => {
       try {
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
-          return res.status(400).json({ errors: errors.array() });
+        const run = await runStore.getRun(req.params.id);
+        if (!run) {
+          return res.status(404).json({ error: '运行记录未找到' });
         }
-        await accountManager.setActiveAccount(req.body.name);
-        await this.automation.youtubeService.initialize();
-        res.json({ success: true, message: '已切换账户', active: req.body.name });
+        if (!runStore.isResumable(run)) {
+          return res.status(409).json({
+            error: '该运行无法恢复',
+            status: runStore.getEffectiveStatus(run)
+          });
+        }
+
+        const result = await this.automation.resumeRun(req.params.id);
+        if (result?.conflict) {
+          return res.status(409).json({ error: '该运行无法恢复', status: result.status });
+        }
+        let message = result ? '运行已恢复并完成' : '恢复运行失败，请查看运行记录';
+        if (result?.awaitingReview) {
+          message = '运行已恢复，视频等待审核';
+        } else if (result?.aborted) {
+          message = `运行被插件中止: ${result.reason}`;
+        } else if (result?.blocked) {
+          message = result.reason;
+        }
+
+        res.json({
+          success: !!result,
+          result,
+          message
+        });
       } catch (error) {
-        ErrorHandler.handle(error, 'API: 切换账户');
-        res.status(500).json({ error: '切换账户失败' });
+        ErrorHandler.handle(error, 'API: 恢复运行');
+        res.status(500).json({ error: '恢复运行失败' });
       }
     });
 
-    router.post('/youtube/authenticate', [
-      body('code').notEmpty().trim(),
-      body('account').optional().trim()
+    // 运行审计：每次运行的阶段耗时、AI用量、产物和结果
+    router.get('/runs', [
+      query('account').optional().isString().trim(),
+      query('status').optional().isString().trim(),
+      query('date').optional().matches(/^\d{4}-\d{2}-\d{2}$/),
+      query('from').optional().isISO8601(),
+      query('to').optional().isISO8601(),
+      query('dryRun').optional().isBoolean().toBoolean(),
+      query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+      query('offset').optional().isInt({ min: 0 }).toInt()
     ], async (req, res) => {
       try {
         const errors = validationResult(req);
@@ -355,17 +839,955 @@ class WebApplication {
           return res.status(400).json({ errors: errors.array() });
         }
 
-        const { code, account = 'default' } = req.body;
-        const success = await this.automation.authenticateYouTube(code, account);
-        
-        if (success) {
-          res.json({ success: true, message: 'YouTube认证成功' });
-        } else {
-          res.status(400).json({ error: 'YouTube认证失败' });
-        }
+        const { account, status, date, from, to, dryRun, limit = 50, offset = 0 } = req.query;
+        const result = await runStore.queryRuns({ account, status, date, from, to, dryRun, limit, offset });
+        res.json({ ...result, limit, offset });
       } catch (error) {
-        ErrorHandler.handle(error, 'API: YouTube认证');
-        res.status(500).json({ error: 'YouTube认证失败' });
+        ErrorHandler.handle(error, 'API: 查询运行审计');
+        res.status(500).json({ error: '查询运行审计失败' });
+      }
+    });
+
+    router.get('/runs/:id', async (req, res) => {
+      try {
+        const run = await runStore.getRun(req.params.id);
+        if (!run) {
+          return res.status(404).json({ error: '运行记录未找到' });
+        }
+
+        res.json({ ...runStore.toAudit(run), options: run.options });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 获取运行审计详情');
+        res.status(500).json({ error: '获取运行审计详情失败' });
+      }
+    });
+
+    // 流水线插件
+    router.get('/plugins', async (req, res) => {
+      try {
+        await this.automation.loadPlugins();
+        res.json({
+          enabled: config.isFeatureEnabled('enablePlugins'),
+          dir: config.paths.plugins,
+          plugins: this.automation.plugins.listPlugins()
+        });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 获取插件列表');
+        res.status(500).json({ error: '获取插件列表失败' });
+      }
+    });
+
+    router.post('/plugins/reload', async (req, res) => {
+      try {
+        await this.automation.reloadPlugins();
+        res.json({
+          success: true,
+          plugins: this.automation.plugins.listPlugins(),
+          message: '插件已重新加载'
+        });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 重新加载插件');
+        res.status(500).json({ error: '重新加载插件失败' });
+      }
+    });
+
+    // 发布历史与重复内容检查
+    router.get('/history', async (req, res) => {
+      try {
+        const history = await publishHistory.listHistory({
+          account: req.query.account,
+          limit: Math.min(parseInt(req.query.limit) || 50, 500)
+        });
+        res.json({ history });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 获取发布历史');
+        res.status(500).json({ error: '获取发布历史失败' });
+      }
+    });
+
+    // 导入在本系统之外发布的视频，使其参与重复检查
+    router.post('/history', [
+      body('title').isString().trim().notEmpty(),
+      body('account').optional().isString().trim(),
+      body('videoId').optional().isString().trim(),
+      body('description').optional().isString(),
+      body('script').optional().isString(),
+      body('tags').optional().isArray(),
+      body('publishedAt').optional().isISO8601()
+    ], async (req, res) => {
+      try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({ errors: errors.array() });
+        }
+
+        const entry = await publishHistory.record({
+          ...req.body,
+          account: req.body.account || accountManager.getActiveAccount(),
+          source: 'manual'
+        });
+        res.status(201).json({ success: true, entry });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 添加发布历史');
+        res.status(500).json({ error: '添加发布历史失败' });
+      }
+    });
+
+    router.delete('/history/:id', async (req, res) => {
+      try {
+        const removed = await publishHistory.removeEntry(req.params.id);
+        if (!removed) {
+          return res.status(404).json({ error: '发布历史未找到' });
+        }
+        res.json({ success: true, message: '发布历史已删除' });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 删除发布历史');
+        res.status(500).json({ error: '删除发布历史失败' });
+      }
+    });
+
+    router.post('/history/check', [
+      body('title').optional().isString(),
+      body('script').optional().isString(),
+      body('tags').optional().isArray(),
+      body('account').optional().isString().trim()
+    ], async (req, res) => {
+      try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { title, script, tags, account } = req.body;
+        const result = await publishHistory.checkDuplicate(
+          { title, script, tags },
+          { account: account || accountManager.getActiveAccount() }
+        );
+        res.json(result);
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 重复内容检查');
+        res.status(500).json({ error: '重复内容检查失败' });
+      }
+    });
+
+    // 频道配置
+    const profileValidators = (isCreate) => [
+      (isCreate ? body('name') : body('name').optional()).isString().trim().notEmpty(),
+      (isCreate ? body('account') : body('account').optional()).isString().trim().notEmpty(),
+      body('niche').optional().isString().trim(),
+      body('language').optional().isString().trim(),
+      body('privacyStatus').optional().isIn(PRIVACY_STATUSES),
+      body('categoryId').optional().isString().trim(),
+      body('dailyLimit').optional().isInt({ min: 0 }).toInt(),
+      body('format').optional().isIn(Object.keys(FORMAT_PRESETS)),
+      body('enabled').optional().isBoolean().toBoolean(),
+      body('topicSources').optional().isArray(),
+      body('topicSources.*.type').optional().isIn(topicSources.getTypes()),
+      body('topicMix').optional().isIn(TOPIC_MIX_MODES),
+      body('targetLanguages').optional().isArray(),
+      body('targetLanguages.*').optional().isString().trim().notEmpty(),
+      body('bannedWords').optional().isArray(),
+      body('bannedWords.*').optional().isString().trim().notEmpty(),
+      body('bannedTopics').optional().isArray(),
+      body('bannedTopics.*').optional().isString().trim().notEmpty()
+    ];
+
+    router.get('/profiles', async (req, res) => {
+      try {
+        const [profiles, usage] = await Promise.all([
+          profileStore.listProfiles(),
+          this.automation.getProfileUsage()
+        ]);
+        res.json({
+          profiles: profiles.map((profile) => ({
+            ...profile,
+            videosToday: usage.find((item) => item.id === profile.id)?.videosToday || 0
+          })),
+          formats: FORMAT_PRESETS
+        });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 获取频道配置');
+        res.status(500).json({ error: '获取频道配置失败' });
+      }
+    });
+
+    router.get('/profiles/:id', async (req, res) => {
+      try {
+        const profile = await profileStore.getProfile(req.params.id);
+        if (!profile) {
+          return res.status(404).json({ error: '频道配置未找到' });
+        }
+        res.json(profile);
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 获取频道配置详情');
+        res.status(500).json({ error: '获取频道配置详情失败' });
+      }
+    });
+
+    router.post('/profiles', profileValidators(true), async (req, res) => {
+      try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({ errors: errors.array() });
+        }
+
+        const profile = await profileStore.createProfile(req.body);
+        res.status(201).json({ success: true, profile });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 创建频道配置');
+        res.status(500).json({ error: '创建频道配置失败' });
+      }
+    });
+
+    router.put('/profiles/:id', profileValidators(false), async (req, res) => {
+      try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({ errors: errors.array() });
+        }
+
+        const profile = await profileStore.updateProfile(req.params.id, req.body);
+        if (!profile) {
+          return res.status(404).json({ error: '频道配置未找到' });
+        }
+        res.json({ success: true, profile });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 更新频道配置');
+        res.status(500).json({ error: '更新频道配置失败' });
+      }
+    });
+
+    router.delete('/profiles/:id', async (req, res) => {
+      try {
+        const removed = await profileStore.deleteProfile(req.params.id);
+        if (!removed) {
+          return res.status(404).json({ error: '频道配置未找到' });
+        }
+        res.json({ success: true, message: '频道配置已删除' });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 删除频道配置');
+        res.status(500).json({ error: '删除频道配置失败' });
+      }
+    });
+
+    // 预览频道配置各选题来源当前的选题及使用情况
+    router.get('/profiles/:id/topics', async (req, res) => {
+      try {
+        const profile = await profileStore.getProfile(req.params.id);
+        if (!profile) {
+          return res.status(404).json({ error: '频道配置未找到' });
+        }
+        res.json({ topicMix: profile.topicMix || 'weighted', sources: await topicSources.previewTopics(profile) });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 预览选题');
+        res.status(500).json({ error: '预览选题失败' });
+      }
+    });
+
+    router.delete('/profiles/:id/topics/usage', async (req, res) => {
+      try {
+        const profile = await profileStore.getProfile(req.params.id);
+        if (!profile) {
+          return res.status(404).json({ error: '频道配置未找到' });
+        }
+        const sources = await topicSources.resetUsage(profile);
+        res.json({ success: true, sources, message: '选题使用记录已重置' });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 重置选题使用记录');
+        res.status(500).json({ error: '重置选题使用记录失败' });
+      }
+    });
+
+    // 按频道配置执行一次完整流水线
+    router.post('/profiles/:id/run', [
+      body('languages').optional().isArray(),
+      body('languages.*').optional().isString().trim().notEmpty()
+    ], async (req, res) => {
+      try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({ errors: errors.array() });
+        }
+
+        const profile = await profileStore.getProfile(req.params.id);
+        if (!profile) {
+          return res.status(404).json({ error: '频道配置未找到' });
+        }
+
+        const result = await this.automation.createAndPublishVideo({ profileId: profile.id, languages: req.body.languages });
+        res.json({
+          success: !!result,
+          result,
+          message: result ? '频道任务执行完成' : '没有创建新视频'
+        });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 执行频道任务');
+        res.status(500).json({ error: '执行频道任务失败' });
+      }
+    });
+
+    // 系列剧集
+    const seriesValidators = (isCreate) => [
+      (isCreate ? body('name') : body('name').optional()).isString().trim().notEmpty(),
+      (isCreate ? body('arc') : body('arc').optional()).isString().trim().notEmpty(),
+      (isCreate ? body('episodeCount') : body('episodeCount').optional()).isInt({ min: 1 }).toInt(),
+      body('account').optional({ nullable: true }).isString().trim(),
+      body('profileId').optional({ nullable: true }).isString().trim(),
+      body('playlistId').optional({ nullable: true }).isString().trim(),
+      body('playlistTitle').optional().isString().trim(),
+      body('playlistPrivacy').optional().isIn(PRIVACY_STATUSES),
+      body('enabled').optional().isBoolean().toBoolean()
+    ];
+
+    router.get('/series', async (req, res) => {
+      try {
+        res.json({ series: await seriesStore.listSeries() });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 获取系列列表');
+        res.status(500).json({ error: '获取系列列表失败' });
+      }
+    });
+
+    router.get('/series/:id', async (req, res) => {
+      try {
+        const series = await seriesStore.getSeries(req.params.id);
+        if (!series) {
+          return res.status(404).json({ error: '系列未找到' });
+        }
+        res.json(series);
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 获取系列详情');
+        res.status(500).json({ error: '获取系列详情失败' });
+      }
+    });
+
+    router.post('/series', seriesValidators(true), async (req, res) => {
+      try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({ errors: errors.array() });
+        }
+
+        const series = await seriesStore.createSeries(req.body);
+        res.status(201).json({ success: true, series });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 创建系列');
+        res.status(500).json({ error: '创建系列失败' });
+      }
+    });
+
+    router.put('/series/:id', seriesValidators(false), async (req, res) => {
+      try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({ errors: errors.array() });
+        }
+
+        const series = await seriesStore.updateSeries(req.params.id, req.body);
+        if (!series) {
+          return res.status(404).json({ error: '系列未找到' });
+        }
+        res.json({ success: true, series });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 更新系列');
+        res.status(500).json({ error: '更新系列失败' });
+      }
+    });
+
+    router.delete('/series/:id', async (req, res) => {
+      try {
+        const removed = await seriesStore.deleteSeries(req.params.id);
+        if (!removed) {
+          return res.status(404).json({ error: '系列未找到' });
+        }
+        res.json({ success: true, message: '系列已删除' });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 删除系列');
+        res.status(500).json({ error: '删除系列失败' });
+      }
+    });
+
+    // 制作并发布系列的下一集
+    router.post('/series/:id/run', [
+      body('dryRun').optional().isBoolean().toBoolean()
+    ], async (req, res) => {
+      try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({ errors: errors.array() });
+        }
+
+        const series = await seriesStore.getSeries(req.params.id);
+        if (!series) {
+          return res.status(404).json({ error: '系列未找到' });
+        }
+        if (series.status === 'completed') {
+          return res.status(409).json({ error: '系列已完结', episodes: series.episodes.length });
+        }
+
+        const dryRun = req.body.dryRun === true;
+        const result = await this.automation.createAndPublishVideo({ seriesId: series.id, dryRun });
+        let message = result ? `第${series.episodes.length + 1}集执行完成` : '没有创建新剧集';
+        if (result?.awaitingReview) {
+          message = '剧集已生成，等待审核';
+          this.io.emit('draftCreated', { draftId: result.draftId, runId: result.runId });
+        }
+
+        res.json({
+          success: !!result,
+          result,
+          message
+        });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 执行系列任务');
+        res.status(500).json({ error: '执行系列任务失败' });
+      }
+    });
+
+    // 长视频切片
+    router.get('/repurpose/sources', async (req, res) => {
+      try {
+        res.json({ sources: await this.automation.repurposer.listSources() });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 获取切片源视频');
+        res.status(500).json({ error: '获取切片源视频失败' });
+      }
+    });
+
+    router.post('/repurpose', [
+      body('file').isString().trim().notEmpty(),
+      body('clips').optional().isInt({ min: 1, max: 20 }).toInt(),
+      body('clipIndex').optional().isInt({ min: 0 }).toInt(),
+      body('profileId').optional().isString().trim(),
+      body('account').optional().isString().trim(),
+      body('dryRun').optional().isBoolean().toBoolean()
+    ], async (req, res) => {
+      try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { file, clips, clipIndex, profileId, account, dryRun = false } = req.body;
+        try {
+          await this.automation.repurposer.getSourceStat(file);
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+        if (!dryRun && await rejectIfOverBudget(res)) {
+          return;
+        }
+
+        const results = await this.automation.repurposeVideo(file, { clips, clipIndex, profileId, account, dryRun });
+        for (const result of results.filter((item) => item.awaitingReview)) {
+          this.io.emit('draftCreated', { draftId: result.draftId, runId: result.runId });
+        }
+
+        res.json({
+          success: results.length > 0,
+          results,
+          message: results.length > 0 ? `已完成${results.length}个切片` : '没有创建新切片'
+        });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 长视频切片');
+        res.status(500).json({ error: '长视频切片失败' });
+      }
+    });
+
+    // 标题/缩略图实验
+    router.get('/experiments', [
+      query('status').optional().isIn(EXPERIMENT_STATUSES),
+      query('videoId').optional().isString().trim()
+    ], async (req, res) => {
+      try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { status, videoId } = req.query;
+        res.json({ experiments: await experimentStore.listExperiments({ status, videoId }) });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 获取实验列表');
+        res.status(500).json({ error: '获取实验列表失败' });
+      }
+    });
+
+    router.get('/experiments/:id', async (req, res) => {
+      try {
+        const experiment = await experimentStore.getExperiment(req.params.id);
+        if (!experiment) {
+          return res.status(404).json({ error: '实验未找到' });
+        }
+        res.json(experiment);
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 获取实验详情');
+        res.status(500).json({ error: '获取实验详情失败' });
+      }
+    });
+
+    router.get('/experiments/:id/report', async (req, res) => {
+      try {
+        const report = await this.automation.experiments.getReport(req.params.id);
+        if (!report) {
+          return res.status(404).json({ error: '实验未找到' });
+        }
+        res.json(report);
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 获取实验报告');
+        res.status(500).json({ error: '获取实验报告失败' });
+      }
+    });
+
+    // 指定runId时从运行记录中读取视频、缩略图和上传时的元数据
+    router.post('/experiments', [
+      body('videoId').optional().isString().trim().notEmpty(),
+      body('runId').optional().isString().trim().notEmpty(),
+      body('account').optional().isString().trim(),
+      body('titles').optional().isArray({ max: 9 }),
+      body('titles.*').isString().trim().notEmpty(),
+      body('variantCount').optional().isInt({ min: 2, max: 10 }).toInt(),
+      body('windowHours').optional().isFloat({ min: 0.1 }).toFloat(),
+      body('rounds').optional().isInt({ min: 1, max: 10 }).toInt(),
+      body('metric').optional().isIn(EXPERIMENT_METRICS)
+    ], async (req, res) => {
+      try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { runId, titles = [], variantCount = config.experiments.variantCount } = req.body;
+        const data = { ...req.body, variantCount };
+
+        if (runId) {
+          const run = await runStore.getRun(runId);
+          if (!run) {
+            return res.status(404).json({ error: '运行记录未找到' });
+          }
+          if (run.options.dryRun || !run.context.uploadResult) {
+            return res.status(400).json({ error: '该运行没有已上传的视频' });
+          }
+
+          const { uploadResult, uploadMetadata } = run.context;
+          Object.assign(data, {
+            videoId: uploadResult.videoId,
+            account: run.options.account,
+            videoPath: run.context.optimizedVideoPath || run.context.videoPath,
+            thumbnailPath: run.context.thumbnailPath,
+            language: run.options.profile?.language,
+            original: {
+              title: uploadMetadata.title,
+              description: uploadMetadata.description,
+              tags: uploadMetadata.tags,
+              categoryId: uploadMetadata.categoryId,
+              defaultLanguage: uploadMetadata.defaultLanguage
+            }
+          });
+        }
+
+        if (!data.videoId) {
+          return res.status(400).json({ error: '需要提供videoId或runId' });
+        }
+        if (await experimentStore.findRunning(data.videoId)) {
+          return res.status(409).json({ error: '该视频已有进行中的实验' });
+        }
+        if (titles.length < variantCount - 1 && await rejectIfOverBudget(res)) {
+          return;
+        }
+
+        const experiment = await this.automation.experiments.createExperiment(data);
+        res.status(201).json({ success: true, experiment });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 创建实验');
+        res.status(500).json({ error: '创建实验失败' });
+      }
+    });
+
+    router.post('/experiments/:id/cancel', [
+      body('restore').optional().isBoolean().toBoolean(),
+      body('reason').optional().isString().trim()
+    ], async (req, res) => {
+      try {
+        const experiment = await experimentStore.getExperiment(req.params.id);
+        if (!experiment) {
+          return res.status(404).json({ error: '实验未找到' });
+        }
+        if (experiment.status !== 'running') {
+          return res.status(409).json({ error: `实验当前状态为 ${experiment.status}，无法取消` });
+        }
+
+        const { restore = true, reason } = req.body;
+        const cancelled = await this.automation.experiments.cancelExperiment(req.params.id, { restore, reason });
+        res.json({ success: true, experiment: cancelled });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 取消实验');
+        res.status(500).json({ error: '取消实验失败' });
+      }
+    });
+
+    // 发布后表现追踪
+    router.get('/performance/videos', [
+      query('account').optional().isString().trim(),
+      query('limit').optional().isInt({ min: 1, max: 500 }).toInt()
+    ], async (req, res) => {
+      try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({ errors: errors.array() });
+        }
+
+        const videos = await this.automation.performance.listVideos({
+          account: req.query.account,
+          limit: req.query.limit
+        });
+        res.json({ videos });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 获取视频表现');
+        res.status(500).json({ error: '获取视频表现失败' });
+      }
+    });
+
+    router.get('/performance/videos/:videoId', async (req, res) => {
+      try {
+        const curve = await this.automation.performance.getVideoCurve(req.params.videoId);
+        if (!curve) {
+          return res.status(404).json({ error: '没有该视频的表现数据' });
+        }
+        res.json(curve);
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 获取视频增长曲线');
+        res.status(500).json({ error: '获取视频增长曲线失败' });
+      }
+    });
+
+    router.get('/performance/channels/:account', [
+      query('days').optional().isInt({ min: 1, max: 365 }).toInt()
+    ], async (req, res) => {
+      try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({ errors: errors.array() });
+        }
+
+        const curve = await this.automation.performance.getChannelCurve(req.params.account, {
+          days: req.query.days
+        });
+        res.json(curve);
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 获取频道增长曲线');
+        res.status(500).json({ error: '获取频道增长曲线失败' });
+      }
+    });
+
+    router.post('/performance/poll', async (req, res) => {
+      try {
+        const summary = await this.automation.performance.poll();
+        res.json({ success: true, ...summary });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 拉取视频表现');
+        res.status(500).json({ error: '拉取视频表现失败' });
+      }
+    });
+
+    // 发布计划
+    const scheduleValidators = (isCreate) => [
+      (isCreate ? body('cron') : body('cron').optional())
+        .custom((value) => cron.validate(value)).withMessage('无效的cron表达式'),
+      body('timezone').optional()
+        .custom((value) => isValidTimezone(value)).withMessage('无效的时区'),
+      body('name').optional().isString().trim(),
+      body('account').optional({ nullable: true }).isString().trim(),
+      body('profileId').optional({ nullable: true }).isString().trim(),
+      body('seriesId').optional({ nullable: true }).isString().trim(),
+      body('dailyCap').optional({ nullable: true }).isInt({ min: 0 }).toInt(),
+      body('enabled').optional().isBoolean().toBoolean()
+    ];
+
+    router.get('/schedules', async (req, res) => {
+      try {
+        const schedules = await this.automation.scheduler.listSchedules();
+        res.json({ schedules });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 获取发布计划');
+        res.status(500).json({ error: '获取发布计划失败' });
+      }
+    });
+
+    router.get('/schedules/:id', async (req, res) => {
+      try {
+        const schedules = await this.automation.scheduler.listSchedules();
+        const schedule = schedules.find((item) => item.id === req.params.id);
+        if (!schedule) {
+          return res.status(404).json({ error: '发布计划未找到' });
+        }
+        res.json(schedule);
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 获取发布计划详情');
+        res.status(500).json({ error: '获取发布计划详情失败' });
+      }
+    });
+
+    router.post('/schedules', scheduleValidators(true), async (req, res) => {
+      try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({ errors: errors.array() });
+        }
+
+        const schedule = await this.automation.scheduler.createSchedule(req.body);
+        res.status(201).json({ success: true, schedule });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 创建发布计划');
+        res.status(500).json({ error: '创建发布计划失败' });
+      }
+    });
+
+    router.put('/schedules/:id', scheduleValidators(false), async (req, res) => {
+      try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({ errors: errors.array() });
+        }
+
+        const schedule = await this.automation.scheduler.updateSchedule(req.params.id, req.body);
+        if (!schedule) {
+          return res.status(404).json({ error: '发布计划未找到' });
+        }
+        res.json({ success: true, schedule });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 更新发布计划');
+        res.status(500).json({ error: '更新发布计划失败' });
+      }
+    });
+
+    router.delete('/schedules/:id', async (req, res) => {
+      try {
+        const removed = await this.automation.scheduler.deleteSchedule(req.params.id);
+        if (!removed) {
+          return res.status(404).json({ error: '发布计划未找到' });
+        }
+        res.json({ success: true, message: '发布计划已删除' });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 删除发布计划');
+        res.status(500).json({ error: '删除发布计划失败' });
+      }
+    });
+
+    // 立即执行一次发布计划（仍受每日上限约束）
+    router.post('/schedules/:id/run', async (req, res) => {
+      try {
+        const result = await this.automation.scheduler.trigger(req.params.id);
+        res.json({
+          success: !!result,
+          result,
+          message: result ? '发布计划已执行' : '发布计划未创建新视频'
+        });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 执行发布计划');
+        res.status(500).json({ error: '执行发布计划失败' });
+      }
+    });
+
+    // 草稿审核
+    router.get('/drafts', async (req, res) => {
+      try {
+        const drafts = await draftStore.listDrafts({ status: req.query.status });
+        res.json({ drafts });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 获取草稿列表');
+        res.status(500).json({ error: '获取草稿列表失败' });
+      }
+    });
+
+    router.get('/drafts/:id', async (req, res) => {
+      try {
+        const draft = await draftStore.getDraft(req.params.id);
+        if (!draft) {
+          return res.status(404).json({ error: '草稿未找到' });
+        }
+        res.json(draft);
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 获取草稿详情');
+        res.status(500).json({ error: '获取草稿详情失败' });
+      }
+    });
+
+    router.get('/drafts/:id/:asset(thumbnail|video)', async (req, res) => {
+      try {
+        const draft = await draftStore.getDraft(req.params.id);
+        const file = draft && (req.params.asset === 'thumbnail' ? draft.thumbnailPath : draft.videoPath);
+        if (!file) {
+          return res.status(404).json({ error: '文件未找到' });
+        }
+        res.sendFile(path.resolve(file));
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 获取草稿文件');
+        res.status(500).json({ error: '获取草稿文件失败' });
+      }
+    });
+
+    router.put('/drafts/:id', [
+      body('title').optional().isString().trim().isLength({ min: 1, max: 100 }),
+      body('description').optional().isString().isLength({ max: 5000 }),
+      body('tags').optional().isArray(),
+      body('privacyStatus').optional().isIn(['public', 'private', 'unlisted']),
+      body('editor').optional().trim()
+    ], async (req, res) => {
+      try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({ errors: errors.array() });
+        }
+
+        const draft = await draftStore.getDraft(req.params.id);
+        if (!draft) {
+          return res.status(404).json({ error: '草稿未找到' });
+        }
+        if (draft.status !== 'pending') {
+          return res.status(409).json({ error: '只能编辑待审核的草稿', status: draft.status });
+        }
+
+        const updated = await draftStore.updateDraft(req.params.id, req.body, req.body.editor);
+        if (!updated) {
+          return res.status(409).json({ error: '只能编辑待审核的草稿' });
+        }
+        res.json({ success: true, draft: updated });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 编辑草稿');
+        res.status(500).json({ error: '编辑草稿失败' });
+      }
+    });
+
+    router.post('/drafts/:id/approve', [
+      body('reviewer').optional().trim(),
+      body('note').optional().trim()
+    ], async (req, res) => {
+      try {
+        const draft = await draftStore.getDraft(req.params.id);
+        if (!draft) {
+          return res.status(404).json({ error: '草稿未找到' });
+        }
+        if (draft.status !== 'pending') {
+          return res.status(409).json({ error: '草稿不在待审核状态', status: draft.status });
+        }
+
+        const result = await this.automation.approveDraft(req.params.id, {
+          reviewer: req.body.reviewer,
+          note: req.body.note
+        });
+        if (result?.conflict) {
+          return res.status(409).json({ error: '草稿不在待审核状态' });
+        }
+
+        let message = result ? '草稿已批准并上传' : '草稿已批准，但上传失败，可通过运行记录恢复';
+        if (result?.aborted) {
+          message = `草稿已批准，但上传被插件中止: ${result.reason}`;
+        }
+
+        res.json({
+          success: !!result,
+          result,
+          message
+        });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 批准草稿');
+        res.status(500).json({ error: '批准草稿失败' });
+      }
+    });
+
+    router.post('/drafts/:id/reject', [
+      body('reviewer').optional().trim(),
+      body('reason').optional().trim()
+    ], async (req, res) => {
+      try {
+        const draft = await draftStore.getDraft(req.params.id);
+        if (!draft) {
+          return res.status(404).json({ error: '草稿未找到' });
+        }
+        if (draft.status !== 'pending') {
+          return res.status(409).json({ error: '草稿不在待审核状态', status: draft.status });
+        }
+
+        const rejected = await this.automation.rejectDraft(req.params.id, {
+          reviewer: req.body.reviewer,
+          reason: req.body.reason
+        });
+        if (rejected?.conflict) {
+          return res.status(409).json({ error: '草稿不在待审核状态' });
+        }
+
+        res.json({ success: !!rejected, draft: rejected, message: '草稿已拒绝' });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 拒绝草稿');
+        res.status(500).json({ error: '拒绝草稿失败' });
+      }
+    });
+
+    // YouTube认证
+    router.get('/youtube/auth-url', (req, res) => {
+      try {
+        const authUrl = this.automation.youtubeService.getAuthUrl();
+        res.json({ authUrl });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 获取YouTube认证URL');
+        res.status(500).json({ error: '获取认证URL失败' });
+      }
+    });
+
+    // 获取账户列表
+    router.get('/youtube/accounts', async (req, res) => {
+      try {
+        const accounts = await accountManager.listAccounts();
+        res.json({
+          accounts,
+          active: accountManager.getActiveAccount()
+        });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 获取账户列表');
+        res.status(500).json({ error: '获取账户列表失败' });
+      }
+    });
+
+    // 切换活跃账户
+    router.post('/youtube/accounts/switch', [
+      body('name').notEmpty().trim()
+    ], async (req, res) => {
+      try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({ errors: errors.array() });
+        }
+        await accountManager.setActiveAccount(req.body.name);
+        await this.automation.youtubeService.initialize();
+        res.json({ success: true, message: '已切换账户', active: req.body.name });
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: 切换账户');
+        res.status(500).json({ error: '切换账户失败' });
+      }
+    });
+
+    router.post('/youtube/authenticate', [
+      body('code').notEmpty().trim(),
+      body('account').optional().trim()
+    ], async (req, res) => {
+      try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { code, account = 'default' } = req.body;
+        const success = await this.automation.authenticateYouTube(code, account);
+        
+        if (success) {
+          res.json({ success: true, message: 'YouTube认证成功' });
+        } else {
+          res.status(400).json({ error: 'YouTube认证失败' });
+        }
+      } catch (error) {
+        ErrorHandler.handle(error, 'API: YouTube认证');
+        res.status(500).json({ error: 'YouTube认证失败' });
       }
     });
 
@@ -373,6 +1795,8 @@ class WebApplication {
   }
 
   setupSocketHandlers() {
+    budgetGuard.on('exceeded', (exceeded) => this.io.emit('budgetExceeded', exceeded));
+
     this.io.on('connection', (socket) => {
       logger.info('WebSocket客户端连接', { socketId: socket.id });
 
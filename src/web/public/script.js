@@ -9,6 +9,8 @@ class YouTubeAutomationUI {
     init() {
         this.loadSystemStatus();
         this.loadMetrics();
+        this.loadDrafts();
+        this.loadBacklog();
         this.startStatusUpdates();
     }
 
@@ -26,6 +28,14 @@ class YouTubeAutomationUI {
         // 内容生成
         document.getElementById('generate-ideas').addEventListener('click', () => this.generateIdeas());
         document.getElementById('video-form').addEventListener('submit', (e) => this.createVideo(e));
+
+        // 创意库
+        document.getElementById('refresh-backlog').addEventListener('click', () => this.loadBacklog());
+        document.getElementById('backlog-status').addEventListener('change', () => this.loadBacklog());
+        document.getElementById('backlog-form').addEventListener('submit', (e) => this.addBacklogIdea(e));
+
+        // 草稿审核
+        document.getElementById('refresh-drafts').addEventListener('click', () => this.loadDrafts());
     }
 
     setupSocketListeners() {
@@ -47,6 +57,11 @@ class YouTubeAutomationUI {
             this.log(`任务已创建: ${data.type} (${data.jobId})`, 'success');
         });
 
+        this.socket.on('draftCreated', (data) => {
+            this.log(`新草稿等待审核: ${data.draftId}`, 'info');
+            this.loadDrafts();
+        });
+
         this.socket.on('error', (error) => {
             this.showNotification(error.message, 'error');
         });
@@ -135,7 +150,7 @@ class YouTubeAutomationUI {
                 this.showNotification('自动化已启动', 'success');
                 this.log('自动化系统已启动', 'success');
             } else {
-                this.showNotification('启动失败', 'error');
+                this.showNotification(data.error || '启动失败', 'error');
             }
         } catch (error) {
             this.showNotification(`启动失败: ${error.message}`, 'error');
@@ -244,7 +259,8 @@ class YouTubeAutomationUI {
             
             const data = await response.json();
             this.displayIdeas(data.ideas || []);
-            this.showNotification(`已生成${data.ideas?.length || 0}个创意`, 'success');
+            this.showNotification(`已生成${data.ideas?.length || 0}个创意，已存入创意库`, 'success');
+            this.loadBacklog();
         } catch (error) {
             this.showNotification(`生成创意失败: ${error.message}`, 'error');
         }
@@ -313,6 +329,280 @@ class YouTubeAutomationUI {
         }
     }
 
+    async loadBacklog() {
+        const status = document.getElementById('backlog-status').value;
+
+        try {
+            const response = await fetch(`/api/ideas/backlog${status ? `?status=${status}` : ''}`);
+            const data = await response.json();
+            this.displayBacklog(data.ideas || []);
+        } catch (error) {
+            this.log(`加载创意库失败: ${error.message}`, 'error');
+        }
+    }
+
+    displayBacklog(ideas) {
+        const container = document.getElementById('backlog-list');
+        container.innerHTML = '';
+
+        if (ideas.length === 0) {
+            container.innerHTML = '<p class="text-sm text-gray-500">暂无创意</p>';
+            return;
+        }
+
+        const statusNames = { new: '待审核', approved: '已批准', used: '已使用', rejected: '已拒绝' };
+
+        ideas.forEach((idea) => {
+            const ideaDiv = document.createElement('div');
+            ideaDiv.className = 'p-3 border border-gray-200 rounded space-y-2';
+            ideaDiv.innerHTML = `
+                <div class="flex items-center space-x-2">
+                    <input type="text" class="backlog-title flex-1 px-3 py-2 border border-gray-300 rounded">
+                    <label class="text-sm text-gray-600">评分</label>
+                    <input type="number" min="0" max="100" class="backlog-score w-20 px-2 py-2 border border-gray-300 rounded">
+                    <span class="backlog-status text-xs bg-gray-100 px-2 py-1 rounded"></span>
+                </div>
+                <div class="backlog-source text-xs text-gray-500"></div>
+                <textarea rows="2" class="backlog-notes w-full px-3 py-2 border border-gray-300 rounded" placeholder="备注"></textarea>
+                <div class="flex items-center space-x-2">
+                    <span class="flex-1"></span>
+                    <button class="backlog-save bg-gray-500 hover:bg-gray-600 text-white text-sm font-bold py-1 px-3 rounded">保存</button>
+                    <button class="backlog-approve bg-green-500 hover:bg-green-600 text-white text-sm font-bold py-1 px-3 rounded">批准</button>
+                    <button class="backlog-reject bg-red-500 hover:bg-red-600 text-white text-sm font-bold py-1 px-3 rounded">拒绝</button>
+                </div>
+            `;
+
+            ideaDiv.querySelector('.backlog-title').value = idea.title;
+            ideaDiv.querySelector('.backlog-score').value = idea.score;
+            ideaDiv.querySelector('.backlog-notes').value = idea.notes || '';
+            ideaDiv.querySelector('.backlog-status').textContent = statusNames[idea.status] || idea.status;
+            ideaDiv.querySelector('.backlog-source').textContent = idea.source.type === 'trend'
+                ? `来源趋势: ${idea.source.trends.join('、') || '--'}${idea.runId ? ` · 运行 ${idea.runId}` : ''}`
+                : `手动添加${idea.runId ? ` · 运行 ${idea.runId}` : ''}`;
+
+            ideaDiv.querySelector('.backlog-save').addEventListener('click', () => this.saveBacklogIdea(idea.id, ideaDiv));
+            ideaDiv.querySelector('.backlog-approve').addEventListener('click', () => this.setBacklogStatus(idea.id, 'approved', ideaDiv));
+            ideaDiv.querySelector('.backlog-reject').addEventListener('click', () => this.setBacklogStatus(idea.id, 'rejected', ideaDiv));
+
+            container.appendChild(ideaDiv);
+        });
+    }
+
+    async addBacklogIdea(event) {
+        event.preventDefault();
+
+        const title = document.getElementById('backlog-title').value.trim();
+        if (!title) {
+            this.showNotification('请填写创意标题', 'error');
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/ideas/backlog', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ title })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification('创意已加入创意库', 'success');
+                document.getElementById('backlog-form').reset();
+                this.loadBacklog();
+            } else {
+                this.showNotification(data.error || '添加创意失败', 'error');
+            }
+        } catch (error) {
+            this.showNotification(`添加创意失败: ${error.message}`, 'error');
+        }
+    }
+
+    async saveBacklogIdea(id, ideaDiv) {
+        try {
+            const response = await fetch(`/api/ideas/backlog/${id}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    title: ideaDiv.querySelector('.backlog-title').value.trim(),
+                    score: parseFloat(ideaDiv.querySelector('.backlog-score').value) || 0,
+                    notes: ideaDiv.querySelector('.backlog-notes').value
+                })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification('创意已保存', 'success');
+            } else {
+                this.showNotification(data.error || '保存创意失败', 'error');
+            }
+        } catch (error) {
+            this.showNotification(`保存创意失败: ${error.message}`, 'error');
+        }
+    }
+
+    async setBacklogStatus(id, status, ideaDiv) {
+        try {
+            // 先保存编辑内容，再更新状态
+            await this.saveBacklogIdea(id, ideaDiv);
+
+            const response = await fetch(`/api/ideas/backlog/${id}/status`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ status, notes: ideaDiv.querySelector('.backlog-notes').value })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification(status === 'approved' ? '创意已批准' : '创意已拒绝', 'success');
+            } else {
+                this.showNotification(data.error || '更新创意状态失败', 'error');
+            }
+            this.loadBacklog();
+        } catch (error) {
+            this.showNotification(`更新创意状态失败: ${error.message}`, 'error');
+        }
+    }
+
+    async loadDrafts() {
+        try {
+            const response = await fetch('/api/drafts?status=pending');
+            const data = await response.json();
+            this.displayDrafts(data.drafts || []);
+        } catch (error) {
+            this.log(`加载草稿失败: ${error.message}`, 'error');
+        }
+    }
+
+    displayDrafts(drafts) {
+        const container = document.getElementById('drafts-list');
+        container.innerHTML = '';
+
+        if (drafts.length === 0) {
+            container.innerHTML = '<p class="text-sm text-gray-500">暂无待审核草稿</p>';
+            return;
+        }
+
+        drafts.forEach((draft) => {
+            const draftDiv = document.createElement('div');
+            draftDiv.className = 'flex space-x-4 p-3 border border-gray-200 rounded';
+            draftDiv.innerHTML = `
+                <img class="draft-thumbnail w-24 h-40 object-cover bg-gray-200 rounded" alt="缩略图">
+                <div class="flex-1 space-y-2">
+                    <ul class="draft-moderation text-xs text-red-600 list-disc list-inside"></ul>
+                    <input type="text" class="draft-title w-full px-3 py-2 border border-gray-300 rounded">
+                    <textarea rows="3" class="draft-description w-full px-3 py-2 border border-gray-300 rounded"></textarea>
+                    <input type="text" class="draft-tags w-full px-3 py-2 border border-gray-300 rounded" placeholder="标签（用逗号分隔）">
+                    <div class="flex items-center space-x-2">
+                        <select class="draft-privacy px-2 py-1 border border-gray-300 rounded text-sm">
+                            <option value="private">私享</option>
+                            <option value="unlisted">不公开</option>
+                            <option value="public">公开</option>
+                        </select>
+                        <a class="draft-preview text-sm text-blue-600" target="_blank">预览视频</a>
+                        <span class="flex-1"></span>
+                        <button class="draft-save bg-gray-500 hover:bg-gray-600 text-white text-sm font-bold py-1 px-3 rounded">保存</button>
+                        <button class="draft-approve bg-green-500 hover:bg-green-600 text-white text-sm font-bold py-1 px-3 rounded">批准并上传</button>
+                        <button class="draft-reject bg-red-500 hover:bg-red-600 text-white text-sm font-bold py-1 px-3 rounded">拒绝</button>
+                    </div>
+                </div>
+            `;
+
+            const { metadata } = draft;
+            draftDiv.querySelector('.draft-thumbnail').src = `/api/drafts/${draft.id}/thumbnail`;
+            draftDiv.querySelector('.draft-preview').href = `/api/drafts/${draft.id}/video`;
+            draftDiv.querySelector('.draft-title').value = metadata.title || '';
+            draftDiv.querySelector('.draft-description').value = metadata.description || '';
+            draftDiv.querySelector('.draft-tags').value = (metadata.tags || []).join(', ');
+            draftDiv.querySelector('.draft-privacy').value = metadata.privacyStatus || 'private';
+
+            // 内容安全审查要求人工确认的原因
+            const moderationList = draftDiv.querySelector('.draft-moderation');
+            (draft.moderation || []).forEach((reason) => {
+                const item = document.createElement('li');
+                item.textContent = reason.excerpt ? `${reason.message}：${reason.excerpt}` : reason.message;
+                moderationList.appendChild(item);
+            });
+
+            draftDiv.querySelector('.draft-save').addEventListener('click', () => this.saveDraft(draft.id, draftDiv));
+            draftDiv.querySelector('.draft-approve').addEventListener('click', () => this.approveDraft(draft.id, draftDiv));
+            draftDiv.querySelector('.draft-reject').addEventListener('click', () => this.rejectDraft(draft.id));
+
+            container.appendChild(draftDiv);
+        });
+    }
+
+    readDraftForm(draftDiv) {
+        return {
+            title: draftDiv.querySelector('.draft-title').value.trim(),
+            description: draftDiv.querySelector('.draft-description').value,
+            tags: draftDiv.querySelector('.draft-tags').value.split(',').map(tag => tag.trim()).filter(tag => tag),
+            privacyStatus: draftDiv.querySelector('.draft-privacy').value
+        };
+    }
+
+    async saveDraft(id, draftDiv) {
+        try {
+            const response = await fetch(`/api/drafts/${id}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(this.readDraftForm(draftDiv))
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification('草稿已保存', 'success');
+            } else {
+                this.showNotification(data.error || '保存草稿失败', 'error');
+            }
+        } catch (error) {
+            this.showNotification(`保存草稿失败: ${error.message}`, 'error');
+        }
+    }
+
+    async approveDraft(id, draftDiv) {
+        try {
+            // 先保存编辑内容，再批准上传
+            await this.saveDraft(id, draftDiv);
+            this.showNotification('正在上传已批准的视频...', 'info');
+
+            const response = await fetch(`/api/drafts/${id}/approve`, { method: 'POST' });
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification(data.message, 'success');
+                this.log(`草稿已批准并上传: ${data.result.url}`, 'success');
+            } else {
+                this.showNotification(data.message || data.error || '批准失败', 'error');
+            }
+            this.loadDrafts();
+        } catch (error) {
+            this.showNotification(`批准失败: ${error.message}`, 'error');
+        }
+    }
+
+    async rejectDraft(id) {
+        const reason = window.prompt('拒绝原因（可选）') || '';
+
+        try {
+            const response = await fetch(`/api/drafts/${id}/reject`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ reason })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification('草稿已拒绝', 'success');
+                this.log(`草稿已拒绝: ${id}`, 'info');
+            } else {
+                this.showNotification(data.error || '拒绝失败', 'error');
+            }
+            this.loadDrafts();
+        } catch (error) {
+            this.showNotification(`拒绝失败: ${error.message}`, 'error');
+        }
+    }
+
     showNotification(message, type = 'info') {
         const container = document.getElementById('notifications');
         const notification = document.createElement('div');
@@ -384,6 +674,7 @@ class YouTubeAutomationUI {
         setInterval(() => {
             this.loadSystemStatus();
             this.loadMetrics();
+            this.loadDrafts();
         }, 30000); // 每30秒更新一次
     }
 }
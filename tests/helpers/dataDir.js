@@ -0,0 +1,14 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 配置在首次加载时读取环境变量，使用存储的测试需要在引入被测模块之前引入本文件
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'youtube-auto-editor-'));
+process.env.DATA_DIR = dataDir;
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+module.exports = dataDir;
@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+const dataDir = require('../helpers/dataDir');
+process.env.ASSET_FILES_DIR = path.join(dataDir, 'assets');
+process.env.ASSET_EXPIRY_WARNING_DAYS = '7';
+
+const assetRegistry = require('../../src/services/assetRegistry');
+
+const DAY = 86400000;
+
+describe('assetRegistry', () => {
+  beforeAll(() => {
+    fs.mkdirSync(path.join(dataDir, 'assets', 'music'), { recursive: true });
+    fs.writeFileSync(path.join(dataDir, 'assets', 'music', 'calm.mp3'), '');
+  });
+
+  test('登记时校验许可证、署名和文件位置', async () => {
+    await expect(assetRegistry.createAsset({ name: '背景音乐', type: 'music', file: 'music/calm.mp3', source: 'https://example.com', license: 'cc-by' }))
+      .rejects.toThrow('该素材需要署名，attribution不能为空');
+    await expect(assetRegistry.createAsset({ name: '越界', type: 'music', file: '../secret.mp3', source: 'x', license: 'cc0' }))
+      .rejects.toThrow('素材文件必须位于素材目录中: ../secret.mp3');
+    await expect(assetRegistry.createAsset({ name: '缺失', type: 'font', file: 'missing.ttf', source: 'x', license: 'gpl' }))
+      .rejects.toThrow('不支持的许可证类型: gpl; 素材文件不存在: missing.ttf');
+  });
+
+  test('按过期时间计算状态', () => {
+    const now = new Date('2024-05-01T00:00:00Z');
+    const expiresIn = (days) => ({ expiresAt: new Date(now.getTime() + days * DAY).toISOString() });
+
+    expect(assetRegistry.getStatus({ expiresAt: null }, now)).toBe('active');
+    expect(assetRegistry.getStatus(expiresIn(30), now)).toBe('active');
+    expect(assetRegistry.getStatus(expiresIn(3), now)).toBe('expiring');
+    expect(assetRegistry.getStatus(expiresIn(0), now)).toBe('expired');
+  });
+
+  test('使用记录按运行去重，续期后不再视为过期', async () => {
+    const asset = await assetRegistry.createAsset({
+      name: '背景音乐',
+      type: 'music',
+      file: 'music/calm.mp3',
+      source: 'https://example.com',
+      license: 'cc-by',
+      attribution: 'Music by Example (CC BY 4.0)',
+      expiresAt: new Date(Date.now() - DAY).toISOString()
+    });
+    const usage = assetRegistry.toUsage(asset);
+
+    await assetRegistry.recordUsage([usage], { runId: 'run-1', videoPath: '/tmp/a.mp4' });
+    await assetRegistry.recordUsage([usage], { runId: 'run-1', videoPath: '/tmp/a.mp4' });
+    expect((await assetRegistry.getAsset(asset.id)).usage).toHaveLength(1);
+
+    await expect(assetRegistry.pickAsset('music')).resolves.toBeNull();
+    await expect(assetRegistry.findExpired([usage])).resolves.toEqual([{ id: asset.id, name: '背景音乐', expiresAt: asset.expiresAt }]);
+
+    await assetRegistry.updateAsset(asset.id, { expiresAt: new Date(Date.now() + 30 * DAY).toISOString() });
+    await expect(assetRegistry.findExpired([usage])).resolves.toEqual([]);
+    await expect(assetRegistry.pickAsset('music')).resolves.toMatchObject({ filePath: path.join(dataDir, 'assets', 'music', 'calm.mp3') });
+  });
+
+  test('署名追加在描述末尾，描述过长时截断正文', () => {
+    const assets = [{ attribution: 'Photo by A' }, { attribution: 'Photo by A' }, { attribution: '' }];
+
+    expect(assetRegistry.appendAttributions('简介', assets)).toBe('简介\n\n素材来源:\nPhoto by A');
+    expect(assetRegistry.appendAttributions('简介', [])).toBe('简介');
+
+    const truncated = assetRegistry.appendAttributions('x'.repeat(50), assets, 30);
+    expect(truncated).toHaveLength(30);
+    expect(truncated).toBe(`${'x'.repeat(12)}\n\n素材来源:\nPhoto by A`);
+  });
+});
@@ -0,0 +1,102 @@
+require('../helpers/dataDir');
+process.env.AI_DAILY_BUDGET = '1';
+
+const YouTubeAutomation = require('../../src/modules/automation');
+const budgetGuard = require('../../src/services/budgetGuard');
+const draftStore = require('../../src/services/draftStore');
+const config = require('../../src/config');
+
+describe('YouTubeAutomation.startAutomation', () => {
+  let automation;
+
+  beforeEach(() => {
+    automation = new YouTubeAutomation();
+    jest.spyOn(automation.scheduler, 'start').mockResolvedValue();
+    jest.spyOn(automation.scheduler, 'stop').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    automation.stopAutomation();
+    jest.restoreAllMocks();
+  });
+
+  test('启动定时任务，重复启动时不再启动调度器', async () => {
+    await expect(automation.startAutomation()).resolves.toEqual({ started: true });
+    await expect(automation.startAutomation()).resolves.toEqual({ started: true });
+    expect(automation.isRunning).toBe(true);
+    expect(automation.scheduler.start).toHaveBeenCalledTimes(1);
+  });
+
+  test('调度功能禁用时返回原因', async () => {
+    jest.spyOn(config, 'isFeatureEnabled').mockImplementation((feature) => feature !== 'enableScheduler');
+
+    await expect(automation.startAutomation()).resolves.toEqual({ started: false, reason: 'scheduler_disabled' });
+    expect(automation.scheduler.start).not.toHaveBeenCalled();
+  });
+
+  test('全局预算用完时返回原因和超出的预算', async () => {
+    await budgetGuard.recordSpend(1.2);
+
+    const result = await automation.startAutomation();
+    expect(result).toEqual({
+      started: false,
+      reason: 'budget_exceeded',
+      budget: expect.objectContaining({ scope: 'global', period: 'daily', limit: 1, spent: 1.2 })
+    });
+    expect(automation.isRunning).toBe(false);
+    expect(automation.scheduler.start).not.toHaveBeenCalled();
+  });
+});
+
+describe('YouTubeAutomation.stageReview', () => {
+  const automation = new YouTubeAutomation();
+  const publishMode = config.automation.publishMode;
+  const run = { id: 'run-review', options: {} };
+  const context = {
+    scriptData: { title: '咖啡的历史', description: '简介', tags: ['咖啡'] },
+    metadata: {},
+    videoPath: '/videos/coffee.mp4'
+  };
+
+  afterEach(() => {
+    config.automation.publishMode = publishMode;
+  });
+
+  test('直接发布模式下没有需要人工确认的审查结果时跳过审核', async () => {
+    config.automation.publishMode = 'direct';
+    await expect(automation.stageReview(context, run)).resolves.toEqual({ review: { status: 'skipped' } });
+
+    const flagged = { ...context, uploadModeration: { reasons: [{ decision: 'review', category: 'medical' }] } };
+    const result = await automation.stageReview(flagged, run);
+    expect(result.pause).toMatchObject({ status: 'awaiting_review', awaitingReview: true });
+    expect(await draftStore.getDraft(result.review.draftId)).toMatchObject({
+      status: 'pending',
+      moderation: [{ decision: 'review', category: 'medical' }]
+    });
+  });
+
+  test('草稿模式下创建草稿并暂停，恢复时沿用审核通过的草稿', async () => {
+    config.automation.publishMode = 'draft';
+    const paused = await automation.stageReview(context, run);
+    expect(paused.review.status).toBe('pending');
+    const { draftId } = paused.review;
+
+    await expect(automation.stageReview({ ...context, review: paused.review }, run)).resolves.toEqual(paused);
+
+    await draftStore.updateDraft(draftId, { title: '修改后的标题' }, 'editor');
+    await draftStore.approveDraft(draftId, { reviewer: 'editor' });
+
+    // 审核期间切换为直接发布，已有的草稿仍然生效
+    config.automation.publishMode = 'direct';
+    const { review } = await automation.stageReview({ ...context, review: paused.review }, run);
+    expect(review).toMatchObject({ status: 'approved', draftId, reviewer: 'editor' });
+    expect(review.metadata).toMatchObject({ title: '修改后的标题', description: '简介', tags: ['咖啡'] });
+    expect(await draftStore.listDrafts({ status: 'pending' })).not.toContainEqual(expect.objectContaining({ id: draftId }));
+  });
+
+  test('演练不进入审核队列', async () => {
+    config.automation.publishMode = 'draft';
+    await expect(automation.stageReview(context, { id: 'run-dry', options: { dryRun: true } }))
+      .resolves.toEqual({ review: { status: 'skipped', reason: 'dryRun' } });
+  });
+});
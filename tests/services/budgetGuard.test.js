@@ -0,0 +1,73 @@
+require('../helpers/dataDir');
+process.env.AI_DAILY_BUDGET = '1';
+process.env.AI_CHANNEL_DAILY_BUDGET = '0.5';
+process.env.AI_CHANNEL_BUDGETS = JSON.stringify({ vip: { daily: 2 } });
+
+const budgetGuard = require('../../src/services/budgetGuard');
+const { BudgetExceededError } = require('../../src/services/budgetGuard');
+
+describe('budgetGuard', () => {
+  const exceeded = jest.fn();
+
+  beforeAll(() => {
+    budgetGuard.on('exceeded', exceeded);
+  });
+
+  test('按账户汇总当天和当月花费', async () => {
+    await budgetGuard.recordSpend(0.1, 'main');
+    await budgetGuard.recordSpend(0.2);
+
+    await expect(budgetGuard.getSpend('main')).resolves.toMatchObject({
+      daily: 0.3,
+      monthly: 0.3,
+      channelDaily: 0.1,
+      channelMonthly: 0.1
+    });
+    await expect(budgetGuard.check('main')).resolves.toEqual([]);
+  });
+
+  test('频道预算用完时只拒绝该频道，并发出一次通知', async () => {
+    await budgetGuard.recordSpend(0.4, 'main');
+    await budgetGuard.recordSpend(0.01, 'main');
+
+    await expect(budgetGuard.check('main')).resolves.toEqual([
+      expect.objectContaining({ scope: 'channel', account: 'main', period: 'daily', limit: 0.5, spent: 0.51 })
+    ]);
+    await expect(budgetGuard.assertWithinBudget('main')).rejects.toThrow(BudgetExceededError);
+    await expect(budgetGuard.assertWithinBudget('other')).resolves.toBeUndefined();
+    expect(exceeded).toHaveBeenCalledTimes(1);
+  });
+
+  test('频道可以单独覆盖预算', () => {
+    expect(budgetGuard.getLimits('vip')).toEqual(expect.arrayContaining([
+      expect.objectContaining({ scope: 'channel', period: 'daily', limit: 2 })
+    ]));
+    expect(budgetGuard.getLimits()).toEqual([
+      { scope: 'global', period: 'daily', limit: 1, spentKey: 'daily' }
+    ]);
+  });
+
+  test('全局预算用完时拒绝所有AI调用', async () => {
+    await budgetGuard.recordSpend(0.5, 'vip');
+
+    const error = await budgetGuard.assertWithinBudget('vip').catch((caught) => caught);
+    expect(error).toBeInstanceOf(BudgetExceededError);
+    expect(error.code).toBe('BUDGET_EXCEEDED');
+    expect(error.message).toBe('AI预算已用完: 全局每日预算 $1，已花费 $1.2100');
+    await expect(budgetGuard.assertWithinBudget()).rejects.toThrow('全局每日预算');
+    expect(exceeded).toHaveBeenLastCalledWith(expect.objectContaining({ scope: 'global', period: 'daily' }));
+  });
+
+  test('并发记录的花费不会丢失', async () => {
+    const before = (await budgetGuard.getSpend()).daily;
+    await Promise.all(Array.from({ length: 5 }, () => budgetGuard.recordSpend(0.001, 'vip')));
+    const spend = await budgetGuard.getSpend('vip');
+    expect(spend.daily).toBeCloseTo(before + 0.005);
+    expect(spend.channelDaily).toBeCloseTo(0.505);
+  });
+
+  test('状态中列出各频道的预算', async () => {
+    const channels = await budgetGuard.getChannelStatus();
+    expect(channels.map((channel) => channel.account).sort()).toEqual(['main', 'vip']);
+  });
+});
@@ -0,0 +1,61 @@
+require('../helpers/dataDir');
+
+const draftStore = require('../../src/services/draftStore');
+
+const createDraft = () => draftStore.createDraft({
+  runId: 'run-1',
+  videoPath: '/videos/coffee.mp4',
+  metadata: { title: '咖啡的历史', description: '简介', tags: ['咖啡'], privacyStatus: 'private', categoryId: '22' }
+});
+
+describe('draftStore', () => {
+  test('只修改可编辑的元数据字段并记录历史', async () => {
+    const { id } = await createDraft();
+
+    const draft = await draftStore.updateDraft(id, { title: '新标题', categoryId: '10' }, 'editor');
+    expect(draft.metadata).toMatchObject({ title: '新标题', description: '简介', categoryId: '22' });
+    expect(draft.history).toEqual([expect.objectContaining({ action: 'edit', by: 'editor', fields: ['title'] })]);
+  });
+
+  test('批准和拒绝只对待审核的草稿生效', async () => {
+    const approved = await createDraft();
+    expect(await draftStore.approveDraft(approved.id, { reviewer: 'alice', note: '可以发布' })).toMatchObject({
+      status: 'approved',
+      review: { reviewer: 'alice', note: '可以发布' }
+    });
+    expect(await draftStore.rejectDraft(approved.id, { reviewer: 'bob' })).toBeNull();
+    expect(await draftStore.updateDraft(approved.id, { title: '新标题' })).toBeNull();
+
+    const rejected = await createDraft();
+    expect(await draftStore.rejectDraft(rejected.id, { reviewer: 'bob', reason: '画面不清晰' })).toMatchObject({
+      status: 'rejected',
+      review: { reviewer: 'bob', reason: '画面不清晰' }
+    });
+    expect(await draftStore.approveDraft(rejected.id)).toBeNull();
+    expect(await draftStore.approveDraft('missing')).toBeNull();
+  });
+
+  test('并发审核同一草稿时只有一次生效', async () => {
+    const { id } = await createDraft();
+
+    const results = await Promise.all([
+      draftStore.approveDraft(id, { reviewer: 'alice' }),
+      draftStore.rejectDraft(id, { reviewer: 'bob' }),
+      draftStore.approveDraft(id, { reviewer: 'carol' })
+    ]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    const draft = await draftStore.getDraft(id);
+    expect(draft.history).toHaveLength(1);
+    expect(draft.status).toBe(results[0] ? 'approved' : 'rejected');
+  });
+
+  test('发布后记录上传结果', async () => {
+    const { id } = await createDraft();
+    await draftStore.approveDraft(id, { reviewer: 'alice' });
+
+    const draft = await draftStore.markPublished(id, { videoId: 'v1', url: 'https://youtu.be/v1' });
+    expect(draft).toMatchObject({ status: 'published', uploadResult: { videoId: 'v1' } });
+    expect(draft.history.map((item) => item.action)).toEqual(['approve', 'publish']);
+  });
+});
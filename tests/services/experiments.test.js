@@ -0,0 +1,154 @@
+require('../helpers/dataDir');
+const experimentStore = require('../../src/services/experimentStore');
+const ExperimentManager = require('../../src/services/experimentManager');
+
+const HOUR = 3600000;
+
+// 每个窗口按 [变体, 时长(小时), 播放, 点赞, 评论] 生成
+function buildWindows(windows) {
+  const start = Date.parse('2024-01-01T00:00:00Z');
+  let offset = 0;
+  return windows.map(([variantId, hours, views, likes, comments], index) => {
+    const startedAt = new Date(start + offset * HOUR).toISOString();
+    offset += hours;
+    return {
+      index,
+      variantId,
+      startedAt,
+      endedAt: new Date(start + offset * HOUR).toISOString(),
+      delta: { views, likes, comments }
+    };
+  });
+}
+
+async function createExperiment(metric, windows) {
+  const experiment = await experimentStore.createExperiment({
+    videoId: `video-${metric}-${Date.now()}`,
+    metric,
+    windowHours: 2,
+    rounds: 1,
+    original: { title: '原标题', description: '简介', tags: ['a'] },
+    variants: [
+      { id: 'A', title: '原标题', original: true },
+      { id: 'B', title: '新标题B', thumbnailPath: '/tmp/thumb_b.jpg' },
+      { id: 'C', title: '新标题C' }
+    ]
+  });
+  experiment.windows = buildWindows(windows);
+  return experiment;
+}
+
+describe('experimentStore.summarize', () => {
+  test('同一变体的窗口合并，按每小时播放计分', async () => {
+    const experiment = await createExperiment('views', [
+      ['A', 2, 100, 5, 1],
+      ['B', 2, 300, 6, 0],
+      ['C', 1, 50, 1, 1],
+      ['A', 2, 60, 1, 0]
+    ]);
+    experiment.windows.push({ variantId: 'B', startedAt: experiment.windows[3].endedAt, endedAt: null, delta: null });
+
+    expect(experimentStore.summarize(experiment)).toEqual([
+      { id: 'A', title: '原标题', thumbnailPath: undefined, original: true, windows: 2, hours: 4, views: 160, likes: 6, comments: 1, score: 40 },
+      { id: 'B', title: '新标题B', thumbnailPath: '/tmp/thumb_b.jpg', original: false, windows: 1, hours: 2, views: 300, likes: 6, comments: 0, score: 150 },
+      { id: 'C', title: '新标题C', thumbnailPath: undefined, original: false, windows: 1, hours: 1, views: 50, likes: 1, comments: 1, score: 50 }
+    ]);
+  });
+
+  test('互动率按点赞和评论占播放的比例计算', async () => {
+    const experiment = await createExperiment('engagement', [
+      ['A', 2, 100, 5, 5],
+      ['B', 2, 0, 0, 0],
+      ['C', 2, 40, 6, 2]
+    ]);
+    expect(experimentStore.summarize(experiment).map((result) => result.score)).toEqual([0.1, 0, 0.2]);
+  });
+
+  test('校验实验参数', async () => {
+    await expect(experimentStore.createExperiment({ variants: [{ id: 'A' }], metric: 'shares', windowHours: -1, rounds: 1.5 }))
+      .rejects.toThrow('videoId不能为空; 至少需要两个变体; 不支持的实验指标: shares; windowHours必须大于0; rounds必须是正整数');
+  });
+});
+
+describe('ExperimentManager.finalize', () => {
+  let youtubeService;
+  let manager;
+
+  beforeEach(() => {
+    youtubeService = {
+      updateVideoMetadata: jest.fn(async (videoId, metadata) => ({ id: videoId, snippet: metadata })),
+      uploadThumbnail: jest.fn(async () => true)
+    };
+    manager = new ExperimentManager({ getYouTubeService: async () => youtubeService });
+  });
+
+  test('锁定得分最高的变体并生成报告', async () => {
+    const experiment = await createExperiment('views', [
+      ['A', 2, 100, 0, 0],
+      ['B', 2, 300, 0, 0],
+      ['C', 2, 200, 0, 0]
+    ]);
+
+    const saved = await manager.finalize(youtubeService, experiment);
+
+    expect(saved).toMatchObject({ status: 'completed', winner: 'B' });
+    expect(saved.report).toMatchObject({
+      decidedBy: 'views',
+      winner: { id: 'B', title: '新标题B', score: 150 },
+      liftOverOriginal: 200
+    });
+    expect(youtubeService.updateVideoMetadata).toHaveBeenCalledWith(experiment.videoId, {
+      title: '新标题B',
+      description: '简介',
+      tags: ['a']
+    });
+    expect(youtubeService.uploadThumbnail).toHaveBeenCalledWith(experiment.videoId, '/tmp/thumb_b.jpg');
+  });
+
+  test('得分相同时保留原始变体', async () => {
+    const experiment = await createExperiment('views', [
+      ['A', 2, 100, 0, 0],
+      ['B', 2, 100, 0, 0],
+      ['C', 2, 50, 0, 0]
+    ]);
+
+    const saved = await manager.finalize(youtubeService, experiment);
+    expect(saved.winner).toBe('A');
+    expect(saved.report.liftOverOriginal).toBe(0);
+  });
+
+  test('没有任何数据时保留原始标题', async () => {
+    const experiment = await createExperiment('likes', [
+      ['A', 2, 0, 0, 0],
+      ['B', 2, 0, 0, 0],
+      ['C', 2, 0, 0, 0]
+    ]);
+
+    const saved = await manager.finalize(youtubeService, experiment);
+    expect(saved).toMatchObject({ winner: 'A', report: { decidedBy: 'noData', liftOverOriginal: null } });
+  });
+
+  test('锁定胜出变体失败时实验保持运行并记录错误', async () => {
+    youtubeService.updateVideoMetadata.mockResolvedValue(null);
+    const experiment = await createExperiment('views', [
+      ['A', 2, 100, 0, 0],
+      ['B', 2, 300, 0, 0],
+      ['C', 2, 200, 0, 0]
+    ]);
+
+    const saved = await manager.finalize(youtubeService, experiment);
+    expect(saved).toMatchObject({ status: 'running', winner: null, lastError: { message: '锁定胜出变体B失败' } });
+  });
+
+  test('已取消的实验不会被完成结果覆盖', async () => {
+    const experiment = await createExperiment('views', [
+      ['A', 2, 100, 0, 0],
+      ['B', 2, 300, 0, 0],
+      ['C', 2, 200, 0, 0]
+    ]);
+    await experimentStore.cancelExperiment(experiment.id, '手动取消');
+
+    await manager.finalize(youtubeService, experiment);
+    await expect(experimentStore.getExperiment(experiment.id)).resolves.toMatchObject({ status: 'cancelled', winner: null });
+  });
+});
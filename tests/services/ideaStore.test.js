@@ -0,0 +1,83 @@
+require('../helpers/dataDir');
+const ideaStore = require('../../src/services/ideaStore');
+
+async function resetIdeas() {
+  for (const idea of await ideaStore.listIdeas()) {
+    await ideaStore.removeIdea(idea.id);
+  }
+}
+
+describe('ideaStore.claimTopApproved', () => {
+  beforeEach(resetIdeas);
+
+  test('领取评分最高且范围匹配的已批准创意', async () => {
+    await ideaStore.createIdea({ title: '未批准', score: 100 });
+    await ideaStore.createIdea({ title: '其他频道', score: 95, status: 'approved', profileId: 'other' });
+    const low = await ideaStore.createIdea({ title: '低分', score: 40, status: 'approved' });
+    const top = await ideaStore.createIdea({ title: '高分', score: 80, status: 'approved', profileId: 'tech' });
+
+    const claimed = await ideaStore.claimTopApproved('run-1', { profileId: 'tech', account: 'main' });
+    expect(claimed).toMatchObject({ id: top.id, status: 'used', runId: 'run-1' });
+    expect(claimed.history).toEqual([expect.objectContaining({ action: 'use', runId: 'run-1' })]);
+
+    await expect(ideaStore.claimTopApproved('run-1', { profileId: 'tech' })).resolves.toMatchObject({ id: top.id });
+    await expect(ideaStore.claimTopApproved('run-2', { profileId: 'tech' })).resolves.toMatchObject({ id: low.id });
+    await expect(ideaStore.claimTopApproved('run-3', { profileId: 'tech' })).resolves.toBeNull();
+  });
+
+  test('并发领取时每个运行得到不同的创意', async () => {
+    const first = await ideaStore.createIdea({ title: '创意一', score: 60, status: 'approved' });
+    const second = await ideaStore.createIdea({ title: '创意二', score: 60, status: 'approved' });
+
+    const claimed = await Promise.all(['run-1', 'run-2', 'run-3'].map((runId) => ideaStore.claimTopApproved(runId)));
+    expect(claimed.map((idea) => idea?.id ?? null).sort()).toEqual([first.id, second.id, null].sort());
+  });
+
+  test('演练只返回候选创意，不标记为已使用', async () => {
+    const idea = await ideaStore.createIdea({ title: '演练', status: 'approved' });
+    await expect(ideaStore.claimTopApproved('dry-run', {}, { dryRun: true })).resolves.toMatchObject({ id: idea.id, status: 'approved' });
+    await expect(ideaStore.getIdea(idea.id)).resolves.toMatchObject({ status: 'approved', runId: null });
+  });
+});
+
+describe('ideaStore.releaseForRun', () => {
+  beforeEach(resetIdeas);
+
+  test('运行未发布时退回创意，可以再次领取', async () => {
+    const idea = await ideaStore.createIdea({ title: '退回', status: 'approved' });
+    await ideaStore.claimTopApproved('run-1');
+
+    const [released] = await ideaStore.releaseForRun('run-1', 'failed');
+    expect(released).toMatchObject({ id: idea.id, status: 'approved', runId: null, usedAt: null });
+    expect(released.history.map((entry) => entry.action)).toEqual(['use', 'release']);
+    await expect(ideaStore.releaseForRun('run-1', 'failed')).resolves.toEqual([]);
+
+    await expect(ideaStore.claimTopApproved('run-2')).resolves.toMatchObject({ id: idea.id, runId: 'run-2' });
+  });
+
+  test('恢复的运行重新领取原创意，已被其他运行领取时返回null', async () => {
+    const idea = await ideaStore.createIdea({ title: '恢复', status: 'approved' });
+    await ideaStore.claimTopApproved('run-1');
+    await ideaStore.releaseForRun('run-1', 'failed');
+
+    await expect(ideaStore.reclaimForRun(idea.id, 'run-1')).resolves.toMatchObject({ status: 'used', runId: 'run-1' });
+    await expect(ideaStore.reclaimForRun(idea.id, 'run-1')).resolves.toMatchObject({ runId: 'run-1' });
+    await expect(ideaStore.reclaimForRun(idea.id, 'run-2')).resolves.toBeNull();
+  });
+});
+
+describe('ideaStore.updateIdea', () => {
+  test('无效的修改不会保存，并发修改不会互相覆盖', async () => {
+    const idea = await ideaStore.createIdea({ title: '编辑' });
+
+    await expect(ideaStore.updateIdea(idea.id, { score: 120 })).rejects.toThrow('score必须是0到100之间的数字');
+    await Promise.all([
+      ideaStore.updateIdea(idea.id, { score: 70 }, 'alice'),
+      ideaStore.updateIdea(idea.id, { notes: '适合周末' }, 'bob')
+    ]);
+
+    const saved = await ideaStore.getIdea(idea.id);
+    expect(saved).toMatchObject({ score: 70, notes: '适合周末' });
+    expect(saved.history.map((entry) => entry.by)).toEqual(['alice', 'bob']);
+  });
+});
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+const dataDir = require('../helpers/dataDir');
+process.env.VIDEO_OUTPUT_DIR = path.join(dataDir, 'output');
+
+const Localizer = require('../../src/services/localizer');
+const { isValidLanguageCode } = require('../../src/services/localizer');
+
+const content = {
+  title: '咖啡的历史',
+  description: '咖啡是怎样传遍世界的',
+  tags: ['咖啡'],
+  script: '一千多年前……',
+  cues: [
+    { start: 0, end: 2, text: '一千多年前' },
+    { start: 2, end: 4.5, text: '咖啡传到了欧洲' }
+  ]
+};
+
+const translations = {
+  en: { title: 'History of Coffee', description: 'How coffee spread', tags: ['coffee'], captions: ['A thousand years ago', 'Coffee reached Europe'] },
+  ja: { title: 'コーヒーの歴史', captions: ['千年以上前'] }
+};
+
+describe('Localizer', () => {
+  let openaiService;
+  let localizer;
+
+  beforeEach(() => {
+    openaiService = {
+      translateContent: jest.fn(async (payload, language) =>
+        (translations[language] ? JSON.stringify(translations[language]) : 'not json'))
+    };
+    localizer = new Localizer({ openaiService });
+  });
+
+  test('语言代码校验', () => {
+    expect(['en', 'zh-CN', 'pt-BR', 'yue'].every(isValidLanguageCode)).toBe(true);
+    expect(['', 'EN', 'english', 'zh_CN', null].some(isValidLanguageCode)).toBe(false);
+  });
+
+  test('目标语言去重并去掉原语言', () => {
+    expect(localizer.resolveLanguages('zh', ['en', 'zh', 'ja', 'en'])).toEqual(['en', 'ja']);
+  });
+
+  test('翻译元数据并按原时间轴生成各语言字幕', async () => {
+    const result = await localizer.localize(content, { sourceLanguage: 'zh', languages: ['en'], baseName: 'coffee' });
+
+    expect(openaiService.translateContent).toHaveBeenCalledWith({
+      title: content.title,
+      description: content.description,
+      tags: content.tags,
+      script: content.script,
+      captions: ['一千多年前', '咖啡传到了欧洲']
+    }, 'en', { sourceLanguage: 'zh' });
+    expect(result.sourceCaptionsPath).toBe(path.join(dataDir, 'output', 'coffee.zh.srt'));
+    expect(result.languages.en).toMatchObject({
+      title: 'History of Coffee',
+      description: 'How coffee spread',
+      tags: ['coffee'],
+      captionsPath: path.join(dataDir, 'output', 'coffee.en.srt')
+    });
+
+    const srt = fs.readFileSync(result.languages.en.captionsPath, 'utf8');
+    expect(srt).toContain('00:00:02,000 --> 00:00:04,500\nCoffee reached Europe');
+  });
+
+  test('字幕行数不一致时只跳过该语言的字幕', async () => {
+    const result = await localizer.localize(content, { sourceLanguage: 'zh', languages: ['ja'], baseName: 'coffee' });
+    expect(result.languages.ja).toMatchObject({ title: 'コーヒーの歴史', description: '', tags: [], captionsPath: null });
+  });
+
+  test('单个语言翻译失败时记录错误，不影响其他语言', async () => {
+    const result = await localizer.localize({ ...content, cues: [] }, { sourceLanguage: 'zh', languages: ['fr', 'en'], baseName: 'coffee' });
+
+    expect(result.sourceCaptionsPath).toBeNull();
+    expect(Object.keys(result.languages)).toEqual(['en']);
+    expect(result.failed).toEqual([{ language: 'fr', error: '无法解析翻译结果' }]);
+  });
+});
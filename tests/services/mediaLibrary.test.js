@@ -0,0 +1,63 @@
+const path = require('path');
+const dataDir = require('../helpers/dataDir');
+process.env.MEDIA_FILES_DIR = path.join(dataDir, 'media');
+
+const mediaLibrary = require('../../src/services/mediaLibrary');
+const { getOrientation } = require('../../src/services/mediaLibrary');
+
+function entry(id, fields) {
+  return { id, type: 'image', orientation: 'portrait', duration: null, autoTags: [], tags: [], loop: false, asset: null, file: `${id}.jpg`, ...fields };
+}
+
+describe('mediaLibrary', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('按宽高比判断画面方向', () => {
+    expect(getOrientation(1080, 1920)).toBe('portrait');
+    expect(getOrientation(1920, 1080)).toBe('landscape');
+    expect(getOrientation(1000, 1050)).toBe('square');
+  });
+
+  test('路径标签取自目录名和文件名', () => {
+    expect(mediaLibrary.getPathTags(path.join('城市', 'night_city-2023.mp4'))).toEqual(['城市', 'night', 'city']);
+  });
+
+  test('完全匹配计2分，部分匹配计1分，英文部分匹配至少3个字母', () => {
+    const media = entry('m1', { autoTags: ['coffee', '咖啡豆'], tags: ['landscape'] });
+
+    expect(mediaLibrary.score(media, ['coffee'])).toBe(2);
+    expect(mediaLibrary.score(media, ['coff', '咖啡'])).toBe(2);
+    expect(mediaLibrary.score(media, ['an', 'co'])).toBe(0);
+    expect(mediaLibrary.score(media, ['coffee', 'land', 'tea'])).toBe(3);
+  });
+
+  test('方向一致、时长足够且本视频未用过的素材优先', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    const media = [
+      entry('landscape', { orientation: 'landscape', autoTags: ['coffee'] }),
+      entry('short', { type: 'video', duration: 3, autoTags: ['coffee'], file: 'short.mp4' }),
+      entry('long', { type: 'video', duration: 20, autoTags: ['coffee'], file: 'long.mp4' })
+    ];
+
+    expect(mediaLibrary.pickForScene(media, '咖啡 coffee', { orientation: 'portrait', duration: 5 })).toEqual({
+      mediaId: 'long',
+      type: 'video',
+      filePath: path.join(dataDir, 'media', 'long.mp4'),
+      start: 0,
+      loop: false,
+      asset: null
+    });
+    expect(mediaLibrary.pickForScene(media, 'coffee', { orientation: 'portrait', duration: 5, exclude: new Set(['long']) }))
+      .toMatchObject({ mediaId: 'short', loop: true });
+  });
+
+  test('较长的视频随机选取起点，没有匹配的素材时返回null', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    const media = [entry('long', { type: 'video', duration: 20, autoTags: ['coffee'], file: 'long.mp4' })];
+
+    expect(mediaLibrary.pickForScene(media, 'coffee', { orientation: 'portrait', duration: 6 })).toMatchObject({ start: 7, loop: false });
+    expect(mediaLibrary.pickForScene(media, 'tea', { orientation: 'portrait', duration: 6 })).toBeNull();
+  });
+});
@@ -0,0 +1,86 @@
+require('../helpers/dataDir');
+const config = require('../../src/config');
+const Moderator = require('../../src/services/moderator');
+
+const content = { title: 'Fast Money', description: '', tags: ['理财'], script: '三天翻倍的投资秘诀' };
+
+function createModerator(response) {
+  const openaiService = { reviewContentPolicy: jest.fn(async () => response) };
+  return { moderator: new Moderator({ openaiService }), openaiService };
+}
+
+describe('Moderator', () => {
+  const defaults = { ...config.moderation };
+
+  afterEach(() => {
+    Object.assign(config.moderation, defaults);
+  });
+
+  test('默认只检查禁用词，不调用AI审查', async () => {
+    const { moderator, openaiService } = createModerator('{}');
+    const result = await moderator.moderate(content, { stage: 'script', bannedWords: ['money', 'money', '赌博'] });
+
+    expect(openaiService.reviewContentPolicy).not.toHaveBeenCalled();
+    expect(result).toMatchObject({
+      stage: 'script',
+      decision: 'block',
+      reasons: [{ type: 'bannedWord', decision: 'block', message: '包含禁用词: money', excerpt: 'money' }]
+    });
+    await expect(moderator.moderate(content, { bannedWords: ['赌博'] })).resolves.toMatchObject({ decision: 'pass', reasons: [] });
+  });
+
+  describe('AI政策审查', () => {
+    beforeEach(() => {
+      config.moderation.llmReview = true;
+    });
+
+    test('结论取所有原因中最严重的一个', async () => {
+      const { moderator, openaiService } = createModerator(JSON.stringify({
+        verdict: 'review',
+        issues: [{ category: 'financial', reason: '夸大收益', excerpt: '三天翻倍' }]
+      }));
+
+      await expect(moderator.moderate(content, { bannedTopics: ['赌博'], language: 'zh' })).resolves.toMatchObject({
+        decision: 'review',
+        reasons: [{ type: 'policy', decision: 'review', category: 'financial', message: '夸大收益', excerpt: '三天翻倍' }]
+      });
+      expect(openaiService.reviewContentPolicy).toHaveBeenCalledWith(content, { bannedTopics: ['赌博'], language: 'zh' });
+
+      const result = await moderator.moderate(content, { bannedWords: ['秘诀'] });
+      expect(result.decision).toBe('block');
+      expect(result.reasons.map((reason) => reason.decision)).toEqual(['block', 'review']);
+    });
+
+    test('未通过但没有列出问题时补充一条原因', async () => {
+      const { moderator } = createModerator(JSON.stringify({ verdict: 'block' }));
+      await expect(moderator.moderate(content)).resolves.toMatchObject({
+        decision: 'block',
+        reasons: [{ type: 'policy', decision: 'block', message: 'AI政策审查未通过' }]
+      });
+    });
+
+    test('结果无法解析时按unavailableAction处理', async () => {
+      const { moderator } = createModerator('not json');
+      await expect(moderator.moderate(content)).resolves.toMatchObject({
+        decision: 'review',
+        reasons: [{ type: 'unavailable', message: 'AI政策审查失败或结果无法解析' }]
+      });
+
+      config.moderation.unavailableAction = 'pass';
+      const { moderator: lenient } = createModerator(JSON.stringify({ verdict: 'maybe' }));
+      await expect(lenient.moderate(content)).resolves.toMatchObject({ decision: 'pass', reasons: [{ type: 'unavailable' }] });
+    });
+
+    test('需要核实的说法默认忽略，开启后按claimsAction处理', async () => {
+      const response = JSON.stringify({ verdict: 'pass', issues: [], claims: [{ text: '三天翻倍', reason: '收益无法保证' }] });
+
+      await expect(createModerator(response).moderator.moderate(content)).resolves.toMatchObject({ decision: 'pass', reasons: [] });
+
+      config.moderation.claimsAction = 'review';
+      await expect(createModerator(response).moderator.moderate(content)).resolves.toMatchObject({
+        decision: 'review',
+        reasons: [{ type: 'claim', decision: 'review', message: '收益无法保证', excerpt: '三天翻倍' }]
+      });
+    });
+  });
+});
@@ -0,0 +1,89 @@
+require('../helpers/dataDir');
+process.env.SCHEDULE_TIMEZONE = 'UTC';
+
+const publishHistory = require('../../src/services/publishHistory');
+const PerformanceTracker = require('../../src/services/performanceTracker');
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+
+function snapshot(time, views, likes = 0, comments = 0) {
+  return { at: new Date(time).toISOString(), views, likes, comments };
+}
+
+function saveRecord(tracker, videoId, account, publishedAt, snapshots) {
+  return tracker.store.save({
+    id: tracker.getRecordId(videoId),
+    videoId,
+    account,
+    title: videoId,
+    publishedAt: new Date(publishedAt).toISOString(),
+    snapshots,
+    latest: snapshots[snapshots.length - 1],
+    lastPolledAt: snapshots[snapshots.length - 1].at
+  });
+}
+
+describe('PerformanceTracker', () => {
+  // 固定在当天正午，快照前后一小时不会跨过日期边界
+  const now = Date.parse(`${new Date().toISOString().slice(0, 10)}T12:00:00Z`);
+  let youtubeServices;
+  let tracker;
+
+  beforeAll(async () => {
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    youtubeServices = {
+      main: { getVideosStatistics: jest.fn(async (ids) => Object.fromEntries(ids.filter((id) => id !== 'gone').map((id) => [id, { viewCount: '42', likeCount: '3' }]))) },
+      second: { getVideosStatistics: jest.fn(async () => ({ s1: { viewCount: '7' } })) }
+    };
+    tracker = new PerformanceTracker({ getYouTubeService: async (account) => youtubeServices[account] });
+
+    await saveRecord(tracker, 'curve-1', 'curves', now - 10 * DAY, [
+      snapshot(now - 5 * DAY, 10, 1),
+      snapshot(now - DAY - HOUR, 20),
+      snapshot(now - DAY, 30, 2, 1),
+      snapshot(now, 50, 4, 1)
+    ]);
+    await saveRecord(tracker, 'curve-2', 'curves', now - 2 * DAY, [snapshot(now - DAY, 100, 5)]);
+    await saveRecord(tracker, 'curve-other', 'elsewhere', now - 2 * DAY, [snapshot(now - DAY, 1000)]);
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('频道曲线按天汇总，当天没有快照的视频沿用之前的数值', async () => {
+    const curve = await tracker.getChannelCurve('curves', { days: 3 });
+
+    expect(curve).toMatchObject({ account: 'curves', timezone: 'UTC', days: 3, videos: 2 });
+    expect(curve.points.map(({ videos, views, likes, comments, viewsDelta }) => [videos, views, likes, comments, viewsDelta])).toEqual([
+      [1, 10, 1, 0, 0],
+      [2, 130, 7, 1, 120],
+      [2, 150, 9, 1, 20]
+    ]);
+    expect(curve.points.map((point) => point.day)).toEqual([2, 1, 0].map((days) => new Date(now - days * DAY).toISOString().slice(0, 10)));
+  });
+
+  test('单个视频曲线给出发布后的小时数和播放增量', async () => {
+    const curve = await tracker.getVideoCurve('curve-2');
+    expect(curve.points).toEqual([expect.objectContaining({ views: 100, hoursSincePublish: 24, viewsDelta: 0 })]);
+    expect(curve.growth.viewsPerDay).toBe(50);
+
+    await expect(tracker.getVideoCurve('missing')).resolves.toBeNull();
+  });
+
+  test('同一账户的视频合并为一次统计请求', async () => {
+    await publishHistory.record({ videoId: 'm1', account: 'main', title: '视频一', script: '', tags: [] });
+    await publishHistory.record({ videoId: 'm2', account: 'main', title: '视频二', script: '', tags: [] });
+    await publishHistory.record({ videoId: 'gone', account: 'main', title: '已删除', script: '', tags: [] });
+    await publishHistory.record({ videoId: 's1', account: 'second', title: '视频三', script: '', tags: [] });
+
+    await expect(tracker.poll()).resolves.toMatchObject({ polled: 3, failed: 1 });
+    expect(youtubeServices.main.getVideosStatistics).toHaveBeenCalledTimes(1);
+    expect(youtubeServices.main.getVideosStatistics.mock.calls[0][0].sort()).toEqual(['gone', 'm1', 'm2']);
+    expect(youtubeServices.second.getVideosStatistics).toHaveBeenCalledWith(['s1']);
+
+    const [video] = await tracker.listVideos({ account: 'second' });
+    expect(video).toMatchObject({ videoId: 's1', title: '视频三', snapshots: 1, latest: { views: 7, likes: 0, comments: 0 } });
+  });
+});
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+const dataDir = require('../helpers/dataDir');
+const PluginManager = require('../../src/services/pluginManager');
+const { PipelineAbortedError } = require('../../src/services/pluginManager');
+
+const pluginsDir = path.join(dataDir, 'plugins');
+const run = { id: 'run-1', options: { dryRun: true } };
+
+function writePlugin(file, source) {
+  fs.writeFileSync(path.join(pluginsDir, file), source);
+}
+
+describe('PluginManager', () => {
+  let manager;
+
+  beforeAll(async () => {
+    fs.mkdirSync(pluginsDir, { recursive: true });
+    writePlugin('20-tags.js', `module.exports = {
+      name: 'tags',
+      hooks: {
+        afterScript: (context) => ({ tags: [...context.tags, 'second'], order: [...context.order, 'tags'] })
+      }
+    };`);
+    writePlugin('10-title.js', `module.exports = {
+      hooks: {
+        afterScript: (context, api) => ({ title: context.title + '!', order: [...context.order, api.run.id] }),
+        beforeUpload: (context, api) => api.abort('缺少封面')
+      }
+    };`);
+    writePlugin('30-disabled.js', `module.exports = { enabled: false, hooks: { afterScript: () => ({ title: 'disabled' }) } };`);
+    writePlugin('40-invalid.js', `module.exports = { hooks: { beforeRender() {} } };`);
+    writePlugin('50-broken.js', `module.exports = {
+      hooks: {
+        afterRender: () => { throw new Error('磁盘已满'); },
+        onError: () => { throw new Error('通知失败'); }
+      }
+    };`);
+    writePlugin('README.md', '不是插件');
+
+    manager = new PluginManager(pluginsDir);
+    await manager.load();
+  });
+
+  test('按文件名顺序加载，跳过停用和无效的插件', () => {
+    expect(manager.plugins.map((plugin) => plugin.name)).toEqual(['10-title', 'tags', '50-broken']);
+    expect(manager.listPlugins()).toEqual(expect.arrayContaining([
+      expect.objectContaining({ name: '10-title', hooks: ['afterScript', 'beforeUpload'], loaded: true }),
+      { name: '40-invalid.js', file: path.join(pluginsDir, '40-invalid.js'), error: '未知的插件钩子: beforeRender', loaded: false }
+    ]));
+  });
+
+  test('插件目录不存在时没有插件', async () => {
+    const empty = new PluginManager(path.join(dataDir, 'missing'));
+    await expect(empty.load()).resolves.toEqual([]);
+  });
+
+  test('钩子依次执行，后面的插件能看到前面插件的修改', async () => {
+    const patch = await manager.runHook('afterScript', { title: '标题', tags: ['first'], order: [] }, run);
+    expect(patch).toEqual({ title: '标题!', tags: ['first', 'second'], order: ['run-1', 'tags'] });
+  });
+
+  test('没有插件实现的钩子返回空修改', async () => {
+    await expect(manager.runHook('afterUpload', { title: '标题' }, run)).resolves.toEqual({});
+  });
+
+  test('abort中止运行并记录插件名', async () => {
+    const error = await manager.runHook('beforeUpload', {}, run).catch((caught) => caught);
+    expect(error).toBeInstanceOf(PipelineAbortedError);
+    expect(error).toMatchObject({ code: 'PIPELINE_ABORTED', plugin: '10-title', message: '缺少封面' });
+  });
+
+  test('钩子异常时在错误信息中注明插件和钩子', async () => {
+    await expect(manager.runHook('afterRender', {}, run)).rejects.toThrow('插件 50-broken 的 afterRender 钩子执行失败: 磁盘已满');
+  });
+
+  test('onError钩子自身的异常不会抛出', async () => {
+    await expect(manager.notifyError({}, run, { stage: 'render', error: new Error('渲染失败') })).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,28 @@
+require('../helpers/dataDir');
+
+const profileStore = require('../../src/services/profileStore');
+
+const createProfile = () => profileStore.createProfile({ name: '咖啡频道', account: 'main' });
+
+describe('profileStore.updateProfile', () => {
+  test('无效的修改不会保存', async () => {
+    const { id } = await createProfile();
+
+    await expect(profileStore.updateProfile(id, { format: 'tiktok', dailyLimit: -1 }))
+      .rejects.toThrow('不支持的目标格式: tiktok; dailyLimit必须是非负整数');
+    expect(await profileStore.getProfile(id)).toMatchObject({ format: 'shorts', dailyLimit: expect.any(Number) });
+    expect(await profileStore.updateProfile('missing', { name: '不存在' })).toBeNull();
+  });
+
+  test('并发修改不同字段时互不覆盖', async () => {
+    const { id } = await createProfile();
+
+    await Promise.all([
+      profileStore.updateProfile(id, { niche: '咖啡' }),
+      profileStore.updateProfile(id, { dailyLimit: 5 }),
+      profileStore.updateProfile(id, { targetLanguages: ['en', 'ja'] })
+    ]);
+
+    expect(await profileStore.getProfile(id)).toMatchObject({ niche: '咖啡', dailyLimit: 5, targetLanguages: ['en', 'ja'] });
+  });
+});
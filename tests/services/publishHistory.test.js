@@ -0,0 +1,82 @@
+require('../helpers/dataDir');
+const publishHistory = require('../../src/services/publishHistory');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('publishHistory.checkDuplicate', () => {
+  beforeAll(async () => {
+    await publishHistory.record({
+      videoId: 'coffee',
+      account: 'main',
+      title: '咖啡的历史：从埃塞俄比亚到全世界',
+      script: '一千多年前，埃塞俄比亚的牧羊人发现山羊吃了咖啡果后格外兴奋。',
+      tags: ['咖啡', '历史', '饮品']
+    });
+    await publishHistory.record({
+      videoId: 'old',
+      account: 'main',
+      title: '手机电池保养的五个误区',
+      script: '充电到百分之百会伤电池吗？',
+      tags: ['手机'],
+      publishedAt: new Date(Date.now() - 120 * DAY).toISOString()
+    });
+    await publishHistory.record({
+      videoId: 'other',
+      account: 'second',
+      title: '绿茶的冲泡方法',
+      script: '水温八十度最合适。',
+      tags: ['茶']
+    });
+  });
+
+  test('标题相似时判为重复并说明原因', async () => {
+    const result = await publishHistory.checkDuplicate({
+      title: '咖啡的历史：从埃塞俄比亚到全世界（下）',
+      script: '今天聊聊咖啡是怎样传到欧洲的。',
+      tags: ['欧洲']
+    }, { account: 'main' });
+
+    expect(result.duplicate).toBe(true);
+    expect(result.matches).toHaveLength(1);
+    expect(result.matches[0]).toMatchObject({ videoId: 'coffee' });
+    expect(result.matches[0].reasons).toEqual([expect.stringMatching(/^标题相似度 0\.\d\d ≥ 阈值 0\.6$/)]);
+  });
+
+  test('标签相同时判为重复', async () => {
+    const result = await publishHistory.checkDuplicate({
+      title: '一杯好咖啡',
+      script: '选豆、研磨和冲泡',
+      tags: ['饮品', '历史', '咖啡']
+    }, { account: 'main' });
+
+    expect(result.matches[0].reasons).toEqual(['标签相似度 1.00 ≥ 阈值 0.8']);
+  });
+
+  test('只比较回溯期内的历史', async () => {
+    const result = await publishHistory.checkDuplicate({ title: '手机电池保养的五个误区', script: '', tags: [] }, { account: 'main' });
+    expect(result).toMatchObject({ duplicate: false, checked: 1 });
+  });
+
+  test('按账户比较，global范围比较所有账户', async () => {
+    const candidate = { title: '绿茶的冲泡方法', script: '', tags: [] };
+    await expect(publishHistory.checkDuplicate(candidate, { account: 'main' })).resolves.toMatchObject({ duplicate: false });
+    await expect(publishHistory.checkDuplicate(candidate, { account: 'main', scope: 'global' }))
+      .resolves.toMatchObject({ duplicate: true, checked: 2 });
+  });
+
+  test('阈值可以按次覆盖', async () => {
+    const result = await publishHistory.checkDuplicate({
+      title: '咖啡的历史：从埃塞俄比亚到全世界（下）',
+      script: '',
+      tags: []
+    }, { account: 'main', titleThreshold: 0.95 });
+    expect(result.duplicate).toBe(false);
+  });
+
+  test('只有脚本的候选内容不会因占位标题或空标签被判为重复', async () => {
+    await publishHistory.record({ videoId: 'fallback', account: 'main', title: '热门话题视频', script: '关于睡眠的三个事实', tags: [] });
+
+    const result = await publishHistory.checkDuplicate({ script: '如何在一周内养成早起习惯' }, { account: 'main' });
+    expect(result.duplicate).toBe(false);
+  });
+});
@@ -0,0 +1,52 @@
+require('../helpers/dataDir');
+process.env.QUOTA_TIMEZONE = 'Asia/Shanghai';
+process.env.MAX_VIDEOS_PER_DAY = '2';
+
+const quotaLedger = require('../../src/services/quotaLedger');
+
+describe('quotaLedger', () => {
+  test('日期边界按配置的时区计算', () => {
+    expect(quotaLedger.getDay(new Date('2024-05-01T15:59:59Z'))).toBe('2024-05-01');
+    expect(quotaLedger.getDay(new Date('2024-05-01T16:00:00Z'))).toBe('2024-05-02');
+  });
+
+  test('按账户分别计数，同一运行只计一次', async () => {
+    await quotaLedger.recordProduced('main', { runId: 'run-1' });
+    await quotaLedger.recordProduced('main', { runId: 'run-1' });
+    await quotaLedger.recordUploaded('main', { runId: 'run-1', videoId: 'v1' });
+    await quotaLedger.recordProduced('second', { runId: 'run-2' });
+
+    await expect(quotaLedger.getUsage('main')).resolves.toMatchObject({
+      account: 'main',
+      timezone: 'Asia/Shanghai',
+      produced: 1,
+      uploaded: 1,
+      limit: 2,
+      remaining: 1
+    });
+    const ledger = await quotaLedger.getLedger('main');
+    expect(ledger.entries.map((entry) => [entry.type, entry.runId])).toEqual([['produced', 'run-1'], ['uploaded', 'run-1']]);
+  });
+
+  test('并发记录不会互相覆盖', async () => {
+    await Promise.all(['a', 'b', 'c', 'd'].map((runId) => quotaLedger.recordProduced('busy', { runId })));
+    await expect(quotaLedger.getLedger('busy')).resolves.toMatchObject({ produced: 4 });
+  });
+
+  test('达到每日上限后报告已满', async () => {
+    await expect(quotaLedger.isLimitReached('second')).resolves.toBe(false);
+    await quotaLedger.recordProduced('second', { source: 'manual' });
+    await expect(quotaLedger.isLimitReached('second')).resolves.toBe(true);
+    await expect(quotaLedger.isLimitReached('second', 'uploaded')).resolves.toBe(false);
+  });
+
+  test('列出当天所有账户的用量', async () => {
+    const usage = await quotaLedger.listUsage();
+    expect(usage.map((item) => item.account).sort()).toEqual(['busy', 'main', 'second']);
+    expect(usage.find((item) => item.account === 'busy').remaining).toBe(0);
+  });
+
+  test('拒绝未知的配额类型', async () => {
+    await expect(quotaLedger.record('deleted', 'main')).rejects.toThrow('未知的配额类型: deleted');
+  });
+});
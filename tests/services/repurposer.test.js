@@ -0,0 +1,75 @@
+require('../helpers/dataDir');
+const Repurposer = require('../../src/services/repurposer');
+
+describe('Repurposer.normalizeHighlights', () => {
+  const repurposer = new Repurposer();
+
+  test('时间越界时截到视频范围内，过长的片段截到最大时长', () => {
+    const highlights = repurposer.normalizeHighlights([
+      { start: -5, end: 30, title: '开场' },
+      { start: 100, end: 400, title: '太长' },
+      { start: 580, end: 700 }
+    ], 600);
+
+    expect(highlights.map(({ start, end }) => [start, end])).toEqual([[0, 30], [100, 160], [580, 600]]);
+    expect(highlights[2].title).toBe('精彩片段3');
+  });
+
+  test('过短的片段延长到最小时长，视频末尾无法延长的丢弃', () => {
+    const highlights = repurposer.normalizeHighlights([
+      { start: 10, end: 12 },
+      { start: 595, end: 598 }
+    ], 600);
+
+    expect(highlights.map(({ start, end }) => [start, end])).toEqual([[10, 25]]);
+  });
+
+  test('丢弃与已接受片段重叠或时间无效的候选', () => {
+    const highlights = repurposer.normalizeHighlights([
+      { start: 0, end: 40, title: 'A', tags: ['x'], reason: '有趣' },
+      { start: 30, end: 60, title: '重叠' },
+      { start: 'abc', end: 80 },
+      { start: 40, end: 70.12345, title: 'B', tags: 'not-array' }
+    ], 600);
+
+    expect(highlights).toEqual([
+      { start: 0, end: 40, title: 'A', description: '', tags: ['x'], reason: '有趣' },
+      { start: 40, end: 70.123, title: 'B', description: '', tags: [], reason: '' }
+    ]);
+  });
+});
+
+describe('Repurposer.claimHighlight', () => {
+  const repurposer = new Repurposer();
+  let record;
+
+  beforeEach(async () => {
+    record = await repurposer.store.save({
+      file: 'talk.mp4',
+      highlights: [0, 1].map((index) => ({ index, start: index * 30, end: index * 30 + 20, title: `片段${index}`, runId: null }))
+    });
+  });
+
+  test('依次领取未使用的片段，同一运行重复领取时返回原片段', async () => {
+    await expect(repurposer.claimHighlight(record, 'run-1')).resolves.toMatchObject({ index: 0, runId: 'run-1' });
+    await expect(repurposer.claimHighlight(record, 'run-2')).resolves.toMatchObject({ index: 1, runId: 'run-2' });
+    await expect(repurposer.claimHighlight(record, 'run-1')).resolves.toMatchObject({ index: 0, runId: 'run-1' });
+    await expect(repurposer.claimHighlight(record, 'run-3')).rejects.toThrow('源视频的高光片段已全部使用: talk.mp4');
+  });
+
+  test('并发领取时每个运行得到不同的片段', async () => {
+    const claimed = await Promise.all(['run-1', 'run-2'].map((runId) => repurposer.claimHighlight(record, runId)));
+    expect(claimed.map((highlight) => highlight.index).sort()).toEqual([0, 1]);
+  });
+
+  test('可以指定片段序号', async () => {
+    await expect(repurposer.claimHighlight(record, 'run-1', 1)).resolves.toMatchObject({ index: 1, runId: 'run-1' });
+    await expect(repurposer.claimHighlight(record, 'run-2', 5)).rejects.toThrow('高光片段不存在: 5');
+  });
+
+  test('演练只选出片段，不记录领取', async () => {
+    await expect(repurposer.claimHighlight(record, 'run-1', undefined, { dryRun: true })).resolves.toMatchObject({ index: 0, runId: null });
+    const saved = await repurposer.store.get(record.id);
+    expect(saved.highlights.every((highlight) => highlight.runId === null)).toBe(true);
+  });
+});
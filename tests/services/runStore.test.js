@@ -0,0 +1,126 @@
+require('../helpers/dataDir');
+process.env.SCHEDULE_TIMEZONE = 'Asia/Shanghai';
+
+const os = require('os');
+const runStore = require('../../src/services/runStore');
+
+const owner = { pid: process.pid, host: os.hostname() };
+
+function saveRun(id, createdAt, { status = 'completed', account = 'main', dryRun = false, ...fields } = {}) {
+  return runStore.store.save({
+    id,
+    createdAt,
+    status,
+    account,
+    options: { dryRun, profileId: 'profile-1' },
+    currentStage: null,
+    stages: {},
+    context: {},
+    error: null,
+    owner,
+    ...fields
+  });
+}
+
+describe('runStore.queryRuns', () => {
+  beforeAll(async () => {
+    await saveRun('run-a', '2024-05-01T15:30:00.000Z', {
+      completedAt: '2024-05-01T15:32:00.000Z',
+      context: { scriptData: { title: '咖啡的历史' }, uploadResult: { videoId: 'v1', url: 'https://youtu.be/v1' } },
+      stages: {
+        upload: { status: 'completed', startedAt: '2024-05-01T15:31:00.000Z' },
+        idea: { status: 'completed', startedAt: '2024-05-01T15:30:00.000Z' }
+      }
+    });
+    await saveRun('run-b', '2024-05-01T16:30:00.000Z', { status: 'failed', error: { stage: 'render', message: '渲染失败' } });
+    await saveRun('run-c', '2024-05-02T03:00:00.000Z', { account: 'second', dryRun: true });
+    await saveRun('run-d', '2024-05-02T04:00:00.000Z', { status: 'running', owner: { pid: process.pid, host: 'other-host' } });
+  });
+
+  test('按创建时间倒序分页并返回总数', async () => {
+    const result = await runStore.queryRuns({ limit: 2, offset: 1 });
+    expect(result.total).toBe(4);
+    expect(result.runs.map((run) => run.id)).toEqual(['run-c', 'run-b']);
+  });
+
+  test('日期按调度时区的自然日匹配', async () => {
+    const result = await runStore.queryRuns({ date: '2024-05-02' });
+    expect(result.runs.map((run) => run.id)).toEqual(['run-d', 'run-c', 'run-b']);
+  });
+
+  test('按账户、演练和时间范围筛选', async () => {
+    await expect(runStore.queryRuns({ account: 'second' })).resolves.toMatchObject({ total: 1, runs: [{ id: 'run-c' }] });
+    await expect(runStore.queryRuns({ dryRun: false })).resolves.toMatchObject({ total: 3 });
+    const ranged = await runStore.queryRuns({ from: '2024-05-01T16:00:00Z', to: '2024-05-02T03:00:00Z' });
+    expect(ranged.runs.map((run) => run.id)).toEqual(['run-c', 'run-b']);
+  });
+
+  test('状态按有效状态筛选，所属进程不在时视为中断', async () => {
+    await expect(runStore.queryRuns({ status: 'interrupted' })).resolves.toMatchObject({
+      total: 1,
+      runs: [{ id: 'run-d', status: 'interrupted', resumable: true }]
+    });
+    await expect(runStore.queryRuns({ status: 'running' })).resolves.toMatchObject({ total: 0 });
+  });
+
+  test('审计记录汇总运行结果和各阶段耗时', async () => {
+    const { runs: [audit] } = await runStore.queryRuns({ status: 'completed', account: 'main' });
+    expect(audit).toMatchObject({
+      id: 'run-a',
+      account: 'main',
+      profileId: 'profile-1',
+      dryRun: false,
+      endedAt: '2024-05-01T15:32:00.000Z',
+      durationMs: 120000,
+      idea: '咖啡的历史',
+      videoId: 'v1',
+      url: 'https://youtu.be/v1'
+    });
+    expect(audit.stages.map((stage) => stage.name)).toEqual(['idea', 'upload']);
+  });
+});
+
+describe('runStore.listRuns', () => {
+  beforeAll(async () => {
+    for (let i = 0; i < 60; i++) {
+      await saveRun(`recent-${i}`, new Date(Date.UTC(2024, 5, 1, 0, i)).toISOString());
+    }
+  });
+
+  test('先筛选可恢复的运行再截取', async () => {
+    const runs = await runStore.listRuns({ resumableOnly: true, limit: 1 });
+    expect(runs.map((run) => run.id)).toEqual(['run-d']);
+    expect(runs[0]).toMatchObject({ status: 'interrupted', resumable: true });
+
+    expect((await runStore.listRuns({ resumableOnly: true })).map((run) => run.id)).toEqual(['run-d', 'run-b']);
+  });
+
+  test('未设置limit时返回全部运行', async () => {
+    expect(await runStore.listRuns()).toHaveLength(64);
+    expect(await runStore.listRuns({ limit: 50 })).toHaveLength(50);
+    expect(await runStore.listRuns({ status: 'completed', limit: 100 })).toHaveLength(62);
+  });
+});
+
+describe('runStore.claimRun', () => {
+  test('并发认领同一运行时只有一次成功', async () => {
+    await saveRun('claim-a', '2023-01-01T00:00:00.000Z', { status: 'failed', error: { stage: 'render', message: '渲染失败' } });
+
+    const results = await Promise.all([runStore.claimRun('claim-a'), runStore.claimRun('claim-a')]);
+    const claimed = results.filter(Boolean);
+    expect(claimed).toHaveLength(1);
+    expect(claimed[0]).toMatchObject({ status: 'running', error: null, owner });
+    expect(await runStore.getRun('claim-a')).toMatchObject({ status: 'running' });
+  });
+
+  test('所属进程不在的运行可以认领，仍在执行或已完成的运行不能认领', async () => {
+    await saveRun('claim-b', '2023-01-02T00:00:00.000Z', { status: 'running', owner: { pid: process.pid, host: 'other-host' } });
+    await saveRun('claim-c', '2023-01-03T00:00:00.000Z', { status: 'running' });
+    await saveRun('claim-d', '2023-01-04T00:00:00.000Z');
+
+    expect(await runStore.claimRun('claim-b')).toMatchObject({ status: 'running', owner });
+    expect(await runStore.claimRun('claim-c')).toBeNull();
+    expect(await runStore.claimRun('claim-d')).toBeNull();
+    expect(await runStore.claimRun('missing')).toBeNull();
+  });
+});
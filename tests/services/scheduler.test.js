@@ -0,0 +1,118 @@
+require('../helpers/dataDir');
+process.env.SCHEDULE_TIMEZONE = 'UTC';
+
+const os = require('os');
+const scheduleStore = require('../../src/services/scheduleStore');
+const runStore = require('../../src/services/runStore');
+const Scheduler = require('../../src/services/scheduler');
+
+describe('scheduleStore', () => {
+  test('创建时补全默认值并校验cron、时区和每日上限', async () => {
+    const schedule = await scheduleStore.createSchedule({ cron: '0 9 * * *' });
+    expect(schedule).toMatchObject({ name: '0 9 * * *', timezone: 'UTC', account: null, dailyCap: null, enabled: true, lastRunAt: null });
+
+    await expect(scheduleStore.createSchedule({ cron: 'every day', timezone: 'Mars/Base', dailyCap: -1 }))
+      .rejects.toThrow('无效的cron表达式: every day; 无效的时区: Mars/Base; dailyCap必须是非负整数');
+  });
+
+  test('无效的修改不会保存', async () => {
+    const schedule = await scheduleStore.createSchedule({ cron: '0 9 * * *', timezone: 'Asia/Tokyo' });
+
+    await expect(scheduleStore.updateSchedule(schedule.id, { timezone: 'Nowhere' })).rejects.toThrow('无效的时区: Nowhere');
+    await expect(scheduleStore.getSchedule(schedule.id)).resolves.toMatchObject({ timezone: 'Asia/Tokyo' });
+    await expect(scheduleStore.updateSchedule('missing', { enabled: false })).resolves.toBeNull();
+  });
+
+  test('并发的修改和执行结果不会互相覆盖', async () => {
+    const schedule = await scheduleStore.createSchedule({ cron: '0 9 * * *' });
+
+    await Promise.all([
+      scheduleStore.updateSchedule(schedule.id, { dailyCap: 2 }),
+      scheduleStore.recordRun(schedule.id, { runId: 'run-1' }),
+      scheduleStore.updateSchedule(schedule.id, { name: '早间' })
+    ]);
+
+    await expect(scheduleStore.getSchedule(schedule.id)).resolves.toMatchObject({
+      name: '早间',
+      dailyCap: 2,
+      lastResult: { runId: 'run-1' }
+    });
+  });
+});
+
+describe('Scheduler', () => {
+  let onTrigger;
+  let scheduler;
+
+  beforeEach(async () => {
+    for (const schedule of await scheduleStore.listSchedules()) {
+      await scheduleStore.deleteSchedule(schedule.id);
+    }
+    onTrigger = jest.fn(async () => ({ runId: 'run-new', videoId: 'v1' }));
+    scheduler = new Scheduler(onTrigger);
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+  });
+
+  test('启动后只注册启用的计划，没有启用的计划时使用默认间隔', async () => {
+    const enabled = await scheduler.createSchedule({ cron: '0 10 * * *' });
+    await scheduler.createSchedule({ cron: '0 11 * * *', enabled: false });
+
+    expect(scheduler.tasks.size).toBe(0);
+    await scheduler.start();
+    expect(scheduler.tasks.has(enabled.id)).toBe(true);
+    expect(scheduler.fallbackTimer).toBeNull();
+
+    await scheduler.updateSchedule(enabled.id, { enabled: false });
+    expect(scheduler.tasks.size).toBe(0);
+    expect(scheduler.fallbackTimer).not.toBeNull();
+  });
+
+  test('按计划时区的当天运行数判断是否达到每日上限', async () => {
+    const schedule = await scheduleStore.createSchedule({ cron: '0 9 * * *', timezone: 'Pacific/Kiritimati', dailyCap: 1 });
+    const run = { status: 'completed', options: { scheduleId: schedule.id }, owner: { pid: process.pid, host: os.hostname() } };
+
+    await runStore.store.save({ ...run, options: { ...run.options, dryRun: true } });
+    await runStore.store.save({ ...run, status: 'failed' });
+    await expect(scheduler.isCapReached(schedule)).resolves.toBe(false);
+
+    await runStore.store.save(run);
+    await expect(scheduler.isCapReached(schedule)).resolves.toBe(true);
+    await expect(scheduler.trigger(schedule.id)).resolves.toBeNull();
+    expect(onTrigger).not.toHaveBeenCalled();
+    await expect(scheduleStore.getSchedule(schedule.id)).resolves.toMatchObject({ lastResult: { skipped: 'dailyCap' } });
+  });
+
+  test('触发时记录运行结果，同一计划执行中时跳过重复触发', async () => {
+    let finish;
+    onTrigger.mockImplementation(() => new Promise((resolve) => {
+      finish = resolve;
+    }));
+    const schedule = await scheduleStore.createSchedule({ cron: '0 9 * * *' });
+
+    const first = scheduler.trigger(schedule.id);
+    while (!finish) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+    await expect(scheduler.trigger(schedule.id)).resolves.toBeNull();
+
+    finish({ runId: 'run-1', awaitingReview: true });
+    await first;
+    expect(onTrigger).toHaveBeenCalledTimes(1);
+    expect(onTrigger).toHaveBeenCalledWith(expect.objectContaining({ id: schedule.id }));
+    await expect(scheduleStore.getSchedule(schedule.id)).resolves.toMatchObject({
+      lastResult: { runId: 'run-1', videoId: null, awaitingReview: true, aborted: false, blocked: false }
+    });
+  });
+
+  test('计划已删除时注销任务', async () => {
+    scheduler.started = true;
+    const schedule = await scheduler.createSchedule({ cron: '0 9 * * *' });
+    await scheduleStore.deleteSchedule(schedule.id);
+
+    await expect(scheduler.trigger(schedule.id)).resolves.toBeNull();
+    expect(scheduler.tasks.has(schedule.id)).toBe(false);
+  });
+});
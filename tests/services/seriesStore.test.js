@@ -0,0 +1,68 @@
+require('../helpers/dataDir');
+
+const seriesStore = require('../../src/services/seriesStore');
+
+const createSeries = (fields = {}) => seriesStore.createSeries({ name: '咖啡之旅', arc: '从产地到杯中', episodeCount: 3, ...fields });
+
+describe('seriesStore', () => {
+  test('创建时补全默认值并检查字段', async () => {
+    const series = await createSeries();
+    expect(series).toMatchObject({
+      playlistTitle: '咖啡之旅',
+      playlistPrivacy: 'private',
+      enabled: true,
+      episodes: [],
+      status: 'active'
+    });
+
+    await expect(seriesStore.createSeries({ name: '', arc: '', episodeCount: 0, playlistPrivacy: 'secret' }))
+      .rejects.toThrow('name不能为空; arc不能为空; episodeCount必须是正整数; 无效的播放列表隐私状态: secret');
+  });
+
+  test('剧集按集数排序，记录满集数后系列完结', async () => {
+    const { id } = await createSeries({ episodeCount: 2 });
+
+    await seriesStore.recordEpisode(id, { number: 2, runId: 'run-2', videoId: 'v2', title: '第二集' });
+    const series = await seriesStore.recordEpisode(id, { number: 1, runId: 'run-1', videoId: 'v1', title: '第一集' });
+
+    expect(series.episodes.map((episode) => episode.number)).toEqual([1, 2]);
+    expect(series.status).toBe('completed');
+  });
+
+  test('同一运行重复记录时保持幂等', async () => {
+    const { id } = await createSeries();
+
+    await seriesStore.recordEpisode(id, { number: 1, runId: 'run-1', videoId: 'v1', title: '第一集' });
+    const series = await seriesStore.recordEpisode(id, { number: 1, runId: 'run-1', videoId: 'v1', title: '第一集' });
+
+    expect(series.episodes).toHaveLength(1);
+    expect(await seriesStore.recordEpisode('missing', { number: 1, runId: 'run-1' })).toBeNull();
+  });
+
+  test('并发记录剧集和修改系列时互不覆盖', async () => {
+    const { id } = await createSeries();
+
+    await Promise.all([
+      seriesStore.recordEpisode(id, { number: 1, runId: 'run-1', videoId: 'v1', title: '第一集' }),
+      seriesStore.recordEpisode(id, { number: 2, runId: 'run-2', videoId: 'v2', title: '第二集' }),
+      seriesStore.updateSeries(id, { name: '咖啡之旅（新）' }),
+      seriesStore.setPlaylist(id, 'PL123')
+    ]);
+
+    const series = await seriesStore.getSeries(id);
+    expect(series.episodes.map((episode) => episode.runId)).toEqual(['run-1', 'run-2']);
+    expect(series).toMatchObject({ name: '咖啡之旅（新）', playlistId: 'PL123' });
+  });
+
+  test('集数不能改为少于已发布的集数，无效的修改不会保存', async () => {
+    const { id } = await createSeries();
+    await seriesStore.recordEpisode(id, { number: 1, runId: 'run-1', videoId: 'v1', title: '第一集' });
+    await seriesStore.recordEpisode(id, { number: 2, runId: 'run-2', videoId: 'v2', title: '第二集' });
+
+    await expect(seriesStore.updateSeries(id, { episodeCount: 1 })).rejects.toThrow('episodeCount不能小于已发布的集数(2)');
+    expect((await seriesStore.getSeries(id)).episodeCount).toBe(3);
+
+    expect(await seriesStore.updateSeries(id, { episodeCount: 2 })).toMatchObject({ status: 'completed' });
+    expect(await seriesStore.updateSeries('missing', { name: '不存在' })).toBeNull();
+  });
+});
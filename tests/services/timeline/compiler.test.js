@@ -0,0 +1,114 @@
+const { normalizeTimeline } = require('../../../src/services/timeline/schema');
+const { compileTimeline } = require('../../../src/services/timeline/compiler');
+
+const compile = (timeline, media) => compileTimeline(normalizeTimeline(timeline, media), {
+  fontOption: 'font=Sans:',
+  escapePath: (file) => file,
+  textPath: (index) => `/tmp/text_${index}.txt`
+});
+
+describe('compileTimeline', () => {
+  const media = new Map([
+    ['a.mp4', { duration: 10, hasAudio: true }],
+    ['b.mp4', { duration: 10, hasAudio: false }],
+    ['music.mp3', { duration: 60 }]
+  ]);
+
+  test('素材片段按入点和时长加入输入列表', () => {
+    const { inputs, duration } = compile({
+      tracks: [
+        { type: 'video', clips: [{ source: 'a.mp4', in: 2, out: 5 }, { source: 'b.mp4', duration: 4, loop: true }] },
+        { type: 'audio', clips: [{ source: 'music.mp3', duration: 7 }] }
+      ]
+    }, media);
+
+    expect(inputs).toEqual([
+      { source: 'a.mp4', options: ['-ss 2', '-t 3'] },
+      { source: 'b.mp4', options: ['-stream_loop -1', '-ss 0', '-t 4'] },
+      { source: 'music.mp3', options: ['-ss 0', '-t 7'] }
+    ]);
+    expect(duration).toBe(7);
+  });
+
+  test('视频片段自带的音轨和音频轨道一起混音', () => {
+    const { filters } = compile({
+      tracks: [
+        { type: 'video', clips: [{ source: 'a.mp4', duration: 3 }] },
+        { type: 'audio', clips: [{ source: 'music.mp3', start: 1, duration: 2, volume: 0.5 }] }
+      ]
+    }, media);
+
+    expect(filters).toContainEqual(expect.stringMatching(/^\[0:a\].*atrim=0:3\[a\d+\]$/));
+    expect(filters).toContainEqual(expect.stringMatching(/^\[1:a\].*volume=0\.5.*adelay=1000\|1000.*\[a\d+\]$/));
+    expect(filters[filters.length - 1]).toMatch(/amix=inputs=3:.*volume=3\[aout\]$/);
+  });
+
+  test('xfade转场把同轨道片段连成一组再叠加到画面上', () => {
+    const { filters } = compile({
+      width: 640,
+      height: 360,
+      tracks: [{ type: 'video', clips: [
+        { color: '#FF0000', duration: 3 },
+        { color: '#00FF00', duration: 3, transition: { type: 'slide', duration: 0.5 } },
+        { color: '#0000FF', duration: 2, transition: { type: 'fadeblack', duration: 1 } }
+      ] }]
+    });
+
+    const xfades = filters.filter((filter) => filter.includes('xfade'));
+    expect(xfades).toHaveLength(2);
+    expect(xfades[0]).toContain('xfade=transition=slideleft:duration=0.5:offset=2.5');
+    expect(xfades[1]).toContain('xfade=transition=fadeblack:duration=1:offset=4.5');
+    expect(filters.filter((filter) => filter.includes('overlay='))).toHaveLength(1);
+    expect(filters).toContainEqual(expect.stringMatching(/setpts=PTS\+0\/TB/));
+  });
+
+  test('xfade转场期间前一个片段的声音淡出、后一个片段的声音淡入', () => {
+    const { filters } = compile({
+      tracks: [{ type: 'video', clips: [
+        { source: 'a.mp4', duration: 4 },
+        { source: 'a.mp4', duration: 3, transition: { type: 'crossfade', duration: 1 } }
+      ] }]
+    }, media);
+
+    const audio = filters.filter((filter) => /^\[\d+:a\]/.test(filter));
+    expect(audio).toHaveLength(2);
+    expect(audio[0]).toContain('afade=t=out:st=3:d=1');
+    expect(audio[0]).not.toContain('afade=t=in');
+    expect(audio[1]).toContain('afade=t=in:st=0:d=1');
+    expect(audio[1]).not.toContain('afade=t=out');
+    expect(audio[1]).toContain('adelay=3000|3000');
+  });
+
+  test('组起点不为0时整组画面平移到组起点', () => {
+    const { filters } = compile({
+      tracks: [{ type: 'video', clips: [
+        { color: '#FF0000', start: 2, duration: 3 },
+        { color: '#00FF00', duration: 3, transition: { type: 'crossfade', duration: 1 } }
+      ] }]
+    });
+
+    expect(filters).toContainEqual(expect.stringContaining('xfade=transition=fade:duration=1:offset=2'));
+    expect(filters).toContainEqual(expect.stringMatching(/setpts=PTS\+2\/TB/));
+  });
+
+  test('文字片段写入文本文件并在显示区间内绘制', () => {
+    const { filters, texts } = compile({
+      tracks: [
+        { type: 'video', clips: [{ color: '#000000', duration: 4 }] },
+        { type: 'text', clips: [{ text: '你好', start: 1, duration: 2, outline: 3, fadeIn: 0.5 }] }
+      ]
+    });
+
+    expect(texts).toEqual([{ path: '/tmp/text_0.txt', content: '你好' }]);
+    const drawtext = filters.find((filter) => filter.includes('drawtext='));
+    expect(drawtext).toContain('textfile=/tmp/text_0.txt');
+    expect(drawtext).toContain("enable='between(t,1,3)'");
+    expect(drawtext).toContain('borderw=3:bordercolor=black');
+    expect(drawtext).toContain('min(1,max(0,(t-1)/0.5))');
+  });
+
+  test('没有音频时输出静音音轨', () => {
+    const { filters } = compile({ tracks: [{ type: 'video', clips: [{ color: '#000000', duration: 1 }] }] });
+    expect(filters[filters.length - 1]).toBe('[silence]anull[aout]');
+  });
+});
@@ -0,0 +1,65 @@
+const { validateMotion, resolveMotion, kenBurnsFilters } = require('../../../src/services/timeline/kenBurns');
+
+describe('validateMotion', () => {
+  test('接受预设名和对象', () => {
+    expect(validateMotion('zoomIn')).toEqual([]);
+    expect(validateMotion({ preset: 'panLeft', focus: { x: 0.3 }, easing: 'linear' })).toEqual([]);
+  });
+
+  test('检查预设、easing和取景范围', () => {
+    expect(validateMotion('spin')).toEqual(['不支持的运动预设: spin']);
+    expect(validateMotion(['zoomIn'])).toEqual(['motion必须是预设名或对象']);
+    expect(validateMotion({ easing: 'bounce', from: { zoom: 0.5, x: 2 }, to: 'center' })).toEqual([
+      '不支持的easing: bounce',
+      'motion.from.zoom必须在1到5之间',
+      'motion.from.x必须在0到1之间',
+      'motion.to必须是对象'
+    ]);
+  });
+});
+
+describe('resolveMotion', () => {
+  test('预设补全为起止画面', () => {
+    expect(resolveMotion('zoomOut')).toEqual({
+      from: { zoom: 1.25, x: 0.5, y: 0.5 },
+      to: { zoom: 1, x: 0.5, y: 0.5 },
+      easing: 'easeInOut'
+    });
+  });
+
+  test('focus设置起止焦点，from和to覆盖预设', () => {
+    expect(resolveMotion({ preset: 'zoomIn', focus: { x: 0.2, y: 0.8 }, to: { zoom: 2 }, easing: 'linear' })).toEqual({
+      from: { zoom: 1, x: 0.2, y: 0.8 },
+      to: { zoom: 2, x: 0.2, y: 0.8 },
+      easing: 'linear'
+    });
+  });
+});
+
+describe('kenBurnsFilters', () => {
+  test('竖屏和横屏都先按输出比例铺满再取景', () => {
+    const motion = resolveMotion('zoomIn');
+
+    const portrait = kenBurnsFilters({ width: 1080, height: 1920, fps: 30, frames: 90, motion });
+    expect(portrait.slice(0, 2)).toEqual([
+      'scale=2160:3840:force_original_aspect_ratio=increase',
+      'crop=2160:3840'
+    ]);
+    expect(portrait[2]).toContain(':d=90:s=1080x1920:fps=30');
+
+    const landscape = kenBurnsFilters({ width: 1920, height: 1080, fps: 25, frames: 50, motion });
+    expect(landscape[1]).toBe('crop=3840:2160');
+    expect(landscape[2]).toContain(':d=50:s=1920x1080:fps=25');
+  });
+
+  test('变化的值按帧序号插值，不变的值保持常量', () => {
+    const [, , zoompan] = kenBurnsFilters({ width: 640, height: 360, fps: 30, frames: 31, motion: resolveMotion({ preset: 'zoomIn', easing: 'linear' }) });
+    expect(zoompan).toContain("z='(1+(0.25)*(on/30))'");
+    expect(zoompan).toContain("x='max(0,min(iw-iw/zoom,0.5*iw-iw/zoom/2))'");
+  });
+
+  test('只有一帧时停在起始画面', () => {
+    const [, , zoompan] = kenBurnsFilters({ width: 640, height: 360, fps: 30, frames: 1, motion: resolveMotion({ preset: 'zoomIn', easing: 'linear' }) });
+    expect(zoompan).toContain("z='(1+(0.25)*0)'");
+  });
+});
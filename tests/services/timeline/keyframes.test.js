@@ -0,0 +1,47 @@
+const { validateKeyframes, toExpression } = require('../../../src/services/timeline/keyframes');
+
+// 在JS中按FFmpeg表达式的语义求值，验证插值结果
+function evaluate(expression, t) {
+  const source = expression.replace(/\bif\(/g, 'iff(');
+  return new Function('t', 'iff', 'lt', `return ${source};`)(t, (c, a, b) => (c ? a : b), (a, b) => a < b);
+}
+
+describe('validateKeyframes', () => {
+  test('检查属性、时间、数值和easing', () => {
+    expect(validateKeyframes({ x: [{ time: 0, value: 1 }] }, ['x'])).toEqual([]);
+    expect(validateKeyframes([], ['x'])).toEqual(['keyframes必须是对象']);
+    expect(validateKeyframes({ x: [] }, ['x'])).toEqual(['keyframes.x必须是非空数组']);
+    expect(validateKeyframes({ x: [{ time: -1, value: 'a', easing: 'bounce' }] }, ['x'])).toEqual([
+      'keyframes.x[0]: time必须是不小于0的数字',
+      'keyframes.x[0]: value必须是数字',
+      'keyframes.x[0]: 不支持的easing: bounce'
+    ]);
+  });
+});
+
+describe('toExpression', () => {
+  const frames = [
+    { time: 2, value: 100 },
+    { time: 0, value: 0 },
+    { time: 4, value: 0, easing: 'easeIn' }
+  ];
+
+  test('首尾之外保持端点值，关键帧之间插值', () => {
+    const expression = toExpression([{ time: 1, value: 0 }, { time: 3, value: 100 }]);
+    expect(evaluate(expression, 0)).toBe(0);
+    expect(evaluate(expression, 2)).toBe(50);
+    expect(evaluate(expression, 5)).toBe(100);
+  });
+
+  test('按时间排序并使用目标关键帧的easing', () => {
+    const expression = toExpression(frames);
+    expect(evaluate(expression, 1)).toBe(50);
+    expect(evaluate(expression, 3)).toBe(75);
+  });
+
+  test('offset把时间换算为片段内时间', () => {
+    const expression = toExpression([{ time: 0, value: 0 }, { time: 2, value: 10 }], { offset: 5 });
+    expect(expression).toContain('(t-5)');
+    expect(evaluate(expression, 6)).toBe(5);
+  });
+});
@@ -0,0 +1,115 @@
+const { validateTimeline, normalizeTimeline } = require('../../../src/services/timeline/schema');
+
+const timeline = (clips, type = 'video') => ({ tracks: [{ type, clips }] });
+
+describe('validateTimeline', () => {
+  test('接受合法的多轨道时间线', () => {
+    expect(validateTimeline({
+      width: 1080,
+      height: 1920,
+      fps: 30,
+      tracks: [
+        { type: 'video', clips: [{ source: 'a.mp4', in: 1, out: 4 }, { color: '#000000', duration: 2 }] },
+        { type: 'audio', clips: [{ source: 'music.mp3', duration: 5, loop: true, volume: 0.3 }] },
+        { type: 'text', clips: [{ text: '标题', start: 0, duration: 2, outline: 3 }] }
+      ]
+    })).toEqual([]);
+  });
+
+  test('检查画面尺寸和轨道', () => {
+    expect(validateTimeline({ width: 1081, tracks: [] })).toEqual([
+      'width必须是不大于4096的正偶数',
+      'tracks必须是非空数组'
+    ]);
+    expect(validateTimeline({ tracks: [{ type: 'subtitle', clips: [] }] }))
+      .toEqual(['tracks[0]: 不支持的轨道类型: subtitle']);
+  });
+
+  test('图片和纯色片段必须设置duration', () => {
+    expect(validateTimeline(timeline([{ source: 'cover.png' }])))
+      .toEqual(['tracks[0].clips[0]: 图片和纯色片段必须设置duration']);
+  });
+
+  test('loop只用于设置了duration的视频和音频片段', () => {
+    expect(validateTimeline(timeline([{ source: 'cover.png', duration: 2, loop: true }])))
+      .toEqual(['tracks[0].clips[0]: 只有视频和音频片段可以设置loop']);
+    expect(validateTimeline(timeline([{ source: 'loop.mp4', loop: true }])))
+      .toEqual(['tracks[0].clips[0]: 循环片段必须设置duration']);
+    expect(validateTimeline(timeline([{ source: 'loop.mp4', duration: 2, loop: 'yes' }])))
+      .toEqual(['tracks[0].clips[0]: loop必须是布尔值']);
+  });
+
+  test('xfade转场的片段必须紧接上一个片段', () => {
+    const wipe = { type: 'wipe', duration: 0.5 };
+    expect(validateTimeline(timeline([{ color: '#000000', duration: 2, transition: wipe }])))
+      .toEqual(['tracks[0].clips[0]: wipe转场的片段必须紧接在同轨道上一个片段之后，不能设置start']);
+    expect(validateTimeline(timeline([
+      { color: '#000000', duration: 2 },
+      { color: '#FFFFFF', duration: 2, start: 1, transition: wipe }
+    ]))).toEqual(['tracks[0].clips[1]: wipe转场的片段必须紧接在同轨道上一个片段之后，不能设置start']);
+    expect(validateTimeline(timeline([
+      { color: '#000000', duration: 2 },
+      { color: '#FFFFFF', duration: 2, start: 1, transition: { type: 'fade', duration: 0.5 } }
+    ]))).toEqual([]);
+  });
+
+  test('拒绝不支持的转场和关键帧属性', () => {
+    expect(validateTimeline(timeline([
+      { color: '#000000', duration: 2 },
+      { color: '#FFFFFF', duration: 2, transition: { type: 'spin', duration: 0 } }
+    ]))).toEqual([
+      'tracks[0].clips[1]: 不支持的转场: spin',
+      'tracks[0].clips[1]: transition.duration必须大于0'
+    ]);
+    expect(validateTimeline(timeline([
+      { text: '字幕', duration: 2, keyframes: { volume: [{ time: 0, value: 1 }] } }
+    ], 'text'))).toEqual(['tracks[0].clips[0]: 不支持关键帧的属性: volume']);
+  });
+});
+
+describe('normalizeTimeline', () => {
+  const media = new Map([
+    ['a.mp4', { duration: 10, hasAudio: true }],
+    ['b.mp4', { duration: 6, hasAudio: false }]
+  ]);
+
+  test('没有start的片段接在上一个片段之后，时长取自入出点或素材', () => {
+    const normalized = normalizeTimeline(timeline([
+      { source: 'a.mp4', in: 2, out: 5 },
+      { source: 'b.mp4', in: 1 }
+    ]), media);
+
+    const [first, second] = normalized.tracks[0].clips;
+    expect(first).toMatchObject({ start: 0, length: 3, end: 3, hasAudio: true, xfade: null });
+    expect(second).toMatchObject({ start: 3, length: 5, end: 8, hasAudio: false });
+    expect(normalized).toMatchObject({ width: 1080, height: 1920, fps: 30, duration: 8 });
+  });
+
+  test('fade转场让片段重叠并淡入，xfade转场记录效果', () => {
+    const [, fade, wipe] = normalizeTimeline(timeline([
+      { color: '#000000', duration: 3 },
+      { color: '#FFFFFF', duration: 3, transition: { type: 'fade', duration: 0.5 } },
+      { color: '#FF0000', duration: 3, transition: { type: 'wipe', duration: 1 } }
+    ])).tracks[0].clips;
+
+    expect(fade).toMatchObject({ start: 2.5, fadeIn: 0.5, xfade: null });
+    expect(wipe).toMatchObject({ start: 4.5, fadeIn: 0, xfade: { transition: 'wipeleft', duration: 1 } });
+  });
+
+  test('转场时长不能超过前后片段', () => {
+    expect(() => normalizeTimeline(timeline([
+      { color: '#000000', duration: 1 },
+      { color: '#FFFFFF', duration: 3, transition: { type: 'crossfade', duration: 1 } }
+    ]))).toThrow('tracks[0].clips[1]: 转场时长必须小于前后两个片段的时长');
+  });
+
+  test('出点超出素材时长时报错', () => {
+    expect(() => normalizeTimeline(timeline([{ source: 'b.mp4', out: 8 }]), media))
+      .toThrow('tracks[0].clips[0]: out超出素材时长 6');
+  });
+
+  test('静音的视频片段不参与混音', () => {
+    const [clip] = normalizeTimeline(timeline([{ source: 'a.mp4', mute: true }]), media).tracks[0].clips;
+    expect(clip.hasAudio).toBe(false);
+  });
+});
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const topicDir = fs.mkdtempSync(path.join(os.tmpdir(), 'topics-'));
+process.env.TOPIC_FILES_DIR = topicDir;
+
+const CsvTopicSource = require('../../../src/services/topicSources/csv');
+const FeedTopicSource = require('../../../src/services/topicSources/feed');
+const ManualTopicSource = require('../../../src/services/topicSources/manual');
+const { resolveTopicFile } = require('../../../src/services/topicSources/localFile');
+
+const { parseCsv } = CsvTopicSource;
+
+const writeTopicFile = (name, content) => fs.writeFileSync(path.join(topicDir, name), content);
+
+afterAll(() => {
+  fs.rmSync(topicDir, { recursive: true, force: true });
+});
+
+describe('parseCsv', () => {
+  test('支持引号、字段内逗号、换行和转义引号', () => {
+    expect(parseCsv('﻿title,notes\r\n"a, b","说""你好""\n第二行"\n\nc,\n')).toEqual([
+      ['title', 'notes'],
+      ['a, b', '说"你好"\n第二行'],
+      ['c', '']
+    ]);
+  });
+
+  test('最后一行没有换行符时也会保留', () => {
+    expect(parseCsv('topic\nlast')).toEqual([['topic'], ['last']]);
+  });
+});
+
+describe('CsvTopicSource', () => {
+  test('按表头查找标题和摘要列', async () => {
+    writeTopicFile('list.csv', 'id,标题,备注\n1,咖啡的历史, 从埃塞俄比亚说起 \n2,,空标题\n');
+    await expect(new CsvTopicSource({ path: 'list.csv' }).fetchTopics()).resolves.toEqual([
+      { title: '咖啡的历史', summary: '从埃塞俄比亚说起' }
+    ]);
+  });
+
+  test('column指定标题列，找不到时报错；没有标题列时使用第一列', async () => {
+    writeTopicFile('custom.csv', 'name,headline\nfoo,bar\n');
+    await expect(new CsvTopicSource({ path: 'custom.csv', column: 'Headline' }).fetchTopics())
+      .resolves.toEqual([{ title: 'bar', summary: '' }]);
+    await expect(new CsvTopicSource({ path: 'custom.csv', column: 'missing' }).fetchTopics())
+      .rejects.toThrow('CSV文件中没有列: missing');
+    await expect(new CsvTopicSource({ path: 'custom.csv' }).fetchTopics())
+      .resolves.toEqual([{ title: 'foo', summary: '' }]);
+  });
+});
+
+describe('FeedTopicSource', () => {
+  test('解析RSS，新内容优先并清理摘要中的HTML', async () => {
+    writeTopicFile('news.xml', `<?xml version="1.0"?>
+      <rss version="2.0"><channel><title>频道</title>
+        <item><title>旧闻</title><link>https://example.com/1</link><pubDate>Mon, 01 Jan 2024 08:00:00 GMT</pubDate></item>
+        <item><title>新闻</title><description><![CDATA[<p>第一段</p>  <b>第二段</b>]]></description>
+          <link>https://example.com/2</link><pubDate>Tue, 02 Jan 2024 08:00:00 GMT</pubDate></item>
+        <item><description>没有标题</description></item>
+      </channel></rss>`);
+
+    const topics = await new FeedTopicSource({ url: 'news.xml' }).fetchTopics();
+    expect(topics).toEqual([
+      { title: '新闻', summary: '第一段 第二段', link: 'https://example.com/2', publishedAt: 'Tue, 02 Jan 2024 08:00:00 GMT' },
+      { title: '旧闻', summary: '', link: 'https://example.com/1', publishedAt: 'Mon, 01 Jan 2024 08:00:00 GMT' }
+    ]);
+  });
+
+  test('解析Atom，优先使用alternate链接并按maxItems截断', async () => {
+    writeTopicFile('feed.atom', `<?xml version="1.0"?>
+      <feed xmlns="http://www.w3.org/2005/Atom"><title>博客</title>
+        <entry><title>第一篇</title><link rel="self" href="https://example.com/self"/>
+          <link rel="alternate" href="https://example.com/a"/><summary>摘要</summary><updated>2024-03-01T00:00:00Z</updated></entry>
+        <entry><title>第二篇</title><link href="https://example.com/b"/><content>正文</content><published>2024-03-02T00:00:00Z</published></entry>
+      </feed>`);
+
+    await expect(new FeedTopicSource({ url: 'file://feed.atom', maxItems: 1 }).fetchTopics()).resolves.toEqual([
+      { title: '第二篇', summary: '正文', link: 'https://example.com/b', publishedAt: '2024-03-02T00:00:00Z' }
+    ]);
+  });
+
+  test('无法识别的格式报错', async () => {
+    writeTopicFile('page.html', '<html><body>not a feed</body></html>');
+    await expect(new FeedTopicSource({ url: 'page.html' }).fetchTopics()).rejects.toThrow('无法识别的订阅格式: page.html');
+  });
+});
+
+describe('本地选题文件', () => {
+  test('只允许读取选题文件目录中的文件', async () => {
+    expect(resolveTopicFile('sub/list.csv')).toBe(path.join(topicDir, 'sub', 'list.csv'));
+    expect(() => resolveTopicFile('../secret.csv')).toThrow('选题文件必须位于选题文件目录中: ../secret.csv');
+    expect(() => resolveTopicFile('/etc/passwd')).toThrow('选题文件必须位于选题文件目录中');
+    expect(() => resolveTopicFile(`${topicDir}-other/list.csv`)).toThrow('选题文件必须位于选题文件目录中');
+    await expect(new CsvTopicSource({ path: 'missing.csv' }).fetchTopics()).rejects.toThrow('选题文件不存在: missing.csv');
+    await expect(new FeedTopicSource({ url: '../../etc/hosts' }).fetchTopics()).rejects.toThrow('选题文件必须位于选题文件目录中');
+  });
+});
+
+describe('ManualTopicSource', () => {
+  test('检查选题列表并按顺序返回', async () => {
+    expect(ManualTopicSource.validate({ topics: [] })).toEqual(['manual来源的topics必须是非空数组']);
+    expect(ManualTopicSource.validate({ topics: ['a', { summary: 'b' }] })).toEqual(['manual来源的每个选题都需要标题']);
+    await expect(new ManualTopicSource({ topics: [' 咖啡 ', { title: '茶', summary: '绿茶' }] }).fetchTopics()).resolves.toEqual([
+      { title: '咖啡', summary: '' },
+      { title: '茶', summary: '绿茶' }
+    ]);
+  });
+});
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+const dataDir = require('../helpers/dataDir');
+process.env.TEMP_DIR = path.join(dataDir, 'temp');
+process.env.TTS_PADDING = '0.5';
+
+const tts = require('../../src/services/tts');
+const EspeakProvider = require('../../src/services/tts/espeak');
+const OpenAISpeechProvider = require('../../src/services/tts/openai');
+const SilentProvider = require('../../src/services/tts/silent');
+
+class RecordingProvider {
+  constructor() {
+    this.offline = true;
+    this.extension = 'mp3';
+  }
+
+  async synthesize(text, outputPath, options) {
+    if (text === '失败') {
+      throw new Error('服务不可用');
+    }
+    RecordingProvider.calls.push({ text, options });
+    fs.writeFileSync(outputPath, text);
+    return outputPath;
+  }
+}
+RecordingProvider.calls = [];
+
+describe('TtsManager', () => {
+  beforeAll(() => {
+    tts.register('recording', RecordingProvider);
+    jest.spyOn(tts, 'getAudioDuration').mockImplementation(async (audioPath) => fs.readFileSync(audioPath, 'utf8').length);
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('none表示不配音，注册的服务出现在可选列表中', () => {
+    expect(tts.isEnabled('none')).toBe(false);
+    expect(tts.isEnabled('')).toBe(false);
+    expect(tts.isEnabled('espeak')).toBe(true);
+    expect(tts.getProviders()).toEqual(['none', 'espeak', 'piper', 'openai', 'http', 'silent', 'recording']);
+  });
+
+  test('按名称创建配音服务，演练时联网服务换成静音替身', () => {
+    expect(tts.createProvider('espeak', { dryRun: true })).toBeInstanceOf(EspeakProvider);
+    expect(tts.createProvider('openai', { openaiService: {} })).toBeInstanceOf(OpenAISpeechProvider);
+    expect(tts.createProvider('openai', { openaiService: {}, dryRun: true })).toBeInstanceOf(SilentProvider);
+    expect(() => tts.createProvider('polly')).toThrow('不支持的配音服务: polly');
+  });
+
+  test('场景时长改为旁白长度加停顿', async () => {
+    const scenes = [{ text: '一二三', duration: 5 }, { text: '四五', duration: 5 }];
+    const narrated = await tts.narrateScenes(scenes, { provider: 'recording', voice: 'zh-female', language: 'zh', renderId: 'render-1' });
+
+    expect(narrated).toEqual([
+      { text: '一二三', duration: 3.5, audioPath: path.join(dataDir, 'temp', 'tts', 'render-1', 'scene_0.mp3') },
+      { text: '四五', duration: 2.5, audioPath: path.join(dataDir, 'temp', 'tts', 'render-1', 'scene_1.mp3') }
+    ]);
+    expect(RecordingProvider.calls[0].options).toEqual({ voice: 'zh-female', language: 'zh' });
+
+    await tts.cleanup('render-1');
+    expect(fs.existsSync(path.join(dataDir, 'temp', 'tts', 'render-1'))).toBe(false);
+  });
+
+  test('任一场景配音失败时整体失败并指出场景', async () => {
+    await expect(tts.narrateScenes([{ text: '好' }, { text: '失败' }], { provider: 'recording', renderId: 'render-2' }))
+      .rejects.toThrow('场景 1 配音失败: 服务不可用');
+  });
+});
@@ -0,0 +1,83 @@
+const path = require('path');
+const dataDir = require('../helpers/dataDir');
+process.env.TEMP_DIR = path.join(dataDir, 'temp');
+process.env.VIDEO_OUTPUT_DIR = path.join(dataDir, 'output');
+
+const VideoEditor = require('../../src/services/videoEditor');
+
+const options = { title: '测试', resolution: '640x360', fps: 30, maxDuration: 10, showText: true };
+
+describe('VideoEditor 场景转场', () => {
+  const editor = new VideoEditor();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('none为硬切，转场时长不超过相邻场景的一半', () => {
+    const scenes = [{ duration: 4 }, { duration: 1 }, { duration: 3, transition: { type: 'none' } }];
+    expect(editor.resolveTransitions(scenes, 10, { type: 'wipe', duration: 0.8 })).toEqual([
+      { type: 'wipe', duration: 0.5 },
+      null
+    ]);
+    expect(() => editor.resolveTransitions(scenes, 10, { type: 'spin', duration: 1 })).toThrow('不支持的转场类型: spin');
+  });
+
+  test('转场让下一个场景的画面提前开始，上一个场景的旁白淡出', () => {
+    const scenes = [
+      { text: '一', duration: 3, audioPath: '/tts/1.mp3' },
+      { text: '二', duration: 2, audioPath: '/tts/2.mp3' },
+      { text: '三', duration: 2, audioPath: '/tts/3.mp3' }
+    ];
+    const timeline = editor.buildSceneTimeline(scenes, {
+      ...options,
+      transitions: [{ type: 'crossfade', duration: 0.5 }, null]
+    });
+
+    const [video, text, audio] = timeline.tracks;
+    expect(video.clips.map((clip) => clip.duration)).toEqual([3, 2.5, 2]);
+    expect(video.clips[1].transition).toEqual({ type: 'crossfade', duration: 0.5 });
+    expect(video.clips[2].transition).toBeUndefined();
+    expect(text.clips.map((clip) => clip.start)).toEqual([0, 3, 5]);
+    expect(audio.clips).toEqual([
+      { source: '/tts/1.mp3', start: 0, duration: 3, fadeOut: 0.5 },
+      { source: '/tts/2.mp3', start: 3, duration: 2 },
+      { source: '/tts/3.mp3', start: 5, duration: 2 }
+    ]);
+  });
+
+  test('全部硬切时各场景分别渲染后拼接', async () => {
+    const renderTimeline = jest.spyOn(editor, 'renderSceneTimeline').mockImplementation(async (timeline, outputPath) => outputPath);
+    const concatenate = jest.spyOn(editor, 'concatenateVideos').mockImplementation(async (paths, outputPath) => outputPath);
+    jest.spyOn(editor, 'cleanup').mockResolvedValue();
+
+    const output = await editor.createVideoFromScript(
+      { title: 'hard cut', script: '' },
+      { scenes: [{ text: '一', duration: 2 }, { text: '二', duration: 3 }], transition: { type: 'none' } }
+    );
+
+    expect(output).toBe(path.join(dataDir, 'output', 'hard_cut.mp4'));
+    expect(renderTimeline).toHaveBeenCalledTimes(2);
+    expect(renderTimeline.mock.calls.map(([timeline]) => timeline.tracks[0].clips)).toEqual([
+      [{ color: '#000000', duration: 2 }],
+      [{ color: '#000000', duration: 3 }]
+    ]);
+    const segments = renderTimeline.mock.calls.map(([, segmentPath]) => segmentPath);
+    expect(concatenate).toHaveBeenCalledWith(segments, output);
+    expect(editor.cleanup).toHaveBeenCalledWith(segments);
+  });
+
+  test('有转场时整条时间线一次渲染', async () => {
+    const renderTimeline = jest.spyOn(editor, 'renderSceneTimeline').mockImplementation(async (timeline, outputPath) => outputPath);
+    const concatenate = jest.spyOn(editor, 'concatenateVideos');
+
+    await editor.createVideoFromScript(
+      { title: 'fade', script: '' },
+      { scenes: [{ text: '一', duration: 2 }, { text: '二', duration: 3 }], transition: { type: 'fade', duration: 0.5 } }
+    );
+
+    expect(renderTimeline).toHaveBeenCalledTimes(1);
+    expect(renderTimeline.mock.calls[0][0].tracks[0].clips[1]).toMatchObject({ duration: 3.5, transition: { type: 'fade', duration: 0.5 } });
+    expect(concatenate).not.toHaveBeenCalled();
+  });
+});
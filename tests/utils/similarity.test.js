@@ -0,0 +1,21 @@
+const { normalizeText, textSimilarity, tagSimilarity } = require('../../src/utils/similarity');
+
+describe('similarity', () => {
+  test('忽略大小写、空白和标点', () => {
+    expect(normalizeText(' Hello, World！ ')).toBe('helloworld');
+    expect(textSimilarity('5个省钱技巧！', '5 个省钱技巧')).toBe(1);
+  });
+
+  test('按字符二元组计算文本相似度', () => {
+    expect(textSimilarity('咖啡的历史', '咖啡的未来')).toBeCloseTo(2 / 6);
+    expect(textSimilarity('咖啡', '绿茶')).toBe(0);
+    expect(textSimilarity('', '咖啡')).toBe(0);
+    expect(textSimilarity('a', 'a')).toBe(1);
+  });
+
+  test('标签按集合比较，空标签不算相似', () => {
+    expect(tagSimilarity(['AI', '效率'], ['ai', '效率', '工具'])).toBeCloseTo(2 / 3);
+    expect(tagSimilarity([], [])).toBe(0);
+    expect(tagSimilarity(undefined, ['热门'])).toBe(0);
+  });
+});
@@ -0,0 +1,43 @@
+const { resolveSubtitleStyle, toAssColour } = require('../../src/utils/subtitleStyles');
+
+describe('toAssColour', () => {
+  test('转为ASS的 &HAABBGGRR', () => {
+    expect(toAssColour('#FFE600')).toBe('&H0000E6FF');
+    expect(toAssColour('#000000', 0.6)).toBe('&H66000000');
+  });
+});
+
+describe('resolveSubtitleStyle', () => {
+  test('按短边缩放字号和描边，边距不小于平台安全区', () => {
+    const style = resolveSubtitleStyle('bold', { width: 720, height: 1280, platform: 'tiktok', fontName: 'Sans' });
+    expect(style).toMatchObject({
+      fontName: 'Sans',
+      fontSize: 53,
+      bold: true,
+      outline: 4,
+      shadow: 1,
+      alignment: 2,
+      marginL: 72,
+      marginR: 72,
+      marginV: 282,
+      playResX: 720,
+      playResY: 1280,
+      lineWidth: 576
+    });
+  });
+
+  test('顶部和居中样式使用对应的对齐方式和边距', () => {
+    const size = { width: 1920, height: 1080, fontName: 'Sans' };
+    expect(resolveSubtitleStyle('top', size)).toMatchObject({ alignment: 8, marginV: 54 });
+    expect(resolveSubtitleStyle('center', size)).toMatchObject({ alignment: 5, marginV: 0 });
+  });
+
+  test('带底框的样式使用BorderStyle 3，未知平台按youtube处理', () => {
+    const style = resolveSubtitleStyle('boxed', { width: 1080, height: 1920, platform: 'unknown', fontName: 'Sans' });
+    expect(style).toMatchObject({ borderStyle: 3, outlineColour: '&H66000000', marginL: 54, marginV: 154 });
+  });
+
+  test('拒绝不存在的样式', () => {
+    expect(() => resolveSubtitleStyle('neon', { width: 1080, height: 1920 })).toThrow('不支持的字幕样式: neon');
+  });
+});
@@ -0,0 +1,87 @@
+const {
+  parseTimestamp,
+  formatTimestamp,
+  formatAssTimestamp,
+  parseSubtitles,
+  toSrt,
+  toVtt,
+  toAss,
+  wrapText,
+  sliceCues
+} = require('../../src/utils/subtitles');
+const { resolveSubtitleStyle } = require('../../src/utils/subtitleStyles');
+
+const cues = [
+  { start: 0, end: 2.5, text: '第一句' },
+  { start: 2.5, end: 3661.042, text: 'Second line' }
+];
+
+describe('时间戳', () => {
+  test('解析SRT和VTT时间戳', () => {
+    expect(parseTimestamp('00:01:02,500')).toBe(62.5);
+    expect(parseTimestamp('01:02.5')).toBe(62.5);
+    expect(parseTimestamp('1:00:00.042')).toBe(3600.042);
+    expect(parseTimestamp('abc')).toBeNull();
+  });
+
+  test('格式化SRT、VTT和ASS时间戳', () => {
+    expect(formatTimestamp(3661.042)).toBe('01:01:01,042');
+    expect(formatTimestamp(1.5, '.')).toBe('00:00:01.500');
+    expect(formatTimestamp(-1)).toBe('00:00:00,000');
+    expect(formatAssTimestamp(3661.046)).toBe('1:01:01.05');
+  });
+});
+
+describe('字幕文件', () => {
+  test('生成SRT和VTT', () => {
+    expect(toSrt(cues)).toBe('1\n00:00:00,000 --> 00:00:02,500\n第一句\n\n2\n00:00:02,500 --> 01:01:01,042\nSecond line\n');
+    expect(toVtt(cues)).toBe('WEBVTT\n\n00:00:00.000 --> 00:00:02.500\n第一句\n\n00:00:02.500 --> 01:01:01.042\nSecond line\n');
+  });
+
+  test('生成的SRT和VTT可以解析回原字幕', () => {
+    expect(parseSubtitles(toSrt(cues))).toEqual(cues);
+    expect(parseSubtitles(toVtt(cues))).toEqual(cues);
+  });
+
+  test('解析时忽略标签、位置设置和无效字幕块', () => {
+    const content = '﻿WEBVTT\r\n\r\nintro\r\n00:00:03.000 --> 00:00:04.000 align:start\r\n<b>加粗</b>\r\n第二行\r\n\r\n' +
+      '00:00:02.000 --> 00:00:01.000\r\n倒序\r\n\r\n00:00:00.000 --> 00:00:01.000\r\n开头\r\n';
+    expect(parseSubtitles(content)).toEqual([
+      { start: 0, end: 1, text: '开头' },
+      { start: 3, end: 4, text: '加粗 第二行' }
+    ]);
+  });
+
+  test('生成ASS并转义大括号', () => {
+    const style = resolveSubtitleStyle('classic', { width: 1080, height: 1920, platform: 'shorts', fontName: 'Noto Sans CJK SC' });
+    const ass = toAss([{ start: 0, end: 1.5, text: '{注意}' }], style);
+
+    expect(ass).toContain('PlayResX: 1080\nPlayResY: 1920');
+    expect(ass).toContain('Style: Default,Noto Sans CJK SC,64,&H00FFFFFF,&H000000FF,&H00000000,&H80000000,0,0,0,0,100,100,0,0,1,4,0,2,86,86,384,1');
+    expect(ass).toContain('Dialogue: 0,0:00:00.00,0:00:01.50,Default,,0,0,0,,(注意)');
+  });
+});
+
+describe('wrapText', () => {
+  test('中文按字宽在任意字符间折行', () => {
+    expect(wrapText('一二三四五六七', 300, 100)).toEqual(['一二三', '四五六', '七']);
+  });
+
+  test('英文在空格处折行', () => {
+    expect(wrapText('hello world again', 400, 100)).toEqual(['hello', 'world', 'again']);
+    expect(wrapText('hello world', 1000, 100)).toEqual(['hello world']);
+  });
+});
+
+describe('sliceCues', () => {
+  test('截取时间段内的字幕并平移到片段时间轴', () => {
+    expect(sliceCues([
+      { start: 0, end: 2, text: 'a' },
+      { start: 2, end: 5, text: 'b' },
+      { start: 5, end: 8, text: 'c' }
+    ], 3, 6)).toEqual([
+      { start: 0, end: 2, text: 'b' },
+      { start: 2, end: 3, text: 'c' }
+    ]);
+  });
+});